@@ -0,0 +1,82 @@
+/**
+ * AA Client
+ * The agent talks to Obyte autonomous agents through a client object:
+ *
+ *   getAddress()                          -> address the client sends from
+ *   send(aaAddress, payments, data)       -> { unit, error }; payments is { [asset]: amount }
+ *   getResponse(unit)                     -> { bounced, error, responseVars, responseUnit, received }
+ *                                            received sums the response unit's outputs to us by asset
+ *   readVars(aaAddress)                   -> the AA's state vars
+ *   executeGetter(aaAddress, getter, args) -> the getter's result
+ *
+ * Optional, for reserve price sources that read a pool AA (lpShareReservePrice.js):
+ *
+ *   getBalances(address)                  -> balances of an address by asset
+ *   getDefinition(address)                -> definition of an AA
+ *
+ * createTestkitClient backs it with an aa-testkit network and wallet; a
+ * headless wallet can implement the same interface for production.
+ */
+
+function createTestkitClient(network, wallet) {
+    return {
+        async getAddress() {
+            return await wallet.getAddress();
+        },
+
+        async send(aaAddress, payments, data) {
+            const assets = Object.keys(payments).filter(asset => asset !== 'base');
+
+            if (assets.length === 0) {
+                return await wallet.triggerAaWithData({ toAddress: aaAddress, amount: payments.base, data });
+            }
+
+            return await wallet.sendMulti({
+                asset: assets[0],
+                asset_outputs: [{ address: aaAddress, amount: payments[assets[0]] }],
+                base_outputs: payments.base ? [{ address: aaAddress, amount: payments.base }] : [],
+                messages: [{ app: 'data', payload: data }]
+            });
+        },
+
+        async getResponse(unit) {
+            const { response } = await network.getAaResponseToUnitOnNode(wallet, unit);
+            const received = {};
+
+            if (response.response_unit) {
+                const address = await wallet.getAddress();
+                const { unitObj } = await wallet.getUnitInfo({ unit: response.response_unit });
+
+                for (const message of unitObj.messages.filter(m => m.app === 'payment')) {
+                    const asset = message.payload.asset || 'base';
+                    for (const output of message.payload.outputs.filter(o => o.address === address)) {
+                        received[asset] = (received[asset] || 0) + output.amount;
+                    }
+                }
+            }
+
+            return {
+                bounced: response.bounced,
+                error: response.response.error || null,
+                responseVars: response.response.responseVars || {},
+                responseUnit: response.response_unit || null,
+                received
+            };
+        },
+
+        async readVars(aaAddress) {
+            const { vars } = await wallet.readAAStateVars(aaAddress);
+            return vars;
+        },
+
+        async executeGetter(aaAddress, getter, args = []) {
+            const { result, error } = await wallet.executeGetter({ aaAddress, getter, args });
+            if (error) {
+                throw new Error(error);
+            }
+            return result;
+        }
+    };
+}
+
+module.exports = { createTestkitClient };
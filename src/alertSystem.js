@@ -3,11 +3,13 @@
  * Implements comprehensive logging, error tracking, and automated alerts
  */
 
+const EventEmitter = require('events');
 const fs = require('fs').promises;
 const path = require('path');
 
-class AlertSystem {
+class AlertSystem extends EventEmitter {
     constructor(config) {
+        super();
         this.config = config;
         this.alerts = [];
         this.logFile = path.join(__dirname, '../logs/alerts.log');
@@ -36,8 +38,8 @@ class AlertSystem {
 
         // Alert channels
         this.channels = {
-            console: true,
-            file: true,
+            console: config.logToConsole !== false,
+            file: config.logToFile !== false,
             webhook: config.webhookUrl ? true : false,
             email: config.emailConfig ? true : false
         };
@@ -74,6 +76,7 @@ class AlertSystem {
         if (this.alerts.length > 100) {
             this.alerts.shift();
         }
+        this.emit('alert', alert);
 
         // Log to console
         if (this.channels.console) {
@@ -105,7 +108,9 @@ class AlertSystem {
         };
 
         await this.logAlert('ERROR', error.message, errorData);
-        await this.logToFile(errorData, this.errorLogFile);
+        if (this.channels.file) {
+            await this.logToFile(errorData, this.errorLogFile);
+        }
     }
 
     /**
@@ -4,6 +4,12 @@
  */
 
 const EventEmitter = require('events');
+const { SystemClock } = require('./clock');
+const RiskMetrics = require('./riskMetrics');
+const StressTester = require('./stressTester');
+const { carryFraction } = require('./perpetualCurve');
+
+const CALENDAR_YEAR = 365 * 24 * 3600;
 
 class AnalyticsDashboard extends EventEmitter {
     constructor(config, tradingEngine, alertSystem) {
@@ -11,6 +17,7 @@ class AnalyticsDashboard extends EventEmitter {
         this.config = config;
         this.tradingEngine = tradingEngine;
         this.alertSystem = alertSystem;
+        this.clock = config.clock || new SystemClock();
 
         // Dashboard data
         this.dashboard = {
@@ -53,7 +60,22 @@ class AnalyticsDashboard extends EventEmitter {
         this.refreshInterval = config.refreshInterval || 5000; // 5 seconds
         this.maxHistoryPoints = config.maxHistoryPoints || 1000;
 
-        this.initialize();
+        // Convergence path of perp prices: how far ahead and how often the AA is assumed to be triggered
+        this.fundingHorizon = config.fundingHorizon || 7 * 24 * 3600 * 1000;
+        this.fundingStep = config.fundingStep || 3600 * 1000;
+
+        // Same measure of value at risk as the risk manager's, see riskMetrics.js
+        this.riskMetrics = new RiskMetrics({
+            method: config.varMethod,
+            confidence: config.varConfidence,
+            horizon: config.varHorizon,
+            simulations: config.varSimulations,
+            random: config.random
+        });
+        // Its own scenarios until it is given the risk manager's, see setStressTester
+        this.stressTester = new StressTester({ threshold: config.stressTestThreshold }, tradingEngine, this.riskMetrics);
+
+        this.ready = this.initialize();
     }
 
     /**
@@ -71,7 +93,7 @@ class AnalyticsDashboard extends EventEmitter {
         // Add initial portfolio value to history
         const initialValue = this.dashboard.portfolio.totalValue || 100000;
         this.history.portfolioValues.push({
-            timestamp: new Date(),
+            timestamp: this.clock.now(),
             value: initialValue
         });
 
@@ -92,6 +114,10 @@ class AnalyticsDashboard extends EventEmitter {
             this.tradingEngine.on('positionClosed', (position) => {
                 this.onPositionClosed(position);
             });
+
+            this.tradingEngine.on('positionReduced', (slice) => {
+                this.onPositionReduced(slice);
+            });
         }
 
         // Note: Alert system doesn't emit events, alerts are handled directly
@@ -127,6 +153,21 @@ class AnalyticsDashboard extends EventEmitter {
         });
     }
 
+    /**
+     * Handle partial close event
+     */
+    onPositionReduced(slice) {
+        this.history.trades.push({
+            ...slice,
+            type: 'REDUCE'
+        });
+
+        this.emit('dashboardUpdate', {
+            type: 'position_reduced',
+            data: slice
+        });
+    }
+
     /**
      * Handle alert event
      */
@@ -148,7 +189,7 @@ class AnalyticsDashboard extends EventEmitter {
      * Start data collection
      */
     startDataCollection() {
-        this.collectionInterval = setInterval(async () => {
+        this.collectionInterval = this.clock.setInterval(async () => {
             try {
                 await this.collectMetrics();
                 await this.updateDashboard();
@@ -170,7 +211,7 @@ class AnalyticsDashboard extends EventEmitter {
             const cpuUsage = process.cpuUsage();
 
             const metrics = {
-                timestamp: new Date(),
+                timestamp: this.clock.now(),
                 memoryUsage: memUsage.heapUsed / memUsage.heapTotal,
                 cpuUsage: (cpuUsage.user + cpuUsage.system) / 1000000,
                 responseTime: Date.now() - startTime,
@@ -272,7 +313,7 @@ class AnalyticsDashboard extends EventEmitter {
                 cash: tradingStats.portfolio.cash,
                 marginUsed: tradingStats.portfolio.marginUsed,
                 positions: tradingStats.positions.length,
-                lastUpdate: new Date()
+                lastUpdate: this.clock.now()
             };
 
             // Performance section - ensure all properties are present
@@ -289,9 +330,14 @@ class AnalyticsDashboard extends EventEmitter {
             };
 
             // Risk section
+            const valueAtRisk = this.calculateRiskMetrics();
             this.dashboard.risk = {
-                valueAtRisk: this.calculateVaR(),
-                expectedShortfall: this.calculateExpectedShortfall(),
+                valueAtRisk: valueAtRisk.var,
+                expectedShortfall: valueAtRisk.expectedShortfall,
+                varMethod: valueAtRisk.method,
+                varConfidence: valueAtRisk.confidence,
+                varHorizon: valueAtRisk.horizon,
+                diversification: valueAtRisk.diversification,
                 stressTestResults: await this.runStressTest(),
                 correlationMatrix: this.calculateCorrelationMatrix()
             };
@@ -381,6 +427,9 @@ class AnalyticsDashboard extends EventEmitter {
 
         // Performance attribution
         this.dashboard.charts.performanceAttribution = this.calculatePerformanceAttribution();
+
+        // Drift and price convergence of perps
+        this.dashboard.charts.funding = this.calculateFundingMetrics();
     }
 
     /**
@@ -578,7 +627,8 @@ class AnalyticsDashboard extends EventEmitter {
             byAsset: {},
             byStrategy: {},
             byTimeOfDay: {},
-            byDayOfWeek: {}
+            byDayOfWeek: {},
+            carry: 0
         };
 
         trades.forEach(trade => {
@@ -586,12 +636,15 @@ class AnalyticsDashboard extends EventEmitter {
             const asset = trade.asset || 'UNKNOWN';
             const strategy = trade.strategy || 'UNKNOWN';
 
-            // By asset
+            // By asset; carry is the part of pnl lost (or, short, gained) to the perp's drift
             if (!attribution.byAsset[asset]) {
-                attribution.byAsset[asset] = { pnl: 0, count: 0 };
+                attribution.byAsset[asset] = { pnl: 0, count: 0, carry: 0 };
             }
+            const carry = this.calculateCarry(trade);
             attribution.byAsset[asset].pnl += pnl;
             attribution.byAsset[asset].count += 1;
+            attribution.byAsset[asset].carry += carry;
+            attribution.carry += carry;
 
             // By strategy
             if (!attribution.byStrategy[strategy]) {
@@ -621,6 +674,76 @@ class AnalyticsDashboard extends EventEmitter {
         return attribution;
     }
 
+    /**
+     * Calculate funding metrics of the assets priced from a perpetual curve
+     * driftRate is the AA's drift_rate: $adjust_prices depreciates the price by
+     * that much per 360 days and moves the value to s0 holders. Applied on every
+     * trigger it compounds, so annualCarry is what holding costs over a calendar
+     * year. priceGap is how far the curve price is from the target price, which
+     * the AA closes over adjustment_period; convergence is the price path if the
+     * AA is triggered every fundingStep ms.
+     */
+    calculateFundingMetrics() {
+        const funding = {};
+        if (!this.tradingEngine.curves) return funding;
+
+        const now = Math.floor(this.clock.now().getTime() / 1000);
+        const steps = Math.floor(this.fundingHorizon / this.fundingStep);
+        const timestamps = Array.from({ length: steps }, (_, i) => now + (i + 1) * this.fundingStep / 1000);
+
+        for (const [asset, { curve, perpAsset }] of this.tradingEngine.curves) {
+            try {
+                const driftRate = this.getDriftRate(asset);
+                const curvePrice = curve.getPrice(perpAsset);
+                const targetPrice = curve.targetPrices.has(perpAsset) ? curve.targetPrices.get(perpAsset) : null;
+
+                funding[asset] = {
+                    perpAsset,
+                    driftRate,
+                    annualCarry: carryFraction(driftRate, CALENDAR_YEAR),
+                    curvePrice,
+                    targetPrice,
+                    priceGap: targetPrice ? (curvePrice - targetPrice) / targetPrice : null,
+                    adjustmentPeriod: curve.getAdjustmentPeriod(),
+                    convergence: {
+                        labels: timestamps.map(ts => new Date(ts * 1000)),
+                        data: curve.getPricePath(perpAsset, timestamps)
+                    }
+                };
+            } catch (error) {
+                // AA state not loaded yet, or the curve refuses what the AA would
+            }
+        }
+
+        return funding;
+    }
+
+    /**
+     * Drift rate of the perp behind an asset, 0 if it has none
+     */
+    getDriftRate(asset) {
+        const entry = this.tradingEngine.curves && this.tradingEngine.curves.get(asset);
+        if (!entry) return 0;
+
+        const assetInfo = entry.curve.vars['asset_' + entry.perpAsset];
+        return (assetInfo && assetInfo.drift_rate) || 0;
+    }
+
+    /**
+     * Carry of a closed trade: the drift over its holding period at the current
+     * drift rate, negative for longs, which pay it
+     */
+    calculateCarry(trade) {
+        if (!trade.entryTime || !trade.exitTime) return 0;
+
+        const driftRate = this.getDriftRate(trade.asset);
+        if (!driftRate) return 0;
+
+        const held = (new Date(trade.exitTime).getTime() - new Date(trade.entryTime).getTime()) / 1000;
+        const cost = trade.entryPrice * trade.size * carryFraction(driftRate, held);
+        return trade.side === 'SHORT' ? cost : -cost;
+    }
+
     /**
      * Calculate current drawdown
      */
@@ -691,57 +814,40 @@ class AnalyticsDashboard extends EventEmitter {
     }
 
     /**
-     * Calculate Value at Risk (VaR)
+     * Value at Risk and Expected Shortfall of the open positions
+     * options: { method, confidence, horizon, simulations } overriding the configured ones
      */
-    calculateVaR(confidence = 0.95) {
-        const returns = this.history.pnl.map(p => p.value);
-        if (returns.length < 30) return 0;
-
-        returns.sort((a, b) => a - b);
-        const index = Math.floor(returns.length * (1 - confidence));
+    calculateRiskMetrics(options = {}) {
+        const { returns, exposures } = RiskMetrics.fromEngine(this.tradingEngine);
+        return this.riskMetrics.calculate(returns, exposures, options);
+    }
 
-        return Math.abs(returns[index]);
+    /**
+     * Calculate Value at Risk (VaR)
+     */
+    calculateVaR(confidence) {
+        return this.calculateRiskMetrics({ confidence }).var;
     }
 
     /**
      * Calculate Expected Shortfall
      */
-    calculateExpectedShortfall(confidence = 0.95) {
-        const returns = this.history.pnl.map(p => p.value);
-        if (returns.length < 30) return 0;
-
-        returns.sort((a, b) => a - b);
-        const index = Math.floor(returns.length * (1 - confidence));
-        const tailReturns = returns.slice(0, index);
-
-        return tailReturns.reduce((a, b) => a + b, 0) / tailReturns.length;
+    calculateExpectedShortfall(confidence) {
+        return this.calculateRiskMetrics({ confidence }).expectedShortfall;
     }
 
     /**
-     * Run stress test
+     * Run the stress tester's scenarios on the open positions
      */
     async runStressTest() {
-        const scenarios = [
-            { name: 'Market Crash', shock: -0.3 },
-            { name: 'High Volatility', shock: 0.2 },
-            { name: 'Liquidity Crisis', shock: -0.15 }
-        ];
-
-        const results = [];
-
-        for (const scenario of scenarios) {
-            const stressedValue = this.dashboard.portfolio.totalValue * (1 + scenario.shock);
-            const stressedDrawdown = (this.dashboard.portfolio.totalValue - stressedValue) / this.dashboard.portfolio.totalValue;
-
-            results.push({
-                scenario: scenario.name,
-                stressedValue,
-                stressedDrawdown,
-                breach: stressedDrawdown > this.config.maxDrawdown
-            });
-        }
+        return this.stressTester.runAll();
+    }
 
-        return results;
+    /**
+     * Share the stress tester, and so the saved scenarios, of the risk manager
+     */
+    setStressTester(stressTester) {
+        this.stressTester = stressTester;
     }
 
     /**
@@ -906,6 +1012,8 @@ class AnalyticsDashboard extends EventEmitter {
                 return charts.correlationHeatmap;
             case 'performanceAttribution':
                 return charts.performanceAttribution;
+            case 'funding':
+                return charts.funding;
             default:
                 return null;
         }
@@ -920,7 +1028,7 @@ class AnalyticsDashboard extends EventEmitter {
             return { labels: [], data: [] };
         }
 
-        const now = new Date();
+        const now = this.clock.now();
         const timeframeMs = this.getTimeframeMs(timeframe);
         const cutoff = now.getTime() - timeframeMs;
 
@@ -1017,7 +1125,7 @@ class AnalyticsDashboard extends EventEmitter {
      */
     stop() {
         if (this.collectionInterval) {
-            clearInterval(this.collectionInterval);
+            this.clock.clearInterval(this.collectionInterval);
             this.collectionInterval = null;
         }
     }
@@ -0,0 +1,200 @@
+/**
+ * Backtest Jobs
+ * Queues backtests submitted over the API and runs them one at a time so a
+ * long replay never competes with another for the CPU
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Backtester = require('./backtester');
+const TradingEngine = require('./tradingEngine');
+
+class BacktestJobs {
+    constructor(config, tradingEngine, alertSystem) {
+        this.config = config;
+        this.tradingEngine = tradingEngine;
+        this.alertSystem = alertSystem;
+
+        this.dataDir = path.resolve(config.dataDir || './data');
+        this.maxJobs = config.maxJobs || 50;
+
+        this.jobs = new Map();
+        this.queue = [];
+        this.processing = null;
+    }
+
+    /**
+     * Validate a backtest request
+     * Returns an error message or null
+     */
+    validate(request) {
+        const { dataFile, ticks, strategy } = request;
+
+        if (!strategy) return 'strategy is required';
+        if (!this.tradingEngine.strategyRegistry.has(strategy)) return `Unknown strategy: ${strategy}`;
+
+        if (!dataFile && !Array.isArray(ticks)) return 'dataFile or ticks is required';
+        if (dataFile && ticks) return 'Provide either dataFile or ticks, not both';
+
+        if (dataFile) {
+            const file = this.resolveDataFile(dataFile);
+            if (!file) return `dataFile must be inside ${this.dataDir}`;
+            if (!fs.existsSync(file)) return `dataFile not found: ${dataFile}`;
+
+            try {
+                Backtester.detectFormat(file);
+            } catch (error) {
+                return error.message;
+            }
+        }
+
+        const { errors } = this.tradingEngine.strategyRegistry.resolveParamSet(strategy, {
+            preset: request.preset || null,
+            presetVersion: request.presetVersion || null,
+            params: request.params || {}
+        });
+        if (errors.length > 0) return `Invalid strategy parameters: ${errors.join(', ')}`;
+
+        return this.tradingEngine.validateSizing(request);
+    }
+
+    /**
+     * Resolve a data file relative to the data directory, refusing paths outside it
+     */
+    resolveDataFile(dataFile) {
+        const file = path.resolve(this.dataDir, dataFile);
+        return file.startsWith(this.dataDir + path.sep) ? file : null;
+    }
+
+    /**
+     * Queue a validated backtest request
+     */
+    submit(request) {
+        const job = {
+            id: this.generateJobId(),
+            status: 'QUEUED',
+            request: {
+                strategy: request.strategy,
+                asset: request.asset || null,
+                dataFile: request.dataFile || null,
+                ticks: Array.isArray(request.ticks) ? request.ticks.length : null,
+                preset: request.preset || null,
+                params: request.params || null,
+                size: request.size || null,
+                sizing: request.sizing || null,
+                initialCash: request.initialCash || null
+            },
+            progress: { processed: 0 },
+            submittedAt: new Date(),
+            startedAt: null,
+            finishedAt: null,
+            result: null,
+            error: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.queue.push({ job, request });
+        this.pruneJobs();
+
+        if (!this.processing) {
+            this.processing = this.processQueue();
+        }
+
+        return job;
+    }
+
+    /**
+     * Run queued jobs until the queue is empty
+     */
+    async processQueue() {
+        while (this.queue.length > 0) {
+            const { job, request } = this.queue.shift();
+            await this.runJob(job, request);
+        }
+        this.processing = null;
+    }
+
+    /**
+     * Run a single job and record its outcome
+     */
+    async runJob(job, request) {
+        const backtester = new Backtester({ trading: this.tradingConfig() }, this.tradingEngine.strategyRegistry);
+        backtester.on('progress', ({ processed }) => {
+            job.progress.processed = processed;
+        });
+
+        job.status = 'RUNNING';
+        job.startedAt = new Date();
+
+        try {
+            job.result = await backtester.run({
+                ...request,
+                dataFile: request.dataFile ? this.resolveDataFile(request.dataFile) : null
+            });
+            job.progress.processed = job.result.ticks;
+            job.status = 'COMPLETED';
+        } catch (error) {
+            job.status = 'FAILED';
+            job.error = error.message;
+            await this.alertSystem.logError(error, { context: 'backtest', jobId: job.id });
+        }
+
+        job.finishedAt = new Date();
+    }
+
+    /**
+     * The live engine's trading settings, without its live-only wiring
+     */
+    tradingConfig() {
+        return TradingEngine.pickConfig(this.tradingEngine.config);
+    }
+
+    /**
+     * Resolve once every queued job has finished
+     */
+    async whenIdle() {
+        while (this.processing) {
+            await this.processing;
+        }
+    }
+
+    /**
+     * Get a job, including its result
+     */
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * List jobs, newest first, without their results
+     */
+    list() {
+        return Array.from(this.jobs.values())
+            .reverse()
+            .map(({ result, ...job }) => ({
+                ...job,
+                metrics: result ? result.metrics : null
+            }));
+    }
+
+    /**
+     * Drop the oldest finished jobs beyond maxJobs
+     */
+    pruneJobs() {
+        for (const [id, job] of this.jobs) {
+            if (this.jobs.size <= this.maxJobs) break;
+            if (job.status === 'COMPLETED' || job.status === 'FAILED') {
+                this.jobs.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Generate unique job ID
+     */
+    generateJobId() {
+        return 'BT_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
+module.exports = BacktestJobs;
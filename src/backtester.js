@@ -0,0 +1,305 @@
+/**
+ * Backtester
+ * Replays historical ticks through a TradingEngine on a simulated clock and
+ * reports the equity curve, the trades and the dashboard performance metrics
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const AlertSystem = require('./alertSystem');
+const TradingEngine = require('./tradingEngine');
+const AnalyticsDashboard = require('./analyticsDashboard');
+const StrategyRegistry = require('./strategyRegistry');
+const { SimulatedClock } = require('./clock');
+
+const SIGNALS = ['BUY', 'SELL'];
+
+class Backtester extends EventEmitter {
+    /**
+     * config.trading holds TradingEngine parameters (initialCash, stopLossPercent, ...)
+     */
+    constructor(config = {}, strategyRegistry = null) {
+        super();
+        this.config = config;
+        this.strategyRegistry = strategyRegistry || StrategyRegistry.createDefault();
+        this.progressInterval = config.progressInterval || 1000;
+    }
+
+    /**
+     * Read ticks from a .csv or .jsonl file, one at a time
+     * CSV files need a header row; columns are timestamp, asset, price, and
+     * optionally bid, ask, volume and signal. JSONL lines use the same keys.
+     */
+    static async *readTicks(file) {
+        const format = Backtester.detectFormat(file);
+        const lines = readline.createInterface({
+            input: fs.createReadStream(file),
+            crlfDelay: Infinity
+        });
+
+        let header = null;
+        let lineNumber = 0;
+
+        for await (const line of lines) {
+            lineNumber++;
+            if (!line.trim()) continue;
+
+            let raw;
+            if (format === 'csv') {
+                const cells = line.split(',').map(cell => cell.trim());
+                if (!header) {
+                    header = cells;
+                    continue;
+                }
+                raw = Object.fromEntries(header.map((key, i) => [key, cells[i]]));
+            } else {
+                try {
+                    raw = JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`Invalid JSON at ${file}:${lineNumber}`);
+                }
+            }
+
+            yield Backtester.parseTick(raw, `${file}:${lineNumber}`);
+        }
+    }
+
+    /**
+     * Work out the tick file format from its extension
+     */
+    static detectFormat(file) {
+        const ext = path.extname(file).toLowerCase();
+        if (ext === '.csv') return 'csv';
+        if (ext === '.jsonl' || ext === '.ndjson') return 'jsonl';
+        throw new Error(`Unsupported tick file format: ${ext || file}`);
+    }
+
+    /**
+     * Normalize a raw tick; timestamps may be ISO strings or epoch milliseconds
+     */
+    static parseTick(raw, where = 'tick') {
+        const numeric = value => (value === undefined || value === '' || value === null ? undefined : Number(value));
+
+        const timestamp = /^\d+$/.test(String(raw.timestamp))
+            ? new Date(Number(raw.timestamp))
+            : new Date(raw.timestamp);
+        if (isNaN(timestamp.getTime())) {
+            throw new Error(`Invalid timestamp at ${where}`);
+        }
+
+        const price = numeric(raw.price);
+        if (!(price > 0)) {
+            throw new Error(`Invalid price at ${where}`);
+        }
+
+        const signal = raw.signal ? String(raw.signal).toUpperCase() : null;
+        if (signal && !SIGNALS.includes(signal)) {
+            throw new Error(`Invalid signal at ${where}`);
+        }
+
+        return {
+            timestamp,
+            asset: raw.asset || null,
+            price,
+            bid: numeric(raw.bid) || price,
+            ask: numeric(raw.ask) || price,
+            volume: numeric(raw.volume) || 0,
+            signal
+        };
+    }
+
+    /**
+     * Run a backtest
+     * options: dataFile or ticks (array or async iterable), strategy, asset
+     * (defaults to every asset in the data; ticks without one use it),
+     * initialCash, and preset/params/size/sizing passed to runStrategy.
+     * When a tick carries a signal only that signal is evaluated, otherwise
+     * both BUY and SELL are tried while the strategy is flat.
+     */
+    async run(options = {}) {
+        const { dataFile, strategy, asset = null } = options;
+
+        if (!this.strategyRegistry.has(strategy)) {
+            throw new Error(`Unknown strategy: ${strategy}`);
+        }
+        if (!dataFile && !options.ticks) {
+            throw new Error('A dataFile or ticks are required');
+        }
+
+        const strategyOptions = {
+            preset: options.preset,
+            presetVersion: options.presetVersion,
+            params: options.params,
+            size: options.size,
+            sizing: options.sizing
+        };
+
+        const { errors } = this.strategyRegistry.resolveParamSet(strategy, strategyOptions);
+        if (errors.length > 0) {
+            throw new Error(`Invalid strategy parameters: ${errors.join(', ')}`);
+        }
+
+        const ticks = dataFile ? Backtester.readTicks(dataFile) : options.ticks;
+
+        let clock = null;
+        let engine = null;
+        let alertSystem = null;
+        const equityCurve = [];
+        const trades = [];
+        const entryRules = new Map();
+        let processed = 0;
+
+        try {
+            for await (const rawTick of ticks) {
+                const tick = Backtester.parseTick(rawTick);
+                const tickAsset = tick.asset || asset;
+
+                if (!tickAsset) {
+                    throw new Error('Tick without an asset and no default asset given');
+                }
+                if (asset && tickAsset !== asset) continue;
+
+                if (!engine) {
+                    clock = new SimulatedClock(tick.timestamp);
+                    alertSystem = new AlertSystem({ logToConsole: false, logToFile: false });
+                    engine = this.createEngine(clock, alertSystem, options.initialCash);
+                    this.recordTrades(engine, trades, entryRules);
+                    equityCurve.push({ timestamp: clock.now(), value: engine.calculateTotalValue() });
+                }
+
+                await clock.advanceTo(tick.timestamp);
+                await engine.updateMarketData(tickAsset, {
+                    price: tick.price,
+                    bid: tick.bid,
+                    ask: tick.ask,
+                    volume: tick.volume
+                });
+
+                const holding = engine.getPositions(tickAsset).some(p => p.strategy === strategy);
+                if (!holding) {
+                    for (const signal of tick.signal ? [tick.signal] : SIGNALS) {
+                        const decision = await engine.runStrategy(tickAsset, strategy, signal, strategyOptions);
+                        if (decision && decision.action === 'OPEN' && decision.position) {
+                            entryRules.set(decision.position.id, decision.rule);
+                            break;
+                        }
+                    }
+                }
+
+                equityCurve.push({ timestamp: clock.now(), value: engine.calculateTotalValue() });
+
+                processed++;
+                if (processed % this.progressInterval === 0) {
+                    this.emit('progress', { processed, timestamp: clock.now() });
+                }
+            }
+
+            if (!engine) {
+                throw new Error('No ticks to replay');
+            }
+
+            // Close whatever is still open at the last price so every trade is counted
+            for (const position of engine.getPositions()) {
+                await engine.closePosition(position.asset, { positionId: position.id });
+            }
+            equityCurve.push({ timestamp: clock.now(), value: engine.calculateTotalValue() });
+
+            const metrics = await this.calculateMetrics(engine, clock, alertSystem, equityCurve, trades);
+            const initialCash = equityCurve[0].value;
+
+            return {
+                strategy,
+                asset,
+                dataFile: dataFile || null,
+                ticks: processed,
+                startTime: equityCurve[0].timestamp,
+                endTime: clock.now(),
+                initialCash,
+                finalValue: equityCurve[equityCurve.length - 1].value,
+                metrics,
+                equityCurve,
+                trades
+            };
+
+        } finally {
+            if (engine) {
+                engine.cleanup();
+            }
+        }
+    }
+
+    /**
+     * Create the engine a run trades on
+     */
+    createEngine(clock, alertSystem, initialCash) {
+        const trading = { ...(this.config.trading || {}) };
+        if (initialCash) trading.initialCash = initialCash;
+
+        return new TradingEngine({ ...trading, clock }, alertSystem, this.strategyRegistry);
+    }
+
+    /**
+     * Collect closed and reduced positions into the trade list
+     */
+    recordTrades(engine, trades, entryRules) {
+        const record = (position) => {
+            trades.push({
+                positionId: position.id,
+                asset: position.asset,
+                side: position.side,
+                size: position.size,
+                entryPrice: position.entryPrice,
+                exitPrice: position.exitPrice,
+                entryTime: position.entryTime,
+                exitTime: position.exitTime,
+                pnl: position.pnl,
+                fees: position.fees,
+                rule: entryRules.get(position.id) || null,
+                partial: !!position.partial
+            });
+        };
+
+        engine.on('positionClosed', record);
+        engine.on('positionReduced', record);
+    }
+
+    /**
+     * Compute the AnalyticsDashboard performance metrics over the run
+     */
+    async calculateMetrics(engine, clock, alertSystem, equityCurve, trades) {
+        const dashboard = new AnalyticsDashboard({ clock }, engine, alertSystem);
+        await dashboard.ready;
+        dashboard.stop();
+
+        dashboard.history.portfolioValues = equityCurve.map(point => ({ ...point }));
+        dashboard.history.pnl = trades.map(trade => ({
+            timestamp: trade.exitTime,
+            value: trade.pnl / (trade.entryPrice * trade.size)
+        }));
+
+        const riskAdjusted = dashboard.calculateRiskAdjustedReturns();
+        const winningTrades = trades.filter(trade => trade.pnl > 0).length;
+
+        const metrics = {
+            totalReturn: riskAdjusted.totalReturn,
+            volatility: riskAdjusted.volatility,
+            sharpeRatio: riskAdjusted.sharpeRatio,
+            sortinoRatio: riskAdjusted.sortinoRatio,
+            calmarRatio: riskAdjusted.calmarRatio,
+            maxDrawdown: dashboard.calculateMaxDrawdown(),
+            totalTrades: trades.length,
+            winningTrades,
+            losingTrades: trades.filter(trade => trade.pnl < 0).length,
+            winRate: trades.length > 0 ? winningTrades / trades.length : 0,
+            totalPnL: trades.reduce((sum, trade) => sum + trade.pnl, 0),
+            totalFees: trades.reduce((sum, trade) => sum + trade.fees, 0)
+        };
+
+        dashboard.cleanup();
+        return metrics;
+    }
+}
+
+module.exports = Backtester;
@@ -0,0 +1,87 @@
+/**
+ * Clocks
+ * Components take the current time and their timers from a clock so that a
+ * backtest can replay history on simulated time instead of wall time.
+ */
+
+/**
+ * Wall-clock time and real timers
+ */
+class SystemClock {
+    now() {
+        return new Date();
+    }
+
+    setInterval(callback, ms) {
+        return setInterval(callback, ms);
+    }
+
+    clearInterval(handle) {
+        clearInterval(handle);
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+/**
+ * Time that only moves when advanced
+ * Intervals fire, in order, as advanceTo passes their due times.
+ */
+class SimulatedClock {
+    constructor(start = 0) {
+        this.time = new Date(start).getTime();
+        this.timers = new Map();
+        this.nextTimerId = 1;
+    }
+
+    now() {
+        return new Date(this.time);
+    }
+
+    setInterval(callback, ms) {
+        const id = this.nextTimerId++;
+        this.timers.set(id, { callback, ms, due: this.time + ms });
+        return id;
+    }
+
+    clearInterval(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Wait in simulated time: time moves on at once, running the intervals due meanwhile
+     */
+    sleep(ms) {
+        return this.advanceTo(this.time + ms);
+    }
+
+    /**
+     * Move time forward, running every interval that falls due on the way
+     * Moving backwards is ignored so out-of-order ticks cannot rewind time.
+     */
+    async advanceTo(time) {
+        const target = new Date(time).getTime();
+        if (!(target > this.time)) return;
+
+        for (;;) {
+            let next = null;
+            for (const timer of this.timers.values()) {
+                if (timer.due <= target && (!next || timer.due < next.due)) {
+                    next = timer;
+                }
+            }
+            if (!next) break;
+
+            this.time = next.due;
+            next.due += next.ms;
+            await next.callback();
+        }
+
+        // A sleep inside an interval may have moved time past the target already
+        this.time = Math.max(this.time, target);
+    }
+}
+
+module.exports = { SystemClock, SimulatedClock };
@@ -0,0 +1,105 @@
+/**
+ * Curve Feed
+ * Keeps a PerpetualCurve per traded perp asset in step with the perpetual AA
+ * and hands them to the trading engine, which sizes orders and estimates fees
+ * from them. Target prices for $adjust_prices are read the way the AA reads
+ * them: the asset's price AA's $get_target_price over the reserve price AA's
+ * $get_reserve_price.
+ */
+
+const EventEmitter = require('events');
+const PerpetualCurve = require('./perpetualCurve');
+const { SystemClock } = require('./clock');
+
+class CurveFeed extends EventEmitter {
+    /**
+     * config: {
+     *   aaAddress: address of the perpetual AA,
+     *   assets: { [engine asset]: perp asset id },
+     *   reserveAsset: reserve asset of the AA, 'base' for bytes,
+     *   reservePriceAa: reserve price AA, for AAs whose vars do not name it,
+     *   params: params of the AA, for values it does not override in its vars,
+     *   refreshInterval: ms between refreshes
+     * }
+     * client: see aaClient.js
+     */
+    constructor(config = {}, client, tradingEngine, alertSystem) {
+        super();
+        this.config = config;
+        this.client = client;
+        this.tradingEngine = tradingEngine;
+        this.alertSystem = alertSystem;
+        this.clock = config.clock || new SystemClock();
+
+        this.aaAddress = config.aaAddress;
+        this.assets = config.assets || {};
+        this.reservePriceAa = config.reservePriceAa || null;
+        this.refreshInterval = config.refreshInterval || 60000;
+
+        const params = { reserve_asset: config.reserveAsset || 'base', ...config.params };
+        this.curves = new Map(Object.keys(this.assets).map(asset => [asset, new PerpetualCurve({ params })]));
+        this.lastRefresh = null;
+        this.address = null;
+        this.interval = null;
+    }
+
+    start() {
+        if (!this.interval) {
+            this.interval = this.clock.setInterval(() => this.refresh(), this.refreshInterval);
+        }
+    }
+
+    stop() {
+        if (this.interval) {
+            this.clock.clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    /**
+     * Re-read the AA's state and target prices into every curve
+     * Curves reach the engine on their first successful refresh, along with
+     * the address the client trades from. Returns the target prices by engine
+     * asset, null for assets without a price AA.
+     */
+    async refresh() {
+        try {
+            if (!this.address) {
+                this.address = await this.client.getAddress();
+            }
+            const vars = await this.client.readVars(this.aaAddress);
+            const reservePriceAa = vars.reserve_price_aa || this.reservePriceAa;
+            const reservePrice = reservePriceAa
+                ? await this.client.executeGetter(reservePriceAa, 'get_reserve_price')
+                : null;
+
+            const targetPrices = {};
+            for (const [asset, perpAsset] of Object.entries(this.assets)) {
+                const curve = this.curves.get(asset);
+                const assetInfo = vars['asset_' + perpAsset];
+                const priceAa = assetInfo && assetInfo.price_aa;
+
+                targetPrices[asset] = null;
+                if (priceAa && reservePrice) {
+                    targetPrices[asset] = await this.client.executeGetter(priceAa, 'get_target_price') / reservePrice;
+                    curve.setTargetPrice(perpAsset, targetPrices[asset]);
+                }
+
+                curve.update(vars);
+                if (!this.lastRefresh) {
+                    this.tradingEngine.setCurve(asset, curve, perpAsset, this.address);
+                }
+            }
+
+            this.lastRefresh = { targetPrices, reservePrice, timestamp: this.clock.now() };
+            this.emit('refreshed', this.lastRefresh);
+            return targetPrices;
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { context: 'curve_feed' });
+            return null;
+        }
+    }
+}
+
+module.exports = CurveFeed;
@@ -10,14 +10,26 @@ const yaml = require('yaml');
 const fs = require('fs').promises;
 const path = require('path');
 const WebSocketServer = require('./websocketServer');
+const BacktestJobs = require('./backtestJobs');
+const RiskMetrics = require('./riskMetrics');
 
 class EnhancedServer {
-    constructor(config, tradingEngine, alertSystem, analyticsDashboard, riskManager) {
+    constructor(config, tradingEngine, alertSystem, analyticsDashboard, riskManager, services = {}) {
         this.config = config;
         this.tradingEngine = tradingEngine;
         this.alertSystem = alertSystem;
         this.analyticsDashboard = analyticsDashboard;
         this.riskManager = riskManager;
+        // Optional services that need an AA client; their endpoints answer 503 without one
+        this.presaleManager = services.presaleManager || null;
+        this.stakingClient = services.stakingClient || null;
+        this.governanceMonitor = services.governanceMonitor || null;
+        this.dataFeeds = services.dataFeeds || null;
+        this.reserveValuation = services.reserveValuation || null;
+        this.backtests = new BacktestJobs({
+            dataDir: config.backtestDataDir,
+            maxJobs: config.maxBacktestJobs
+        }, tradingEngine, alertSystem);
 
         this.app = express();
         this.port = config.port || 3000;
@@ -167,6 +179,12 @@ class EnhancedServer {
         this.app.get('/api/positions', this.getPositions.bind(this));
         this.app.delete('/api/positions/:asset', this.closePosition.bind(this));
 
+        // Order endpoints
+        this.app.get('/api/orders', this.getOrders.bind(this));
+        this.app.post('/api/orders', this.placeOrder.bind(this));
+        this.app.put('/api/orders/:id', this.amendOrder.bind(this));
+        this.app.delete('/api/orders/:id', this.cancelOrder.bind(this));
+
         // Market data endpoints
         this.app.get('/api/market/:asset', this.getMarketData.bind(this));
         this.app.post('/api/market', this.updateMarketData.bind(this));
@@ -176,10 +194,22 @@ class EnhancedServer {
         this.app.get('/api/analytics/chart/:type', this.getChart.bind(this));
         this.app.get('/api/analytics/performance', this.getPerformance.bind(this));
 
+        // Ledger endpoints
+        this.app.get('/api/ledger', this.getLedger.bind(this));
+        this.app.get('/api/ledger/reconciliation', this.getReconciliation.bind(this));
+
         // Risk management endpoints
         this.app.get('/api/risk/assessment', this.getRiskAssessment.bind(this));
         this.app.get('/api/risk/limits', this.getRiskLimits.bind(this));
+        this.app.get('/api/risk/var', this.getValueAtRisk.bind(this));
         this.app.post('/api/risk/emergency-stop', this.emergencyStop.bind(this));
+        this.app.get('/api/risk/state', this.getTradingState.bind(this));
+        this.app.post('/api/risk/resume', this.resumeTrading.bind(this));
+        this.app.get('/api/risk/scenarios', this.getScenarios.bind(this));
+        this.app.post('/api/risk/scenarios', this.saveScenario.bind(this));
+        this.app.post('/api/risk/scenarios/run', this.runScenarios.bind(this));
+        this.app.delete('/api/risk/scenarios/:name', this.deleteScenario.bind(this));
+        this.app.post('/api/risk/scenarios/:name/run', this.runScenario.bind(this));
 
         // Alert system endpoints
         this.app.get('/api/alerts', this.getAlerts.bind(this));
@@ -189,6 +219,35 @@ class EnhancedServer {
         this.app.get('/api/strategies', this.getStrategies.bind(this));
         this.app.post('/api/strategies/:name', this.executeStrategy.bind(this));
 
+        // Backtest endpoints
+        this.app.get('/api/backtests', this.getBacktests.bind(this));
+        this.app.post('/api/backtests', this.submitBacktest.bind(this));
+        this.app.get('/api/backtests/:id', this.getBacktest.bind(this));
+
+        // Presale endpoints
+        this.app.get('/api/presales', this.getPresales.bind(this));
+        this.app.get('/api/presales/:asset/auction-price', this.getAuctionPrice.bind(this));
+        this.app.post('/api/presales/:asset/contributions', this.contributeToPresale.bind(this));
+        this.app.post('/api/presales/:asset/withdrawals', this.withdrawFromPresale.bind(this));
+        this.app.post('/api/presales/:asset/claim', this.claimPresale.bind(this));
+
+        // Staking endpoints
+        this.app.get('/api/staking', this.getStaking.bind(this));
+        this.app.get('/api/staking/voting-power', this.getVotingPower.bind(this));
+        this.app.get('/api/staking/:asset/rewards', this.getStakingRewards.bind(this));
+        this.app.post('/api/staking/:asset/deposits', this.depositStake.bind(this));
+        this.app.post('/api/staking/:asset/withdrawals', this.withdrawStake.bind(this));
+        this.app.post('/api/staking/:asset/rewards/withdrawals', this.withdrawStakingRewards.bind(this));
+        this.app.post('/api/staking/votes/shares', this.voteShares.bind(this));
+        this.app.post('/api/staking/votes/whitelist', this.voteWhitelist.bind(this));
+
+        // Governance endpoints
+        this.app.get('/api/governance', this.getGovernance.bind(this));
+
+        // Reserve price endpoints
+        this.app.post('/api/data-feeds', this.updateDataFeeds.bind(this));
+        this.app.get('/api/reserve-price', this.getReservePrice.bind(this));
+
         // Configuration endpoints
         this.app.get('/api/config', this.getConfig.bind(this));
         this.app.put('/api/config', this.updateConfig.bind(this));
@@ -271,8 +330,14 @@ class EnhancedServer {
                 return res.status(400).json({ error: `No market data available for ${asset}` });
             }
 
+            if (this.rejectIfTradingBlocked(res, asset, mappedSide)) {
+                return;
+            }
+
             // Execute trade using the trading engine's openPosition method
-            const result = await this.tradingEngine.openPosition(asset, mappedSide, size);
+            const outcome = {};
+            const result = await this.tradingEngine.openPosition(asset, mappedSide, size, { outcome });
+            const riskCheck = outcome.riskCheck;
 
             if (result) {
                 // Return the result with the mapped side value for test compatibility
@@ -281,7 +346,13 @@ class EnhancedServer {
                     trade: result, // Keep the internal representation with 'LONG'/'SHORT'
                     message: `Successfully executed ${side} trade for ${asset}`
                 };
+                if (riskCheck && riskCheck.decision === 'REDUCE') {
+                    response.riskCheck = riskCheck;
+                }
                 res.json(response);
+            } else if (riskCheck && riskCheck.decision === 'REJECT') {
+                // Rejections come back with the risk gate's reasons
+                res.status(400).json({ error: 'Trade rejected by risk checks', riskCheck });
             } else {
                 res.status(400).json({ error: 'Trade execution failed' });
             }
@@ -298,18 +369,25 @@ class EnhancedServer {
     async getPositions(req, res) {
         try {
             const positions = Array.from(this.tradingEngine.positions.values());
+            const margin = this.tradingEngine.getMarginStatus();
             const enrichedPositions = positions.map(position => {
                 const marketData = this.tradingEngine.marketData.get(position.asset);
                 const currentPrice = marketData ? marketData.price : position.entryPrice;
                 const pnl = position.side === 'LONG'
                     ? (currentPrice - position.entryPrice) * position.size
                     : (position.entryPrice - currentPrice) * position.size;
+                const assetMargin = margin.assets[position.asset];
 
                 return {
                     ...position,
                     currentPrice,
                     pnl,
-                    pnlPercent: (pnl / (position.entryPrice * position.size)) * 100
+                    pnlPercent: (pnl / (position.entryPrice * position.size)) * 100,
+                    initialMargin: position.size * assetMargin.price * assetMargin.initialMarginRate,
+                    maintenanceMargin: position.size * assetMargin.price * assetMargin.maintenanceMarginRate,
+                    liquidationPrice: assetMargin.liquidationPrice,
+                    liquidationDistance: assetMargin.liquidationDistance,
+                    marginCall: assetMargin.marginCall
                 };
             });
 
@@ -318,7 +396,14 @@ class EnhancedServer {
                 summary: {
                     totalPositions: positions.length,
                     totalValue: enrichedPositions.reduce((sum, p) => sum + (p.size * p.currentPrice), 0),
-                    totalPnL: enrichedPositions.reduce((sum, p) => sum + p.pnl, 0)
+                    totalPnL: enrichedPositions.reduce((sum, p) => sum + p.pnl, 0),
+                    margin: {
+                        equity: margin.equity,
+                        initialMargin: margin.initialMargin,
+                        maintenanceMargin: margin.maintenanceMargin,
+                        freeMargin: margin.freeMargin,
+                        marginLevel: margin.marginLevel
+                    }
                 }
             });
 
@@ -334,14 +419,28 @@ class EnhancedServer {
     async closePosition(req, res) {
         try {
             const { asset } = req.params;
+            const params = { ...req.query, ...(req.body || {}) };
+            const options = {};
 
-            const result = await this.tradingEngine.closePosition(asset);
+            if (params.positionId) {
+                options.positionId = params.positionId;
+            }
+            if (params.size !== undefined) {
+                options.size = parseFloat(params.size);
+                if (!(options.size > 0)) {
+                    return res.status(400).json({ error: 'size must be a positive number' });
+                }
+            }
+
+            const result = await this.tradingEngine.closePosition(asset, options);
 
             if (result) {
                 res.json({
                     success: true,
                     closedPosition: result,
-                    message: `Successfully closed position for ${asset}`
+                    message: options.size
+                        ? `Successfully reduced position for ${asset} by ${options.size}`
+                        : `Successfully closed position for ${asset}`
                 });
             } else {
                 res.status(404).json({ error: `Position not found for ${asset}` });
@@ -353,6 +452,122 @@ class EnhancedServer {
         }
     }
 
+    /**
+     * Get orders endpoint
+     */
+    async getOrders(req, res) {
+        try {
+            const { asset } = req.query;
+            const orders = this.tradingEngine.getOrders(asset);
+
+            res.json({
+                orders,
+                total: orders.length
+            });
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'getOrders' });
+            res.status(500).json({ error: 'Failed to retrieve orders', details: error.message });
+        }
+    }
+
+    /**
+     * Place order endpoint
+     */
+    async placeOrder(req, res) {
+        try {
+            const params = { type: 'market', ...req.body };
+
+            const validationError = this.tradingEngine.validateOrder(params);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            if (this.rejectIfTradingBlocked(res, params.asset, this.tradingEngine.normalizeSide(params.side))) {
+                return;
+            }
+
+            const order = await this.tradingEngine.placeOrder(params);
+
+            if (order && order.status === 'REJECTED') {
+                res.status(400).json({
+                    error: order.riskCheck ? 'Order rejected by risk checks' : 'Order rejected',
+                    details: order.rejectReason,
+                    riskCheck: order.riskCheck
+                });
+            } else if (order && order.status !== 'CANCELLED') {
+                res.json({
+                    success: true,
+                    order,
+                    message: `Successfully placed ${order.type} order for ${order.asset}`
+                });
+            } else {
+                res.status(400).json({
+                    error: 'Order placement failed',
+                    details: order ? order.cancelReason : undefined
+                });
+            }
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'placeOrder', body: req.body });
+            res.status(500).json({ error: 'Order placement failed', details: error.message });
+        }
+    }
+
+    /**
+     * Amend order endpoint
+     */
+    async amendOrder(req, res) {
+        try {
+            const { id } = req.params;
+
+            if (!this.tradingEngine.activeOrders.has(id)) {
+                return res.status(404).json({ error: `Order not found: ${id}` });
+            }
+
+            const order = await this.tradingEngine.amendOrder(id, req.body);
+
+            if (order) {
+                res.json({
+                    success: true,
+                    order,
+                    message: `Successfully amended order ${id}`
+                });
+            } else {
+                res.status(400).json({ error: `Order ${id} amendment failed` });
+            }
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'amendOrder', id: req.params.id });
+            res.status(500).json({ error: 'Failed to amend order', details: error.message });
+        }
+    }
+
+    /**
+     * Cancel order endpoint
+     */
+    async cancelOrder(req, res) {
+        try {
+            const { id } = req.params;
+
+            const order = await this.tradingEngine.cancelOrder(id);
+
+            if (order) {
+                res.json({
+                    success: true,
+                    order,
+                    message: `Successfully cancelled order ${id}`
+                });
+            } else {
+                res.status(404).json({ error: `Order not found: ${id}` });
+            }
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'cancelOrder', id: req.params.id });
+            res.status(500).json({ error: 'Failed to cancel order', details: error.message });
+        }
+    }
+
     /**
      * Get market data endpoint
      */
@@ -384,10 +599,11 @@ class EnhancedServer {
                 return res.status(400).json({ error: 'Market data must be an array' });
             }
 
+            // One tick at a time: each matches orders and runs strategies before the next
             let updated = 0;
             for (const data of marketData) {
                 if (data.asset && data.price) {
-                    this.tradingEngine.updateMarketData(data.asset, data);
+                    await this.tradingEngine.updateMarketData(data.asset, data);
                     updated++;
                 }
             }
@@ -468,6 +684,40 @@ class EnhancedServer {
         }
     }
 
+    /**
+     * Get ledger balances and recent entries endpoint
+     */
+    async getLedger(req, res) {
+        try {
+            const { limit = 50 } = req.query;
+            const ledger = this.tradingEngine.ledger;
+
+            res.json({
+                balances: ledger.getBalances(),
+                trialBalance: ledger.trialBalance(),
+                entries: ledger.getEntries(parseInt(limit))
+            });
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'getLedger' });
+            res.status(500).json({ error: 'Failed to retrieve ledger', details: error.message });
+        }
+    }
+
+    /**
+     * Reconcile the ledger with the portfolio and positions endpoint
+     */
+    async getReconciliation(req, res) {
+        try {
+            this.tradingEngine.markToMarket();
+            res.json(this.tradingEngine.reconcile());
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'getReconciliation' });
+            res.status(500).json({ error: 'Failed to reconcile ledger', details: error.message });
+        }
+    }
+
     /**
      * Get risk assessment endpoint
      */
@@ -496,18 +746,151 @@ class EnhancedServer {
         }
     }
 
+    /**
+     * Value at Risk endpoint
+     * Measures the open positions now; method, confidence, horizon and
+     * simulations in the query override the risk manager's configuration.
+     */
+    async getValueAtRisk(req, res) {
+        try {
+            const options = {};
+            if (req.query.method !== undefined) options.method = req.query.method;
+            for (const key of ['confidence', 'horizon', 'simulations']) {
+                if (req.query[key] !== undefined) options[key] = Number(req.query[key]);
+            }
+
+            const validationError = RiskMetrics.validate(options);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            res.json(this.riskManager.calculateVaR(options));
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'getValueAtRisk' });
+            res.status(500).json({ error: 'Failed to calculate value at risk', details: error.message });
+        }
+    }
+
+    /**
+     * Stress scenarios endpoint: the built-in ones and those saved
+     */
+    async getScenarios(req, res) {
+        try {
+            res.json({ scenarios: this.riskManager.stressTester.getScenarios() });
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'getScenarios' });
+            res.status(500).json({ error: 'Failed to retrieve scenarios', details: error.message });
+        }
+    }
+
+    /**
+     * Save stress scenario endpoint; a scenario of the same name is replaced
+     */
+    async saveScenario(req, res) {
+        try {
+            const stressTester = this.riskManager.stressTester;
+            const validationError = stressTester.validate(req.body);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const existing = stressTester.getScenario(req.body.name);
+            if (existing && existing.builtIn) {
+                return res.status(409).json({ error: `${req.body.name} is a built-in scenario` });
+            }
+
+            const scenario = stressTester.save(req.body);
+            res.json({ success: true, message: `Scenario ${scenario.name} saved`, scenario });
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'saveScenario' });
+            res.status(500).json({ error: 'Failed to save scenario', details: error.message });
+        }
+    }
+
+    /**
+     * Delete stress scenario endpoint
+     */
+    async deleteScenario(req, res) {
+        try {
+            const { name } = req.params;
+            const existing = this.riskManager.stressTester.getScenario(name);
+            if (!existing) {
+                return res.status(404).json({ error: `Scenario not found: ${name}` });
+            }
+            if (existing.builtIn) {
+                return res.status(409).json({ error: `${name} is a built-in scenario` });
+            }
+
+            this.riskManager.stressTester.delete(name);
+            res.json({ success: true, message: `Scenario ${name} deleted` });
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'deleteScenario', name: req.params.name });
+            res.status(500).json({ error: 'Failed to delete scenario', details: error.message });
+        }
+    }
+
+    /**
+     * Run stress scenario endpoint
+     */
+    async runScenario(req, res) {
+        try {
+            const { name } = req.params;
+            const scenario = this.riskManager.stressTester.getScenario(name);
+            if (!scenario) {
+                return res.status(404).json({ error: `Scenario not found: ${name}` });
+            }
+
+            res.json(await this.riskManager.stressTester.run(scenario));
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'runScenario', name: req.params.name });
+            res.status(500).json({ error: 'Failed to run scenario', details: error.message });
+        }
+    }
+
+    /**
+     * Run stress scenarios endpoint: every scenario, or the names given
+     */
+    async runScenarios(req, res) {
+        try {
+            const { names } = req.body || {};
+            const stressTester = this.riskManager.stressTester;
+
+            if (names !== undefined) {
+                if (!Array.isArray(names)) {
+                    return res.status(400).json({ error: 'names must be an array' });
+                }
+                const unknown = names.filter(name => !stressTester.getScenario(name));
+                if (unknown.length > 0) {
+                    return res.status(404).json({ error: `Scenario not found: ${unknown.join(', ')}` });
+                }
+            }
+
+            res.json({ results: await stressTester.runAll(names) });
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'runScenarios' });
+            res.status(500).json({ error: 'Failed to run scenarios', details: error.message });
+        }
+    }
+
     /**
      * Emergency stop endpoint
      */
     async emergencyStop(req, res) {
         try {
-            const { reason } = req.body;
+            const { reason, actor } = req.body;
 
-            await this.riskManager.emergencyStop(reason || 'Manual emergency stop');
+            await this.riskManager.emergencyStop(reason || 'Manual emergency stop', actor || null);
 
             res.json({
                 success: true,
                 message: 'Emergency stop initiated',
+                tradingState: this.tradingEngine.getTradingState(),
                 timestamp: new Date().toISOString()
             });
 
@@ -517,6 +900,71 @@ class EnhancedServer {
         }
     }
 
+    /**
+     * Get trading state endpoint
+     */
+    async getTradingState(req, res) {
+        try {
+            const limit = parseInt(req.query.limit) || 20;
+            res.json(this.tradingEngine.getTradingState(limit));
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'getTradingState' });
+            res.status(500).json({ error: 'Failed to retrieve trading state', details: error.message });
+        }
+    }
+
+    /**
+     * Resume trading endpoint
+     * Who resumed, why and from where goes into the trading state history.
+     */
+    async resumeTrading(req, res) {
+        try {
+            const { actor, reason, state = 'ACTIVE' } = req.body;
+
+            if (!actor || !reason) {
+                return res.status(400).json({ error: 'Missing required parameters: actor, reason' });
+            }
+            if (state !== 'ACTIVE' && state !== 'REDUCE_ONLY') {
+                return res.status(400).json({ error: 'state must be ACTIVE or REDUCE_ONLY' });
+            }
+
+            const result = await this.riskManager.resumeTrading({ actor, reason, state, ip: req.ip });
+            if (!result.resumed) {
+                return res.status(409).json({
+                    error: result.error,
+                    resumeAfter: result.resumeAfter,
+                    breaches: result.breaches,
+                    tradingState: this.tradingEngine.getTradingState()
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `Trading resumed as ${state}`,
+                tradingState: result.tradingState
+            });
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'resumeTrading', body: req.body });
+            res.status(500).json({ error: 'Failed to resume trading', details: error.message });
+        }
+    }
+
+    /**
+     * Answer 409 when the trading state does not allow trading into side
+     * Returns whether it answered.
+     */
+    rejectIfTradingBlocked(res, asset, side) {
+        const blocked = this.tradingEngine.checkTradingState(this.tradingEngine.reducesPosition(asset, side));
+        if (!blocked) {
+            return false;
+        }
+
+        res.status(409).json({ error: blocked, tradingState: this.tradingEngine.tradingState });
+        return true;
+    }
+
     /**
      * Get alerts endpoint
      */
@@ -555,33 +1003,7 @@ class EnhancedServer {
      */
     async getStrategies(req, res) {
         try {
-            const strategies = [
-                {
-                    name: 'momentum',
-                    description: 'Trades based on price momentum indicators',
-                    parameters: ['momentum_threshold', 'volume_threshold']
-                },
-                {
-                    name: 'mean_reversion',
-                    description: 'Trades based on mean reversion signals',
-                    parameters: ['z_score_threshold', 'rsi_levels']
-                },
-                {
-                    name: 'breakout',
-                    description: 'Trades on price breakouts',
-                    parameters: ['breakout_percentage', 'confirmation_period']
-                },
-                {
-                    name: 'scalping',
-                    description: 'Quick trades based on small price movements',
-                    parameters: ['tick_size', 'exit_threshold']
-                },
-                {
-                    name: 'swing',
-                    description: 'Longer-term trend following trades',
-                    parameters: ['trend_period', 'support_resistance_levels']
-                }
-            ];
+            const strategies = this.tradingEngine.strategyRegistry.list();
 
             res.json({ strategies });
 
@@ -593,39 +1015,473 @@ class EnhancedServer {
 
     /**
      * Execute strategy endpoint
+     * Runs the named strategy's rules and returns its decision; with dryRun
+     * the rules are evaluated but nothing is traded.
      */
     async executeStrategy(req, res) {
         try {
             const { name } = req.params;
-            const { asset, signal } = req.body;
+            const { asset, signal, preset, presetVersion, params, size, sizing, dryRun } = req.body;
 
             if (!asset || !signal) {
                 return res.status(400).json({ error: 'Missing required parameters: asset, signal' });
             }
 
-            // For testing purposes, create a simple trade based on the signal
-            const side = signal === 'BUY' ? 'LONG' : 'SHORT';
-            const size = 10; // Smaller size for testing to avoid risk limits
+            if (!['BUY', 'SELL'].includes(signal)) {
+                return res.status(400).json({ error: 'signal must be BUY or SELL' });
+            }
 
-            const result = await this.tradingEngine.openPosition(asset, side, size);
+            if (!this.tradingEngine.strategyRegistry.has(name)) {
+                return res.status(404).json({ error: `Unknown strategy: ${name}` });
+            }
 
-            if (result) {
-                res.json({
-                    success: true,
-                    strategy: name,
-                    result,
-                    message: `Successfully executed ${name} strategy for ${asset}`
-                });
+            const { errors } = this.tradingEngine.strategyRegistry.resolveParamSet(name, {
+                preset: preset || null,
+                presetVersion: presetVersion || null,
+                params: params || {}
+            });
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid strategy parameters', details: errors });
+            }
+
+            const sizingError = this.tradingEngine.validateSizing({ size, sizing });
+            if (sizingError) {
+                return res.status(400).json({ error: sizingError });
+            }
+
+            if (!this.tradingEngine.marketData.has(asset)) {
+                return res.status(400).json({ error: `No market data available for ${asset}` });
+            }
+
+            const decision = await this.tradingEngine.runStrategy(asset, name, signal, {
+                preset,
+                presetVersion,
+                params,
+                size,
+                sizing,
+                dryRun: dryRun === true
+            });
+
+            if (!decision) {
+                return res.status(500).json({ error: `Strategy ${name} could not be run` });
+            }
+
+            let message;
+            if (decision.action === 'NONE' || !decision.position) {
+                message = `${name} took no action on ${asset}: ${decision.reason}`;
             } else {
-                res.status(400).json({ error: `Strategy ${name} execution failed` });
+                const verb = decision.action === 'OPEN'
+                    ? (decision.dryRun ? 'would open' : 'opened')
+                    : (decision.dryRun ? 'would close' : 'closed');
+                message = `${name} ${verb} a position on ${asset} (${decision.rule})`;
             }
 
+            res.json({
+                success: true,
+                strategy: name,
+                dryRun: decision.dryRun,
+                decision,
+                message
+            });
+
         } catch (error) {
             await this.alertSystem.logError(error, { endpoint: 'executeStrategy', strategy: req.params.name });
             res.status(500).json({ error: 'Strategy execution failed', details: error.message });
         }
     }
 
+    /**
+     * List backtest jobs endpoint
+     */
+    async getBacktests(req, res) {
+        try {
+            res.json({ backtests: this.backtests.list() });
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'getBacktests' });
+            res.status(500).json({ error: 'Failed to retrieve backtests', details: error.message });
+        }
+    }
+
+    /**
+     * Submit backtest endpoint
+     * Returns immediately with the queued job; poll GET /api/backtests/:id for the result.
+     */
+    async submitBacktest(req, res) {
+        try {
+            const error = this.backtests.validate(req.body || {});
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            const job = this.backtests.submit(req.body);
+            res.status(202).json({ success: true, backtest: job });
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'submitBacktest' });
+            res.status(500).json({ error: 'Failed to submit backtest', details: error.message });
+        }
+    }
+
+    /**
+     * Backtest job status endpoint
+     */
+    async getBacktest(req, res) {
+        try {
+            const job = this.backtests.get(req.params.id);
+            if (!job) {
+                return res.status(404).json({ error: 'Backtest not found' });
+            }
+
+            res.json({ backtest: job });
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'getBacktest' });
+            res.status(500).json({ error: 'Failed to retrieve backtest', details: error.message });
+        }
+    }
+
+    /**
+     * List presales endpoint
+     */
+    async getPresales(req, res) {
+        try {
+            if (!this.presaleManager) {
+                return res.status(503).json({ error: 'Presale manager not configured' });
+            }
+
+            res.json({ presales: await this.presaleManager.listPresales() });
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'getPresales' });
+            res.status(500).json({ error: 'Failed to retrieve presales', details: error.message });
+        }
+    }
+
+    /**
+     * Pre-IPO auction price endpoint
+     */
+    async getAuctionPrice(req, res) {
+        try {
+            if (!this.presaleManager) {
+                return res.status(503).json({ error: 'Presale manager not configured' });
+            }
+
+            const auctionPrice = await this.presaleManager.getAuctionPrice(req.params.asset);
+            res.json({ asset: req.params.asset, auctionPrice, timestamp: new Date().toISOString() });
+
+        } catch (error) {
+            if (error.message === 'no such asset' || error.message === 'not a pre-IPO') {
+                return res.status(404).json({ error: error.message });
+            }
+            await this.alertSystem.logError(error, { endpoint: 'getAuctionPrice', asset: req.params.asset });
+            res.status(500).json({ error: 'Failed to compute auction price', details: error.message });
+        }
+    }
+
+    /**
+     * Presale contribution endpoint
+     */
+    async contributeToPresale(req, res) {
+        await this.sendPresaleTrigger(req, res, 'contribute', 'validateContribution');
+    }
+
+    /**
+     * Presale withdrawal endpoint
+     */
+    async withdrawFromPresale(req, res) {
+        await this.sendPresaleTrigger(req, res, 'withdraw', 'validateWithdrawal');
+    }
+
+    /**
+     * Presale claim endpoint
+     */
+    async claimPresale(req, res) {
+        await this.sendPresaleTrigger(req, res, 'claim', null);
+    }
+
+    /**
+     * Validate against fresh AA state, send the trigger and report the AA's response
+     */
+    async sendPresaleTrigger(req, res, action, validator) {
+        try {
+            if (!this.presaleManager) {
+                return res.status(503).json({ error: 'Presale manager not configured' });
+            }
+
+            const { asset } = req.params;
+            const amount = (req.body || {}).amount;
+
+            if (validator) {
+                await this.presaleManager.refresh();
+                const error = this.presaleManager[validator](asset, amount);
+                if (error) {
+                    return res.status(400).json({ error });
+                }
+            }
+
+            const result = action === 'claim'
+                ? await this.presaleManager.claim(asset)
+                : await this.presaleManager[action](asset, amount);
+
+            if (!result) {
+                return res.status(502).json({ error: `Presale ${action} could not be sent` });
+            }
+            if (result.bounced) {
+                return res.status(502).json({ error: 'AA bounced', details: result.error });
+            }
+
+            res.json({
+                success: true,
+                asset,
+                unit: result.unit,
+                received: result.received,
+                message: `Presale ${action} accepted for ${asset}`
+            });
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: `presale_${action}`, asset: req.params.asset });
+            res.status(500).json({ error: `Presale ${action} failed`, details: error.message });
+        }
+    }
+
+    /**
+     * Stakes endpoint
+     */
+    async getStaking(req, res) {
+        try {
+            if (!this.stakingClient) {
+                return res.status(503).json({ error: 'Staking client not configured' });
+            }
+
+            await this.stakingClient.refresh();
+            res.json(this.stakingClient.describeStakes());
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'getStaking' });
+            res.status(500).json({ error: 'Failed to retrieve stakes', details: error.message });
+        }
+    }
+
+    /**
+     * Voting power endpoint, ours unless ?address= is given
+     */
+    async getVotingPower(req, res) {
+        try {
+            if (!this.stakingClient) {
+                return res.status(503).json({ error: 'Staking client not configured' });
+            }
+
+            await this.stakingClient.refresh();
+            const address = req.query.address || this.stakingClient.address;
+            res.json({ address, votingPower: this.stakingClient.getVotingPower(address), timestamp: new Date().toISOString() });
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'getVotingPower' });
+            res.status(500).json({ error: 'Failed to compute voting power', details: error.message });
+        }
+    }
+
+    /**
+     * Pending staking rewards endpoint, ours unless ?address= is given
+     */
+    async getStakingRewards(req, res) {
+        try {
+            if (!this.stakingClient) {
+                return res.status(503).json({ error: 'Staking client not configured' });
+            }
+
+            await this.stakingClient.refresh();
+            const { asset } = req.params;
+            const address = req.query.address || this.stakingClient.address;
+            const rewards = Object.entries(this.stakingClient.getRewards(asset, address))
+                .map(([key, amount]) => ({ key, rewardAsset: this.stakingClient.getRewardAsset(key), amount }));
+
+            res.json({ asset, address, rewards });
+
+        } catch (error) {
+            if (error.message.startsWith('no such perp')) {
+                return res.status(404).json({ error: error.message });
+            }
+            await this.alertSystem.logError(error, { endpoint: 'getStakingRewards', asset: req.params.asset });
+            res.status(500).json({ error: 'Failed to compute staking rewards', details: error.message });
+        }
+    }
+
+    /**
+     * Stake deposit endpoint
+     */
+    async depositStake(req, res) {
+        const { asset } = req.params;
+        const { amount, term, percentages, votedGroupKey } = req.body || {};
+        const options = { term, percentages, votedGroupKey };
+
+        await this.sendStakingTrigger(req, res, 'deposit',
+            staking => staking.validateDeposit(asset, amount, options),
+            staking => staking.deposit(asset, amount, options));
+    }
+
+    /**
+     * Stake withdrawal endpoint; withdraws everything without an amount
+     */
+    async withdrawStake(req, res) {
+        const { asset } = req.params;
+        const { amount } = req.body || {};
+
+        await this.sendStakingTrigger(req, res, 'withdrawal',
+            staking => staking.validateWithdrawal(asset, amount),
+            staking => staking.withdraw(asset, amount));
+    }
+
+    /**
+     * Staking rewards withdrawal endpoint; without a rewardAsset withdraws asset0 staker fees
+     */
+    async withdrawStakingRewards(req, res) {
+        const { asset } = req.params;
+        const { rewardAsset } = req.body || {};
+
+        await this.sendStakingTrigger(req, res, 'reward withdrawal',
+            staking => staking.validateRewardWithdrawal(asset, rewardAsset),
+            staking => staking.withdrawRewards(asset, rewardAsset));
+    }
+
+    /**
+     * Distribution share vote endpoint
+     */
+    async voteShares(req, res) {
+        const { changes } = req.body || {};
+
+        await this.sendStakingTrigger(req, res, 'share vote',
+            staking => staking.validateVoteShares(changes),
+            staking => staking.voteShares(changes));
+    }
+
+    /**
+     * Reward asset whitelist vote endpoint
+     */
+    async voteWhitelist(req, res) {
+        const { rewardAsset, whitelist = true } = req.body || {};
+
+        await this.sendStakingTrigger(req, res, 'whitelist vote',
+            () => (rewardAsset ? null : 'rewardAsset is required'),
+            staking => staking.voteWhitelist(rewardAsset, whitelist !== false));
+    }
+
+    /**
+     * Validate against fresh AA state, send the trigger and report the AA's response
+     */
+    async sendStakingTrigger(req, res, action, validate, send) {
+        try {
+            if (!this.stakingClient) {
+                return res.status(503).json({ error: 'Staking client not configured' });
+            }
+
+            await this.stakingClient.refresh();
+            const error = validate(this.stakingClient);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            const result = await send(this.stakingClient);
+
+            if (!result) {
+                return res.status(502).json({ error: `Staking ${action} could not be sent` });
+            }
+            if (result.bounced) {
+                return res.status(502).json({ error: 'AA bounced', details: result.error });
+            }
+
+            res.json({
+                success: true,
+                unit: result.unit,
+                received: result.received,
+                responseVars: result.responseVars,
+                message: `Staking ${action} accepted`
+            });
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: `staking_${action}`, body: req.body });
+            res.status(500).json({ error: `Staking ${action} failed`, details: error.message });
+        }
+    }
+
+    /**
+     * Pending governance proposals endpoint
+     */
+    async getGovernance(req, res) {
+        try {
+            if (!this.governanceMonitor) {
+                return res.status(503).json({ error: 'Governance monitor not configured' });
+            }
+
+            await this.governanceMonitor.refresh();
+            const majorityThreshold = this.governanceMonitor.getMajorityThreshold();
+
+            res.json({
+                proposals: this.governanceMonitor.listProposals(),
+                challengingPeriod: this.governanceMonitor.getChallengingPeriod(),
+                majorityThreshold: Number.isFinite(majorityThreshold) ? majorityThreshold : null,
+                lastPoll: this.governanceMonitor.lastPoll,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'getGovernance' });
+            res.status(500).json({ error: 'Failed to retrieve governance proposals', details: error.message });
+        }
+    }
+
+    /**
+     * Data feed update endpoint, for oracle values the reserve price sources read
+     */
+    async updateDataFeeds(req, res) {
+        try {
+            if (!this.dataFeeds) {
+                return res.status(503).json({ error: 'Data feed store not configured' });
+            }
+
+            const { oracle, feeds } = req.body || {};
+            if (!oracle || !feeds || typeof feeds !== 'object' || Array.isArray(feeds)) {
+                return res.status(400).json({ error: 'oracle and a feeds object are required' });
+            }
+
+            this.dataFeeds.update(oracle, feeds);
+            res.json({
+                success: true,
+                updated: Object.keys(feeds).length,
+                message: `Updated ${Object.keys(feeds).length} data feeds of ${oracle}`
+            });
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'updateDataFeeds', body: req.body });
+            res.status(500).json({ error: 'Failed to update data feeds', details: error.message });
+        }
+    }
+
+    /**
+     * Reserve price endpoint: our price, the AA's, and the USD value of our cash
+     */
+    async getReservePrice(req, res) {
+        try {
+            if (!this.reserveValuation) {
+                return res.status(503).json({ error: 'Reserve price source not configured' });
+            }
+
+            const check = await this.reserveValuation.check();
+            if (!check) {
+                return res.status(500).json({ error: 'Failed to compute reserve price' });
+            }
+
+            res.json({
+                ...check,
+                holdings: this.reserveValuation.valueHoldings(this.tradingEngine.portfolio.cash)
+            });
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { endpoint: 'getReservePrice' });
+            res.status(500).json({ error: 'Failed to compute reserve price', details: error.message });
+        }
+    }
+
     /**
      * Get configuration endpoint
      */
@@ -839,19 +1695,52 @@ class EnhancedServer {
             { method: 'GET', path: '/health', description: 'Health check' },
             { method: 'POST', path: '/api/trade', description: 'Execute trade' },
             { method: 'GET', path: '/api/positions', description: 'Get positions' },
-            { method: 'DELETE', path: '/api/positions/:asset', description: 'Close position' },
+            { method: 'DELETE', path: '/api/positions/:asset', description: 'Close or reduce position' },
+            { method: 'GET', path: '/api/orders', description: 'Get active orders' },
+            { method: 'POST', path: '/api/orders', description: 'Place order' },
+            { method: 'PUT', path: '/api/orders/:id', description: 'Amend order' },
+            { method: 'DELETE', path: '/api/orders/:id', description: 'Cancel order' },
             { method: 'GET', path: '/api/market/:asset', description: 'Get market data' },
             { method: 'POST', path: '/api/market', description: 'Update market data' },
             { method: 'GET', path: '/api/analytics/dashboard', description: 'Get dashboard' },
             { method: 'GET', path: '/api/analytics/chart/:type', description: 'Get chart data' },
             { method: 'GET', path: '/api/analytics/performance', description: 'Get performance' },
+            { method: 'GET', path: '/api/ledger', description: 'Get ledger balances and recent entries' },
+            { method: 'GET', path: '/api/ledger/reconciliation', description: 'Reconcile the ledger with the portfolio and positions' },
             { method: 'GET', path: '/api/risk/assessment', description: 'Get risk assessment' },
             { method: 'GET', path: '/api/risk/limits', description: 'Get risk limits' },
+            { method: 'GET', path: '/api/risk/var', description: 'Get value at risk and expected shortfall' },
             { method: 'POST', path: '/api/risk/emergency-stop', description: 'Emergency stop' },
+            { method: 'GET', path: '/api/risk/state', description: 'Get the trading state and its history' },
+            { method: 'POST', path: '/api/risk/resume', description: 'Resume trading after a halt' },
+            { method: 'GET', path: '/api/risk/scenarios', description: 'List stress scenarios' },
+            { method: 'POST', path: '/api/risk/scenarios', description: 'Save a stress scenario' },
+            { method: 'POST', path: '/api/risk/scenarios/run', description: 'Run every stress scenario, or the named ones' },
+            { method: 'DELETE', path: '/api/risk/scenarios/:name', description: 'Delete a saved stress scenario' },
+            { method: 'POST', path: '/api/risk/scenarios/:name/run', description: 'Run a stress scenario' },
             { method: 'GET', path: '/api/alerts', description: 'Get alerts' },
             { method: 'GET', path: '/api/alerts/stats', description: 'Get alert stats' },
             { method: 'GET', path: '/api/strategies', description: 'Get strategies' },
             { method: 'POST', path: '/api/strategies/:name', description: 'Execute strategy' },
+            { method: 'GET', path: '/api/backtests', description: 'List backtests' },
+            { method: 'POST', path: '/api/backtests', description: 'Submit backtest' },
+            { method: 'GET', path: '/api/backtests/:id', description: 'Get backtest status and result' },
+            { method: 'GET', path: '/api/presales', description: 'List running presales' },
+            { method: 'GET', path: '/api/presales/:asset/auction-price', description: 'Get pre-IPO auction price' },
+            { method: 'POST', path: '/api/presales/:asset/contributions', description: 'Contribute to a presale' },
+            { method: 'POST', path: '/api/presales/:asset/withdrawals', description: 'Withdraw a presale contribution' },
+            { method: 'POST', path: '/api/presales/:asset/claim', description: 'Claim presale tokens' },
+            { method: 'GET', path: '/api/staking', description: 'Get stakes, voting power and votes' },
+            { method: 'GET', path: '/api/staking/voting-power', description: 'Get voting power' },
+            { method: 'GET', path: '/api/staking/:asset/rewards', description: 'Get pending staking rewards' },
+            { method: 'POST', path: '/api/staking/:asset/deposits', description: 'Stake perp tokens' },
+            { method: 'POST', path: '/api/staking/:asset/withdrawals', description: 'Unstake perp tokens' },
+            { method: 'POST', path: '/api/staking/:asset/rewards/withdrawals', description: 'Withdraw staking rewards' },
+            { method: 'POST', path: '/api/staking/votes/shares', description: 'Move votes between perps' },
+            { method: 'POST', path: '/api/staking/votes/whitelist', description: 'Vote on a reward asset' },
+            { method: 'GET', path: '/api/governance', description: 'Get pending governance proposals' },
+            { method: 'POST', path: '/api/data-feeds', description: 'Record oracle data feeds' },
+            { method: 'GET', path: '/api/reserve-price', description: 'Get reserve price, USD value of cash and divergence from the AA' },
             { method: 'GET', path: '/api/config', description: 'Get configuration' },
             { method: 'PUT', path: '/api/config', description: 'Update configuration' }
         ];
@@ -0,0 +1,184 @@
+/**
+ * Factory Client
+ * Builds triggers for the perpetual factory AA, which defines a new perpetual
+ * AA from a base AA and a set of params. The params are checked the way
+ * factory.oscript checks them, and the new AA's address is derived offline
+ * with chash160, as the factory does.
+ */
+
+/**
+ * An ocore module, loaded on first use: ocore installs from git only, so it is
+ * an optional dependency that only checking and deriving addresses needs
+ */
+function ocore(module) {
+    try {
+        return require(`ocore/${module}`);
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        throw new Error('FactoryClient needs ocore: npm install git+https://github.com/byteball/ocore.git');
+    }
+}
+
+// $base_aa of factory.oscript
+const DEFAULT_BASE_AA = 'A336I77COVXUCN3L2YOYVIZF7PKMFCAV';
+
+// Perpetual AA params, nonnegative numbers
+const PARAM_NAMES = [
+    'swap_fee',
+    'arb_profit_tax',
+    'stakers_fee_share',
+    'adjustment_period',
+    'presale_period',
+    'auction_price_halving_period',
+    'token_share_threshold',
+    'min_s0_share',
+    'max_drift_rate'
+];
+
+// Staking AA params, positive numbers
+const STAKING_PARAM_NAMES = ['challenging_period', 'max_term', 'min_term', 'decay_factor'];
+
+const INTEGER_PARAMS = [
+    'adjustment_period', 'presale_period', 'auction_price_halving_period',
+    'challenging_period', 'max_term', 'min_term'
+];
+
+class FactoryClient {
+    /**
+     * config: {
+     *   factoryAa: address of the factory AA,
+     *   baseAa: base AA of the perpetual AAs it defines (default: factory.oscript's),
+     *   amount: bytes to send with the trigger
+     * }
+     * client: see aaClient.js; only needed to deploy
+     */
+    constructor(config = {}, client = null, alertSystem = null) {
+        this.config = config;
+        this.client = client;
+        this.alertSystem = alertSystem;
+
+        this.factoryAa = config.factoryAa;
+        this.baseAa = config.baseAa || DEFAULT_BASE_AA;
+        this.amount = config.amount || 10000;
+    }
+
+    /**
+     * Check trigger data the way the factory does
+     * Returns an error message or null
+     */
+    validate(data = {}) {
+        const { isValidAddress, isValidBase64 } = ocore('validation_utils.js');
+        const reserveAsset = data.reserve_asset || 'base';
+        if (reserveAsset !== 'base' && !isValidBase64(reserveAsset, 44)) return 'reserve_asset does not exist';
+        if (!isValidAddress(data.reserve_price_aa)) return 'invalid reserve_price_aa';
+
+        for (const name of PARAM_NAMES) {
+            const value = data[name];
+            if (value === undefined) continue;
+
+            if (typeof value !== 'number' || !(value >= 0)) return `${name} must be a nonnegative number`;
+            if ((name === 'swap_fee' || name === 'min_s0_share') && value >= 1) return `${name} must be < 1`;
+            if (name === 'stakers_fee_share' && value > 1) return `${name} must be <= 1`;
+            if (INTEGER_PARAMS.includes(name) && !Number.isInteger(value)) return `${name} must be integer`;
+        }
+
+        for (const name of STAKING_PARAM_NAMES) {
+            const value = data[name];
+            if (value === undefined) continue;
+
+            if (typeof value !== 'number' || !(value > 0)) return `${name} must be a positive number`;
+            if (INTEGER_PARAMS.includes(name) && !Number.isInteger(value)) return `${name} must be integer`;
+            if (name === 'decay_factor' && !(value > 1)) return 'decay factor must be >1';
+        }
+
+        return null;
+    }
+
+    /**
+     * Params the factory defines the perpetual AA with
+     */
+    buildParams(data = {}) {
+        const params = {
+            reserve_asset: data.reserve_asset || 'base',
+            reserve_price_aa: data.reserve_price_aa
+        };
+
+        for (const name of [...PARAM_NAMES, ...STAKING_PARAM_NAMES]) {
+            if (data[name] !== undefined) {
+                params[name] = data[name];
+            }
+        }
+
+        return params;
+    }
+
+    /**
+     * Address of the perpetual AA defined with these params
+     */
+    getPerpAddress(params) {
+        return ocore('object_hash.js').getChash160(['autonomous agent', { base_aa: this.baseAa, params }]);
+    }
+
+    /**
+     * Validate the data and build the trigger for the factory
+     * Returns { error } if the factory would bounce it.
+     */
+    buildTrigger(data = {}) {
+        const error = this.validate(data);
+        if (error) return { error };
+
+        const params = this.buildParams(data);
+        return {
+            aaAddress: this.factoryAa,
+            amount: this.amount,
+            data: params,
+            address: this.getPerpAddress(params)
+        };
+    }
+
+    /**
+     * Wallet link that sends the trigger, e.g. for a test perpetual from ops' wallet
+     */
+    getUri(trigger, testnet = false) {
+        const data = Buffer.from(JSON.stringify(trigger.data)).toString('base64');
+        return `${testnet ? 'obyte-tn' : 'obyte'}:${trigger.aaAddress}?amount=${trigger.amount}&base64data=${encodeURIComponent(data)}`;
+    }
+
+    /**
+     * Send the trigger and wait for the factory's response
+     * Returns { address, unit, bounced, error, responseVars }, or null if it could not be sent.
+     */
+    async deploy(data = {}) {
+        try {
+            const trigger = this.buildTrigger(data);
+            if (trigger.error) {
+                throw new Error(trigger.error);
+            }
+
+            const vars = await this.client.readVars(this.factoryAa);
+            if (vars['perp_' + trigger.address]) {
+                throw new Error('such an AA already exists: ' + trigger.address);
+            }
+
+            const { unit, error } = await this.client.send(this.factoryAa, { base: trigger.amount }, trigger.data);
+            if (error || !unit) {
+                throw new Error(`Trigger failed: ${error || 'no unit'}`);
+            }
+
+            const response = await this.client.getResponse(unit);
+            return { address: response.responseVars.address || trigger.address, unit, ...response };
+
+        } catch (error) {
+            if (this.alertSystem) {
+                await this.alertSystem.logError(error, { context: 'perp_deploy', data });
+            }
+            return null;
+        }
+    }
+}
+
+FactoryClient.DEFAULT_BASE_AA = DEFAULT_BASE_AA;
+FactoryClient.PARAM_NAMES = PARAM_NAMES;
+FactoryClient.STAKING_PARAM_NAMES = STAKING_PARAM_NAMES;
+
+module.exports = FactoryClient;
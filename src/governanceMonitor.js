@@ -0,0 +1,249 @@
+/**
+ * Governance Monitor
+ * Polls the staking AA's vote leaders for perpetual AA parameters and alerts
+ * when a change to our trading costs or a perp's price oracle is about to
+ * commit. A leading value commits on the next vote once it has the majority
+ * or has led for the challenging period.
+ */
+
+const EventEmitter = require('events');
+const PerpetualCurve = require('./perpetualCurve');
+const { SystemClock } = require('./clock');
+
+// Names the staking AA accepts votes for; per-asset and new-asset votes append to the name
+const NAMES = [
+    'swap_fee', 'arb_profit_tax', 'stakers_fee_share', 'min_s0_share', 'adjustment_period',
+    'token_share_threshold', 'presale_period', 'auction_price_halving_period', 'add_price_aa',
+    'add_preipo', 'change_price_aa', 'change_drift_rate', 'challenging_period'
+];
+
+const IMPACTS = {
+    swap_fee: 'trading_cost',
+    arb_profit_tax: 'trading_cost',
+    change_price_aa: 'price_oracle',
+    change_drift_rate: 'price_oracle'
+};
+
+class GovernanceMonitor extends EventEmitter {
+    /**
+     * config: {
+     *   aaAddress: address of the perpetual AA,
+     *   stakingAa: address of its staking AA, read from the perpetual AA's staking_aa var if omitted,
+     *   params: params of the perpetual and staking AAs,
+     *   pollInterval: ms between polls,
+     *   alertLeadTime: ms before a commit becomes possible to alert at
+     * }
+     * client: see aaClient.js
+     */
+    constructor(config = {}, client, alertSystem) {
+        super();
+        this.config = config;
+        this.client = client;
+        this.alertSystem = alertSystem;
+        this.clock = config.clock || new SystemClock();
+
+        this.aaAddress = config.aaAddress;
+        this.stakingAa = config.stakingAa || null;
+        this.params = config.params || {};
+        this.pollInterval = config.pollInterval || 60000;
+        this.alertLeadTime = config.alertLeadTime !== undefined ? config.alertLeadTime : 24 * 3600 * 1000;
+
+        this.curve = new PerpetualCurve({ params: this.params });
+        this.vars = {};
+        this.proposals = new Map();
+        this.alerted = new Set();
+        this.lastPoll = null;
+        this.interval = null;
+    }
+
+    start() {
+        if (!this.interval) {
+            this.interval = this.clock.setInterval(() => this.poll(), this.pollInterval);
+        }
+    }
+
+    stop() {
+        if (this.interval) {
+            this.clock.clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    /**
+     * Re-read the perpetual AA's and the staking AA's state vars
+     */
+    async refresh() {
+        const perpVars = await this.client.readVars(this.aaAddress);
+        this.curve.update(perpVars);
+
+        if (!this.stakingAa) {
+            this.stakingAa = perpVars.staking_aa;
+        }
+        if (!this.stakingAa) {
+            throw new Error(`Perpetual AA ${this.aaAddress} has no staking AA`);
+        }
+
+        this.vars = await this.client.readVars(this.stakingAa);
+    }
+
+    /**
+     * Refresh and diff the leaders against the previous poll
+     * The first poll only records the leaders; commits that are near alert on every poll until alerted once.
+     */
+    async poll() {
+        try {
+            await this.refresh();
+
+            const first = this.lastPoll === null;
+            const current = new Map(this.listProposals().map(p => [p.fullName, p]));
+            const now = this.now();
+
+            for (const proposal of current.values()) {
+                const previous = this.proposals.get(proposal.fullName);
+
+                if (!first && (!previous || previous.leaderValue !== proposal.leaderValue)) {
+                    await this.alertSystem.logAlert(proposal.impact ? 'WARNING' : 'INFO',
+                        `Governance: ${proposal.fullName} is led by ${format(proposal.leaderValue)}, currently ${format(proposal.currentValue)}`,
+                        proposal);
+                    this.emit('proposal', proposal);
+                }
+
+                const key = proposal.fullName + ':' + proposal.leaderValue;
+                const commitSoon = proposal.hasMajority
+                    || (proposal.commitTs !== null && now >= proposal.commitTs - this.alertLeadTime / 1000);
+
+                if (commitSoon && !this.alerted.has(key)) {
+                    this.alerted.add(key);
+                    await this.alertSystem.logAlert(proposal.impact ? 'WARNING' : 'INFO',
+                        `Governance: ${proposal.fullName} can commit ${format(proposal.leaderValue)} ${proposal.hasMajority ? 'on the next vote' : 'from ' + proposal.commitsAt.toISOString()}`,
+                        proposal);
+                    this.emit('commitPending', proposal);
+                }
+            }
+
+            for (const previous of this.proposals.values()) {
+                if (current.has(previous.fullName)) continue;
+
+                if (this.vars[previous.fullName] === previous.leaderValue) {
+                    await this.alertSystem.logAlert(previous.impact ? 'WARNING' : 'INFO',
+                        `Governance: ${previous.fullName} committed ${format(previous.leaderValue)}`, previous);
+                    this.emit('committed', previous);
+                }
+            }
+
+            this.proposals = current;
+            this.lastPoll = this.clock.now();
+            return [...current.values()];
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { context: 'governance_poll' });
+            return null;
+        }
+    }
+
+    /**
+     * Leading values that differ from the committed ones, from the last refreshed state
+     */
+    listProposals() {
+        const proposals = [];
+
+        for (const varName of Object.keys(this.vars)) {
+            if (!varName.startsWith('leader_')) continue;
+
+            const leader = this.vars[varName];
+            const fullName = varName.substr('leader_'.length);
+            if (!leader || leader.value === undefined || this.vars[fullName] === leader.value) continue;
+
+            proposals.push(this.describeProposal(fullName, leader));
+        }
+
+        return proposals.sort((a, b) => a.ledSince - b.ledSince);
+    }
+
+    describeProposal(fullName, leader) {
+        const { name, suffix } = parseFullName(fullName);
+        const leaderVp = this.vars['value_votes_' + fullName + '_' + leader.value] || 0;
+        const majorityThreshold = this.getMajorityThreshold();
+        // challenging_period itself commits only with the majority
+        const commitTs = name === 'challenging_period' ? null : leader.flip_ts + this.getChallengingPeriod();
+
+        return {
+            fullName,
+            name,
+            asset: name === 'change_price_aa' || name === 'change_drift_rate' ? suffix : null,
+            priceAa: name === 'add_price_aa' ? suffix : null,
+            currentValue: this.getCurrentValue(name, suffix),
+            leaderValue: leader.value,
+            leaderVp,
+            majorityThreshold,
+            hasMajority: leaderVp > majorityThreshold,
+            ledSince: new Date(leader.flip_ts * 1000),
+            commitTs,
+            commitsAt: commitTs === null ? null : new Date(commitTs * 1000),
+            impact: IMPACTS[name] || null
+        };
+    }
+
+    /**
+     * Value now in effect on the perpetual AA
+     */
+    getCurrentValue(name, suffix) {
+        switch (name) {
+            case 'change_price_aa':
+            case 'change_drift_rate': {
+                const assetInfo = this.curve.vars['asset_' + suffix] || {};
+                const value = assetInfo[name === 'change_price_aa' ? 'price_aa' : 'drift_rate'];
+                return value !== undefined ? value : null;
+            }
+            case 'add_price_aa':
+            case 'add_preipo':
+                return null;
+            case 'challenging_period':
+                return this.getChallengingPeriod();
+            default: {
+                // the curve knows the AA's defaults, e.g. getSwapFee for swap_fee
+                const getter = 'get' + name.split('_').map(part => part[0].toUpperCase() + part.substr(1)).join('');
+                return typeof this.curve[getter] === 'function' ? this.curve[getter]() : this.curve.getParam(name, null);
+            }
+        }
+    }
+
+    /**
+     * Port of the staking AA's $get_challenging_period
+     */
+    getChallengingPeriod() {
+        const value = this.vars.challenging_period;
+        if (value !== undefined) return value;
+        return this.params.challenging_period !== undefined ? this.params.challenging_period : 432000;
+    }
+
+    /**
+     * Port of $get_majority_threshold: half the voting power, scaled to the staked share of asset0
+     */
+    getMajorityThreshold() {
+        const totalVp = (this.vars.state || {}).total_normalized_vp || 0;
+        const staked = this.vars.perp_asset_balance_a0;
+        const s0 = (this.curve.vars.state || {}).s0;
+        return staked ? totalVp / 2 * s0 / staked : Infinity;
+    }
+
+    now() {
+        return Math.floor(this.clock.now().getTime() / 1000);
+    }
+}
+
+/**
+ * Split a full vote name into the parameter name and its suffix (asset, price AA or preipo spec)
+ */
+function parseFullName(fullName) {
+    const name = NAMES.filter(n => fullName.startsWith(n)).sort((a, b) => b.length - a.length)[0] || fullName;
+    return { name, suffix: fullName.substr(name.length) || null };
+}
+
+function format(value) {
+    return value === null || value === undefined ? 'unset' : String(value);
+}
+
+GovernanceMonitor.NAMES = NAMES;
+
+module.exports = GovernanceMonitor;
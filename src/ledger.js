@@ -0,0 +1,131 @@
+/**
+ * Ledger
+ * Double-entry book of the trading account. Every fill, fee, funding payment
+ * and transfer is an entry whose postings sum to zero; the portfolio's cash
+ * and margin are the balances of their accounts.
+ *
+ * Amounts are signed, debits positive:
+ *   cash, margin, unrealizedPnL    assets: what we hold, positive
+ *   fees, funding                  expenses: what we paid, positive
+ *   capital, realizedPnL,          equity and income: what we were given
+ *   revaluation                    or earned, negative
+ * so equity, cash + margin + unrealizedPnL, equals -(capital + realizedPnL
+ * + revaluation) - fees - funding.
+ */
+
+const ACCOUNTS = ['cash', 'margin', 'unrealizedPnL', 'fees', 'funding', 'capital', 'realizedPnL', 'revaluation'];
+
+// Relative tolerance for float rounding in sums
+const TOLERANCE = 1e-9;
+
+class Ledger {
+    /**
+     * config: {
+     *   balances: balances to start from, e.g. as saved by getBalances(),
+     *   maxEntries: recent entries kept in memory (default 1000)
+     * }
+     */
+    constructor(config = {}) {
+        this.balances = {};
+        for (const account of ACCOUNTS) {
+            this.balances[account] = 0;
+        }
+        Object.assign(this.balances, config.balances);
+
+        this.entries = [];
+        this.maxEntries = config.maxEntries || 1000;
+        this.sequence = 0;
+    }
+
+    /**
+     * Check postings form a balanced entry; returns an error message or null
+     * postings: [{ account, amount }]
+     */
+    static validate(postings) {
+        if (!Array.isArray(postings) || postings.length < 2) {
+            return 'An entry needs at least two postings';
+        }
+
+        let sum = 0;
+        let size = 0;
+        for (const { account, amount } of postings) {
+            if (!ACCOUNTS.includes(account)) {
+                return `Unknown account: ${account}`;
+            }
+            if (!Number.isFinite(amount)) {
+                return `Invalid amount for ${account}: ${amount}`;
+            }
+            sum += amount;
+            size += Math.abs(amount);
+        }
+
+        if (Math.abs(sum) > TOLERANCE * Math.max(1, size)) {
+            return `Postings do not balance: they sum to ${sum}`;
+        }
+        return null;
+    }
+
+    /**
+     * Post an entry and return it
+     * details (asset, positionId, ...) are kept on the entry for the record.
+     */
+    post(type, postings, details = {}) {
+        const error = Ledger.validate(postings);
+        if (error) {
+            throw new Error(`Invalid ${type} entry: ${error}`);
+        }
+
+        for (const { account, amount } of postings) {
+            this.balances[account] += amount;
+        }
+
+        const entry = { id: ++this.sequence, type, ...details, postings };
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+        return entry;
+    }
+
+    balance(account) {
+        return this.balances[account];
+    }
+
+    getBalances() {
+        return { ...this.balances };
+    }
+
+    /**
+     * Total debits and credits over all accounts; difference is zero when the books balance
+     */
+    trialBalance() {
+        let debits = 0;
+        let credits = 0;
+        for (const amount of Object.values(this.balances)) {
+            if (amount > 0) {
+                debits += amount;
+            } else {
+                credits -= amount;
+            }
+        }
+        const difference = debits - credits;
+        return {
+            debits,
+            credits,
+            difference,
+            balanced: Math.abs(difference) <= TOLERANCE * Math.max(1, debits)
+        };
+    }
+
+    /**
+     * Recent entries, oldest first
+     */
+    getEntries(limit = null) {
+        return limit ? this.entries.slice(-limit) : [...this.entries];
+    }
+}
+
+Ledger.ACCOUNTS = ACCOUNTS;
+Ledger.TOLERANCE = TOLERANCE;
+
+module.exports = Ledger;
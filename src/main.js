@@ -3,11 +3,28 @@
  * Autonomous Agent for Pythagorean Perpetual Futures Trading
  */
 
+const path = require('path');
+const { parseArgs } = require('util');
 const AlertSystem = require('./alertSystem');
 const TradingEngine = require('./tradingEngine');
 const AnalyticsDashboard = require('./analyticsDashboard');
 const RiskManager = require('./riskManager');
+const RiskMetrics = require('./riskMetrics');
 const EnhancedServer = require('./enhancedServer');
+const StrategyRegistry = require('./strategyRegistry');
+const Backtester = require('./backtester');
+const Optimizer = require('./optimizer');
+const PaperVenue = require('./venues/paperVenue');
+const AaVenue = require('./venues/aaVenue');
+const PresaleManager = require('./presaleManager');
+const StakingClient = require('./stakingClient');
+const GovernanceMonitor = require('./governanceMonitor');
+const CurveFeed = require('./curveFeed');
+const DataFeedStore = require('./reservePrice/dataFeedStore');
+const ReserveValuation = require('./reserveValuation');
+const { createStore } = require('./stores/store');
+const StatePersistence = require('./statePersistence');
+const TradingJournal = require('./tradingJournal');
 
 class AutonomousAgent {
     constructor(config) {
@@ -24,17 +41,53 @@ class AutonomousAgent {
             stopLossPercent: 0.05,
             takeProfitPercent: 0.1,
             leverage: 1,
+            // Shares of position value at market; null derives them from leverage
+            initialMargin: null,
+            maintenanceMargin: null,
+            marginRequirements: {},
+            marginCallDistance: 0.1,
             minOrderSize: 10,
             maxOrdersPerAsset: 3,
+            positionMode: 'hedging',
+            positionModes: {},
+            strategiesDir: process.env.STRATEGIES_DIR || null,
+            strategyPresets: {},
+            // Paper venue: slippage model, maker/taker fee rates, latency and partial fills.
+            // venue: 'aa' trades on the perpetual AA instead, with the settings in
+            // execution.aa (see venues/aaVenue.js) and the aaClient's wallet.
+            execution: {
+                venue: 'paper',
+                slippage: { model: 'none', bps: 0, coefficient: 0.1 },
+                fees: { maker: 0.001, taker: 0.001 },
+                latencyMs: 0,
+                maxParticipation: null
+            },
+
+            // Persistent state, e.g. { type: 'file', path: './data/agent.log' }, see stores/store.js;
+            // null keeps everything in memory and a restart starts from initialCash
+            database: process.env.DATABASE_PATH
+                ? { type: process.env.DATABASE_TYPE || 'file', path: process.env.DATABASE_PATH }
+                : null,
+
+            // Write-ahead journal of portfolio and position changes, e.g. { path: './data/journal.log',
+            // snapshotEvery: 1000 }, see tradingJournal.js; replayed over the restored state on start
+            journal: process.env.JOURNAL_PATH ? { path: process.env.JOURNAL_PATH } : null,
 
             // Risk management
             maxDailyLoss: 0.1,
             maxLeverage: 5,
             maxConcentration: 0.25,
             varLimit: 0.15,
+            // Value at risk: parametric, historical or monteCarlo, over varHorizon price updates
+            varMethod: 'historical',
+            varConfidence: 0.95,
+            varHorizon: 1,
+            varSimulations: 10000,
             stressTestThreshold: 0.3,
             correlationLimit: 0.8,
             liquidityThreshold: 0.7,
+            // Time a tripped breaker or emergency stop holds trading before it may be resumed
+            haltCooldown: 15 * 60 * 1000,
 
             // Alert system
             errorRateThreshold: 0.05,
@@ -49,6 +102,32 @@ class AutonomousAgent {
             maxHistoryPoints: 1000,
             monitoringInterval: 30000,
 
+            // Backtesting
+            backtestDataDir: process.env.BACKTEST_DATA_DIR || './data',
+            maxBacktestJobs: 50,
+
+            // Perpetual AA on Obyte. AA services run only when an aaClient
+            // (see aaClient.js) is passed in the config.
+            perpetualAa: process.env.PERPETUAL_AA || null,
+            perpFactoryAa: process.env.PERP_FACTORY_AA || null,
+            stakingAa: process.env.STAKING_AA || null,
+            reserveAsset: process.env.RESERVE_ASSET || 'base',
+            aaClient: null,
+            // Engine assets traded on the AA, { [asset]: perp asset id }; their curves price trades
+            perpAssets: {},
+            curveRefreshInterval: 60000,
+            presaleAutoClaim: true,
+            presaleAutoClaimInterval: 60000,
+            governancePollInterval: 60000,
+            governanceAlertLeadTime: 24 * 3600 * 1000,
+
+            // Reserve price source, e.g. { type: 'usd', params: { oracle, feed_name, decimals } },
+            // see reserveValuation.js. Compared with RESERVE_PRICE_AA when an aaClient is set.
+            reservePrice: null,
+            reservePriceAa: process.env.RESERVE_PRICE_AA || null,
+            reserveDivergenceThreshold: 0.01,
+            reserveCheckInterval: 300000,
+
             ...config
         };
 
@@ -74,24 +153,31 @@ class AutonomousAgent {
                 webhookUrl: this.config.webhookUrl
             });
 
+            // Load strategies
+            console.log('🧠 Loading strategies...');
+            this.components.strategyRegistry = await this.loadStrategies();
+
             // Initialize Trading Engine
             console.log('📈 Initializing Trading Engine...');
-            this.components.tradingEngine = new TradingEngine({
-                initialCash: this.config.initialCash,
-                maxPositionSize: this.config.maxPositionSize,
-                maxDrawdown: this.config.maxDrawdown,
-                stopLossPercent: this.config.stopLossPercent,
-                takeProfitPercent: this.config.takeProfitPercent,
-                leverage: this.config.leverage,
-                minOrderSize: this.config.minOrderSize,
-                maxOrdersPerAsset: this.config.maxOrdersPerAsset
-            }, this.components.alertSystem);
+            this.components.tradingEngine = new TradingEngine(
+                this.getTradingConfig(),
+                this.components.alertSystem,
+                this.components.strategyRegistry
+            );
+            if (this.config.execution.venue === 'aa') {
+                console.log('🔗 Trading on the perpetual AA...');
+                this.components.tradingEngine.venue = this.createVenue(this.config.execution, this.components.tradingEngine.clock);
+            }
 
             // Initialize Analytics Dashboard
             console.log('📊 Initializing Analytics Dashboard...');
             this.components.analyticsDashboard = new AnalyticsDashboard({
                 refreshInterval: this.config.refreshInterval,
-                maxHistoryPoints: this.config.maxHistoryPoints
+                maxHistoryPoints: this.config.maxHistoryPoints,
+                varMethod: this.config.varMethod,
+                varConfidence: this.config.varConfidence,
+                varHorizon: this.config.varHorizon,
+                varSimulations: this.config.varSimulations
             }, this.components.tradingEngine, this.components.alertSystem);
 
             // Initialize Risk Manager
@@ -103,11 +189,99 @@ class AutonomousAgent {
                 maxLeverage: this.config.maxLeverage,
                 maxConcentration: this.config.maxConcentration,
                 varLimit: this.config.varLimit,
+                varMethod: this.config.varMethod,
+                varConfidence: this.config.varConfidence,
+                varHorizon: this.config.varHorizon,
+                varSimulations: this.config.varSimulations,
                 stressTestThreshold: this.config.stressTestThreshold,
                 correlationLimit: this.config.correlationLimit,
                 liquidityThreshold: this.config.liquidityThreshold,
-                monitoringInterval: this.config.monitoringInterval
+                maxErrorRate: this.config.errorRateThreshold,
+                haltCooldown: this.config.haltCooldown,
+                monitoringInterval: this.config.monitoringInterval,
+                // Historical stress scenarios read their ticks from the backtest data
+                dataDir: this.config.backtestDataDir
             }, this.components.tradingEngine, this.components.alertSystem);
+            this.components.analyticsDashboard.setStressTester(this.components.riskManager.stressTester);
+
+            // Every trade that adds exposure goes past the risk manager first
+            this.components.tradingEngine.setRiskGate(this.components.riskManager);
+
+            // Restore and persist state
+            if (this.config.database) {
+                console.log('💾 Restoring state...');
+                this.components.store = createStore(this.config.database);
+                this.components.store.open();
+                this.components.statePersistence = new StatePersistence(this.components.store, {
+                    tradingEngine: this.components.tradingEngine,
+                    riskManager: this.components.riskManager,
+                    alertSystem: this.components.alertSystem
+                });
+                const restored = this.components.statePersistence.restore();
+                this.components.statePersistence.attach();
+                console.log(`💾 Restored ${restored.positions} positions, ${restored.orders} orders, ${restored.trades} trades`);
+            }
+
+            // Replay the journal; it has the last word on portfolio, positions and performance
+            if (this.config.journal) {
+                console.log('📒 Replaying journal...');
+                this.components.journal = new TradingJournal(this.config.journal);
+                this.components.journal.open();
+                const recovered = this.components.tradingEngine.attachJournal(this.components.journal);
+                console.log(recovered
+                    ? `📒 Replayed ${recovered.entries} journal entries up to #${recovered.seq}`
+                    : '📒 Started a new journal');
+            }
+
+            // Initialize AA services
+            if (this.config.perpetualAa && this.config.aaClient) {
+                console.log('🔗 Initializing Presale Manager...');
+                this.components.presaleManager = new PresaleManager({
+                    aaAddress: this.config.perpetualAa,
+                    reserveAsset: this.config.reserveAsset,
+                    autoClaim: this.config.presaleAutoClaim,
+                    autoClaimInterval: this.config.presaleAutoClaimInterval
+                }, this.config.aaClient, this.components.alertSystem);
+
+                console.log('🔗 Initializing Staking Client...');
+                this.components.stakingClient = new StakingClient({
+                    aaAddress: this.config.perpetualAa,
+                    stakingAa: this.config.stakingAa,
+                    reserveAsset: this.config.reserveAsset
+                }, this.config.aaClient, this.components.alertSystem);
+
+                console.log('🔗 Initializing Governance Monitor...');
+                this.components.governanceMonitor = new GovernanceMonitor({
+                    aaAddress: this.config.perpetualAa,
+                    stakingAa: this.config.stakingAa,
+                    pollInterval: this.config.governancePollInterval,
+                    alertLeadTime: this.config.governanceAlertLeadTime
+                }, this.config.aaClient, this.components.alertSystem);
+
+                if (Object.keys(this.config.perpAssets).length > 0) {
+                    console.log('🔗 Loading perpetual curves...');
+                    this.components.curveFeed = new CurveFeed({
+                        aaAddress: this.config.perpetualAa,
+                        assets: this.config.perpAssets,
+                        reserveAsset: this.config.reserveAsset,
+                        reservePriceAa: this.config.reservePriceAa,
+                        refreshInterval: this.config.curveRefreshInterval
+                    }, this.config.aaClient, this.components.tradingEngine, this.components.alertSystem);
+                    await this.components.curveFeed.refresh();
+                }
+            }
+
+            // Initialize reserve valuation
+            this.components.dataFeeds = new DataFeedStore();
+            if (this.config.reservePrice) {
+                console.log('💵 Initializing Reserve Valuation...');
+                this.components.reserveValuation = new ReserveValuation({
+                    source: this.config.reservePrice,
+                    reservePriceAa: this.config.reservePriceAa,
+                    divergenceThreshold: this.config.reserveDivergenceThreshold,
+                    checkInterval: this.config.reserveCheckInterval
+                }, this.components.dataFeeds, this.config.aaClient, this.components.alertSystem);
+            }
 
             // Initialize API Server
             console.log('🌐 Initializing API Server...');
@@ -115,12 +289,21 @@ class AutonomousAgent {
                 {
                     port: this.config.port,
                     apiKey: this.config.apiKey,
-                    corsOrigins: this.config.corsOrigins
+                    corsOrigins: this.config.corsOrigins,
+                    backtestDataDir: this.config.backtestDataDir,
+                    maxBacktestJobs: this.config.maxBacktestJobs
                 },
                 this.components.tradingEngine,
                 this.components.alertSystem,
                 this.components.analyticsDashboard,
-                this.components.riskManager
+                this.components.riskManager,
+                {
+                    presaleManager: this.components.presaleManager,
+                    stakingClient: this.components.stakingClient,
+                    governanceMonitor: this.components.governanceMonitor,
+                    dataFeeds: this.components.dataFeeds,
+                    reserveValuation: this.components.reserveValuation
+                }
             );
 
             console.log('✅ All components initialized successfully!');
@@ -132,6 +315,72 @@ class AutonomousAgent {
         }
     }
 
+    /**
+     * Trading Engine parameters, shared by the live engine and backtests
+     */
+    getTradingConfig() {
+        return TradingEngine.pickConfig(this.config);
+    }
+
+    /**
+     * Execution venue of the live engine; backtests always fill on the paper venue
+     */
+    createVenue(execution, clock) {
+        const venue = execution.venue || 'paper';
+
+        if (venue === 'aa') {
+            if (!this.config.aaClient) {
+                throw new Error('execution.venue aa needs an aaClient with the wallet to trade from');
+            }
+            return new AaVenue({
+                aaAddress: this.config.perpetualAa,
+                reserveAsset: this.config.reserveAsset,
+                assets: this.config.perpAssets,
+                ...execution.aa,
+                clock
+            }, this.config.aaClient);
+        }
+        if (venue !== 'paper') {
+            throw new Error(`Unknown execution venue: ${venue}. Expected paper or aa`);
+        }
+        return new PaperVenue({ ...execution, clock });
+    }
+
+    /**
+     * Load built-in strategies, then custom ones from config.strategiesDir,
+     * then the parameter presets from config.strategyPresets
+     */
+    async loadStrategies() {
+        const registry = StrategyRegistry.createDefault();
+
+        if (this.config.strategiesDir) {
+            const dir = path.resolve(this.config.strategiesDir);
+            const { loaded, errors } = registry.loadDirectory(dir);
+
+            for (const { file, error } of errors) {
+                await this.components.alertSystem.logError(error, { context: 'strategy_load', file });
+            }
+
+            await this.components.alertSystem.logAlert('INFO', `Loaded ${loaded.length} custom strategies`, {
+                dir,
+                strategies: loaded
+            });
+        }
+
+        // Named presets: { strategyName: { presetName: { param: value } } }
+        for (const [name, presets] of Object.entries(this.config.strategyPresets || {})) {
+            for (const [presetName, params] of Object.entries(presets)) {
+                try {
+                    registry.definePreset(name, presetName, params);
+                } catch (error) {
+                    await this.components.alertSystem.logError(error, { context: 'strategy_preset', strategy: name, preset: presetName });
+                }
+            }
+        }
+
+        return registry;
+    }
+
     /**
      * Start the autonomous agent
      */
@@ -151,6 +400,10 @@ class AutonomousAgent {
             this.components.alertSystem.startMonitoring();
             this.components.analyticsDashboard.startDataCollection();
             this.components.riskManager.startMonitoring();
+            this.components.presaleManager?.start();
+            this.components.governanceMonitor?.start();
+            this.components.curveFeed?.start();
+            this.components.reserveValuation?.start();
 
             this.isRunning = true;
 
@@ -194,8 +447,17 @@ class AutonomousAgent {
             await this.components.server?.stop();
             this.components.analyticsDashboard?.stop();
             this.components.riskManager?.stopMonitoring();
+            this.components.presaleManager?.stop();
+            this.components.governanceMonitor?.stop();
+            this.components.curveFeed?.stop();
+            this.components.reserveValuation?.stop();
             this.components.alertSystem?.stopMonitoring();
 
+            // Compact the journal while the engine still holds its state
+            if (this.components.journal) {
+                this.components.journal.snapshot(this.components.tradingEngine);
+            }
+
             // Cleanup components
             Object.values(this.components).forEach(component => {
                 if (component.cleanup) {
@@ -207,6 +469,10 @@ class AutonomousAgent {
 
             await this.components.alertSystem?.logAlert('INFO', 'Autonomous Agent stopped');
 
+            this.components.statePersistence?.detach();
+            this.components.store?.close();
+            this.components.journal?.close();
+
             console.log('✅ Autonomous Agent stopped successfully');
 
         } catch (error) {
@@ -279,11 +545,16 @@ class AutonomousAgent {
             const validKeys = [
                 'port', 'apiKey', 'corsOrigins', 'initialCash', 'maxPositionSize',
                 'maxDrawdown', 'stopLossPercent', 'takeProfitPercent', 'leverage',
-                'minOrderSize', 'maxOrdersPerAsset', 'maxDailyLoss', 'maxLeverage',
-                'maxConcentration', 'varLimit', 'stressTestThreshold', 'correlationLimit',
+                'initialMargin', 'maintenanceMargin', 'marginRequirements', 'marginCallDistance',
+                'perpetualAa', 'stakingAa', 'reserveAsset', 'presaleAutoClaim', 'presaleAutoClaimInterval',
+                'governancePollInterval', 'governanceAlertLeadTime',
+                'reservePrice', 'reservePriceAa', 'reserveDivergenceThreshold', 'reserveCheckInterval',
+                'minOrderSize', 'maxOrdersPerAsset', 'positionMode', 'positionModes', 'strategiesDir', 'strategyPresets', 'execution', 'maxDailyLoss', 'maxLeverage',
+                'maxConcentration', 'varLimit', 'varMethod', 'varConfidence', 'varHorizon', 'varSimulations', 'stressTestThreshold', 'correlationLimit',
                 'liquidityThreshold', 'errorRateThreshold', 'responseTimeThreshold',
                 'memoryUsageThreshold', 'cpuUsageThreshold', 'diskSpaceThreshold',
-                'webhookUrl', 'refreshInterval', 'maxHistoryPoints', 'monitoringInterval'
+                'webhookUrl', 'refreshInterval', 'maxHistoryPoints', 'monitoringInterval',
+                'backtestDataDir', 'maxBacktestJobs'
             ];
 
             const invalidKeys = Object.keys(newConfig).filter(key => !validKeys.includes(key));
@@ -291,14 +562,70 @@ class AutonomousAgent {
                 throw new Error(`Invalid configuration keys: ${invalidKeys.join(', ')}`);
             }
 
+            // Build the new venue first so an invalid execution config changes nothing
+            const venue = newConfig.execution
+                ? this.createVenue(newConfig.execution, this.components.tradingEngine?.clock)
+                : null;
+
+            const varSettings = {};
+            for (const [key, setting] of [['varMethod', 'method'], ['varConfidence', 'confidence'], ['varHorizon', 'horizon'], ['varSimulations', 'simulations']]) {
+                if (newConfig[key] !== undefined) {
+                    varSettings[setting] = newConfig[key];
+                }
+            }
+            const varError = RiskMetrics.validate(varSettings);
+            if (varError) {
+                throw new Error(varError);
+            }
+
+            // Rates left out follow the leverage and rates already configured
+            const marginError = TradingEngine.validateMargin({ ...this.config, ...newConfig });
+            if (marginError) {
+                throw new Error(marginError);
+            }
+
             // Update configuration
             Object.assign(this.config, newConfig);
 
+            if (venue && this.components.tradingEngine) {
+                this.components.tradingEngine.venue = venue;
+            }
+
+            if (this.components.tradingEngine) {
+                const tradingEngine = this.components.tradingEngine;
+                // null derives the rate from leverage again, as at start-up
+                if (['leverage', 'initialMargin', 'maintenanceMargin'].some(key => newConfig[key] !== undefined)) {
+                    Object.assign(tradingEngine.params, TradingEngine.marginParams(this.config));
+                }
+                if (newConfig.marginCallDistance !== undefined) {
+                    tradingEngine.params.marginCallDistance = newConfig.marginCallDistance;
+                }
+                if (newConfig.marginRequirements) {
+                    tradingEngine.marginRequirements = new Map(Object.entries(newConfig.marginRequirements));
+                }
+            }
+
             // Update components that need reconfiguration
             if (newConfig.refreshInterval && this.components.analyticsDashboard) {
                 this.components.analyticsDashboard.refreshInterval = newConfig.refreshInterval;
             }
 
+            // The risk manager and the dashboard measure value at risk alike
+            if (this.components.riskManager) {
+                Object.assign(this.components.riskManager.riskMetrics, varSettings);
+                for (const key of ['varMethod', 'varConfidence', 'varHorizon', 'varSimulations', 'stressTestThreshold']) {
+                    if (newConfig[key] !== undefined) {
+                        this.components.riskManager.riskParams[key] = newConfig[key];
+                    }
+                }
+                if (newConfig.stressTestThreshold !== undefined) {
+                    this.components.riskManager.stressTester.threshold = newConfig.stressTestThreshold;
+                }
+            }
+            if (this.components.analyticsDashboard) {
+                Object.assign(this.components.analyticsDashboard.riskMetrics, varSettings);
+            }
+
             if (newConfig.monitoringInterval && this.components.riskManager) {
                 this.components.riskManager.monitoring.interval = newConfig.monitoringInterval;
             }
@@ -356,18 +683,62 @@ class AutonomousAgent {
             throw new Error('Trading engine not initialized');
         }
 
-        return await this.components.tradingEngine.executeStrategy(asset, strategy, side);
+        return await this.components.tradingEngine.executeStrategy(asset, strategy, side, { size });
+    }
+
+    /**
+     * Run a backtest over a tick file without starting the agent
+     * See Backtester.run for the options.
+     */
+    async backtest(options) {
+        if (!this.components.alertSystem) {
+            this.components.alertSystem = new AlertSystem({ webhookUrl: this.config.webhookUrl });
+        }
+        if (!this.components.strategyRegistry) {
+            this.components.strategyRegistry = await this.loadStrategies();
+        }
+
+        const backtester = new Backtester({ trading: this.getTradingConfig() }, this.components.strategyRegistry);
+        backtester.on('progress', ({ processed, timestamp }) => {
+            console.log(`⏱️  ${processed} ticks replayed (${timestamp.toISOString()})`);
+        });
+
+        return await backtester.run(options);
+    }
+
+    /**
+     * Search strategy parameters over a tick file without starting the agent
+     * See Optimizer.run for the options; options.workers sets the thread count.
+     */
+    async optimize(options) {
+        if (!this.components.alertSystem) {
+            this.components.alertSystem = new AlertSystem({ webhookUrl: this.config.webhookUrl });
+        }
+        if (!this.components.strategyRegistry) {
+            this.components.strategyRegistry = await this.loadStrategies();
+        }
+
+        const optimizer = new Optimizer({
+            trading: this.getTradingConfig(),
+            strategiesDir: this.config.strategiesDir,
+            workers: options.workers
+        }, this.components.strategyRegistry);
+        optimizer.on('fold', fold => {
+            console.log(`⏱️  Fold ${fold.fold + 1}: best ${JSON.stringify(fold.best.params)}`);
+        });
+
+        return await optimizer.run(options);
     }
 
     /**
      * Emergency stop
      */
-    async emergencyStop(reason = 'Manual emergency stop') {
+    async emergencyStop(reason = 'Manual emergency stop', actor = null) {
         if (!this.components.riskManager) {
             throw new Error('Risk manager not initialized');
         }
 
-        return await this.components.riskManager.emergencyStop(reason);
+        return await this.components.riskManager.emergencyStop(reason, actor);
     }
 }
 
@@ -405,11 +776,288 @@ if (require.main === module) {
             console.log(JSON.stringify(agent.getStatus(), null, 2));
             break;
 
+        case 'backtest': {
+            let options;
+            try {
+                const { values } = parseArgs({
+                    args: args.slice(1),
+                    options: {
+                        data: { type: 'string' },
+                        strategy: { type: 'string', default: 'momentum' },
+                        asset: { type: 'string' },
+                        preset: { type: 'string' },
+                        params: { type: 'string' },
+                        cash: { type: 'string' },
+                        output: { type: 'string' }
+                    }
+                });
+
+                if (!values.data) {
+                    throw new Error('--data is required');
+                }
+
+                options = {
+                    dataFile: path.resolve(values.data),
+                    strategy: values.strategy,
+                    asset: values.asset || null,
+                    preset: values.preset,
+                    params: values.params ? JSON.parse(values.params) : undefined,
+                    initialCash: values.cash ? Number(values.cash) : undefined,
+                    output: values.output
+                };
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                console.log('Usage: node main.js backtest --data <file.csv|file.jsonl> [--strategy momentum] [--asset BTC]');
+                console.log('                             [--preset name] [--params JSON] [--cash 100000] [--output result.json]');
+                process.exit(1);
+            }
+
+            agent.backtest(options)
+                .then(async result => {
+                    const { metrics } = result;
+                    console.log(`📊 Backtest ${result.strategy}: ${result.ticks} ticks, ${result.startTime.toISOString()} → ${result.endTime.toISOString()}`);
+                    console.log(`   Final value:   ${result.finalValue.toFixed(2)} (from ${result.initialCash.toFixed(2)})`);
+                    console.log(`   Total return:  ${(metrics.totalReturn * 100).toFixed(2)}%`);
+                    console.log(`   Trades:        ${metrics.totalTrades} (win rate ${(metrics.winRate * 100).toFixed(1)}%)`);
+                    console.log(`   Sharpe:        ${metrics.sharpeRatio.toFixed(3)}`);
+                    console.log(`   Sortino:       ${metrics.sortinoRatio.toFixed(3)}`);
+                    console.log(`   Calmar:        ${metrics.calmarRatio.toFixed(3)}`);
+                    console.log(`   Max drawdown:  ${(metrics.maxDrawdown * 100).toFixed(2)}%`);
+
+                    if (options.output) {
+                        await require('fs').promises.writeFile(options.output, JSON.stringify(result, null, 2));
+                        console.log(`💾 Full result written to ${options.output}`);
+                    }
+                    process.exit(0);
+                })
+                .catch(error => {
+                    console.error('Backtest failed:', error.message);
+                    process.exit(1);
+                });
+            break;
+        }
+
+        case 'optimize': {
+            let options;
+            try {
+                const { values } = parseArgs({
+                    args: args.slice(1),
+                    options: {
+                        data: { type: 'string' },
+                        strategy: { type: 'string', default: 'momentum' },
+                        asset: { type: 'string' },
+                        space: { type: 'string' },
+                        search: { type: 'string', default: 'grid' },
+                        samples: { type: 'string', default: '50' },
+                        seed: { type: 'string', default: '1' },
+                        metric: { type: 'string', default: 'sharpeRatio' },
+                        folds: { type: 'string' },
+                        'in-sample': { type: 'string', default: '0.7' },
+                        anchored: { type: 'boolean', default: false },
+                        workers: { type: 'string' },
+                        output: { type: 'string' }
+                    }
+                });
+
+                if (!values.data || !values.space) {
+                    throw new Error('--data and --space are required');
+                }
+
+                options = {
+                    dataFile: path.resolve(values.data),
+                    strategy: values.strategy,
+                    asset: values.asset || null,
+                    space: JSON.parse(values.space),
+                    search: values.search,
+                    samples: Number(values.samples),
+                    seed: Number(values.seed),
+                    metric: values.metric,
+                    walkForward: values.folds ? {
+                        folds: Number(values.folds),
+                        inSampleRatio: Number(values['in-sample']),
+                        anchored: values.anchored
+                    } : null,
+                    workers: values.workers ? Number(values.workers) : undefined,
+                    output: values.output
+                };
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                console.log('Usage: node main.js optimize --data <file> --space \'{"param":{"min":0,"max":1,"step":0.1}}\'');
+                console.log('                             [--strategy momentum] [--search grid|random] [--samples 50] [--seed 1]');
+                console.log('                             [--metric sharpeRatio] [--folds 4 --in-sample 0.7 --anchored]');
+                console.log('                             [--workers N] [--output report.json]');
+                process.exit(1);
+            }
+
+            agent.optimize(options)
+                .then(async report => {
+                    console.log(`📊 Optimized ${report.strategy} on ${report.metric}: ${report.candidates} parameter sets, ${report.folds.length} folds`);
+                    for (const fold of report.folds) {
+                        const outOfSample = fold.outOfSampleResult ? `, out-of-sample ${fold.outOfSampleResult.score}` : '';
+                        console.log(`   Fold ${fold.fold + 1}: in-sample ${fold.best.score}${outOfSample}`);
+                    }
+                    console.log('   Top parameter sets (mean in-sample score):');
+                    for (const entry of report.ranking.slice(0, 5)) {
+                        console.log(`     ${entry.meanScore.toFixed(4)} ± ${entry.stdScore.toFixed(4)}  ${JSON.stringify(entry.params)}`);
+                    }
+                    console.log('   Parameter stability across folds:');
+                    for (const [name, stability] of Object.entries(report.stability.parameters)) {
+                        console.log(`     ${stability.stable ? '✅' : '⚠️ '} ${name}: winners ${JSON.stringify(stability.winners)}`);
+                    }
+                    if (report.stability.walkForwardEfficiency !== null) {
+                        console.log(`   Walk-forward efficiency: ${report.stability.walkForwardEfficiency.toFixed(3)}`);
+                    }
+
+                    if (options.output) {
+                        await require('fs').promises.writeFile(options.output, JSON.stringify(report, null, 2));
+                        console.log(`💾 Full report written to ${options.output}`);
+                    }
+                    process.exit(0);
+                })
+                .catch(error => {
+                    console.error('Optimization failed:', error.message);
+                    process.exit(1);
+                });
+            break;
+        }
+
+        case 'deploy-perp': {
+            // ocore is only needed to derive the AA address here
+            const FactoryClient = require('./factoryClient');
+            const paramNames = [...FactoryClient.PARAM_NAMES, ...FactoryClient.STAKING_PARAM_NAMES];
+
+            let factory;
+            let data;
+            let values;
+            try {
+                const paramOptions = {};
+                for (const name of paramNames) {
+                    paramOptions[name.replace(/_/g, '-')] = { type: 'string' };
+                }
+
+                ({ values } = parseArgs({
+                    args: args.slice(1),
+                    options: {
+                        'reserve-asset': { type: 'string', default: 'base' },
+                        'reserve-price-aa': { type: 'string' },
+                        factory: { type: 'string' },
+                        'base-aa': { type: 'string' },
+                        amount: { type: 'string', default: '10000' },
+                        testnet: { type: 'boolean', default: false },
+                        output: { type: 'string' },
+                        ...paramOptions
+                    }
+                }));
+
+                factory = values.factory || agent.config.perpFactoryAa;
+                if (!values['reserve-price-aa'] || !factory) {
+                    throw new Error('--reserve-price-aa and --factory (or PERP_FACTORY_AA) are required');
+                }
+
+                data = { reserve_asset: values['reserve-asset'], reserve_price_aa: values['reserve-price-aa'] };
+                for (const name of paramNames) {
+                    const value = values[name.replace(/_/g, '-')];
+                    if (value !== undefined) {
+                        data[name] = Number(value);
+                    }
+                }
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                console.log('Usage: node main.js deploy-perp --reserve-price-aa <address> [--reserve-asset base|<asset>]');
+                console.log('                                [--factory <address>] [--base-aa <address>] [--amount 10000]');
+                console.log(`                                [--${paramNames.map(name => name.replace(/_/g, '-')).join(' N] [--')} N]`);
+                console.log('                                [--testnet] [--output trigger.json]');
+                process.exit(1);
+            }
+
+            const factoryClient = new FactoryClient({ factoryAa: factory, baseAa: values['base-aa'], amount: Number(values.amount) });
+            const trigger = factoryClient.buildTrigger(data);
+            if (trigger.error) {
+                console.error(`❌ ${trigger.error}`);
+                process.exit(1);
+            }
+
+            const uri = factoryClient.getUri(trigger, values.testnet);
+            console.log(`🏭 Perpetual AA ${trigger.address}`);
+            console.log(`   Send ${trigger.amount} bytes to the factory ${trigger.aaAddress} with data:`);
+            console.log(JSON.stringify(trigger.data, null, 2));
+            console.log(`   Wallet link: ${uri}`);
+
+            if (values.output) {
+                require('fs').writeFileSync(values.output, JSON.stringify({ ...trigger, uri }, null, 2));
+                console.log(`💾 Trigger written to ${values.output}`);
+            }
+            process.exit(0);
+            break;
+        }
+
+        case 'verify-journal': {
+            let values;
+            try {
+                ({ values } = parseArgs({
+                    args: args.slice(1),
+                    options: {
+                        journal: { type: 'string' }
+                    }
+                }));
+
+                if (!values.journal && !agent.config.journal) {
+                    throw new Error('--journal (or JOURNAL_PATH) is required');
+                }
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                console.log('Usage: node main.js verify-journal [--journal ./data/journal.log]');
+                process.exit(1);
+            }
+
+            const journal = new TradingJournal({
+                ...agent.config.journal,
+                ...(values.journal && { path: values.journal })
+            });
+
+            // With a store configured, the journal must replay to the state it recorded
+            let recorded = null;
+            if (agent.config.database) {
+                const store = createStore(agent.config.database);
+                store.open();
+                const engineState = store.load('engine');
+                if (engineState.has('portfolio')) {
+                    recorded = {
+                        portfolio: engineState.get('portfolio'),
+                        performance: engineState.get('performance'),
+                        positions: store.load('positions'),
+                        ledger: engineState.get('ledger')
+                    };
+                }
+                store.close();
+            }
+
+            const result = journal.verify(recorded);
+            console.log(`📒 ${journal.path}: ${result.entries} entries after the snapshot, up to #${result.seq}`);
+            if (result.torn) {
+                console.log('   The last entry was cut short by a crash and is not replayed');
+            }
+
+            if (result.errors.length > 0) {
+                console.error(`❌ ${result.errors.length} divergences:`);
+                result.errors.forEach(error => console.error(`   ${error}`));
+                process.exit(1);
+            }
+
+            console.log(`✅ Journal replays cleanly${recorded ? ' to the stored state' : ''}`);
+            process.exit(0);
+            break;
+        }
+
         default:
-            console.log('Usage: node main.js [start|stop|status]');
-            console.log('  start  - Start the autonomous agent');
-            console.log('  stop   - Stop the autonomous agent');
-            console.log('  status - Show agent status');
+            console.log('Usage: node main.js [start|stop|status|backtest|optimize|deploy-perp|verify-journal]');
+            console.log('  start    - Start the autonomous agent');
+            console.log('  stop     - Stop the autonomous agent');
+            console.log('  status   - Show agent status');
+            console.log('  backtest - Replay a tick file through a strategy (--data file --strategy name)');
+            console.log('  optimize - Search strategy parameters with optional walk-forward folds');
+            console.log('  deploy-perp - Validate perpetual params and print the factory trigger and AA address');
+            console.log('  verify-journal - Replay the trading journal and report where it diverges');
             process.exit(1);
     }
 }
@@ -0,0 +1,528 @@
+/**
+ * Optimizer
+ * Grid and random search over strategy parameters, with walk-forward
+ * validation. Backtests run in parallel on worker threads.
+ */
+
+const EventEmitter = require('events');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const Backtester = require('./backtester');
+const StrategyRegistry = require('./strategyRegistry');
+
+// Backtest metrics that can be optimized, and which direction is better
+const METRICS = {
+    sharpeRatio: 'max',
+    sortinoRatio: 'max',
+    calmarRatio: 'max',
+    totalReturn: 'max',
+    totalPnL: 'max',
+    winRate: 'max',
+    maxDrawdown: 'min',
+    volatility: 'min'
+};
+
+class Optimizer extends EventEmitter {
+    /**
+     * config.trading: TradingEngine parameters for every backtest
+     * config.strategiesDir: custom strategies, loaded again in each worker
+     * config.workers: worker thread count (defaults to one less than the CPUs)
+     */
+    constructor(config = {}, strategyRegistry = null) {
+        super();
+        this.config = config;
+        this.strategyRegistry = strategyRegistry || StrategyRegistry.createDefault();
+        this.workers = config.workers || Math.max(1, os.cpus().length - 1);
+        this.maxCombinations = config.maxCombinations || 10000;
+        this.stabilityThreshold = config.stabilityThreshold || 0.25;
+    }
+
+    /**
+     * Run an optimization
+     * options: dataFile or ticks, strategy, asset, initialCash,
+     *   space: { param: { min, max, step } | { values: [...] } | [...] }
+     *   search: 'grid' (default) or 'random', with samples and seed
+     *   metric: one of Optimizer.METRICS (default sharpeRatio)
+     *   walkForward: { folds, inSampleRatio, anchored }
+     */
+    async run(options = {}) {
+        const { strategy, asset = null, metric = 'sharpeRatio' } = options;
+
+        if (!this.strategyRegistry.has(strategy)) {
+            throw new Error(`Unknown strategy: ${strategy}`);
+        }
+        if (!METRICS[metric]) {
+            throw new Error(`Unknown metric: ${metric}. Use one of ${Object.keys(METRICS).join(', ')}`);
+        }
+
+        const candidates = options.search === 'random'
+            ? this.randomSearch(strategy, options.space, options.samples, options.seed)
+            : this.gridSearch(strategy, options.space);
+
+        const ticks = await this.loadTicks(options, asset);
+        const folds = this.createFolds(ticks.length, options.walkForward);
+
+        const pool = this.createPool(ticks);
+        try {
+            const foldResults = [];
+
+            for (const fold of folds) {
+                const inSample = await this.evaluate(pool, candidates, fold.inSample, options);
+                const ranked = this.rank(inSample, metric);
+                const best = ranked[0];
+
+                let outOfSample = null;
+                if (fold.outOfSample) {
+                    const [result] = await this.evaluate(pool, [best.params], fold.outOfSample, options);
+                    outOfSample = {
+                        metrics: result.metrics,
+                        score: this.toMetric(this.score(result, metric), metric),
+                        error: result.error
+                    };
+                }
+
+                // Scores in the report are in the metric's own units
+                foldResults.push({
+                    fold: fold.index,
+                    inSample: this.describeWindow(ticks, fold.inSample),
+                    outOfSample: fold.outOfSample ? this.describeWindow(ticks, fold.outOfSample) : null,
+                    best: { params: best.params, score: this.toMetric(best.score, metric), metrics: best.metrics },
+                    outOfSampleResult: outOfSample,
+                    ranking: ranked.map(({ params, score, error }) => ({ params, score: this.toMetric(score, metric), error }))
+                });
+
+                this.emit('fold', foldResults[foldResults.length - 1]);
+            }
+
+            return {
+                strategy,
+                asset,
+                metric,
+                search: options.search === 'random' ? 'random' : 'grid',
+                candidates: candidates.length,
+                ticks: ticks.length,
+                folds: foldResults,
+                ranking: this.rankAcrossFolds(candidates, foldResults, metric),
+                stability: this.stabilityReport(strategy, options.space, foldResults)
+            };
+
+        } finally {
+            await pool.close();
+        }
+    }
+
+    /**
+     * Read every tick up front; folds are index ranges into this array
+     */
+    async loadTicks(options, asset) {
+        if (!options.dataFile && !options.ticks) {
+            throw new Error('A dataFile or ticks are required');
+        }
+
+        const source = options.dataFile ? Backtester.readTicks(options.dataFile) : options.ticks;
+        const ticks = [];
+
+        for await (const raw of source) {
+            const tick = Backtester.parseTick(raw);
+            if (!asset || (tick.asset || asset) === asset) {
+                ticks.push(tick);
+            }
+        }
+
+        if (ticks.length === 0) {
+            throw new Error('No ticks to replay');
+        }
+        return ticks;
+    }
+
+    /**
+     * Expand a parameter space into every combination
+     */
+    gridSearch(strategy, space = {}) {
+        const axes = Object.entries(this.validateSpace(strategy, space))
+            .map(([name, spec]) => [name, this.expandValues(name, spec)]);
+
+        const total = axes.reduce((count, [, values]) => count * values.length, 1);
+        if (total > this.maxCombinations) {
+            throw new Error(`Grid has ${total} combinations, more than the limit of ${this.maxCombinations}`);
+        }
+
+        let combinations = [{}];
+        for (const [name, values] of axes) {
+            combinations = combinations.flatMap(combination =>
+                values.map(value => ({ ...combination, [name]: value })));
+        }
+
+        return this.checkCandidates(strategy, combinations);
+    }
+
+    /**
+     * Draw parameter sets at random from the space
+     * Ranges are sampled uniformly (snapped to step when given), value lists
+     * pick one entry. The seed makes runs reproducible.
+     */
+    randomSearch(strategy, space = {}, samples = 50, seed = 1) {
+        const validated = this.validateSpace(strategy, space);
+        const schema = this.strategyRegistry.get(strategy).paramsSchema;
+        const random = this.createRandom(seed);
+
+        if (samples > this.maxCombinations) {
+            throw new Error(`samples must be at most ${this.maxCombinations}`);
+        }
+
+        const seen = new Set();
+        const combinations = [];
+
+        // Small spaces run out of distinct sets; stop after enough misses
+        for (let attempt = 0; combinations.length < samples && attempt < samples * 20; attempt++) {
+            const combination = {};
+
+            for (const [name, spec] of Object.entries(validated)) {
+                if (spec.values) {
+                    combination[name] = spec.values[Math.floor(random() * spec.values.length)];
+                    continue;
+                }
+
+                let value = spec.min + random() * (spec.max - spec.min);
+                if (spec.step) value = spec.min + Math.round((value - spec.min) / spec.step) * spec.step;
+                if (schema[name].type === 'integer') value = Math.round(value);
+                combination[name] = this.roundValue(value);
+            }
+
+            const key = this.strategyRegistry.hashParams(combination);
+            if (!seen.has(key)) {
+                seen.add(key);
+                combinations.push(combination);
+            }
+        }
+
+        return this.checkCandidates(strategy, combinations);
+    }
+
+    /**
+     * Check that the space only names schema parameters and is well formed
+     * Arrays are shorthand for { values: [...] }.
+     */
+    validateSpace(strategy, space) {
+        const schema = this.strategyRegistry.get(strategy).paramsSchema;
+        const names = Object.keys(space || {});
+
+        if (names.length === 0) {
+            throw new Error('space must name at least one parameter');
+        }
+
+        const validated = {};
+        for (const name of names) {
+            if (!schema[name]) {
+                throw new Error(`unknown parameter: ${name}`);
+            }
+
+            const spec = Array.isArray(space[name]) ? { values: space[name] } : space[name];
+            if (spec.values) {
+                if (!Array.isArray(spec.values) || spec.values.length === 0) {
+                    throw new Error(`${name}.values must be a non-empty array`);
+                }
+            } else if (typeof spec.min !== 'number' || typeof spec.max !== 'number' || spec.min > spec.max) {
+                throw new Error(`${name} needs values, or numeric min <= max`);
+            } else if (spec.step !== undefined && !(spec.step > 0)) {
+                throw new Error(`${name}.step must be positive`);
+            }
+
+            validated[name] = spec;
+        }
+
+        return validated;
+    }
+
+    /**
+     * Values of one grid axis
+     */
+    expandValues(name, spec) {
+        if (spec.values) return spec.values;
+        if (!spec.step) throw new Error(`${name}.step is required for a grid search`);
+
+        const values = [];
+        for (let i = 0; spec.min + i * spec.step <= spec.max + spec.step * 1e-9; i++) {
+            values.push(this.roundValue(spec.min + i * spec.step));
+        }
+        return values;
+    }
+
+    /**
+     * Validate every candidate against the schema before any backtest runs
+     */
+    checkCandidates(strategy, combinations) {
+        for (const combination of combinations) {
+            const { errors } = this.strategyRegistry.validateParams(strategy, combination);
+            if (errors.length > 0) {
+                throw new Error(`Invalid parameter set ${JSON.stringify(combination)}: ${errors.join(', ')}`);
+            }
+        }
+        return combinations;
+    }
+
+    /**
+     * Split tick indices into walk-forward folds
+     * The data is cut into `folds` consecutive windows; each window's first
+     * inSampleRatio is in-sample and the rest out-of-sample. Anchored folds
+     * start their in-sample period at the first tick. Without walkForward
+     * there is a single in-sample fold over all the data.
+     */
+    createFolds(tickCount, walkForward = null) {
+        if (!walkForward) {
+            return [{ index: 0, inSample: { start: 0, end: tickCount }, outOfSample: null }];
+        }
+
+        const { folds = 3, inSampleRatio = 0.7, anchored = false } = walkForward;
+        if (!Number.isInteger(folds) || folds < 1) {
+            throw new Error('walkForward.folds must be a positive integer');
+        }
+        if (!(inSampleRatio > 0 && inSampleRatio < 1)) {
+            throw new Error('walkForward.inSampleRatio must be between 0 and 1');
+        }
+
+        const windowSize = Math.floor(tickCount / folds);
+        const inSampleSize = Math.floor(windowSize * inSampleRatio);
+        if (inSampleSize < 1 || windowSize - inSampleSize < 1) {
+            throw new Error(`Not enough ticks (${tickCount}) for ${folds} walk-forward folds`);
+        }
+
+        return Array.from({ length: folds }, (_, index) => {
+            const start = index * windowSize;
+            const split = start + inSampleSize;
+            const end = index === folds - 1 ? tickCount : start + windowSize;
+
+            return {
+                index,
+                inSample: { start: anchored ? 0 : start, end: split },
+                outOfSample: { start: split, end }
+            };
+        });
+    }
+
+    /**
+     * Run every candidate over one window of ticks
+     */
+    async evaluate(pool, candidates, window, options) {
+        const results = await pool.run(candidates.map(params => ({
+            strategy: options.strategy,
+            asset: options.asset || null,
+            initialCash: options.initialCash,
+            params,
+            start: window.start,
+            end: window.end
+        })));
+
+        return results.map((result, i) => ({ params: candidates[i], ...result }));
+    }
+
+    /**
+     * Score of a result for a metric, oriented so that higher is better
+     */
+    score(result, metric) {
+        if (!result.metrics) return -Infinity;
+
+        const value = result.metrics[metric];
+        if (typeof value !== 'number' || isNaN(value)) return -Infinity;
+
+        return METRICS[metric] === 'min' ? -value : value;
+    }
+
+    /**
+     * Convert between a metric value and its higher-is-better score (the mapping is its own inverse)
+     */
+    toMetric(score, metric) {
+        return METRICS[metric] === 'min' ? -score : score;
+    }
+
+    /**
+     * Sort results best first
+     */
+    rank(results, metric) {
+        return results
+            .map(result => ({ ...result, score: this.score(result, metric) }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Rank candidates by their mean in-sample score over all folds
+     */
+    rankAcrossFolds(candidates, foldResults, metric) {
+        const foldScores = foldResults.map(fold => new Map(fold.ranking.map(entry =>
+            [this.strategyRegistry.hashParams(entry.params), this.toMetric(entry.score, metric)])));
+
+        return candidates
+            .map(params => {
+                const key = this.strategyRegistry.hashParams(params);
+                const scores = foldScores.map(scoresByKey => scoresByKey.get(key));
+                const finite = scores.filter(score => Number.isFinite(score));
+                const mean = finite.length > 0 ? finite.reduce((a, b) => a + b, 0) / finite.length : -Infinity;
+                const std = finite.length > 0
+                    ? Math.sqrt(finite.reduce((sum, score) => sum + Math.pow(score - mean, 2), 0) / finite.length)
+                    : 0;
+
+                return { params, meanScore: mean, stdScore: std, scores };
+            })
+            .sort((a, b) => b.meanScore - a.meanScore)
+            .map(entry => ({
+                ...entry,
+                meanScore: this.toMetric(entry.meanScore, metric),
+                scores: entry.scores.map(score => this.toMetric(score, metric))
+            }));
+    }
+
+    /**
+     * How much the winning parameters move between folds
+     * Numeric parameters report the spread of the per-fold winners relative
+     * to the searched range; every parameter reports how often the most
+     * common winner was picked. A parameter is stable when its normalized
+     * spread is within stabilityThreshold (or, for non-numeric values, when
+     * it agrees in at least 1 - stabilityThreshold of the folds).
+     */
+    stabilityReport(strategy, space, foldResults) {
+        const validated = this.validateSpace(strategy, space);
+        const parameters = {};
+
+        for (const [name, spec] of Object.entries(validated)) {
+            const winners = foldResults.map(fold => fold.best.params[name]);
+
+            const counts = new Map();
+            for (const value of winners) counts.set(value, (counts.get(value) || 0) + 1);
+            const agreement = Math.max(...counts.values()) / winners.length;
+
+            const report = { winners, agreement };
+
+            if (winners.every(value => typeof value === 'number')) {
+                const mean = winners.reduce((a, b) => a + b, 0) / winners.length;
+                const std = Math.sqrt(winners.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / winners.length);
+                const numeric = spec.values ? spec.values.filter(v => typeof v === 'number') : [spec.min, spec.max];
+                const range = Math.max(...numeric) - Math.min(...numeric);
+
+                report.mean = mean;
+                report.std = std;
+                report.normalizedStd = range > 0 ? std / range : 0;
+                report.stable = report.normalizedStd <= this.stabilityThreshold;
+            } else {
+                report.stable = agreement >= 1 - this.stabilityThreshold;
+            }
+
+            parameters[name] = report;
+        }
+
+        const withOutOfSample = foldResults.filter(fold =>
+            fold.outOfSampleResult && Number.isFinite(fold.outOfSampleResult.score) && Number.isFinite(fold.best.score));
+        const inSampleMean = withOutOfSample.reduce((sum, fold) => sum + fold.best.score, 0) / (withOutOfSample.length || 1);
+        const outOfSampleMean = withOutOfSample.reduce((sum, fold) => sum + fold.outOfSampleResult.score, 0) / (withOutOfSample.length || 1);
+
+        return {
+            parameters,
+            stable: Object.values(parameters).every(report => report.stable),
+            // Out-of-sample over in-sample value of the metric; well below 1 (above 1
+            // for metrics where lower is better) suggests overfitting
+            walkForwardEfficiency: withOutOfSample.length > 0 && inSampleMean !== 0
+                ? outOfSampleMean / inSampleMean
+                : null
+        };
+    }
+
+    /**
+     * Time span and size of a window, for the report
+     */
+    describeWindow(ticks, window) {
+        return {
+            start: ticks[window.start].timestamp,
+            end: ticks[window.end - 1].timestamp,
+            ticks: window.end - window.start
+        };
+    }
+
+    /**
+     * Worker pool; every worker gets the full tick array once
+     */
+    createPool(ticks) {
+        const workers = [];
+        for (let i = 0; i < this.workers; i++) {
+            workers.push(new Worker(path.join(__dirname, 'optimizerWorker.js'), {
+                workerData: {
+                    ticks,
+                    trading: this.config.trading || {},
+                    strategiesDir: this.config.strategiesDir || null
+                }
+            }));
+        }
+
+        return {
+            run: (tasks) => new Promise((resolve, reject) => {
+                const results = new Array(tasks.length);
+                let dispatched = 0;
+                let completed = 0;
+
+                if (tasks.length === 0) return resolve(results);
+
+                const cleanup = () => {
+                    for (const worker of workers) {
+                        worker.removeAllListeners('message');
+                        worker.removeAllListeners('error');
+                    }
+                };
+
+                const dispatch = (worker) => {
+                    if (dispatched >= tasks.length) return;
+                    const index = dispatched++;
+                    worker.postMessage({ ...tasks[index], id: index });
+                };
+
+                for (const worker of workers) {
+                    worker.on('message', (message) => {
+                        results[message.id] = message.error
+                            ? { metrics: null, error: message.error }
+                            : { metrics: message.metrics, error: null };
+
+                        completed++;
+                        this.emit('progress', { completed, total: tasks.length });
+
+                        if (completed === tasks.length) {
+                            cleanup();
+                            resolve(results);
+                        } else {
+                            dispatch(worker);
+                        }
+                    });
+                    worker.on('error', (error) => {
+                        cleanup();
+                        reject(error);
+                    });
+
+                    dispatch(worker);
+                }
+            }),
+            close: () => Promise.all(workers.map(worker => worker.terminate()))
+        };
+    }
+
+    /**
+     * Small seeded PRNG (mulberry32), so random searches can be repeated
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Trim floating point noise from generated values
+     */
+    roundValue(value) {
+        return Math.round(value * 1e10) / 1e10;
+    }
+}
+
+Optimizer.METRICS = METRICS;
+
+module.exports = Optimizer;
@@ -0,0 +1,33 @@
+/**
+ * Optimizer Worker
+ * Runs backtests for the Optimizer in a worker thread. The ticks arrive once
+ * in workerData; each task names a slice of them and a parameter set.
+ */
+
+const path = require('path');
+const { parentPort, workerData } = require('worker_threads');
+const Backtester = require('./backtester');
+const StrategyRegistry = require('./strategyRegistry');
+
+const registry = StrategyRegistry.createDefault();
+if (workerData.strategiesDir) {
+    registry.loadDirectory(path.resolve(workerData.strategiesDir));
+}
+
+const backtester = new Backtester({ trading: workerData.trading }, registry);
+
+parentPort.on('message', async (task) => {
+    try {
+        const result = await backtester.run({
+            ticks: workerData.ticks.slice(task.start, task.end),
+            strategy: task.strategy,
+            asset: task.asset,
+            params: task.params,
+            initialCash: task.initialCash
+        });
+
+        parentPort.postMessage({ id: task.id, metrics: result.metrics });
+    } catch (error) {
+        parentPort.postMessage({ id: task.id, error: error.message });
+    }
+});
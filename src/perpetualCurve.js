@@ -0,0 +1,434 @@
+/**
+ * Perpetual Curve
+ * JavaScript port of the pricing functions in perpetual.oscript, evaluated
+ * against a fetched copy of the AA's state:
+ *   $get_price, $adjust_prices and $get_exchange_result_by_state
+ *
+ * The curve is p = c²·a·s/r with r the reserve, c the common coefficient and
+ * a, s the per-asset coefficient and supply. Quotes use the same fees as the
+ * AA: swap fee, arb profit tax on the price move (merged with the caller's
+ * trades of the last second) and the stakers' share of both.
+ *
+ * Oscript evaluates with 15 significant digits and JS with doubles, so
+ * results agree to floating point precision; integer amounts can differ by 1
+ * where the AA's ceil/floor lands on a boundary.
+ */
+
+const TRADE_MERGE_PERIOD = 1; // seconds
+// drift_rate is per 360-day year
+const DRIFT_YEAR = 360 * 24 * 3600;
+
+class PerpetualCurve {
+    /**
+     * options: {
+     *   vars: state vars of the AA (state, asset_<id>, governance overrides),
+     *   params: params of the AA as deployed by the factory,
+     *   targetPrices: { [asset]: target price in reserve units } for $adjust_prices
+     * }
+     */
+    constructor(options = {}) {
+        this.vars = options.vars || {};
+        this.params = options.params || {};
+        this.targetPrices = new Map(Object.entries(options.targetPrices || {}));
+        // Our trades since this.vars was fetched, which it does not show yet
+        this.pendingTrades = [];
+    }
+
+    /**
+     * Replace the AA state, e.g. after re-reading the AA's vars
+     * The new state includes the trades that were pending.
+     */
+    update(vars) {
+        this.vars = vars;
+        this.pendingTrades = [];
+    }
+
+    /**
+     * Note a trade on the AA that the fetched state does not show until the next update
+     */
+    recordTrade(trade) {
+        this.pendingTrades.push(trade);
+    }
+
+    setTargetPrice(asset, price) {
+        this.targetPrices.set(asset, price);
+    }
+
+    getParam(name, defaultValue) {
+        const value = this.vars[name];
+        if (value !== undefined) return value;
+        return this.params[name] !== undefined ? this.params[name] : defaultValue;
+    }
+
+    getSwapFee() { return this.getParam('swap_fee', 0.003); }
+    getArbProfitTax() { return this.getParam('arb_profit_tax', 0.9); }
+    getAdjustmentPeriod() { return this.getParam('adjustment_period', 3 * 24 * 3600); }
+    getPresalePeriod() { return this.getParam('presale_period', 14 * 24 * 3600); }
+    getAuctionPriceHalvingPeriod() { return this.getParam('auction_price_halving_period', 3 * 24 * 3600); }
+    getTokenShareThreshold() { return this.getParam('token_share_threshold', 0.1); }
+    getMinS0Share() { return this.getParam('min_s0_share', 0.01); }
+    getStakersFeeShare() { return this.getParam('stakers_fee_share', 0.5); }
+
+    /**
+     * Fresh copies of the state and an asset's info, so quotes never touch this.vars
+     */
+    loadState(asset) {
+        const state = clone(this.vars.state);
+        if (!state) {
+            throw new Error('AA state is not loaded');
+        }
+
+        if (state.asset0 === asset) {
+            return { state, assetInfo: null };
+        }
+
+        const assetInfo = this.vars['asset_' + asset];
+        if (!assetInfo) {
+            throw new Error('no such asset');
+        }
+        return { state, assetInfo: clone(assetInfo) };
+    }
+
+    /**
+     * Port of $get_price
+     */
+    getPrice(asset, withPriceAdjustment = false, options = {}) {
+        const { state, assetInfo } = this.loadState(asset);
+        const isAsset0 = state.asset0 === asset;
+
+        if (!isAsset0 && withPriceAdjustment) {
+            this.adjustPrices(asset, assetInfo, state, options);
+        }
+
+        return priceByState(state, isAsset0 ? null : assetInfo);
+    }
+
+    /**
+     * Prices after $adjust_prices runs at each of timestamps in turn, each
+     * run starting from the state the previous one left, as when the AA is
+     * triggered at those times. Shows how drift and the pull towards the
+     * target price play out.
+     */
+    getPricePath(asset, timestamps, options = {}) {
+        const { state, assetInfo } = this.loadState(asset);
+
+        return timestamps.map(timestamp => {
+            if (assetInfo) {
+                this.adjustPrices(asset, assetInfo, state, { ...options, timestamp });
+            }
+            return priceByState(state, assetInfo);
+        });
+    }
+
+    /**
+     * Port of $get_auction_price
+     * A pre-IPO's auction price halves every auction_price_halving_period from its creation.
+     */
+    getAuctionPrice(asset, options = {}) {
+        const assetInfo = this.vars['asset_' + asset];
+        check(assetInfo, 'no such asset');
+        check(assetInfo.preipo, 'not a pre-IPO');
+
+        const elapsed = this.getTimestamp(options) - assetInfo.creation_ts;
+        return assetInfo.initial_auction_price / Math.pow(2, elapsed / this.getAuctionPriceHalvingPeriod());
+    }
+
+    /**
+     * Port of $get_exchange_result: price adjustment, then a trade by an
+     * address that never merges with earlier trades
+     */
+    getExchangeResult(asset, tokens, deltaR, options = {}) {
+        const { state, assetInfo } = this.loadState(asset);
+
+        if (assetInfo) {
+            this.adjustPrices(asset, assetInfo, state, options);
+        }
+
+        return this.getExchangeResultByState(tokens, deltaR, asset, assetInfo, state, {
+            ...options,
+            address: 'ADDRESS'
+        });
+    }
+
+    /**
+     * Quote sending reserveAmount of the reserve asset to buy asset
+     * For a bytes reserve the AA keeps 1000 bytes for network fees first.
+     * options.address lets the quote merge with that address's recent buys.
+     */
+    quoteBuy(asset, reserveAmount, options = {}) {
+        const networkFee = this.params.reserve_asset === 'base' ? 1000 : 0;
+        const result = this.quote(asset, 0, reserveAmount - networkFee, options);
+
+        return { ...result, averagePrice: result.deltaS > 0 ? (reserveAmount - networkFee) / result.deltaS : null };
+    }
+
+    /**
+     * Quote redeeming tokens of asset for the reserve
+     */
+    quoteSell(asset, tokens, options = {}) {
+        const result = this.quote(asset, tokens, 0, options);
+
+        return { ...result, averagePrice: result.payout / tokens };
+    }
+
+    quote(asset, tokens, deltaR, options) {
+        const { state, assetInfo } = this.loadState(asset);
+
+        if (assetInfo) {
+            this.adjustPrices(asset, assetInfo, state, options);
+        }
+
+        return this.getExchangeResultByState(tokens, deltaR, asset, assetInfo, state, options);
+    }
+
+    /**
+     * Port of $adjust_prices
+     * Moves the asset's price towards its target over the adjustment period,
+     * applies drift and keeps the s0 share above its minimum. Mutates
+     * assetInfo and state like the AA does.
+     */
+    adjustPrices(asset, assetInfo, state, options = {}) {
+        if (state.asset0 === asset) return;
+
+        const timestamp = this.getTimestamp(options);
+        const elapsed = timestamp - assetInfo.last_ts;
+        assetInfo.last_ts = timestamp;
+
+        let targetPrice;
+        if (assetInfo.presale && assetInfo.preipo) {
+            targetPrice = assetInfo.last_auction_price;
+        } else {
+            if (!assetInfo.price_aa) return;
+            // The AA reads this from the price AA and the reserve price AA
+            targetPrice = options.targetPrice !== undefined ? options.targetPrice : this.targetPrices.get(asset);
+            if (typeof targetPrice !== 'number' || targetPrice < 0) return;
+        }
+
+        if (assetInfo.presale) {
+            if (
+                assetInfo.presale_amount &&
+                (
+                    timestamp >= assetInfo.presale_finish_ts ||
+                    assetInfo.presale_amount >= this.getTokenShareThreshold() * state.reserve ||
+                    (assetInfo.preipo && assetInfo.presale_amount / targetPrice >= assetInfo.max_tokens)
+                )
+            ) {
+                delete assetInfo.presale;
+                assetInfo.initial_price = targetPrice;
+                assetInfo.supply = Math.floor(assetInfo.presale_amount / targetPrice);
+                assetInfo.a = pow2(targetPrice / state.coef) * state.reserve / assetInfo.presale_amount;
+                const newReserve = state.reserve + assetInfo.presale_amount;
+                state.coef = state.coef * Math.sqrt(newReserve / state.reserve);
+                state.reserve = newReserve;
+            }
+            return;
+        }
+
+        const r = state.reserve;
+        const c = state.coef;
+        const s = assetInfo.supply;
+        const a = assetInfo.a;
+        const p = c * c * a * s / r;
+        const s0 = state.s0;
+
+        if (!s) return;
+
+        const fullDeltaP = targetPrice - p;
+        const adjustmentPeriod = this.getAdjustmentPeriod();
+        const deltaP = elapsed >= adjustmentPeriod ? fullDeltaP : elapsed / adjustmentPeriod * fullDeltaP;
+
+        const newC = c * Math.sqrt(1 - s * r * deltaP / (r * r - a * pow2(c * s)));
+        check((newC - c) * deltaP <= 0, 'c should change opposite to p');
+        const newA = (p + deltaP) * r / newC / newC / s;
+        check((newA - a) * deltaP >= 0, 'a should change as p');
+        assetInfo.a = newA;
+        state.coef = newC;
+
+        // Drift slowly depreciates p and moves the wealth to s0 holders
+        if (assetInfo.drift_rate) {
+            const relativePriceDrift = elapsed / 360 / 24 / 3600 * assetInfo.drift_rate;
+            if (relativePriceDrift < 1) {
+                assetInfo.a = assetInfo.a * (1 - relativePriceDrift);
+                state.a0 = state.a0 + pow2(s / s0) * assetInfo.a * relativePriceDrift;
+                check(state.a0 > 0, 'a0 would become negative');
+            }
+        }
+
+        // Keep the s0 share above its minimum
+        const a0 = state.a0;
+        const c1 = state.coef;
+        const s0Share = a0 * pow2(s0 * c1 / r);
+        const minS0Share = this.getMinS0Share();
+        if (s0Share < minS0Share) {
+            const newA0 = (pow2(r / c1 / s0) - a0) / (1 / minS0Share - 1);
+            const newC2 = r / s0 * Math.sqrt(minS0Share / newA0);
+            check(newA0 > a0, 'a0 should grow');
+            check(newC2 < c, 'c should fall');
+            state.a0 = newA0;
+            // The AA assigns $new_c here rather than $new_c2; kept as is to match it
+            state.coef = newC;
+        }
+    }
+
+    /**
+     * Port of $get_exchange_result_by_state
+     * Either tokens (sell) or deltaR (buy) is non-zero. Mutates state and
+     * assetInfo like the AA does and returns its result fields in camelCase.
+     */
+    getExchangeResultByState(tokens, deltaR, asset, assetInfo, state, options = {}) {
+        check((tokens > 0 && deltaR === 0) || (tokens === 0 && deltaR > 0), 'invalid input');
+
+        const timestamp = this.getTimestamp(options);
+        const address = options.address || null;
+        const op = tokens ? 'sell' : 'buy';
+        const isAsset0 = state.asset0 === asset;
+
+        const r = state.reserve;
+        const c = state.coef;
+        const a0 = state.a0;
+        const s = isAsset0 ? state.s0 : assetInfo.supply;
+        const a = isAsset0 ? state.a0 : assetInfo.a;
+        const p = s ? c * c * a * s / r : 0;
+        const isInitial = isAsset0 && r === 0;
+
+        const key = 'last_' + op;
+        const lastTrade = (isAsset0 ? state[key] : assetInfo[key]) || null;
+        const merge = Boolean(lastTrade && timestamp <= lastTrade.ts + TRADE_MERGE_PERIOD && address === lastTrade.address);
+        const recentTax = merge ? lastTrade.tax : 0;
+        const recentDeltaS = merge ? lastTrade.delta_s : 0;
+        const initialP = merge ? (tokens ? Math.max(p, lastTrade.initial_p) : Math.min(p, lastTrade.initial_p)) : p;
+
+        const swapFeeRate = isInitial ? 0 : this.getSwapFee();
+        const arbProfitTaxRate = isInitial ? 0 : this.getArbProfitTax();
+        const stakersFeeShare = this.getStakersFeeShare();
+        const a0FeeShare = 1 - stakersFeeShare;
+
+        const getNewS = (newR, feeRate) => Math.sqrt(s * s + (newR * newR - r * r) / c / c / a * (1 - feeRate));
+        const getNewR = (newS, feeRate) => Math.sqrt(r * r + (newS * newS - s * s) * c * c * a * (1 - feeRate));
+
+        let deltaS, newS, newR, payout, swapFee, arbProfitTax, totalFee, stakerFee;
+
+        if (tokens) {
+            deltaS = -tokens;
+            newS = s - tokens;
+            const newR1 = getNewR(newS, swapFeeRate);
+            const newA1 = isAsset0 ? (a * s * s + (newR1 * newR1 - r * r) / c / c) / newS / newS : a;
+            const newP1 = c * c * newA1 * newS / newR1;
+            check(newP1 < p || Math.abs(newP1 - p) / p < swapFeeRate, `price should go down when selling, got ${p} => ${newP1}`);
+            arbProfitTax = arbProfitTaxRate * Math.abs(initialP - newP1) * (tokens - recentDeltaS) / 2 - recentTax;
+            check(arbProfitTax >= 0, `negative arb profit tax ${arbProfitTax}`);
+            const fullFeeRate = swapFeeRate + arbProfitTax / (r - newR1);
+            check(fullFeeRate < 1, 'fee would exceed 100%');
+            const newRGross = Math.ceil(getNewR(newS, fullFeeRate));
+            check(newRGross <= r, `r_gross would increase to ${newRGross}`);
+            newR = Math.ceil(getNewR(newS, fullFeeRate * a0FeeShare));
+            check(newR <= r, `r would increase to ${newR}`);
+            stakerFee = newRGross - newR;
+            check(stakerFee >= 0, `negative staker fee ${stakerFee}`);
+            payout = r - newRGross;
+            swapFee = swapFeeRate * payout;
+            totalFee = swapFee + arbProfitTax;
+        } else {
+            const newRGross = r + deltaR;
+            swapFee = swapFeeRate * deltaR;
+            const newS1 = getNewS(newRGross, swapFeeRate);
+            const newA1 = isAsset0 ? (a * s * s + (newRGross * newRGross - r * r) / c / c) / newS1 / newS1 : a;
+            const newP1 = c * c * newA1 * newS1 / newRGross;
+            check(newP1 > p, `price should go up when buying, got ${p} => ${newP1}`);
+            arbProfitTax = arbProfitTaxRate * (newP1 - initialP) * (newS1 - s + recentDeltaS) / 2 - recentTax;
+            check(arbProfitTax >= 0, `negative arb profit tax ${arbProfitTax}`);
+
+            totalFee = swapFee + arbProfitTax;
+            stakerFee = Math.floor(totalFee * stakersFeeShare);
+            const fullFeeRate = swapFeeRate + arbProfitTax / deltaR;
+            check(fullFeeRate < 1, 'fee would exceed 100%');
+            newR = newRGross - stakerFee;
+            newS = Math.floor(getNewS(newR, fullFeeRate * a0FeeShare)); // rounding is like an additional fee
+            deltaS = newS - s;
+            check(deltaS >= 0, `s would decrease by ${deltaS}`);
+            payout = 0;
+        }
+
+        state.a0 = isAsset0
+            ? (state.a0 * s * s + (newR * newR - r * r) / c / c) / newS / newS
+            : a0 + ((newR * newR - r * r) / c / c - a * (newS * newS - s * s)) / state.s0 / state.s0;
+        check(state.a0 >= a0, `a0 should grow ${a0} => ${state.a0}`);
+
+        state.reserve = newR;
+        if (isAsset0) {
+            state.s0 = newS;
+        } else {
+            assetInfo.supply = newS;
+        }
+
+        const newP = c * c * a * newS / newR;
+        const feePercent = totalFee / (tokens ? payout : deltaR) * 100;
+        state.total_staker_fees = state.total_staker_fees + stakerFee;
+
+        const target = isAsset0 ? state : assetInfo;
+        target[key] = {
+            delta_s: (merge ? lastTrade.delta_s : 0) + deltaS,
+            initial_p: initialP,
+            tax: arbProfitTax,
+            ts: timestamp,
+            address
+        };
+
+        return {
+            payout,
+            deltaS,
+            oldReserve: r,
+            newReserve: newR,
+            deltaReserve: newR - r,
+            oldPrice: p,
+            newPrice: newP,
+            swapFee,
+            arbProfitTax,
+            totalFee,
+            feePercent,
+            stakerFee
+        };
+    }
+
+    getTimestamp(options) {
+        return options.timestamp !== undefined ? options.timestamp : Math.floor(Date.now() / 1000);
+    }
+}
+
+function pow2(x) {
+    return x * x;
+}
+
+// p = c²·a·s/r; assetInfo is null for asset0
+function priceByState(state, assetInfo) {
+    const s = assetInfo ? assetInfo.supply : state.s0;
+    const a = assetInfo ? assetInfo.a : state.a0;
+    return state.coef * state.coef * a * s / state.reserve;
+}
+
+// AA state is plain JSON
+function clone(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Share of a perp's price lost to drift over seconds, compounded as $adjust_prices applies it on each trigger
+ */
+function carryFraction(driftRate, seconds) {
+    return 1 - Math.exp(-driftRate * seconds / DRIFT_YEAR);
+}
+
+/**
+ * Oscript's check(): throw with the AA's own message
+ */
+function check(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+PerpetualCurve.TRADE_MERGE_PERIOD = TRADE_MERGE_PERIOD;
+PerpetualCurve.DRIFT_YEAR = DRIFT_YEAR;
+PerpetualCurve.carryFraction = carryFraction;
+
+module.exports = PerpetualCurve;
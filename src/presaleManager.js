@@ -0,0 +1,240 @@
+/**
+ * Presale Manager
+ * Participates in presales of new perp assets on a perpetual AA: contributes
+ * and withdraws reserve while the presale runs, prices pre-IPO auctions the
+ * way $get_auction_price does, and claims the tokens once the asset launches.
+ */
+
+const EventEmitter = require('events');
+const PerpetualCurve = require('./perpetualCurve');
+const { SystemClock } = require('./clock');
+
+class PresaleManager extends EventEmitter {
+    /**
+     * config: {
+     *   aaAddress: address of the perpetual AA,
+     *   reserveAsset: reserve asset of the AA, 'base' for bytes,
+     *   params: params of the AA, for periods it does not override in its vars,
+     *   autoClaim: claim launched presales automatically (default true),
+     *   autoClaimInterval: ms between claim checks,
+     *   bounceFee: bytes sent along with every trigger
+     * }
+     * client: see aaClient.js
+     */
+    constructor(config = {}, client, alertSystem) {
+        super();
+        this.config = config;
+        this.client = client;
+        this.alertSystem = alertSystem;
+        this.clock = config.clock || new SystemClock();
+
+        this.aaAddress = config.aaAddress;
+        this.reserveAsset = config.reserveAsset || 'base';
+        this.autoClaim = config.autoClaim !== false;
+        this.autoClaimInterval = config.autoClaimInterval || 60000;
+        this.bounceFee = config.bounceFee || 10000;
+        // perpetual.oscript treats smaller bytes payments as bounce fees, not contributions
+        this.minContribution = this.reserveAsset === 'base' ? 99999 : 0;
+
+        this.curve = new PerpetualCurve({ params: { reserve_asset: this.reserveAsset, ...config.params } });
+        this.address = null;
+        this.claims = [];
+        this.interval = null;
+    }
+
+    /**
+     * Start checking for claimable presales
+     */
+    start() {
+        if (this.autoClaim && !this.interval) {
+            this.interval = this.clock.setInterval(() => this.checkClaims(), this.autoClaimInterval);
+        }
+    }
+
+    stop() {
+        if (this.interval) {
+            this.clock.clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    /**
+     * Re-read the AA's state vars
+     */
+    async refresh() {
+        if (!this.address) {
+            this.address = await this.client.getAddress();
+        }
+        this.curve.update(await this.client.readVars(this.aaAddress));
+    }
+
+    /**
+     * Assets whose presale is still running
+     */
+    async listPresales() {
+        await this.refresh();
+
+        return Object.keys(this.curve.vars)
+            .filter(key => key.startsWith('asset_') && this.curve.vars[key].presale)
+            .map(key => this.describeAsset(key.substr('asset_'.length)));
+    }
+
+    describeAsset(asset) {
+        const info = this.curve.vars['asset_' + asset];
+        const now = this.now();
+
+        return {
+            asset,
+            symbol: info.symbol || null,
+            preipo: Boolean(info.preipo),
+            priceAa: info.price_aa || null,
+            presaleAmount: info.presale_amount || 0,
+            finishesAt: new Date(info.presale_finish_ts * 1000),
+            finished: now > info.presale_finish_ts,
+            auctionPrice: info.preipo ? this.curve.getAuctionPrice(asset, { timestamp: now }) : null,
+            maxTokens: info.max_tokens || null,
+            contribution: this.getContribution(asset)
+        };
+    }
+
+    /**
+     * Current pre-IPO auction price, in reserve units per token
+     */
+    async getAuctionPrice(asset) {
+        await this.refresh();
+        return this.curve.getAuctionPrice(asset, { timestamp: this.now() });
+    }
+
+    getContribution(asset) {
+        return this.curve.vars['contribution_' + this.address + '_' + asset] || 0;
+    }
+
+    /**
+     * Validate a contribution against the last refreshed state
+     * Returns an error message or null
+     */
+    validateContribution(asset, amount) {
+        if (!Number.isInteger(amount) || amount <= 0) return 'amount must be a positive integer';
+        if (amount <= this.minContribution) return `amount must exceed ${this.minContribution}`;
+        return this.validatePresale(asset);
+    }
+
+    /**
+     * Validate a withdrawal against the last refreshed state
+     * Returns an error message or null
+     */
+    validateWithdrawal(asset, amount) {
+        if (!Number.isInteger(amount) || amount <= 0) return 'amount must be a positive integer';
+
+        const error = this.validatePresale(asset);
+        if (error) return error;
+
+        const contribution = this.getContribution(asset);
+        if (amount > contribution) return `you have only ${contribution}`;
+
+        return null;
+    }
+
+    validatePresale(asset) {
+        const info = this.curve.vars['asset_' + asset];
+        if (!info) return 'no such asset';
+        if (!info.presale) return 'already launched';
+        if (info.presale_finish_ts < this.now()) return 'presale finished';
+        return null;
+    }
+
+    async contribute(asset, amount) {
+        const payments = { [this.reserveAsset]: amount };
+        if (this.reserveAsset !== 'base') payments.base = this.bounceFee;
+
+        return await this.trigger(payments, { asset, presale: 1 });
+    }
+
+    async withdraw(asset, amount) {
+        return await this.trigger({ base: this.bounceFee }, { asset, presale: 1, withdraw_amount: amount });
+    }
+
+    /**
+     * Claim tokens bought in a presale
+     * The claim itself launches a presale whose time is up, so it may be sent
+     * as soon as the presale period is over.
+     */
+    async claim(asset) {
+        const result = await this.trigger({ base: this.bounceFee }, { asset, claim: 1 });
+
+        if (result && !result.bounced) {
+            const claim = {
+                asset,
+                unit: result.unit,
+                tokens: result.received[asset] || 0,
+                timestamp: this.clock.now()
+            };
+            this.claims.push(claim);
+
+            await this.alertSystem.logAlert('INFO', `Claimed ${claim.tokens} presale tokens of ${asset}`, claim);
+            this.emit('claimed', claim);
+        }
+
+        return result;
+    }
+
+    /**
+     * Claim every contribution whose presale has launched or run out of time
+     */
+    async checkClaims() {
+        try {
+            await this.refresh();
+
+            const prefix = 'contribution_' + this.address + '_';
+            const now = this.now();
+            const claimed = [];
+
+            for (const key of Object.keys(this.curve.vars)) {
+                if (!key.startsWith(prefix) || !this.curve.vars[key]) continue;
+
+                const asset = key.substr(prefix.length);
+                const info = this.curve.vars['asset_' + asset];
+                if (!info || (info.presale && now < info.presale_finish_ts)) continue;
+
+                const result = await this.claim(asset);
+                if (result && result.bounced) {
+                    await this.alertSystem.logAlert('WARNING', `Presale claim for ${asset} bounced: ${result.error}`);
+                } else if (result) {
+                    claimed.push(asset);
+                }
+            }
+
+            return claimed;
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { context: 'presale_claims' });
+            return null;
+        }
+    }
+
+    /**
+     * Send a trigger to the AA and wait for its response
+     * Returns { unit, bounced, error, responseVars, received }, or null if it could not be sent.
+     */
+    async trigger(payments, data) {
+        try {
+            const { unit, error } = await this.client.send(this.aaAddress, payments, data);
+            if (error || !unit) {
+                throw new Error(`Trigger failed: ${error || 'no unit'}`);
+            }
+
+            const response = await this.client.getResponse(unit);
+            return { unit, ...response };
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { context: 'presale_trigger', data });
+            return null;
+        }
+    }
+
+    now() {
+        return Math.floor(this.clock.now().getTime() / 1000);
+    }
+}
+
+module.exports = PresaleManager;
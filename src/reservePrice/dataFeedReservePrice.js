@@ -0,0 +1,21 @@
+/**
+ * Data Feed Reserve Price
+ * Port of usd_reserve_price.oscript: an oracle's feed, divided by 10^decimals.
+ * params: { oracle, feed_name, decimals }
+ */
+
+const ReservePriceSource = require('./reservePriceSource');
+
+class DataFeedReservePrice extends ReservePriceSource {
+    constructor(params = {}, feeds) {
+        super(params, feeds);
+        this.name = 'data_feed';
+    }
+
+    getReservePrice() {
+        // ifnone=false: no feed, no price
+        return this.readFeed(this.params.oracle, this.params.feed_name, this.params.decimals || 0, false);
+    }
+}
+
+module.exports = DataFeedReservePrice;
@@ -0,0 +1,78 @@
+/**
+ * Data Feed Store
+ * Latest data feed values posted by oracles, read the way Oscript's
+ * data_feed[[oracles=..., feed_name=...]] reads them: the most recent value
+ * among the listed oracles, numeric strings as numbers.
+ */
+
+class DataFeedStore {
+    constructor() {
+        this.feeds = new Map();
+    }
+
+    /**
+     * Record feeds posted by an oracle, e.g. update(oracle, { BTC_USD: 20000 })
+     */
+    update(oracle, feeds, timestamp = new Date()) {
+        for (const [feedName, value] of Object.entries(feeds)) {
+            const key = oracle + ':' + feedName;
+            const previous = this.feeds.get(key);
+            if (previous && previous.timestamp > timestamp) continue;
+
+            this.feeds.set(key, { oracle, feedName, value: toFeedValue(value), timestamp });
+        }
+    }
+
+    /**
+     * Record the data feeds of an Obyte unit, e.g. from a node's new_joint events
+     * unit: { authors: [{ address }], messages: [{ app, payload }], timestamp (seconds) }
+     */
+    ingest(unit) {
+        const timestamp = new Date(unit.timestamp * 1000);
+
+        for (const message of unit.messages || []) {
+            if (message.app !== 'data_feed') continue;
+
+            for (const author of unit.authors || []) {
+                this.update(author.address, message.payload, timestamp);
+            }
+        }
+    }
+
+    /**
+     * Latest value of a feed
+     * oracles: an address, an array or ':'-separated addresses
+     * Throws if no listed oracle posted the feed, unless ifnone is given.
+     */
+    get({ oracles, feedName, ifnone }) {
+        const addresses = Array.isArray(oracles) ? oracles : String(oracles).split(':');
+        let latest = null;
+
+        for (const address of addresses) {
+            const entry = this.feeds.get(address + ':' + feedName);
+            if (entry && (!latest || entry.timestamp > latest.timestamp)) {
+                latest = entry;
+            }
+        }
+
+        if (latest) return latest.value;
+        if (ifnone !== undefined) return ifnone;
+        throw new Error(`data feed ${feedName} not found`);
+    }
+
+    /**
+     * Latest entry of a feed with its timestamp, or null
+     */
+    getEntry(oracle, feedName) {
+        return this.feeds.get(oracle + ':' + feedName) || null;
+    }
+}
+
+function toFeedValue(value) {
+    if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+        return Number(value);
+    }
+    return value;
+}
+
+module.exports = DataFeedStore;
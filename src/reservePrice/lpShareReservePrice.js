@@ -0,0 +1,61 @@
+/**
+ * LP Share Reserve Price
+ * Port of oswap_reserve_price.oscript and REChainEXChange_reserve_price.oscript:
+ * the USD value of a pool's balances, priced by two oracles, per issued LP share.
+ * params: { REChainEXChange_aa, x_oracle, x_feed_name, x_decimals, y_oracle, y_feed_name, y_decimals }
+ */
+
+const ReservePriceSource = require('./reservePriceSource');
+
+class LpShareReservePrice extends ReservePriceSource {
+    constructor(params = {}, feeds) {
+        super(params, feeds);
+        this.name = 'lp_share';
+        this.pool = null;
+    }
+
+    /**
+     * Set the pool state the AA reads
+     * pool: {
+     *   params: the pool AA's definition params ({ x_asset, y_asset }),
+     *   balances: the pool AA's balances by asset,
+     *   lpShares: the pool's lp_shares var ({ issued })
+     * }
+     */
+    update(pool) {
+        this.pool = pool;
+    }
+
+    /**
+     * Read the pool state through an AA client that implements getBalances and getDefinition
+     * Without them the state has to come through update().
+     */
+    async refresh(client) {
+        if (!client.getBalances || !client.getDefinition) return;
+
+        const pool = this.params.REChainEXChange_aa;
+        const [definition, balances, vars] = await Promise.all([
+            client.getDefinition(pool),
+            client.getBalances(pool),
+            client.readVars(pool)
+        ]);
+
+        this.update({ params: definition[1].params, balances, lpShares: vars.lp_shares });
+    }
+
+    getReservePrice() {
+        if (!this.pool) return null;
+
+        const { x_asset: xAsset, y_asset: yAsset } = this.pool.params;
+        const xBalance = this.pool.balances[xAsset] || 0;
+        const yBalance = this.pool.balances[yAsset] || 0;
+        const supply = this.pool.lpShares.issued;
+
+        const xRate = this.readFeed(this.params.x_oracle, this.params.x_feed_name, this.params.x_decimals || 0);
+        const yRate = this.readFeed(this.params.y_oracle, this.params.y_feed_name, this.params.y_decimals || 0);
+
+        return (xBalance * xRate + yBalance * yRate) / supply;
+    }
+}
+
+module.exports = LpShareReservePrice;
@@ -0,0 +1,52 @@
+/**
+ * Reserve Price Source
+ * JS equivalent of a reserve price AA's $get_reserve_price: the USD price of
+ * one unit of a perpetual AA's reserve asset. Oracle values come from a
+ * DataFeedStore.
+ */
+
+class ReservePriceSource {
+    /**
+     * params: params of the reserve price AA
+     * feeds: DataFeedStore
+     */
+    constructor(params = {}, feeds) {
+        this.params = params;
+        this.feeds = feeds;
+        this.name = 'reserve_price';
+    }
+
+    /**
+     * USD price of one unit of the reserve, or null if it cannot be priced
+     */
+    getReservePrice() {
+        throw new Error(`${this.constructor.name} does not implement getReservePrice`);
+    }
+
+    /**
+     * USD value of an amount of the reserve
+     */
+    valueInUsd(amount) {
+        const price = this.getReservePrice();
+        return price === null ? null : amount * price;
+    }
+
+    /**
+     * Feed value scaled down by 10^decimals, as the AAs' $small_pow does
+     */
+    readFeed(oracles, feedName, decimals = 0, ifnone) {
+        if (!Number.isInteger(decimals) || decimals < 0 || decimals > 12) {
+            throw new Error('unsupported power ' + decimals);
+        }
+
+        const value = this.feeds.get({ oracles, feedName, ifnone });
+        if (value === false) return null;
+        if (typeof value !== 'number') {
+            throw new Error(`data feed ${feedName} is not a number: ${value}`);
+        }
+
+        return value / Math.pow(10, decimals);
+    }
+}
+
+module.exports = ReservePriceSource;
@@ -0,0 +1,125 @@
+/**
+ * Reserve Valuation
+ * Values reserve holdings in USD with a JS reserve price source and checks it
+ * against the reserve price AA the perpetual AA actually uses, alerting when
+ * the two diverge.
+ */
+
+const EventEmitter = require('events');
+const DataFeedReservePrice = require('./reservePrice/dataFeedReservePrice');
+const LpShareReservePrice = require('./reservePrice/lpShareReservePrice');
+const { SystemClock } = require('./clock');
+
+// Source types by the reserve price AA they port
+const SOURCES = {
+    usd: DataFeedReservePrice,
+    oswap: LpShareReservePrice,
+    rechainexchange: LpShareReservePrice
+};
+
+class ReserveValuation extends EventEmitter {
+    /**
+     * config: {
+     *   source: { type: 'usd', 'oswap' or 'rechainexchange', params: params of the reserve price AA },
+     *   reservePriceAa: address of the reserve price AA to compare with,
+     *   divergenceThreshold: relative difference that alerts (default 0.01),
+     *   checkInterval: ms between checks
+     * }
+     * feeds: DataFeedStore
+     * client: see aaClient.js; without one there is nothing to compare with
+     */
+    constructor(config = {}, feeds, client, alertSystem) {
+        super();
+        this.config = config;
+        this.feeds = feeds;
+        this.client = client || null;
+        this.alertSystem = alertSystem;
+        this.clock = config.clock || new SystemClock();
+
+        this.source = ReserveValuation.createSource(config.source || {}, feeds);
+        this.reservePriceAa = config.reservePriceAa || null;
+        this.divergenceThreshold = config.divergenceThreshold !== undefined ? config.divergenceThreshold : 0.01;
+        this.checkInterval = config.checkInterval || 300000;
+
+        this.lastCheck = null;
+        this.diverged = false;
+        this.interval = null;
+    }
+
+    static createSource(config, feeds) {
+        const Source = SOURCES[String(config.type).toLowerCase()];
+        if (!Source) {
+            throw new Error(`Unknown reserve price source: ${config.type}. Expected one of ${Object.keys(SOURCES).join(', ')}`);
+        }
+        return new Source(config.params || {}, feeds);
+    }
+
+    start() {
+        if (!this.interval) {
+            this.interval = this.clock.setInterval(() => this.check(), this.checkInterval);
+        }
+    }
+
+    stop() {
+        if (this.interval) {
+            this.clock.clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    /**
+     * Compare our reserve price with the AA's $get_reserve_price
+     * Alerts once when the difference exceeds the threshold, and again after it recovers.
+     */
+    async check() {
+        try {
+            if (this.source.refresh && this.client) {
+                await this.source.refresh(this.client);
+            }
+
+            const price = this.source.getReservePrice();
+            const aaPrice = this.client && this.reservePriceAa
+                ? await this.client.executeGetter(this.reservePriceAa, 'get_reserve_price')
+                : null;
+
+            const divergence = price !== null && typeof aaPrice === 'number' && aaPrice !== 0
+                ? Math.abs(price - aaPrice) / aaPrice
+                : null;
+            const diverged = divergence !== null && divergence > this.divergenceThreshold;
+
+            this.lastCheck = { source: this.source.name, price, aaPrice, divergence, diverged, timestamp: this.clock.now() };
+
+            if (diverged && !this.diverged) {
+                await this.alertSystem.logAlert('WARNING', 'Reserve price diverges from the reserve price AA', this.lastCheck);
+                this.emit('divergence', this.lastCheck);
+            } else if (!diverged && this.diverged && divergence !== null) {
+                await this.alertSystem.logAlert('INFO', 'Reserve price is back in line with the reserve price AA', this.lastCheck);
+            }
+            if (divergence !== null) {
+                this.diverged = diverged;
+            }
+
+            return this.lastCheck;
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { context: 'reserve_valuation' });
+            return null;
+        }
+    }
+
+    /**
+     * USD value of an amount of the reserve
+     */
+    valueHoldings(amount) {
+        const price = this.source.getReservePrice();
+        return { amount, price, usdValue: price === null ? null : amount * price };
+    }
+
+    getInfo() {
+        return { source: this.source.name, reservePriceAa: this.reservePriceAa, lastCheck: this.lastCheck };
+    }
+}
+
+ReserveValuation.SOURCES = SOURCES;
+
+module.exports = ReserveValuation;
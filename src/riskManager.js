@@ -4,6 +4,18 @@
  */
 
 const EventEmitter = require('events');
+const RiskMetrics = require('./riskMetrics');
+const StressTester = require('./stressTester');
+
+// Trading state each breached limit trips, see checkCircuitBreakers
+const BREAKER_STATES = {
+    drawdown: 'HALTED',
+    dailyLoss: 'REDUCE_ONLY',
+    var: 'REDUCE_ONLY',
+    errorRate: 'HALTED'
+};
+// Trading states from loosest to strictest
+const STATE_ORDER = ['ACTIVE', 'REDUCE_ONLY', 'HALTED'];
 
 class RiskManager extends EventEmitter {
     constructor(config, tradingEngine, alertSystem) {
@@ -20,9 +32,17 @@ class RiskManager extends EventEmitter {
             maxLeverage: config.maxLeverage || 5,
             maxConcentration: config.maxConcentration || 0.25, // 25% in single asset
             varLimit: config.varLimit || 0.15, // 15% VaR limit
+            varMethod: config.varMethod || 'historical', // parametric, historical or monteCarlo
+            varConfidence: config.varConfidence || 0.95,
+            varHorizon: config.varHorizon || 1, // periods of the price history
+            varSimulations: config.varSimulations || 10000, // Monte Carlo draws
             stressTestThreshold: config.stressTestThreshold || 0.3, // 30% stress loss
             correlationLimit: config.correlationLimit || 0.8, // 80% correlation limit
-            liquidityThreshold: config.liquidityThreshold || 0.7 // 70% liquidity score
+            liquidityThreshold: config.liquidityThreshold || 0.7, // 70% liquidity score
+            maxErrorRate: config.maxErrorRate || 0.05, // 5% of trading operations failing
+            errorRateWindow: config.errorRateWindow || 300000, // 5 minutes
+            minErrorSample: config.minErrorSample || 20, // operations before the error rate counts
+            haltCooldown: config.haltCooldown ?? 900000 // 15 minutes before a tripped state may be resumed
         };
 
         // Risk state
@@ -30,10 +50,14 @@ class RiskManager extends EventEmitter {
             currentDrawdown: 0,
             dailyPnL: 0,
             portfolioVar: 0,
+            expectedShortfall: 0,
+            valueAtRisk: null,
             concentrationRisk: {},
             correlationRisk: {},
             liquidityRisk: {},
             lastResetDate: new Date().toDateString(),
+            dayStart: null,
+            peakPnL: 0,
             breaches: [],
             riskScore: 0
         };
@@ -46,6 +70,23 @@ class RiskManager extends EventEmitter {
             thresholds: new Map()
         };
 
+        this.riskMetrics = new RiskMetrics({
+            method: this.riskParams.varMethod,
+            confidence: this.riskParams.varConfidence,
+            horizon: this.riskParams.varHorizon,
+            simulations: this.riskParams.varSimulations,
+            random: config.random
+        });
+
+        // Scenarios the positions are stress tested under
+        this.stressTester = new StressTester({
+            dataDir: config.dataDir,
+            threshold: this.riskParams.stressTestThreshold
+        }, tradingEngine, this.riskMetrics);
+
+        // Recent trading operations and whether they failed, for the error rate
+        this.operations = [];
+
         // Historical risk data
         this.history = {
             drawdowns: [],
@@ -88,9 +129,23 @@ class RiskManager extends EventEmitter {
             this.tradingEngine.on('positionClosed', (position) => {
                 this.onPositionClosed(position);
             });
+
+            this.tradingEngine.on('positionReduced', (slice) => {
+                this.onPositionClosed(slice);
+            });
+
+            this.tradingEngine.on('fill', (fill) => {
+                this.recordOperation(fill.status === 'REJECTED');
+            });
         }
 
-        // Note: Alert system doesn't emit events, alerts are handled directly
+        // Logged errors count as failed operations
+        if (this.alertSystem.on) {
+            this.errorListener = (alert) => {
+                if (alert.level === 'ERROR') this.recordOperation(true);
+            };
+            this.alertSystem.on('alert', this.errorListener);
+        }
     }
 
     /**
@@ -107,6 +162,7 @@ class RiskManager extends EventEmitter {
      */
     async onPositionClosed(position) {
         await this.updateRiskMetrics();
+        await this.checkCircuitBreakers();
         await this.performRiskAssessment();
     }
 
@@ -124,7 +180,8 @@ class RiskManager extends EventEmitter {
     }
 
     /**
-     * Check position risk before opening
+     * Check an open position's risk and alert on breaches
+     * This runs after the position exists; evaluateTrade is what blocks trades.
      */
     async checkPositionRisk(position) {
         const risks = [];
@@ -155,10 +212,9 @@ class RiskManager extends EventEmitter {
                 risks: risks
             });
 
-            // Check if position should be blocked
-            const shouldBlock = risks.some(risk => risk.severity === 'CRITICAL');
-            if (shouldBlock) {
-                await this.alertSystem.logAlert('CRITICAL', 'Position blocked due to risk limits', {
+            const critical = risks.some(risk => risk.severity === 'CRITICAL');
+            if (critical) {
+                await this.alertSystem.logAlert('CRITICAL', 'Open position breaches risk limits', {
                     position: position.id,
                     blockingRisks: risks.filter(r => r.severity === 'CRITICAL')
                 });
@@ -169,6 +225,82 @@ class RiskManager extends EventEmitter {
         return true;
     }
 
+    /**
+     * Pre-trade gate, consulted by the trading engine before it adds exposure
+     * trade: { asset, side, size, price }
+     * Returns { decision, requestedSize, size, reasons }: APPROVE at the
+     * requested size, REDUCE to a smaller size that keeps position size and
+     * concentration within limits, or REJECT. Reasons are the risks found, in
+     * the shape checkPositionRisk reports them; MEDIUM ones only warn.
+     */
+    evaluateTrade(trade) {
+        const { asset, size, price } = trade;
+        const reasons = [];
+        const portfolioValue = this.tradingEngine.calculateTotalValue();
+        const decide = (decision, allowed) => ({ decision, requestedSize: size, size: allowed, reasons });
+
+        if (!(portfolioValue > 0)) {
+            reasons.push({
+                type: 'EQUITY',
+                severity: 'CRITICAL',
+                message: `Portfolio value ${portfolioValue} leaves no room for new positions`,
+                value: portfolioValue
+            });
+            return decide('REJECT', 0);
+        }
+
+        let allowed = size;
+
+        const maxValue = this.riskParams.maxPositionSize * portfolioValue;
+        if (size * price > maxValue) {
+            reasons.push({
+                type: 'POSITION_SIZE',
+                severity: 'HIGH',
+                message: `Position size ${(size * price / portfolioValue).toFixed(3)} exceeds limit ${this.riskParams.maxPositionSize}`,
+                value: size * price / portfolioValue,
+                limit: this.riskParams.maxPositionSize
+            });
+            allowed = Math.min(allowed, maxValue / price);
+        }
+
+        // Concentration counts what is already held in the asset, at market
+        const marketData = this.tradingEngine.marketData.get(asset);
+        const held = this.tradingEngine.getPositions(asset)
+            .reduce((sum, p) => sum + p.size * (marketData ? marketData.price : p.entryPrice), 0);
+        const maxAssetValue = this.riskParams.maxConcentration * portfolioValue;
+        if (held + size * price > maxAssetValue) {
+            reasons.push({
+                type: 'CONCENTRATION',
+                severity: 'HIGH',
+                message: `Asset concentration ${((held + size * price) / portfolioValue).toFixed(3)} exceeds limit ${this.riskParams.maxConcentration}`,
+                value: (held + size * price) / portfolioValue,
+                limit: this.riskParams.maxConcentration
+            });
+            allowed = Math.min(allowed, Math.max(0, maxAssetValue - held) / price);
+        }
+
+        const leverage = this.calculateLeverage(this.tradingEngine.calculateGrossExposure() + allowed * price, portfolioValue);
+        if (leverage > this.riskParams.maxLeverage) {
+            reasons.push({
+                type: 'LEVERAGE',
+                severity: 'CRITICAL',
+                message: `Leverage ${leverage.toFixed(2)} after the trade exceeds limit ${this.riskParams.maxLeverage}`,
+                value: leverage,
+                limit: this.riskParams.maxLeverage
+            });
+        }
+
+        const position = { asset, size: allowed, entryPrice: price };
+        for (const risk of [this.checkLiquidityRisk(position), this.checkCorrelationRisk(position)]) {
+            if (risk) reasons.push(risk);
+        }
+
+        if (reasons.some(risk => risk.severity === 'CRITICAL') || !(allowed > 0)) {
+            return decide('REJECT', 0);
+        }
+        return decide(allowed < size ? 'REDUCE' : 'APPROVE', allowed);
+    }
+
     /**
      * Check position size risk
      */
@@ -295,10 +427,16 @@ class RiskManager extends EventEmitter {
      * Calculate current leverage
      */
     calculateCurrentLeverage() {
-        const marginUsed = this.tradingEngine.portfolio.marginUsed;
-        const totalValue = this.tradingEngine.portfolio.totalValue;
+        return this.calculateLeverage(this.tradingEngine.calculateGrossExposure(), this.tradingEngine.calculateTotalValue());
+    }
 
-        return marginUsed > 0 ? totalValue / (totalValue - marginUsed) : 1;
+    /**
+     * Leverage of exposure (position value at market) on equity
+     */
+    calculateLeverage(exposure, equity) {
+        if (exposure <= 0) return 0;
+        // Exposure without equity behind it is unbounded leverage
+        return equity > 0 ? exposure / equity : Infinity;
     }
 
     /**
@@ -372,8 +510,11 @@ class RiskManager extends EventEmitter {
             // Update daily P&L
             this.updateDailyPnL();
 
-            // Update VaR
-            this.riskState.portfolioVar = this.calculateVaR();
+            // Update VaR and expected shortfall
+            const valueAtRisk = this.calculateVaR();
+            this.riskState.valueAtRisk = valueAtRisk;
+            this.riskState.portfolioVar = valueAtRisk.var;
+            this.riskState.expectedShortfall = valueAtRisk.expectedShortfall;
 
             // Update concentration risk
             this.riskState.concentrationRisk = this.calculateConcentrationRisk();
@@ -399,49 +540,43 @@ class RiskManager extends EventEmitter {
      * Calculate current drawdown
      */
     calculateDrawdown() {
-        const portfolioValues = this.history.portfolioValues || [];
-        if (portfolioValues.length === 0) return 0;
+        const value = this.tradingEngine.calculateTotalValue();
+        // Deposits and withdrawals move capital, not P&L
+        const capital = -this.tradingEngine.ledger.balance('capital');
 
-        const current = portfolioValues[portfolioValues.length - 1];
-        const peak = Math.max(...portfolioValues);
+        this.riskState.peakPnL = Math.max(this.riskState.peakPnL, value - capital);
+        const peak = capital + this.riskState.peakPnL;
 
-        return (peak - current) / peak;
+        return peak > 0 ? Math.max(0, (peak - value) / peak) : 0;
     }
 
     /**
      * Update daily P&L
      */
     updateDailyPnL() {
-        const today = new Date().toDateString();
-
-        if (today !== this.riskState.lastResetDate) {
-            // Reset daily P&L
-            this.riskState.dailyPnL = 0;
+        const today = this.tradingEngine.clock.now().toDateString();
+        const value = this.tradingEngine.calculateTotalValue();
+        const capital = -this.tradingEngine.ledger.balance('capital');
+
+        // P&L, realized and unrealized, is the change in value since the day
+        // started less what was deposited since
+        if (today !== this.riskState.lastResetDate || !this.riskState.dayStart) {
+            this.riskState.dayStart = { value, capital };
             this.riskState.lastResetDate = today;
         }
 
-        // Calculate today's P&L from closed positions
-        const todayTrades = this.history.trades?.filter(trade =>
-            new Date(trade.timestamp).toDateString() === today && trade.type === 'CLOSE'
-        ) || [];
-
-        this.riskState.dailyPnL = todayTrades.reduce((sum, trade) => sum + trade.pnl, 0);
+        const { dayStart } = this.riskState;
+        this.riskState.dailyPnL = (value - capital) - (dayStart.value - dayStart.capital);
     }
 
     /**
-     * Calculate Value at Risk (VaR)
+     * Value at Risk and Expected Shortfall of the open positions
+     * options: { method, confidence, horizon, simulations } overriding the configured ones
+     * Returns the RiskMetrics result, with var and expectedShortfall in the portfolio's currency.
      */
-    calculateVaR(confidence = 0.95) {
-        const pnlHistory = this.history.pnl || [];
-        if (pnlHistory.length < 30) return 0;
-
-        const losses = pnlHistory.filter(pnl => pnl < 0).map(pnl => Math.abs(pnl));
-        if (losses.length === 0) return 0;
-
-        losses.sort((a, b) => a - b);
-        const index = Math.floor(losses.length * (1 - confidence));
-
-        return losses[index] || 0;
+    calculateVaR(options = {}) {
+        const { returns, exposures } = RiskMetrics.fromEngine(this.tradingEngine);
+        return this.riskMetrics.calculate(returns, exposures, options);
     }
 
     /**
@@ -451,10 +586,11 @@ class RiskManager extends EventEmitter {
         const concentrations = {};
         const portfolioValue = this.tradingEngine.portfolio.totalValue;
 
-        for (const [asset, position] of this.tradingEngine.positions) {
+        for (const position of this.tradingEngine.positions.values()) {
+            const asset = position.asset;
             const marketData = this.tradingEngine.marketData.get(asset);
             const positionValue = position.size * (marketData ? marketData.price : position.entryPrice);
-            concentrations[asset] = positionValue / portfolioValue;
+            concentrations[asset] = (concentrations[asset] || 0) + positionValue / portfolioValue;
         }
 
         return concentrations;
@@ -464,7 +600,7 @@ class RiskManager extends EventEmitter {
      * Calculate correlation risk
      */
     calculateCorrelationRisk() {
-        const assets = Array.from(this.tradingEngine.positions.keys());
+        const assets = Array.from(new Set(this.tradingEngine.getPositions().map(p => p.asset)));
         const correlations = {};
 
         for (let i = 0; i < assets.length; i++) {
@@ -490,12 +626,15 @@ class RiskManager extends EventEmitter {
     calculateLiquidityRisk() {
         const liquidityScores = {};
 
-        for (const [asset, position] of this.tradingEngine.positions) {
+        const assetValues = {};
+        for (const position of this.tradingEngine.positions.values()) {
+            assetValues[position.asset] = (assetValues[position.asset] || 0) + position.size * position.entryPrice;
+        }
+
+        for (const [asset, positionValue] of Object.entries(assetValues)) {
             const marketData = this.tradingEngine.marketData.get(asset);
             if (marketData) {
-                const spread = (marketData.ask - marketData.bid) / marketData.price;
                 const volume = marketData.volume || 0;
-                const positionValue = position.size * position.entryPrice;
 
                 // Liquidity score (0-1, higher is better)
                 liquidityScores[asset] = Math.min(1, volume / (positionValue * 100));
@@ -550,6 +689,13 @@ class RiskManager extends EventEmitter {
             value: this.riskState.portfolioVar
         });
 
+        this.emit('historyStored', {
+            timestamp,
+            drawdown: this.riskState.currentDrawdown,
+            dailyLoss: this.riskState.dailyPnL,
+            var: this.riskState.portfolioVar
+        });
+
         // Keep only last 1000 points
         Object.keys(this.history).forEach(key => {
             if (this.history[key].length > 1000) {
@@ -700,6 +846,9 @@ class RiskManager extends EventEmitter {
      * Check risk limits
      */
     checkRiskLimits() {
+        const errorRate = this.calculateErrorRate();
+        // Valued now rather than at the last mark, which a fill may have left behind
+        const portfolioValue = this.tradingEngine.calculateTotalValue();
         const limits = {
             drawdown: {
                 current: this.riskState.currentDrawdown,
@@ -707,14 +856,20 @@ class RiskManager extends EventEmitter {
                 status: this.riskState.currentDrawdown > this.riskParams.maxDrawdown ? 'BREACHED' : 'OK'
             },
             dailyLoss: {
-                current: Math.abs(this.riskState.dailyPnL) / this.tradingEngine.portfolio.totalValue,
+                // A gain is no loss
+                current: Math.max(0, -this.riskState.dailyPnL) / portfolioValue,
                 limit: this.riskParams.maxDailyLoss,
-                status: (Math.abs(this.riskState.dailyPnL) / this.tradingEngine.portfolio.totalValue) > this.riskParams.maxDailyLoss ? 'BREACHED' : 'OK'
+                status: (Math.max(0, -this.riskState.dailyPnL) / portfolioValue) > this.riskParams.maxDailyLoss ? 'BREACHED' : 'OK'
             },
             var: {
-                current: this.riskState.portfolioVar / this.tradingEngine.portfolio.totalValue,
+                current: this.riskState.portfolioVar / portfolioValue,
                 limit: this.riskParams.varLimit,
-                status: (this.riskState.portfolioVar / this.tradingEngine.portfolio.totalValue) > this.riskParams.varLimit ? 'BREACHED' : 'OK'
+                status: (this.riskState.portfolioVar / portfolioValue) > this.riskParams.varLimit ? 'BREACHED' : 'OK'
+            },
+            errorRate: {
+                current: errorRate,
+                limit: this.riskParams.maxErrorRate,
+                status: errorRate > this.riskParams.maxErrorRate ? 'BREACHED' : 'OK'
             }
         };
 
@@ -752,7 +907,7 @@ class RiskManager extends EventEmitter {
             try {
                 await this.updateRiskMetrics();
                 await this.performRiskAssessment();
-                await this.checkRiskLimits();
+                await this.checkCircuitBreakers();
             } catch (error) {
                 await this.alertSystem.logError(error, { context: 'risk_monitoring' });
             }
@@ -783,21 +938,153 @@ class RiskManager extends EventEmitter {
     }
 
     /**
-     * Emergency stop - close all positions
+     * Record a trading operation for the error rate
+     */
+    recordOperation(failed) {
+        const now = this.tradingEngine.clock.now().getTime();
+        this.operations.push({ timestamp: now, failed });
+        this.pruneOperations(now);
+    }
+
+    pruneOperations(now) {
+        const cutoff = now - this.riskParams.errorRateWindow;
+        while (this.operations.length > 0 && this.operations[0].timestamp < cutoff) {
+            this.operations.shift();
+        }
+    }
+
+    /**
+     * Share of failed operations (rejected fills and logged errors) in the
+     * error rate window; 0 until the window holds minErrorSample of them
+     */
+    calculateErrorRate() {
+        this.pruneOperations(this.tradingEngine.clock.now().getTime());
+        if (this.operations.length < this.riskParams.minErrorSample) return 0;
+
+        return this.operations.filter(operation => operation.failed).length / this.operations.length;
+    }
+
+    /**
+     * Limits breached now, with the trading state each one calls for
+     */
+    findBreaches() {
+        return Object.entries(this.checkRiskLimits())
+            .filter(([, limit]) => limit.status === 'BREACHED')
+            .map(([name, limit]) => ({
+                limit: name,
+                current: limit.current,
+                max: limit.limit,
+                state: BREAKER_STATES[name]
+            }));
+    }
+
+    /**
+     * Trip trading into REDUCE_ONLY or HALTED on breached limits
+     * Drawdown and error rate breaches halt trading, daily loss and VaR
+     * breaches make it reduce-only. Breakers only tighten the state; loosening
+     * it again is resumeTrading's job. Returns the breaches found.
+     */
+    async checkCircuitBreakers() {
+        const breaches = this.findBreaches();
+        if (breaches.length === 0) return breaches;
+
+        const target = breaches.some(breach => breach.state === 'HALTED') ? 'HALTED' : 'REDUCE_ONLY';
+        const current = this.tradingEngine.tradingState.state;
+
+        if (STATE_ORDER.indexOf(target) > STATE_ORDER.indexOf(current)) {
+            const reason = breaches
+                .map(breach => `${breach.limit} ${breach.current.toFixed(3)} exceeds limit ${breach.max}`)
+                .join('; ');
+            await this.tradingEngine.setTradingState(target, reason, {
+                source: 'risk',
+                actor: 'riskManager',
+                cooldown: this.riskParams.haltCooldown,
+                breaches
+            });
+        }
+
+        return breaches;
+    }
+
+    /**
+     * Resume trading after a halt or a reduce-only period
+     * request: { actor, reason, state: 'ACTIVE' (default) or 'REDUCE_ONLY' },
+     * and anything else to keep in the audit trail, e.g. the client's address
+     * Refused until the cool-down is over, and while a limit that calls for a
+     * stricter state than the one asked for is still breached. The drawdown
+     * cannot recover while trading is stopped, so resuming acknowledges it:
+     * drawdown is measured from the value at the resume on.
+     * Returns { resumed: true, tradingState } or { resumed: false, error, ... }.
      */
-    async emergencyStop(reason) {
-        await this.alertSystem.logAlert('CRITICAL', 'Emergency stop triggered', { reason });
+    async resumeTrading({ actor, reason, state = 'ACTIVE', ...audit }) {
+        if (!actor || !reason) {
+            return { resumed: false, error: 'actor and reason are required' };
+        }
+
+        const tradingState = this.tradingEngine.tradingState;
+        if (state !== 'ACTIVE' && state !== 'REDUCE_ONLY') {
+            return { resumed: false, error: `Cannot resume into ${state}` };
+        }
+        if (STATE_ORDER.indexOf(state) >= STATE_ORDER.indexOf(tradingState.state)) {
+            return { resumed: false, error: `Trading is already ${tradingState.state}` };
+        }
+
+        if (tradingState.resumeAfter && this.tradingEngine.clock.now() < new Date(tradingState.resumeAfter)) {
+            return {
+                resumed: false,
+                error: `Cool-down runs until ${new Date(tradingState.resumeAfter).toISOString()}`,
+                resumeAfter: tradingState.resumeAfter
+            };
+        }
+
+        await this.updateRiskMetrics();
+        const breaches = this.findBreaches()
+            .filter(breach => breach.limit !== 'drawdown')
+            .filter(breach => STATE_ORDER.indexOf(breach.state) > STATE_ORDER.indexOf(state));
+        if (breaches.length > 0) {
+            return {
+                resumed: false,
+                error: `Limits still breached: ${breaches.map(breach => breach.limit).join(', ')}`,
+                breaches
+            };
+        }
+
+        this.riskState.peakPnL = this.tradingEngine.calculateTotalValue() + this.tradingEngine.ledger.balance('capital');
+        this.riskState.currentDrawdown = 0;
+        await this.tradingEngine.setTradingState(state, reason, { ...audit, source: 'manual', actor });
+
+        // An emergency stop left monitoring off
+        this.monitoring.active = true;
+        if (!this.monitoringInterval) {
+            this.startMonitoring();
+        }
+
+        return { resumed: true, tradingState: this.tradingEngine.getTradingState() };
+    }
+
+    /**
+     * Emergency stop - halt trading and close all positions
+     * Trading stays HALTED until resumed after the cool-down.
+     */
+    async emergencyStop(reason, actor = null) {
+        await this.alertSystem.logAlert('CRITICAL', 'Emergency stop triggered', { reason, actor });
+
+        // Halt first so nothing opens while the positions close
+        await this.tradingEngine.setTradingState('HALTED', reason, {
+            source: 'emergency',
+            actor,
+            cooldown: this.riskParams.haltCooldown
+        });
 
         // Close all positions
-        for (const [asset, position] of this.tradingEngine.positions) {
-            await this.tradingEngine.closePosition(asset);
+        for (const position of this.tradingEngine.getPositions()) {
+            await this.tradingEngine.closePosition(position.asset, { positionId: position.id });
         }
 
-        // Stop trading
         this.monitoring.active = false;
         this.stopMonitoring();
 
-        this.emit('emergencyStop', { reason, timestamp: new Date() });
+        this.emit('emergencyStop', { reason, actor, timestamp: new Date() });
     }
 
     /**
@@ -805,6 +1092,10 @@ class RiskManager extends EventEmitter {
      */
     cleanup() {
         this.stopMonitoring();
+        if (this.errorListener) {
+            this.alertSystem.off('alert', this.errorListener);
+            this.errorListener = null;
+        }
         this.removeAllListeners();
     }
 }
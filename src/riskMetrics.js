@@ -0,0 +1,312 @@
+/**
+ * Risk Metrics
+ * Value at Risk and Expected Shortfall of a portfolio, from the return series
+ * of its assets and the signed value held in each (long positive, short
+ * negative). Three methods:
+ *   parametric:  normal P&L from the mean and covariance of the returns
+ *   historical:  the portfolio revalued over each past window of the series
+ *   monteCarlo:  correlated normal returns drawn from the same mean and covariance
+ *
+ * The horizon counts periods of the return series: ticks for the live price
+ * history, bars in a backtest. Figures are losses in the portfolio's currency,
+ * never below 0. Each asset is also measured on its own; the sum of those
+ * less the portfolio figure is what diversification saves.
+ */
+
+const METHODS = ['parametric', 'historical', 'monteCarlo'];
+
+class RiskMetrics {
+    /**
+     * config: {
+     *   method: one of METHODS (default 'historical'),
+     *   confidence: e.g. 0.95 (default), 0.99,
+     *   horizon: periods of the return series (default 1),
+     *   simulations: Monte Carlo draws (default 10000),
+     *   minObservations: returns needed before there is a figure (default 30),
+     *   random: uniform generator in [0, 1) for Monte Carlo (default Math.random)
+     * }
+     */
+    constructor(config = {}) {
+        this.method = config.method || 'historical';
+        this.confidence = config.confidence || 0.95;
+        this.horizon = config.horizon || 1;
+        this.simulations = config.simulations || 10000;
+        this.minObservations = config.minObservations || 30;
+        this.random = config.random || Math.random;
+
+        const error = RiskMetrics.validate(this);
+        if (error) {
+            throw new Error(error);
+        }
+    }
+
+    /**
+     * Check { method, confidence, horizon, simulations }; returns an error or null
+     */
+    static validate({ method, confidence, horizon, simulations }) {
+        if (method !== undefined && !METHODS.includes(method)) {
+            return `method must be one of: ${METHODS.join(', ')}`;
+        }
+        if (confidence !== undefined && !(confidence > 0.5 && confidence < 1)) {
+            return 'confidence must be between 0.5 and 1';
+        }
+        if (horizon !== undefined && !(Number.isInteger(horizon) && horizon >= 1)) {
+            return 'horizon must be a positive integer';
+        }
+        if (simulations !== undefined && !(Number.isInteger(simulations) && simulations >= 100)) {
+            return 'simulations must be an integer of at least 100';
+        }
+        return null;
+    }
+
+    /**
+     * VaR and ES of the exposures over the horizon
+     * returns: { [asset]: [return per period, oldest first] }, aligned on their last period
+     * exposures: { [asset]: signed value held }
+     * options: { method, confidence, horizon, simulations } overriding the config
+     * Returns { method, confidence, horizon, observations, var, expectedShortfall,
+     *   assets: { [asset]: { exposure, var, expectedShortfall } }, undiversifiedVar, diversification }
+     */
+    calculate(returns, exposures, options = {}) {
+        const error = RiskMetrics.validate(options);
+        if (error) {
+            throw new Error(error);
+        }
+
+        const method = options.method || this.method;
+        const confidence = options.confidence || this.confidence;
+        const horizon = options.horizon || this.horizon;
+        const simulations = options.simulations || this.simulations;
+
+        const assets = Object.keys(exposures).filter(asset => exposures[asset] !== 0 && returns[asset]);
+        const observations = assets.length > 0 ? Math.min(...assets.map(asset => returns[asset].length)) : 0;
+        const result = {
+            method,
+            confidence,
+            horizon,
+            observations,
+            var: 0,
+            expectedShortfall: 0,
+            assets: {},
+            undiversifiedVar: 0,
+            diversification: 0
+        };
+
+        // Too short a history for the horizon says nothing about it
+        if (assets.length === 0 || observations < Math.max(this.minObservations, horizon + 1)) {
+            return result;
+        }
+
+        const series = assets.map(asset => returns[asset].slice(-observations));
+        const weights = assets.map(asset => exposures[asset]);
+
+        let portfolio;
+        let standalone;
+        if (method === 'parametric') {
+            const { mean, covariance } = moments(series);
+            const measure = (w) => normalTail(
+                dot(w, mean) * horizon,
+                Math.sqrt(Math.max(0, quadratic(covariance, w)) * horizon),
+                confidence
+            );
+            portfolio = measure(weights);
+            standalone = weights.map((w, i) => measure(weights.map((_, j) => (i === j ? w : 0))));
+        } else {
+            const scenarios = method === 'historical'
+                ? historicalScenarios(series, horizon)
+                : this.monteCarloScenarios(series, horizon, simulations);
+            portfolio = sampleTail(scenarios.map(scenario => dot(weights, scenario)), confidence);
+            standalone = weights.map((w, i) => sampleTail(scenarios.map(scenario => w * scenario[i]), confidence));
+        }
+
+        result.var = portfolio.var;
+        result.expectedShortfall = portfolio.expectedShortfall;
+        assets.forEach((asset, i) => {
+            result.assets[asset] = { exposure: weights[i], ...standalone[i] };
+        });
+        result.undiversifiedVar = standalone.reduce((sum, s) => sum + s.var, 0);
+        result.diversification = result.undiversifiedVar - result.var;
+        return result;
+    }
+
+    /**
+     * Horizon returns drawn from a normal with the series' mean and covariance
+     */
+    monteCarloScenarios(series, horizon, simulations) {
+        const { mean, covariance } = moments(series);
+        const lower = cholesky(covariance.map(row => row.map(value => value * horizon)));
+        const scenarios = [];
+
+        for (let s = 0; s < simulations; s++) {
+            const z = mean.map(() => this.normal());
+            scenarios.push(mean.map((m, i) => {
+                let shock = 0;
+                for (let j = 0; j <= i; j++) {
+                    shock += lower[i][j] * z[j];
+                }
+                return m * horizon + shock;
+            }));
+        }
+        return scenarios;
+    }
+
+    /**
+     * Standard normal draw (Box-Muller)
+     */
+    normal() {
+        const u = 1 - this.random();
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Return series and exposures of a trading engine's open positions
+     * Prices come from its price history, exposures at the last market price.
+     * Returns { returns, exposures } for calculate().
+     */
+    static fromEngine(tradingEngine) {
+        const exposures = {};
+        for (const position of tradingEngine.getPositions()) {
+            const market = tradingEngine.marketData.get(position.asset);
+            const price = market ? market.price : position.entryPrice;
+            const value = position.size * price * (position.side === 'SHORT' ? -1 : 1);
+            exposures[position.asset] = (exposures[position.asset] || 0) + value;
+        }
+
+        const returns = {};
+        for (const asset of Object.keys(exposures)) {
+            returns[asset] = simpleReturns((tradingEngine.priceHistory.get(asset) || []).map(point => point.price));
+        }
+        return { returns, exposures };
+    }
+}
+
+function simpleReturns(prices) {
+    const returns = [];
+    for (let i = 1; i < prices.length; i++) {
+        returns.push((prices[i] - prices[i - 1]) / prices[i - 1]);
+    }
+    return returns;
+}
+
+function dot(a, b) {
+    return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+function quadratic(matrix, w) {
+    return w.reduce((sum, wi, i) => sum + wi * dot(matrix[i], w), 0);
+}
+
+/**
+ * Mean and sample covariance of equally long series
+ */
+function moments(series) {
+    const n = series[0].length;
+    const mean = series.map(s => s.reduce((a, b) => a + b, 0) / n);
+    const covariance = series.map((si, i) => series.map((sj, j) => {
+        let sum = 0;
+        for (let t = 0; t < n; t++) {
+            sum += (si[t] - mean[i]) * (sj[t] - mean[j]);
+        }
+        return sum / (n - 1);
+    }));
+    return { mean, covariance };
+}
+
+/**
+ * Lower triangular L with L·Lᵀ = matrix; a semi-definite matrix, e.g. of
+ * perfectly correlated assets, gets zero columns where it has no variance left
+ */
+function cholesky(matrix) {
+    const size = matrix.length;
+    const lower = matrix.map(() => new Array(size).fill(0));
+
+    for (let i = 0; i < size; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= lower[i][k] * lower[j][k];
+            }
+            if (i === j) {
+                lower[i][j] = Math.sqrt(Math.max(0, sum));
+            } else {
+                lower[i][j] = lower[j][j] > 0 ? sum / lower[j][j] : 0;
+            }
+        }
+    }
+    return lower;
+}
+
+/**
+ * Compounded returns over every window of `horizon` consecutive periods
+ */
+function historicalScenarios(series, horizon) {
+    const scenarios = [];
+    for (let t = horizon; t <= series[0].length; t++) {
+        scenarios.push(series.map(s => {
+            let growth = 1;
+            for (let k = t - horizon; k < t; k++) {
+                growth *= 1 + s[k];
+            }
+            return growth - 1;
+        }));
+    }
+    return scenarios;
+}
+
+/**
+ * VaR is the smallest of the worst (1 - confidence) share of losses, ES their mean
+ */
+function sampleTail(pnl, confidence) {
+    const losses = pnl.map(value => -value).sort((a, b) => b - a);
+    const tail = losses.slice(0, Math.max(1, Math.ceil(losses.length * (1 - confidence) - 1e-9)));
+
+    return {
+        var: Math.max(0, tail[tail.length - 1]),
+        expectedShortfall: Math.max(0, tail.reduce((a, b) => a + b, 0) / tail.length)
+    };
+}
+
+/**
+ * VaR and ES of normal P&L with the given mean and standard deviation
+ */
+function normalTail(mean, std, confidence) {
+    const z = inverseNormal(confidence);
+    const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+
+    return {
+        var: Math.max(0, z * std - mean),
+        expectedShortfall: Math.max(0, std * density / (1 - confidence) - mean)
+    };
+}
+
+/**
+ * Quantile of the standard normal distribution (Acklam's approximation,
+ * relative error below 1.2e-9)
+ */
+function inverseNormal(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+        return -inverseNormal(1 - p);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+RiskMetrics.METHODS = METHODS;
+RiskMetrics.inverseNormal = inverseNormal;
+
+module.exports = RiskMetrics;
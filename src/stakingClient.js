@@ -0,0 +1,411 @@
+/**
+ * Staking Client
+ * Stakes perp tokens in the staking AA of a perpetual AA, votes with the
+ * voting power of staked asset0 and withdraws rewards and staker fees.
+ * Voting power and pending rewards are computed from the AA's state vars the
+ * way $get_vp and $get_rewards do, so they can be shown without a getter call.
+ */
+
+const { SystemClock } = require('./clock');
+
+// staking.oscript constants
+const COMMON_TS = 1657843200;
+const YEAR = 360 * 24 * 3600;
+const MAX_VOTED_PERPS = 30;
+
+class StakingClient {
+    /**
+     * config: {
+     *   aaAddress: address of the perpetual AA,
+     *   stakingAa: address of its staking AA, read from the perpetual AA's staking_aa var if omitted,
+     *   reserveAsset: reserve asset of the perpetual AA, in which staker fees are paid,
+     *   params: params of the staking AA (max_term, min_term, decay_factor),
+     *   bounceFee: bytes sent along with every trigger
+     * }
+     * client: see aaClient.js
+     */
+    constructor(config = {}, client, alertSystem) {
+        this.config = config;
+        this.client = client;
+        this.alertSystem = alertSystem;
+        this.clock = config.clock || new SystemClock();
+
+        this.aaAddress = config.aaAddress;
+        this.stakingAa = config.stakingAa || null;
+        this.reserveAsset = config.reserveAsset || 'base';
+        this.params = config.params || {};
+        this.bounceFee = config.bounceFee || 10000;
+
+        this.address = null;
+        this.vars = {};
+        this.aaState = {};
+    }
+
+    getMaxTerm() { return this.params.max_term || 360; }
+    getMinTerm() { return this.params.min_term || 14; }
+    getDecayFactor() { return this.params.decay_factor || 8; }
+
+    /**
+     * Re-read the staking AA's state vars and the perpetual AA's state
+     */
+    async refresh() {
+        if (!this.address) {
+            this.address = await this.client.getAddress();
+        }
+
+        const perpVars = await this.client.readVars(this.aaAddress);
+        this.aaState = perpVars.state || {};
+        if (!this.stakingAa) {
+            this.stakingAa = perpVars.staking_aa;
+        }
+        if (!this.stakingAa) {
+            throw new Error(`Perpetual AA ${this.aaAddress} has no staking AA`);
+        }
+
+        this.vars = await this.client.readVars(this.stakingAa);
+    }
+
+    /**
+     * Port of $get_vp: voting power of an address's staked asset0, decaying over time
+     */
+    getVotingPower(address = this.address, options = {}) {
+        const user = this.vars['user_' + address + '_a0'];
+        if (!user) return 0;
+
+        const timestamp = options.timestamp || this.now();
+        return user.normalized_vp / Math.pow(this.getDecayFactor(), (timestamp - COMMON_TS) / YEAR);
+    }
+
+    /**
+     * Port of $get_rewards: pending rewards of an address in a perp asset, keyed by reward asset key
+     * The key 'r' holds staker fees, paid in the reserve asset, for asset0 stakers.
+     */
+    getRewards(perpAsset, address = this.address) {
+        const state = this.vars.state || {};
+        const emissions = this.vars.emissions || {};
+
+        const perp = clone(this.vars['asset_' + perpAsset]);
+        check(perp, 'no such perp ' + perpAsset);
+
+        const perpVps = this.vars['perp_vps_' + perp.group_key] || {};
+        const userPerp = clone(this.getUserPerp(perpAsset, address));
+        const totalPerpBalance = this.vars['perp_asset_balance_' + perp.asset_key];
+
+        this.distributeEmissions(state, perp, userPerp, perpVps, totalPerpBalance, emissions, perpAsset === this.aaState.asset0);
+        return userPerp.rewards;
+    }
+
+    /**
+     * Port of staking-lib's $distribute_emissions, on copies of the vars
+     */
+    distributeEmissions(state, perp, userPerp, perpVps, totalPerpBalance, emissions, bAsset0) {
+        if (!state.total_normalized_vp) return;
+
+        if (bAsset0) {
+            const userShare = (userPerp.normalized_vp || 0) / state.total_normalized_vp;
+            const newFees = (this.aaState.total_staker_fees || 0) - (userPerp.last_perp_emissions.r || 0);
+            userPerp.last_perp_emissions.r = this.aaState.total_staker_fees || 0;
+            userPerp.rewards.r = (userPerp.rewards.r || 0) + newFees * userShare;
+        }
+
+        perp.last_emissions = perp.last_emissions || {};
+        perp.received_emissions = perp.received_emissions || {};
+
+        const perpShare = (perpVps[perp.asset_key] || 0) / state.total_normalized_vp;
+        const userShare = bAsset0
+            ? (userPerp.normalized_vp || 0) / state.total_normalized_vp
+            : (totalPerpBalance ? userPerp.balance / totalPerpBalance : 0);
+
+        for (const [key, assetEmissions] of Object.entries(emissions)) {
+            // re-whitelisted
+            if (assetEmissions < (perp.last_emissions[key] || 0)) {
+                perp.last_emissions[key] = 0;
+                perp.received_emissions[key] = 0;
+            }
+            if ((perp.received_emissions[key] || 0) < (userPerp.last_perp_emissions[key] || 0)) {
+                userPerp.last_perp_emissions[key] = 0;
+            }
+
+            const newTotalEmissions = assetEmissions - (perp.last_emissions[key] || 0);
+            perp.received_emissions[key] = (perp.received_emissions[key] || 0) + newTotalEmissions * perpShare;
+            perp.last_emissions[key] = assetEmissions;
+
+            const newEmissions = perp.received_emissions[key] - (userPerp.last_perp_emissions[key] || 0);
+            userPerp.last_perp_emissions[key] = perp.received_emissions[key];
+            userPerp.rewards[key] = (userPerp.rewards[key] || 0) + newEmissions * userShare;
+        }
+    }
+
+    getUserPerp(perpAsset, address = this.address) {
+        const perp = this.vars['asset_' + perpAsset];
+        return (perp && this.vars['user_' + address + '_' + perp.asset_key])
+            || { balance: 0, last_perp_emissions: {}, rewards: {} };
+    }
+
+    /**
+     * Reward asset of a reward asset key; 'r' is the reserve asset
+     */
+    getRewardAsset(key) {
+        if (key === 'r') return this.reserveAsset;
+
+        const name = Object.keys(this.vars).find(name => name.startsWith('reward_assets_') && this.vars[name] === key);
+        return name ? name.substr('reward_assets_'.length) : null;
+    }
+
+    /**
+     * Our stakes, voting power and votes from the last refreshed state
+     */
+    describeStakes() {
+        const stakes = [];
+
+        for (const name of Object.keys(this.vars)) {
+            if (!name.startsWith('asset_')) continue;
+
+            const asset = name.substr('asset_'.length);
+            const userPerp = this.vars['user_' + this.address + '_' + this.vars[name].asset_key];
+            if (!userPerp) continue;
+
+            const rewards = Object.entries(this.getRewards(asset))
+                .map(([key, amount]) => ({ key, rewardAsset: this.getRewardAsset(key), amount }));
+
+            stakes.push({
+                asset,
+                assetKey: this.vars[name].asset_key,
+                groupKey: this.vars[name].group_key,
+                balance: userPerp.balance,
+                expiresAt: userPerp.expiry_ts ? new Date(userPerp.expiry_ts * 1000) : null,
+                rewards
+            });
+        }
+
+        return {
+            address: this.address,
+            stakingAa: this.stakingAa,
+            votingPower: this.getVotingPower(),
+            votes: this.vars['votes_' + this.address] || {},
+            stakes
+        };
+    }
+
+    /**
+     * Map perp asset IDs to the AA's asset keys (a0, a1, ...); keys are kept as they are
+     */
+    toAssetKeys(map = {}) {
+        const result = {};
+        for (const [asset, value] of Object.entries(map)) {
+            const perp = this.vars['asset_' + asset];
+            result[perp ? perp.asset_key : asset] = value;
+        }
+        return result;
+    }
+
+    findGroupKey(assetKey) {
+        const name = Object.keys(this.vars).find(name => name.startsWith('perp_vps_g') && this.vars[name][assetKey] !== undefined);
+        return name ? name.substr('perp_vps_'.length) : null;
+    }
+
+    /**
+     * Validate a deposit against the last refreshed state
+     * Staking asset0 needs a term in days and percentages of the voting power
+     * to vote for perps with, all within one group.
+     * Returns an error message or null
+     */
+    validateDeposit(perpAsset, amount, options = {}) {
+        if (!Number.isInteger(amount) || amount <= 0) return 'amount must be a positive integer';
+        if (!this.vars['asset_' + perpAsset]) return 'perp asset not initialized';
+        if (perpAsset !== this.aaState.asset0) return null;
+
+        const { term } = options;
+        if (!Number.isInteger(term) || term < this.getMinTerm() || term > this.getMaxTerm()) return 'invalid term';
+
+        const expiryTs = this.getUserPerp(perpAsset).expiry_ts || 0;
+        if (this.now() + term * 24 * 3600 < expiryTs) {
+            return 'the new term should expire after ' + new Date(expiryTs * 1000).toISOString();
+        }
+
+        const percentages = this.toAssetKeys(options.percentages);
+        const keys = Object.keys(percentages);
+        if (keys.length === 0) return 'no percentages';
+
+        let total = 0;
+        for (const key of keys) {
+            if (!(percentages[key] > 0)) return 'invalid percentage ' + percentages[key];
+            total += percentages[key];
+        }
+        if (total !== 100) return 'percentages sum to ' + total;
+
+        const groupKey = options.votedGroupKey || this.findGroupKey(keys[0]);
+        const perpVps = this.vars['perp_vps_' + groupKey] || {};
+        const missing = keys.find(key => perpVps[key] === undefined);
+        if (missing) return `perp asset key ${missing} not found in this group`;
+
+        const votes = { ...(this.vars['votes_' + this.address] || {}), ...percentages };
+        if (Object.keys(votes).length > MAX_VOTED_PERPS) return `max total number of supported perps is ${MAX_VOTED_PERPS}`;
+
+        return null;
+    }
+
+    /**
+     * Validate a withdrawal against the last refreshed state
+     * Staked asset0 can be withdrawn only in full and only after its term.
+     * Returns an error message or null
+     */
+    validateWithdrawal(perpAsset, amount) {
+        const userPerp = this.getUserPerp(perpAsset);
+        if (!(userPerp.balance > 0)) return 'you have no balance in this perp asset';
+        if (amount !== undefined && (!Number.isInteger(amount) || amount <= 0 || amount > userPerp.balance)) {
+            return 'invalid withdrawal amount';
+        }
+
+        if (perpAsset === this.aaState.asset0) {
+            if (this.now() < userPerp.expiry_ts) {
+                return 'you can unstake only after ' + new Date(userPerp.expiry_ts * 1000).toISOString();
+            }
+            if (amount !== undefined && amount !== userPerp.balance) return 'please withdraw all';
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate a reward withdrawal; rewardAsset null withdraws asset0 staker fees
+     * Returns an error message or null
+     */
+    validateRewardWithdrawal(perpAsset, rewardAsset) {
+        if (!(this.getUserPerp(perpAsset).balance > 0)) return 'you have no balance in this perp asset';
+        if (!rewardAsset && perpAsset !== this.aaState.asset0) return 'staker fees are paid to asset0 stakers only';
+        if (rewardAsset && !this.vars['reward_assets_' + rewardAsset]) return 'reward asset not known';
+        return null;
+    }
+
+    /**
+     * Validate moving votes between perps; changes must net to zero
+     * Returns an error message or null
+     */
+    validateVoteShares(changes) {
+        const deltas = this.toAssetKeys(changes);
+        const votes = this.vars['votes_' + this.address] || {};
+        const groups = new Set();
+        let total = 0;
+        let max = 0;
+
+        for (const [key, delta] of Object.entries(deltas)) {
+            if (typeof delta !== 'number') return 'invalid change for ' + key;
+            if ((votes[key] || 0) + delta < 0) return 'would have negative votes for perp_asset_key ' + key;
+
+            const groupKey = this.findGroupKey(key);
+            if (!groupKey) return `perp asset key ${key} not found`;
+            groups.add(groupKey);
+
+            total += delta;
+            max = Math.max(max, Math.abs(delta));
+        }
+
+        if (groups.size === 0) return 'no changes';
+        if (groups.size > 2) return 'changes may span at most two groups';
+        if (Math.abs(total) >= max * 1e-14) return 'total votes changed by ' + total;
+
+        return null;
+    }
+
+    async deposit(perpAsset, amount, options = {}) {
+        const data = { deposit: 1 };
+
+        if (perpAsset === this.aaState.asset0) {
+            const percentages = this.toAssetKeys(options.percentages);
+            data.term = options.term;
+            data.voted_group_key = options.votedGroupKey || this.findGroupKey(Object.keys(percentages)[0]);
+            data.percentages = percentages;
+        }
+
+        return await this.trigger({ [perpAsset]: amount, base: this.bounceFee }, data);
+    }
+
+    /**
+     * Withdraw staked tokens, all of them if amount is omitted
+     */
+    async withdraw(perpAsset, amount) {
+        const data = { perp_asset: perpAsset, withdraw: 1 };
+        if (amount !== undefined) data.amount = amount;
+
+        if (perpAsset === this.aaState.asset0) {
+            const votes = this.vars['votes_' + this.address] || {};
+            data.voted_group_key = this.findGroupKey(Object.keys(votes)[0]);
+        }
+
+        return await this.trigger({ base: this.bounceFee }, data);
+    }
+
+    /**
+     * Withdraw the rewards in a reward asset, or asset0 staker fees if rewardAsset is null
+     */
+    async withdrawRewards(perpAsset, rewardAsset) {
+        const data = { perp_asset: perpAsset, withdraw_rewards: 1 };
+        if (rewardAsset) {
+            data.reward_asset = rewardAsset;
+        } else {
+            data.withdraw_staker_fees = 1;
+        }
+
+        return await this.trigger({ base: this.bounceFee }, data);
+    }
+
+    /**
+     * Move voting power between perps, e.g. { [perpA]: -100, [perpB]: 100 }
+     */
+    async voteShares(changes) {
+        const deltas = this.toAssetKeys(changes);
+        const groups = [...new Set(Object.keys(deltas).map(key => this.findGroupKey(key)))];
+
+        const data = { vote_shares: 1, changes: deltas, group_key1: groups[0] };
+        if (groups[1]) data.group_key2 = groups[1];
+
+        return await this.trigger({ base: this.bounceFee }, data);
+    }
+
+    /**
+     * Vote to whitelist a reward asset, or to blacklist it
+     */
+    async voteWhitelist(rewardAsset, whitelist = true) {
+        const data = { reward_asset: rewardAsset };
+        data[whitelist ? 'vote_whitelist' : 'vote_blacklist'] = 1;
+
+        return await this.trigger({ base: this.bounceFee }, data);
+    }
+
+    /**
+     * Send a trigger to the staking AA and wait for its response
+     * Returns { unit, bounced, error, responseVars, received }, or null if it could not be sent.
+     */
+    async trigger(payments, data) {
+        try {
+            const { unit, error } = await this.client.send(this.stakingAa, payments, data);
+            if (error || !unit) {
+                throw new Error(`Trigger failed: ${error || 'no unit'}`);
+            }
+
+            const response = await this.client.getResponse(unit);
+            return { unit, ...response };
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { context: 'staking_trigger', data });
+            return null;
+        }
+    }
+
+    now() {
+        return Math.floor(this.clock.now().getTime() / 1000);
+    }
+}
+
+function check(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function clone(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = StakingClient;
@@ -0,0 +1,175 @@
+/**
+ * State Persistence
+ * Writes the state the agent must not lose to a store as it changes, and
+ * restores it after a restart: the portfolio and its ledger, open positions
+ * and orders, closed trades, the trading state, risk history, saved stress
+ * scenarios and alerts, so a halt outlives the restart. Components keep their
+ * in-memory caps (100 alerts, 1000 history points); the store keeps everything.
+ */
+
+const Ledger = require('./ledger');
+
+// Appended collections restored into capped in-memory lists
+const ALERTS_KEPT = 100;
+const HISTORY_KEPT = 1000;
+
+const POSITION_EVENTS = ['positionOpened', 'positionIncreased', 'positionClosed'];
+const ORDER_EVENTS = ['orderPlaced', 'orderUpdated', 'orderCancelled'];
+const LEDGER_EVENTS = ['transfer', 'funding'];
+
+class StatePersistence {
+    /**
+     * store: an open store, see stores/store.js
+     * components: { tradingEngine, riskManager, alertSystem }; any may be missing
+     */
+    constructor(store, components = {}) {
+        this.store = store;
+        this.tradingEngine = components.tradingEngine || null;
+        this.riskManager = components.riskManager || null;
+        this.alertSystem = components.alertSystem || null;
+        this.listeners = [];
+    }
+
+    /**
+     * Put the stored state back into the components
+     * Returns what was restored, for the startup log.
+     */
+    restore() {
+        const restored = { positions: 0, orders: 0, trades: 0, alerts: 0 };
+
+        if (this.tradingEngine) {
+            const engine = this.tradingEngine;
+            const state = this.store.load('engine');
+
+            if (state.has('portfolio')) engine.portfolio = state.get('portfolio');
+            if (state.has('performance')) engine.performance = state.get('performance');
+            if (state.has('ledger')) engine.ledger = new Ledger({ balances: state.get('ledger') });
+            if (state.has('tradingState')) engine.tradingState = state.get('tradingState');
+            engine.tradingStateHistory = this.store.list('trading_state', HISTORY_KEPT);
+
+            engine.positions = this.store.load('positions');
+            engine.activeOrders = this.store.load('orders');
+            engine.orderHistory = this.store.list('order_history', HISTORY_KEPT);
+
+            restored.positions = engine.positions.size;
+            restored.orders = engine.activeOrders.size;
+            restored.trades = this.store.list('trades', HISTORY_KEPT).length;
+        }
+
+        if (this.riskManager) {
+            const points = this.store.list('risk_history', HISTORY_KEPT);
+            this.riskManager.history.drawdowns = points.map(p => ({ timestamp: p.timestamp, value: p.drawdown }));
+            this.riskManager.history.dailyLosses = points.map(p => ({ timestamp: p.timestamp, value: p.dailyLoss }));
+            this.riskManager.history.varHistory = points.map(p => ({ timestamp: p.timestamp, value: p.var }));
+            this.riskManager.stressTester.load(this.store.load('scenarios').values());
+        }
+
+        if (this.alertSystem) {
+            // Alerts logged while the components started come after the stored ones
+            const stored = this.store.list('alerts', ALERTS_KEPT);
+            this.alertSystem.alerts = [...stored, ...this.alertSystem.alerts].slice(-ALERTS_KEPT);
+            restored.alerts = stored.length;
+        }
+
+        return restored;
+    }
+
+    /**
+     * Start writing changes to the store
+     */
+    attach() {
+        if (this.listeners.length > 0) return;
+
+        if (this.tradingEngine) {
+            for (const event of POSITION_EVENTS) {
+                this.listen(this.tradingEngine, event, position => this.savePosition(position));
+            }
+            this.listen(this.tradingEngine, 'positionReduced', (slice, position) => {
+                this.store.append('trades', slice);
+                this.savePosition(position);
+            });
+
+            for (const event of ORDER_EVENTS) {
+                this.listen(this.tradingEngine, event, order => this.saveOrder(order));
+            }
+            for (const event of ['orderPartiallyFilled', 'orderFilled']) {
+                this.listen(this.tradingEngine, event, ({ order }) => this.saveOrder(order));
+            }
+            for (const event of LEDGER_EVENTS) {
+                this.listen(this.tradingEngine, event, () => this.saveEngineState());
+            }
+            this.listen(this.tradingEngine, 'tradingStateChanged', record => {
+                this.store.append('trading_state', record);
+                this.store.set('engine', 'tradingState', this.tradingEngine.tradingState);
+            });
+        }
+
+        if (this.riskManager) {
+            this.listen(this.riskManager, 'historyStored', point => this.store.append('risk_history', point));
+            this.listen(this.riskManager.stressTester, 'scenarioSaved', scenario => this.store.set('scenarios', scenario.name, scenario));
+            this.listen(this.riskManager.stressTester, 'scenarioDeleted', name => this.store.delete('scenarios', name));
+        }
+
+        if (this.alertSystem) {
+            this.listen(this.alertSystem, 'alert', alert => this.store.append('alerts', alert));
+        }
+    }
+
+    /**
+     * Stop writing changes
+     */
+    detach() {
+        for (const { emitter, event, listener } of this.listeners) {
+            emitter.off(event, listener);
+        }
+        this.listeners = [];
+    }
+
+    listen(emitter, event, listener) {
+        emitter.on(event, listener);
+        this.listeners.push({ emitter, event, listener });
+    }
+
+    /**
+     * Save a position and the portfolio it changed; a closed position becomes a trade
+     */
+    savePosition(position) {
+        if (position.status === 'CLOSED') {
+            this.store.delete('positions', position.id);
+            this.store.append('trades', position);
+        } else {
+            this.store.set('positions', position.id, position);
+        }
+        this.saveEngineState();
+    }
+
+    /**
+     * Save an order: on the book while active, in the order history once closed
+     */
+    saveOrder(order) {
+        if (this.tradingEngine.activeOrders.has(order.id)) {
+            this.store.set('orders', order.id, order);
+        } else {
+            this.store.delete('orders', order.id);
+            if (order.closedAt) {
+                this.store.append('order_history', order);
+            }
+        }
+        this.saveEngineState();
+    }
+
+    saveEngineState() {
+        this.store.set('engine', 'portfolio', this.tradingEngine.portfolio);
+        this.store.set('engine', 'performance', this.tradingEngine.performance);
+        this.store.set('engine', 'ledger', this.tradingEngine.ledger.getBalances());
+    }
+
+    /**
+     * Closed trades, oldest first
+     */
+    getTrades(limit = null) {
+        return this.store.list('trades', limit);
+    }
+}
+
+module.exports = StatePersistence;
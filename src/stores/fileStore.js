@@ -0,0 +1,134 @@
+/**
+ * File Store
+ * Append-only log of every change, one JSON line each, replayed on open.
+ * Keyed collections are held in memory in full; of appended collections only
+ * the last `retain` records are, while the file keeps them all.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+
+class FileStore extends MemoryStore {
+    /**
+     * config: {
+     *   path: log file, created with its directory if missing,
+     *   retain: appended records per collection kept in memory (default 1000)
+     * }
+     */
+    constructor(config = {}) {
+        super(config);
+        this.name = 'file';
+        this.path = config.path;
+        this.retain = config.retain || 1000;
+        this.fd = null;
+
+        if (!this.path) {
+            throw new Error('path is required');
+        }
+    }
+
+    open() {
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+
+        if (fs.existsSync(this.path)) {
+            const text = fs.readFileSync(this.path, 'utf8');
+            const length = this.replay(text);
+            // Cut a torn last line off, or end a whole one missing its newline,
+            // so the next change starts a line of its own
+            if (length < Buffer.byteLength(text)) {
+                fs.truncateSync(this.path, length);
+            } else if (length > Buffer.byteLength(text)) {
+                fs.appendFileSync(this.path, '\n');
+            }
+        }
+
+        this.fd = fs.openSync(this.path, 'a');
+    }
+
+    /**
+     * Apply the log's lines in order
+     * A crash can cut the last line short; that change never completed and is dropped.
+     * Returns the length in bytes of the lines applied, newlines included.
+     */
+    replay(text) {
+        const lines = text.split('\n');
+        if (lines[lines.length - 1] === '') lines.pop();
+
+        let length = 0;
+        lines.forEach((line, index) => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                if (index === lines.length - 1) return;
+                throw new Error(`Corrupt store ${this.path} at line ${index + 1}: ${error.message}`);
+            }
+            this.apply(entry);
+            length += Buffer.byteLength(line) + 1;
+        });
+        return length;
+    }
+
+    apply({ op, collection, key, value }) {
+        switch (op) {
+            case 'set':
+                if (!this.keyed.has(collection)) {
+                    this.keyed.set(collection, new Map());
+                }
+                this.keyed.get(collection).set(key, value);
+                break;
+            case 'delete': {
+                const values = this.keyed.get(collection);
+                if (values) values.delete(key);
+                break;
+            }
+            case 'append': {
+                if (!this.appended.has(collection)) {
+                    this.appended.set(collection, []);
+                }
+                const records = this.appended.get(collection);
+                records.push(value);
+                if (records.length > this.retain) {
+                    records.shift();
+                }
+                break;
+            }
+            default:
+                throw new Error(`Unknown store operation: ${op}`);
+        }
+    }
+
+    /**
+     * Write one change to the log, then apply it in memory
+     * value is kept encoded, as MemoryStore keeps it.
+     */
+    write(entry) {
+        if (this.fd === null) {
+            throw new Error('Store is not open');
+        }
+        fs.writeSync(this.fd, JSON.stringify(entry) + '\n');
+        this.apply(entry);
+    }
+
+    set(collection, key, value) {
+        this.write({ op: 'set', collection, key, value: this.encode(value) });
+    }
+
+    delete(collection, key) {
+        this.write({ op: 'delete', collection, key });
+    }
+
+    append(collection, record) {
+        this.write({ op: 'append', collection, value: this.encode(record) });
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+module.exports = FileStore;
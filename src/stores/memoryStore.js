@@ -0,0 +1,53 @@
+/**
+ * Memory Store
+ * Keeps collections in memory only; for tests and runs that need no recovery.
+ * Values are encoded and decoded like the persistent stores', so callers
+ * never share objects with the store.
+ */
+
+const { Store } = require('./store');
+
+class MemoryStore extends Store {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'memory';
+        this.keyed = new Map();
+        this.appended = new Map();
+    }
+
+    open() {}
+
+    set(collection, key, value) {
+        if (!this.keyed.has(collection)) {
+            this.keyed.set(collection, new Map());
+        }
+        this.keyed.get(collection).set(key, this.encode(value));
+    }
+
+    delete(collection, key) {
+        const values = this.keyed.get(collection);
+        if (values) values.delete(key);
+    }
+
+    append(collection, record) {
+        if (!this.appended.has(collection)) {
+            this.appended.set(collection, []);
+        }
+        this.appended.get(collection).push(this.encode(record));
+    }
+
+    load(collection) {
+        const values = new Map();
+        for (const [key, text] of this.keyed.get(collection) || []) {
+            values.set(key, this.decode(text));
+        }
+        return values;
+    }
+
+    list(collection, limit = null) {
+        const records = this.appended.get(collection) || [];
+        return (limit ? records.slice(-limit) : records).map(text => this.decode(text));
+    }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,109 @@
+/**
+ * SQLite Store
+ * Keeps collections in an embedded SQLite database through node:sqlite
+ * (Node 22.5 and later): keyed values in `records`, appended ones in `log`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Store } = require('./store');
+
+class SqliteStore extends Store {
+    /**
+     * config: { path: database file, created with its directory if missing }
+     */
+    constructor(config = {}) {
+        super(config);
+        this.name = 'sqlite';
+        this.path = config.path;
+        this.db = null;
+
+        if (!this.path) {
+            throw new Error('path is required');
+        }
+    }
+
+    /**
+     * node:sqlite, or null where this Node does not have it
+     */
+    static loadSqlite() {
+        try {
+            return require('node:sqlite');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    open() {
+        const sqlite = SqliteStore.loadSqlite();
+        if (!sqlite) {
+            throw new Error(`The sqlite store needs node:sqlite (Node 22.5+), not available in Node ${process.version}; use the file store`);
+        }
+
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        this.db = new sqlite.DatabaseSync(this.path);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS records (
+                collection TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                seq INTEGER NOT NULL,
+                PRIMARY KEY (collection, key)
+            );
+            CREATE TABLE IF NOT EXISTS log (
+                seq INTEGER PRIMARY KEY AUTOINCREMENT,
+                collection TEXT NOT NULL,
+                value TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS log_collection ON log (collection, seq);
+        `);
+
+        this.statements = {
+            set: this.db.prepare(`
+                INSERT INTO records (collection, key, value, seq)
+                VALUES (?, ?, ?, (SELECT COALESCE(MAX(seq), 0) + 1 FROM records))
+                ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value
+            `),
+            delete: this.db.prepare('DELETE FROM records WHERE collection = ? AND key = ?'),
+            append: this.db.prepare('INSERT INTO log (collection, value) VALUES (?, ?)'),
+            load: this.db.prepare('SELECT key, value FROM records WHERE collection = ? ORDER BY seq'),
+            list: this.db.prepare('SELECT value FROM log WHERE collection = ? ORDER BY seq DESC LIMIT ?')
+        };
+    }
+
+    set(collection, key, value) {
+        this.statements.set.run(collection, String(key), this.encode(value));
+    }
+
+    delete(collection, key) {
+        this.statements.delete.run(collection, String(key));
+    }
+
+    append(collection, record) {
+        this.statements.append.run(collection, this.encode(record));
+    }
+
+    load(collection) {
+        const values = new Map();
+        for (const row of this.statements.load.all(collection)) {
+            values.set(row.key, this.decode(row.value));
+        }
+        return values;
+    }
+
+    list(collection, limit = null) {
+        // LIMIT -1 is no limit in SQLite
+        return this.statements.list.all(collection, limit || -1)
+            .reverse()
+            .map(row => this.decode(row.value));
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteStore;
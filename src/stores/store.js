@@ -0,0 +1,107 @@
+/**
+ * Store
+ * Where the agent persists the state it has to recover after a restart.
+ * Two kinds of collections:
+ *   keyed:    set/delete by key, load() returns the current values (open positions)
+ *   appended: append records, list() returns them in order (closed trades, alerts)
+ *
+ * Values are JSON with Dates kept as Dates, so what is loaded back is what was
+ * stored. Writes are synchronous: when a call returns, the change is in the
+ * backend, in the order the calls were made.
+ */
+
+/**
+ * JSON with Dates tagged, so decode can bring them back
+ */
+function encode(value) {
+    return JSON.stringify(value, function (key, item) {
+        return this[key] instanceof Date ? { $date: this[key].toISOString() } : item;
+    });
+}
+
+function decode(text) {
+    return JSON.parse(text, (key, item) => {
+        if (item && typeof item === 'object' && typeof item.$date === 'string' && Object.keys(item).length === 1) {
+            return new Date(item.$date);
+        }
+        return item;
+    });
+}
+
+class Store {
+    constructor(config = {}) {
+        this.config = config;
+        this.name = 'store';
+    }
+
+    /**
+     * Open the backend; called once before any other method
+     */
+    open() {
+        throw new Error(`${this.constructor.name} does not implement open`);
+    }
+
+    set(collection, key, value) {
+        throw new Error(`${this.constructor.name} does not implement set`);
+    }
+
+    delete(collection, key) {
+        throw new Error(`${this.constructor.name} does not implement delete`);
+    }
+
+    append(collection, record) {
+        throw new Error(`${this.constructor.name} does not implement append`);
+    }
+
+    /**
+     * Current values of a keyed collection, as a Map in the order the keys were first set
+     */
+    load(collection) {
+        throw new Error(`${this.constructor.name} does not implement load`);
+    }
+
+    /**
+     * Appended records of a collection, oldest first; limit keeps the most recent ones
+     */
+    list(collection, limit = null) {
+        throw new Error(`${this.constructor.name} does not implement list`);
+    }
+
+    close() {}
+
+    encode(value) {
+        return encode(value);
+    }
+
+    decode(text) {
+        return decode(text);
+    }
+}
+
+/**
+ * Create the store a database config asks for
+ * config: { type: 'file', 'sqlite' or 'memory', path }
+ * Without node:sqlite (before Node 22.5) a sqlite config gets a file store
+ * next to the database path, so the agent still starts.
+ */
+function createStore(config = {}) {
+    switch (config.type) {
+        case 'file':
+            return new (require('./fileStore'))(config);
+        case 'sqlite': {
+            const SqliteStore = require('./sqliteStore');
+            if (!SqliteStore.loadSqlite()) {
+                const fallback = { ...config, type: 'file', path: `${config.path}.log` };
+                process.emitWarning(`node:sqlite is not available in Node ${process.version}; storing to the file store ${fallback.path} instead`);
+                return new (require('./fileStore'))(fallback);
+            }
+            return new SqliteStore(config);
+        }
+        case 'memory':
+            return new (require('./memoryStore'))(config);
+        default:
+            throw new Error(`Unknown store type: ${config.type}. Expected file, sqlite or memory`);
+    }
+}
+
+module.exports = { Store, createStore, encode, decode };
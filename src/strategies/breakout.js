@@ -0,0 +1,35 @@
+/**
+ * Breakout Strategy
+ * Enters when price clears the recent range by a margin
+ */
+
+module.exports = {
+    name: 'breakout',
+    description: 'Trades on price breakouts',
+    paramsSchema: {
+        breakoutPercent: {
+            type: 'number',
+            default: 0.02,
+            minimum: 0,
+            description: 'Distance beyond the recent high/low that counts as a breakout'
+        }
+    },
+
+    async onTick(ctx) {
+        return null;
+    },
+
+    async onSignal(ctx, signal) {
+        const level = ctx.engine.calculateBreakoutLevel(ctx.asset, ctx.params.breakoutPercent);
+        const currentPrice = ctx.marketData.price;
+        ctx.record({ price: currentPrice, upperLevel: level.upper, lowerLevel: level.lower });
+
+        if (signal === 'BUY' && currentPrice > level.upper) {
+            return await ctx.openPosition('LONG', ctx.positionSize(), { rule: 'breakout_up' });
+        } else if (signal === 'SELL' && currentPrice < level.lower) {
+            return await ctx.openPosition('SHORT', ctx.positionSize(), { rule: 'breakout_down' });
+        }
+
+        return ctx.skip(`Price has not broken out of its range for ${signal}`);
+    }
+};
@@ -0,0 +1,68 @@
+/**
+ * Mean Reversion Strategy
+ * Fades stretched prices when z-score and RSI agree, exits near the mean
+ */
+
+async function checkExit(ctx) {
+    if (ctx.position && Math.abs(ctx.engine.calculateZScore(ctx.asset)) < ctx.params.exitZScore) {
+        return await ctx.closePosition({ rule: 'z_score_exit' });
+    }
+    return null;
+}
+
+module.exports = {
+    name: 'mean_reversion',
+    description: 'Trades based on mean reversion signals',
+    paramsSchema: {
+        entryZScore: {
+            type: 'number',
+            default: 2,
+            minimum: 0,
+            description: 'Absolute z-score required to enter'
+        },
+        exitZScore: {
+            type: 'number',
+            default: 0.5,
+            minimum: 0,
+            description: 'Close once the absolute z-score falls below this'
+        },
+        rsiPeriod: {
+            type: 'integer',
+            default: 14,
+            minimum: 2,
+            description: 'RSI lookback in ticks'
+        },
+        rsiOversold: {
+            type: 'number',
+            default: 30,
+            minimum: 0,
+            maximum: 100,
+            description: 'RSI below which a BUY may enter'
+        },
+        rsiOverbought: {
+            type: 'number',
+            default: 70,
+            minimum: 0,
+            maximum: 100,
+            description: 'RSI above which a SELL may enter'
+        }
+    },
+
+    onTick: checkExit,
+
+    async onSignal(ctx, signal) {
+        const { entryZScore, rsiPeriod, rsiOversold, rsiOverbought } = ctx.params;
+        const zScore = ctx.engine.calculateZScore(ctx.asset);
+        const rsi = ctx.engine.calculateRSI(ctx.asset, rsiPeriod);
+        ctx.record({ zScore, rsi });
+
+        if (signal === 'BUY' && zScore < -entryZScore && rsi < rsiOversold) {
+            return await ctx.openPosition('LONG', ctx.positionSize(), { rule: 'oversold_long' });
+        } else if (signal === 'SELL' && zScore > entryZScore && rsi > rsiOverbought) {
+            return await ctx.openPosition('SHORT', ctx.positionSize(), { rule: 'overbought_short' });
+        }
+
+        return await checkExit(ctx)
+            || ctx.skip(`Price not stretched enough from the mean for ${signal}`);
+    }
+};
@@ -0,0 +1,48 @@
+/**
+ * Momentum Strategy
+ * Enters in the direction of strong price momentum confirmed by rising volume
+ */
+
+async function checkExit(ctx) {
+    if (ctx.position && ctx.engine.shouldClosePosition(ctx.asset, ctx.position)) {
+        return await ctx.closePosition({ rule: 'exit_signal' });
+    }
+    return null;
+}
+
+module.exports = {
+    name: 'momentum',
+    description: 'Trades based on price momentum indicators',
+    paramsSchema: {
+        momentumThreshold: {
+            type: 'number',
+            default: 0.7,
+            minimum: 0,
+            description: 'Absolute momentum required to enter'
+        },
+        volumeThreshold: {
+            type: 'number',
+            default: 0.6,
+            minimum: 0,
+            description: 'Current to average volume ratio required to enter'
+        }
+    },
+
+    onTick: checkExit,
+
+    async onSignal(ctx, signal) {
+        const { momentumThreshold, volumeThreshold } = ctx.params;
+        const momentum = ctx.engine.calculateMomentum(ctx.asset);
+        const volume = ctx.engine.calculateVolumeTrend(ctx.asset);
+        ctx.record({ momentum, volumeTrend: volume });
+
+        if (signal === 'BUY' && momentum > momentumThreshold && volume > volumeThreshold) {
+            return await ctx.openPosition('LONG', ctx.positionSize(), { rule: 'momentum_long' });
+        } else if (signal === 'SELL' && momentum < -momentumThreshold && volume > volumeThreshold) {
+            return await ctx.openPosition('SHORT', ctx.positionSize(), { rule: 'momentum_short' });
+        }
+
+        return await checkExit(ctx)
+            || ctx.skip(`Momentum or volume trend below threshold for ${signal}`);
+    }
+};
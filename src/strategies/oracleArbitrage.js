@@ -0,0 +1,197 @@
+/**
+ * Oracle Arbitrage Strategy
+ * Trades a perp whose curve price has strayed from the oracle target price.
+ * $adjust_prices pulls the price to the target over adjustment_period, so
+ * tokens bought below the target are expected to be worth the target (less
+ * the drift until then). The AA taxes the price move a trade causes, so the
+ * trade is sized where the expected profit net of swap fee and arb profit tax
+ * is largest, quoted from the curve rather than the book.
+ *
+ * Needs a curve for the asset (tradingEngine.setCurve) with the target price
+ * set. The AA only mints and redeems, so above the target the strategy only
+ * sells tokens it holds. Quotes come from the curve's fetched state, so after
+ * a trade the strategy waits for the next refresh rather than trade the same
+ * gap again.
+ */
+
+const PerpetualCurve = require('../perpetualCurve');
+
+const SEARCH_ITERATIONS = 60;
+
+/**
+ * Curve price, target and expected exit price of the asset's perp, or null without a curve or target
+ */
+function getOpportunity(ctx) {
+    const entry = ctx.engine.curves.get(ctx.asset);
+    if (!entry || !entry.curve.targetPrices.has(entry.perpAsset)) return null;
+
+    const { curve, perpAsset, address } = entry;
+    const timestamp = Math.floor(ctx.engine.clock.now().getTime() / 1000);
+    const targetPrice = curve.targetPrices.get(perpAsset);
+    const curvePrice = curve.getPrice(perpAsset, true, { timestamp });
+
+    // Held until the price converges, the tokens lose the drift over the adjustment period
+    const assetInfo = curve.vars['asset_' + perpAsset] || {};
+    const carry = PerpetualCurve.carryFraction(assetInfo.drift_rate || 0, curve.getAdjustmentPeriod());
+    const exitPrice = targetPrice * (1 - carry);
+
+    return { curve, perpAsset, address, timestamp, targetPrice, curvePrice, exitPrice, gap: (curvePrice - targetPrice) / targetPrice };
+}
+
+/**
+ * Reserve base units an amount of the engine's cash buys
+ * The engine values the perp at its market price and the AA at its curve
+ * price, so their ratio converts between the two; without market data the
+ * engine's cash is taken to be the reserve.
+ */
+function cashToReserve(ctx, cash, curvePrice) {
+    const marketData = ctx.engine.marketData.get(ctx.asset);
+    return marketData && marketData.price > 0 ? cash * curvePrice / marketData.price : cash;
+}
+
+/**
+ * Our last trade of the same kind if the AA will merge the next one with it, else null
+ * Within $trade_merge_period the AA taxes the combined price move and
+ * subtracts the tax already paid, and so do the curve's quotes given our address.
+ */
+function getMergedTrade(opportunity, op, address) {
+    const assetInfo = opportunity.curve.vars['asset_' + opportunity.perpAsset] || {};
+    const lastTrade = assetInfo['last_' + op];
+    const merges = address && lastTrade && lastTrade.address === address
+        && opportunity.timestamp <= lastTrade.ts + PerpetualCurve.TRADE_MERGE_PERIOD;
+    return merges ? lastTrade : null;
+}
+
+/**
+ * Golden-section search for the amount in [min, max] where profit(amount) is largest
+ * Quotes the AA would bounce count as no profit.
+ */
+function findBestAmount(profit, min, max) {
+    const safeProfit = amount => {
+        try {
+            return profit(amount);
+        } catch (error) {
+            return -Infinity;
+        }
+    };
+
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let low = min;
+    let high = max;
+    for (let i = 0; i < SEARCH_ITERATIONS && high - low > 1; i++) {
+        const left = high - ratio * (high - low);
+        const right = low + ratio * (high - low);
+        if (safeProfit(left) < safeProfit(right)) {
+            low = left;
+        } else {
+            high = right;
+        }
+    }
+
+    const amount = Math.floor((low + high) / 2);
+    return { amount, profit: safeProfit(amount) };
+}
+
+async function checkArbitrage(ctx) {
+    const { minEdge, minProfit, maxBudgetShare } = ctx.params;
+    const opportunity = getOpportunity(ctx);
+    if (!opportunity) {
+        return ctx.skip(`No perpetual curve with a target price for ${ctx.asset}`);
+    }
+
+    const { curve, perpAsset, timestamp, targetPrice, curvePrice, exitPrice, gap } = opportunity;
+    const address = ctx.params.address || opportunity.address;
+    const quoteOptions = { timestamp, address: address || null };
+    ctx.record({ curvePrice, targetPrice, exitPrice, gap });
+
+    if (curve.pendingTrades.length > 0) {
+        return ctx.skip(`Waiting for the curve to show ${curve.pendingTrades.length} trade(s) on ${ctx.asset}`);
+    }
+
+    if (gap < -minEdge) {
+        // A buy the AA merges with our last one is taxed as one trade with it, so the two share the budget
+        const lastBuy = getMergedTrade(opportunity, 'buy', address);
+        const spent = lastBuy ? lastBuy.delta_s * lastBuy.initial_p : 0;
+        const cash = cashToReserve(ctx, ctx.engine.portfolio.cash, curvePrice);
+        const budget = Math.floor((cash + spent) * maxBudgetShare - spent);
+        const networkFee = curve.params.reserve_asset === 'base' ? 1000 : 0;
+        ctx.record({ merged: Boolean(lastBuy), budget });
+
+        if (budget <= networkFee + 1) {
+            return ctx.skip(`Our last buy of ${ctx.asset} already used the budget`);
+        }
+
+        const best = findBestAmount(
+            amount => curve.quoteBuy(perpAsset, amount, quoteOptions).deltaS * exitPrice - amount,
+            networkFee + 1,
+            budget
+        );
+        ctx.record({ reserveAmount: best.amount, expectedProfit: best.profit });
+
+        if (best.profit > minProfit) {
+            const quote = curve.quoteBuy(perpAsset, best.amount, quoteOptions);
+            ctx.record({ tokens: quote.deltaS, swapFee: quote.swapFee, arbProfitTax: quote.arbProfitTax });
+            return await ctx.openPosition('LONG', quote.deltaS, { rule: 'below_target' });
+        }
+        return ctx.skip(`Expected profit ${best.profit} does not cover the swap fee and arb profit tax`);
+    }
+
+    if (gap > minEdge) {
+        if (!ctx.position || ctx.position.side !== 'LONG') {
+            return ctx.skip(`Price above target but no tokens to sell for ${ctx.asset}`);
+        }
+
+        const best = findBestAmount(
+            tokens => curve.quoteSell(perpAsset, tokens, quoteOptions).payout - tokens * exitPrice,
+            1,
+            ctx.position.size
+        );
+        const merged = Boolean(getMergedTrade(opportunity, 'sell', address));
+        ctx.record({ tokens: best.amount, expectedProfit: best.profit, merged });
+
+        if (best.profit > minProfit) {
+            return await ctx.closePosition({ rule: 'above_target', size: best.amount });
+        }
+        return ctx.skip(`Expected profit ${best.profit} does not cover the swap fee and arb profit tax`);
+    }
+
+    return ctx.skip(`Curve price within ${minEdge} of the target price`);
+}
+
+module.exports = {
+    name: 'oracle_arbitrage',
+    description: 'Trades the perp curve price back towards the oracle target price',
+    paramsSchema: {
+        minEdge: {
+            type: 'number',
+            default: 0.005,
+            minimum: 0,
+            description: 'Relative gap between curve and target price required to look for a trade'
+        },
+        minProfit: {
+            type: 'number',
+            default: 0,
+            minimum: 0,
+            description: 'Expected profit, in reserve units, required to trade'
+        },
+        maxBudgetShare: {
+            type: 'number',
+            default: 0.25,
+            minimum: 0,
+            maximum: 1,
+            description: 'Largest share of cash to spend on one buy'
+        },
+        address: {
+            type: 'string',
+            default: '',
+            description: 'Address the agent trades from, so quotes merge with its own trades like the AA does; empty uses the curve feed\'s'
+        }
+    },
+
+    onTick: checkArbitrage,
+
+    // The opportunity comes from the curve, not the signal
+    async onSignal(ctx) {
+        return await checkArbitrage(ctx);
+    }
+};
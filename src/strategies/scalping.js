@@ -0,0 +1,60 @@
+/**
+ * Scalping Strategy
+ * Takes half-size entries in tight spreads and exits on small moves
+ */
+
+async function checkExit(ctx) {
+    if (!ctx.position) return null;
+
+    const entryPrice = ctx.position.entryPrice;
+    const priceChange = Math.abs(ctx.marketData.price - entryPrice) / entryPrice;
+
+    if (priceChange >= ctx.params.exitPercent) {
+        return await ctx.closePosition({ rule: 'exit_percent' });
+    }
+    return null;
+}
+
+module.exports = {
+    name: 'scalping',
+    description: 'Quick trades based on small price movements',
+    paramsSchema: {
+        maxSpreadTicks: {
+            type: 'number',
+            default: 2,
+            minimum: 0,
+            description: 'Widest spread, in ticks, that allows an entry'
+        },
+        sizeFactor: {
+            type: 'number',
+            default: 0.5,
+            minimum: 0,
+            maximum: 1,
+            description: 'Fraction of the risk-based position size to trade'
+        },
+        exitPercent: {
+            type: 'number',
+            default: 0.005,
+            minimum: 0,
+            description: 'Price move from entry, in either direction, that closes the position'
+        }
+    },
+
+    onTick: checkExit,
+
+    async onSignal(ctx, signal) {
+        const { maxSpreadTicks, sizeFactor } = ctx.params;
+        const tickSize = ctx.engine.calculateTickSize(ctx.asset);
+        const spread = ctx.marketData.ask - ctx.marketData.bid;
+        ctx.record({ spread, tickSize });
+
+        if (signal === 'BUY' && spread < tickSize * maxSpreadTicks) {
+            return await ctx.openPosition('LONG', ctx.positionSize() * sizeFactor, { rule: 'tight_spread_long' });
+        } else if (signal === 'SELL' && spread < tickSize * maxSpreadTicks) {
+            return await ctx.openPosition('SHORT', ctx.positionSize() * sizeFactor, { rule: 'tight_spread_short' });
+        }
+
+        return await checkExit(ctx)
+            || ctx.skip(`Spread too wide or unknown signal ${signal}`);
+    }
+};
@@ -0,0 +1,43 @@
+/**
+ * Swing Strategy
+ * Follows the longer-term trend while price holds support or resistance
+ */
+
+module.exports = {
+    name: 'swing',
+    description: 'Longer-term trend following trades',
+    paramsSchema: {
+        supportBuffer: {
+            type: 'number',
+            default: 0.01,
+            minimum: 0,
+            description: 'Support is this fraction above the recent low'
+        },
+        resistanceBuffer: {
+            type: 'number',
+            default: 0.01,
+            minimum: 0,
+            description: 'Resistance is this fraction below the recent high'
+        }
+    },
+
+    async onTick(ctx) {
+        return null;
+    },
+
+    async onSignal(ctx, signal) {
+        const trend = ctx.engine.calculateTrend(ctx.asset);
+        const support = ctx.engine.calculateSupportLevel(ctx.asset, ctx.params.supportBuffer);
+        const resistance = ctx.engine.calculateResistanceLevel(ctx.asset, ctx.params.resistanceBuffer);
+        const price = ctx.marketData.price;
+        ctx.record({ trend, support, resistance, price });
+
+        if (signal === 'BUY' && trend > 0 && price > support) {
+            return await ctx.openPosition('LONG', ctx.positionSize(), { rule: 'uptrend_above_support' });
+        } else if (signal === 'SELL' && trend < 0 && price < resistance) {
+            return await ctx.openPosition('SHORT', ctx.positionSize(), { rule: 'downtrend_below_resistance' });
+        }
+
+        return ctx.skip(`Trend does not support a ${signal} swing entry`);
+    }
+};
@@ -0,0 +1,294 @@
+/**
+ * Strategy Registry
+ * Loads strategy modules from directories and looks them up by name
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const BUILTIN_STRATEGIES_DIR = path.join(__dirname, 'strategies');
+
+class StrategyRegistry {
+    constructor() {
+        this.strategies = new Map();
+        // strategy name -> preset name -> list of versions, oldest first
+        this.presets = new Map();
+    }
+
+    /**
+     * Create a registry preloaded with the built-in strategies
+     */
+    static createDefault() {
+        const registry = new StrategyRegistry();
+        const { errors } = registry.loadDirectory(BUILTIN_STRATEGIES_DIR);
+        if (errors.length > 0) {
+            throw errors[0].error;
+        }
+        return registry;
+    }
+
+    /**
+     * Register a strategy module
+     * A strategy with the same name as an existing one replaces it, so custom
+     * directories loaded after the built-ins can override them.
+     */
+    register(strategy) {
+        const error = this.validateStrategy(strategy);
+        if (error) {
+            throw new Error(`Invalid strategy${strategy && strategy.name ? ` ${strategy.name}` : ''}: ${error}`);
+        }
+
+        const replaced = this.strategies.has(strategy.name);
+        this.strategies.set(strategy.name, strategy);
+        return { name: strategy.name, replaced };
+    }
+
+    /**
+     * Validate the shape of a strategy module, returning an error message or null
+     */
+    validateStrategy(strategy) {
+        if (!strategy || typeof strategy !== 'object') return 'module must export an object';
+        if (typeof strategy.name !== 'string' || !strategy.name) return 'name must be a non-empty string';
+        if (!strategy.paramsSchema || typeof strategy.paramsSchema !== 'object') return 'paramsSchema must be an object';
+        if (typeof strategy.onTick !== 'function') return 'onTick must be a function';
+        if (typeof strategy.onSignal !== 'function') return 'onSignal must be a function';
+
+        for (const [key, spec] of Object.entries(strategy.paramsSchema)) {
+            if (!spec || !['number', 'integer', 'boolean', 'string'].includes(spec.type)) {
+                return `parameter ${key} has an unsupported type`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Load every .js module in a directory
+     * Returns the names loaded and the files that failed, so one broken
+     * custom strategy does not stop the others from loading.
+     */
+    loadDirectory(dir) {
+        const loaded = [];
+        const errors = [];
+
+        const files = fs.readdirSync(dir)
+            .filter(file => file.endsWith('.js'))
+            .sort();
+
+        for (const file of files) {
+            const filePath = path.resolve(dir, file);
+            try {
+                const result = this.register(require(filePath));
+                loaded.push(result.name);
+            } catch (error) {
+                errors.push({ file: filePath, error });
+            }
+        }
+
+        return { loaded, errors };
+    }
+
+    /**
+     * Get a strategy by name
+     */
+    get(name) {
+        return this.strategies.get(name) || null;
+    }
+
+    /**
+     * Check if a strategy is registered
+     */
+    has(name) {
+        return this.strategies.has(name);
+    }
+
+    /**
+     * Get default parameter values from a strategy's schema
+     */
+    getDefaultParams(name) {
+        const strategy = this.get(name);
+        if (!strategy) return null;
+
+        const params = {};
+        for (const [key, spec] of Object.entries(strategy.paramsSchema)) {
+            params[key] = spec.default;
+        }
+        return params;
+    }
+
+    /**
+     * Validate parameters against a strategy's schema
+     * Returns the parameters merged over the schema defaults and a list of errors.
+     */
+    validateParams(name, params = {}) {
+        const strategy = this.get(name);
+        if (!strategy) {
+            return { params: null, errors: [`unknown strategy: ${name}`] };
+        }
+
+        const errors = [];
+        if (!params || typeof params !== 'object' || Array.isArray(params)) {
+            return { params: null, errors: ['params must be an object'] };
+        }
+
+        for (const key of Object.keys(params)) {
+            if (!strategy.paramsSchema[key]) {
+                errors.push(`unknown parameter: ${key}`);
+            }
+        }
+
+        const merged = this.getDefaultParams(name);
+        for (const [key, spec] of Object.entries(strategy.paramsSchema)) {
+            if (params[key] === undefined) continue;
+
+            const value = params[key];
+            const error = this.checkParam(key, value, spec);
+            if (error) {
+                errors.push(error);
+            } else {
+                merged[key] = value;
+            }
+        }
+
+        return { params: errors.length === 0 ? merged : null, errors };
+    }
+
+    /**
+     * Check a single value against its parameter spec
+     */
+    checkParam(key, value, spec) {
+        switch (spec.type) {
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} must be a number`;
+                break;
+            case 'integer':
+                if (!Number.isInteger(value)) return `${key} must be an integer`;
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') return `${key} must be a boolean`;
+                return null;
+            case 'string':
+                if (typeof value !== 'string') return `${key} must be a string`;
+                return null;
+        }
+
+        if (spec.minimum !== undefined && value < spec.minimum) return `${key} must be >= ${spec.minimum}`;
+        if (spec.maximum !== undefined && value > spec.maximum) return `${key} must be <= ${spec.maximum}`;
+        return null;
+    }
+
+    /**
+     * Define or update a named parameter preset
+     * Changing the values of an existing preset adds a new version; the old
+     * versions are kept so positions opened with them stay traceable.
+     */
+    definePreset(name, presetName, params) {
+        const { params: resolved, errors } = this.validateParams(name, params);
+        if (errors.length > 0) {
+            throw new Error(`Invalid preset ${name}/${presetName}: ${errors.join(', ')}`);
+        }
+
+        if (!this.presets.has(name)) {
+            this.presets.set(name, new Map());
+        }
+        const versions = this.presets.get(name).get(presetName) || [];
+        const hash = this.hashParams(resolved);
+
+        const latest = versions[versions.length - 1];
+        if (latest && latest.hash === hash) {
+            return latest;
+        }
+
+        const paramSet = {
+            strategy: name,
+            preset: presetName,
+            version: versions.length + 1,
+            hash,
+            params: resolved,
+            createdAt: new Date()
+        };
+
+        versions.push(paramSet);
+        this.presets.get(name).set(presetName, versions);
+        return paramSet;
+    }
+
+    /**
+     * Get a preset, latest version unless one is given
+     */
+    getPreset(name, presetName, version = null) {
+        const strategyPresets = this.presets.get(name);
+        const versions = strategyPresets ? strategyPresets.get(presetName) : null;
+        if (!versions) return null;
+
+        return version ? versions.find(v => v.version === version) || null : versions[versions.length - 1];
+    }
+
+    /**
+     * Resolve the parameter set for a strategy run
+     * Per-call params override the preset (or the schema defaults). The result
+     * carries the preset version and a hash of the final values, which is what
+     * gets recorded on positions.
+     */
+    resolveParamSet(name, { preset = null, presetVersion = null, params = {} } = {}) {
+        if (!this.has(name)) {
+            return { paramSet: null, errors: [`unknown strategy: ${name}`] };
+        }
+
+        let base = null;
+        if (preset) {
+            base = this.getPreset(name, preset, presetVersion);
+            if (!base) {
+                const version = presetVersion ? ` version ${presetVersion}` : '';
+                return { paramSet: null, errors: [`unknown preset for ${name}: ${preset}${version}`] };
+            }
+        }
+
+        const { params: resolved, errors } = this.validateParams(name, { ...(base ? base.params : {}), ...params });
+        if (errors.length > 0) {
+            return { paramSet: null, errors };
+        }
+
+        const overrides = Object.keys(params).length > 0 ? { ...params } : null;
+
+        return {
+            paramSet: {
+                strategy: name,
+                preset: base ? base.preset : null,
+                version: base ? base.version : null,
+                overrides,
+                hash: this.hashParams(resolved),
+                params: resolved
+            },
+            errors: []
+        };
+    }
+
+    /**
+     * Short stable hash of parameter values, independent of key order
+     */
+    hashParams(params) {
+        const canonical = JSON.stringify(Object.keys(params).sort().map(key => [key, params[key]]));
+        return crypto.createHash('sha256').update(canonical).digest('hex').substr(0, 12);
+    }
+
+    /**
+     * List registered strategies with their parameter schemas and presets
+     */
+    list() {
+        return Array.from(this.strategies.values()).map(strategy => {
+            const strategyPresets = this.presets.get(strategy.name) || new Map();
+
+            return {
+                name: strategy.name,
+                description: strategy.description || '',
+                parameters: Object.keys(strategy.paramsSchema),
+                paramsSchema: strategy.paramsSchema,
+                presets: Array.from(strategyPresets.values()).map(versions => versions[versions.length - 1])
+            };
+        });
+    }
+}
+
+module.exports = StrategyRegistry;
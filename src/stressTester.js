@@ -0,0 +1,361 @@
+/**
+ * Stress Tester
+ * Revalues the open positions, long or short, under scenarios:
+ *   shock:      per-asset shocks, '*' for every asset not named
+ *                 price:      relative move, -0.3 for a 30% fall
+ *                 volatility: multiple of the asset's return volatility, for the stressed VaR
+ *                 liquidity:  share of normal depth left, 0.25 makes closing cost
+ *                             four times the half spread
+ *   historical: the price moves of a past window, [from, to], replayed from a
+ *               tick file in the data directory (see Backtester.readTicks) or,
+ *               without one, from the engine's price history
+ *
+ * A historical scenario also reports the worst point along the window. The
+ * loss that counts against the threshold is the worst one, net of the cost of
+ * closing.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const TYPES = ['shock', 'historical'];
+const SHOCKS = ['price', 'volatility', 'liquidity'];
+
+// The dashboard's three standing scenarios, spread over every asset held
+const BUILT_IN_SCENARIOS = [
+    { name: 'Market Crash', type: 'shock', description: 'Every asset falls 30%', shocks: { '*': { price: -0.3 } } },
+    { name: 'High Volatility', type: 'shock', description: 'Volatility doubles on a 10% fall', shocks: { '*': { price: -0.1, volatility: 2 } } },
+    { name: 'Liquidity Crisis', type: 'shock', description: 'A 15% fall with a quarter of the usual depth', shocks: { '*': { price: -0.15, liquidity: 0.25 } } }
+];
+
+class StressTester extends EventEmitter {
+    /**
+     * config: {
+     *   dataDir: directory historical tick files are read from (default './data'),
+     *   threshold: loss, as a share of the portfolio, that breaches (default 0.3)
+     * }
+     * riskMetrics: measures the stressed VaR; optional
+     */
+    constructor(config, tradingEngine, riskMetrics = null) {
+        super();
+        this.dataDir = path.resolve(config.dataDir || './data');
+        this.threshold = config.threshold || 0.3;
+        this.tradingEngine = tradingEngine;
+        this.riskMetrics = riskMetrics;
+
+        this.scenarios = new Map(BUILT_IN_SCENARIOS.map(scenario => [scenario.name, { ...scenario, builtIn: true }]));
+        // Ticks of historical windows read from files, by file and window
+        this.windows = new Map();
+    }
+
+    /**
+     * Check a scenario; returns an error or null
+     */
+    validate(scenario) {
+        if (!scenario || typeof scenario !== 'object') return 'scenario must be an object';
+
+        const { name, type, description } = scenario;
+        if (typeof name !== 'string' || !name.trim() || name.length > 100) return 'name must be a string of 1 to 100 characters';
+        if (!TYPES.includes(type)) return `type must be one of: ${TYPES.join(', ')}`;
+        if (description !== undefined && typeof description !== 'string') return 'description must be a string';
+
+        if (type === 'shock') {
+            const shocks = scenario.shocks;
+            if (!shocks || typeof shocks !== 'object' || Object.keys(shocks).length === 0) {
+                return 'shocks must map assets to their shocks';
+            }
+            for (const [asset, shock] of Object.entries(shocks)) {
+                const error = validateShock(shock);
+                if (error) return `${asset}: ${error}`;
+            }
+            return null;
+        }
+
+        const from = new Date(scenario.from);
+        const to = new Date(scenario.to);
+        if (isNaN(from.getTime()) || isNaN(to.getTime())) return 'from and to must be dates';
+        if (from >= to) return 'from must be before to';
+
+        if (scenario.dataFile !== undefined) {
+            const file = this.resolveDataFile(scenario.dataFile);
+            if (!file) return `dataFile must be inside ${this.dataDir}`;
+            if (!fs.existsSync(file)) return `dataFile not found: ${scenario.dataFile}`;
+        }
+        return null;
+    }
+
+    resolveDataFile(dataFile) {
+        if (typeof dataFile !== 'string') return null;
+        const file = path.resolve(this.dataDir, dataFile);
+        return file.startsWith(this.dataDir + path.sep) ? file : null;
+    }
+
+    /**
+     * Save a scenario under its name, replacing a saved one of that name
+     * Built-in scenarios cannot be replaced. Throws on an invalid scenario.
+     */
+    save(scenario) {
+        const error = this.validate(scenario);
+        if (error) {
+            throw new Error(error);
+        }
+        const existing = this.scenarios.get(scenario.name);
+        if (existing && existing.builtIn) {
+            throw new Error(`${scenario.name} is a built-in scenario`);
+        }
+
+        const saved = normalize(scenario);
+        this.scenarios.set(saved.name, saved);
+        this.windows.clear();
+        this.emit('scenarioSaved', saved);
+        return saved;
+    }
+
+    /**
+     * Delete a saved scenario; returns whether there was one
+     */
+    delete(name) {
+        const existing = this.scenarios.get(name);
+        if (!existing || existing.builtIn) return false;
+
+        this.scenarios.delete(name);
+        this.emit('scenarioDeleted', name);
+        return true;
+    }
+
+    /**
+     * Put saved scenarios back, e.g. from a store; invalid ones are skipped
+     */
+    load(scenarios) {
+        for (const scenario of scenarios) {
+            const existing = this.scenarios.get(scenario.name);
+            if (!this.validate(scenario) && !(existing && existing.builtIn)) {
+                this.scenarios.set(scenario.name, normalize(scenario));
+            }
+        }
+    }
+
+    getScenario(name) {
+        return this.scenarios.get(name) || null;
+    }
+
+    getScenarios() {
+        return Array.from(this.scenarios.values());
+    }
+
+    /**
+     * Run every scenario, or the named ones
+     */
+    async runAll(names = null) {
+        const scenarios = names ? names.map(name => this.scenarios.get(name)).filter(Boolean) : this.getScenarios();
+        const results = [];
+        for (const scenario of scenarios) {
+            results.push(await this.run(scenario));
+        }
+        return results;
+    }
+
+    /**
+     * Revalue the open positions under a scenario, saved or not
+     * Returns { scenario, type, timestamp, totalValue, stressedValue, pnl, liquidityCost,
+     *   stressedDrawdown, breach, stressedVar, positions, worstPnL, worstAt, missingAssets }
+     */
+    async run(scenario) {
+        const error = this.validate(scenario);
+        if (error) {
+            throw new Error(error);
+        }
+
+        const engine = this.tradingEngine;
+        const positions = engine.getPositions();
+        const prices = new Map(positions.map(position => [position.asset, currentPrice(engine, position)]));
+
+        let moves;
+        let shocks = {};
+        let worst = null;
+        let missingAssets = [];
+        if (scenario.type === 'shock') {
+            shocks = Object.fromEntries([...prices.keys()].map(asset => [asset, { ...scenario.shocks['*'], ...scenario.shocks[asset] }]));
+            moves = Object.fromEntries(Object.entries(shocks).map(([asset, shock]) => [asset, shock.price || 0]));
+        } else {
+            const replay = this.replay(await this.loadWindow(scenario), positions, prices);
+            moves = replay.moves;
+            worst = replay.worst;
+            missingAssets = [...prices.keys()].filter(asset => !(asset in moves));
+        }
+
+        const revalued = positions.map(position => {
+            const price = prices.get(position.asset);
+            const stressedPrice = price * (1 + (moves[position.asset] || 0));
+            const direction = position.side === 'SHORT' ? -1 : 1;
+            const liquidity = (shocks[position.asset] || {}).liquidity;
+            const market = engine.marketData.get(position.asset);
+            const halfSpread = market && market.bid && market.ask ? (market.ask - market.bid) / (2 * price) : 0;
+            const liquidityCost = liquidity ? position.size * stressedPrice * halfSpread / liquidity : 0;
+
+            return {
+                id: position.id,
+                asset: position.asset,
+                side: position.side,
+                size: position.size,
+                price,
+                stressedPrice,
+                pnl: direction * position.size * (stressedPrice - price) - liquidityCost,
+                liquidityCost
+            };
+        });
+
+        const totalValue = engine.calculateTotalValue();
+        const pnl = revalued.reduce((sum, p) => sum + p.pnl, 0);
+        const liquidityCost = revalued.reduce((sum, p) => sum + p.liquidityCost, 0);
+        // The window ends on its last tick, so its worst point is never above where it ends
+        const worstPnL = worst ? worst.pnl - liquidityCost : pnl;
+        const stressedDrawdown = totalValue > 0 ? Math.max(0, -worstPnL) / totalValue : 0;
+
+        return {
+            scenario: scenario.name,
+            type: scenario.type,
+            timestamp: engine.clock.now(),
+            totalValue,
+            stressedValue: totalValue + pnl,
+            pnl,
+            liquidityCost,
+            stressedDrawdown,
+            breach: stressedDrawdown > this.threshold,
+            stressedVar: this.stressedVar(revalued, shocks),
+            positions: revalued,
+            worstPnL,
+            worstAt: worst ? worst.timestamp : null,
+            missingAssets
+        };
+    }
+
+    /**
+     * VaR of the positions at their stressed prices, with each asset's returns
+     * spread about their mean by its volatility shock
+     */
+    stressedVar(revalued, shocks) {
+        if (!this.riskMetrics) return null;
+
+        const exposures = {};
+        for (const p of revalued) {
+            exposures[p.asset] = (exposures[p.asset] || 0) + p.size * p.stressedPrice * (p.side === 'SHORT' ? -1 : 1);
+        }
+
+        const returns = {};
+        for (const asset of Object.keys(exposures)) {
+            const prices = (this.tradingEngine.priceHistory.get(asset) || []).map(point => point.price);
+            const series = prices.slice(1).map((price, i) => (price - prices[i]) / prices[i]);
+            const volatility = (shocks[asset] || {}).volatility || 1;
+            const mean = series.length > 0 ? series.reduce((a, b) => a + b, 0) / series.length : 0;
+            returns[asset] = series.map(r => mean + (r - mean) * volatility);
+        }
+
+        return this.riskMetrics.calculate(returns, exposures).var;
+    }
+
+    /**
+     * Ticks of a historical scenario's window, oldest first
+     */
+    async loadWindow(scenario) {
+        const from = new Date(scenario.from).getTime();
+        const to = new Date(scenario.to).getTime();
+        const inWindow = time => time >= from && time <= to;
+
+        if (scenario.dataFile === undefined) {
+            const ticks = [];
+            for (const [asset, history] of this.tradingEngine.priceHistory) {
+                for (const point of history) {
+                    const time = new Date(point.timestamp).getTime();
+                    if (inWindow(time)) ticks.push({ asset, price: point.price, time });
+                }
+            }
+            return ticks.sort((a, b) => a.time - b.time);
+        }
+
+        const file = this.resolveDataFile(scenario.dataFile);
+        const key = `${file}|${from}|${to}`;
+        if (!this.windows.has(key)) {
+            // Required here: the backtester runs its own dashboard, which runs stress tests
+            const Backtester = require('./backtester');
+            const ticks = [];
+            for await (const tick of Backtester.readTicks(file)) {
+                const time = tick.timestamp.getTime();
+                if (tick.asset && inWindow(time)) ticks.push({ asset: tick.asset, price: tick.price, time });
+            }
+            this.windows.set(key, ticks.sort((a, b) => a.time - b.time));
+        }
+        return this.windows.get(key);
+    }
+
+    /**
+     * Move the positions through the window's ticks
+     * Returns each asset's move over the window and the lowest P&L on the way.
+     */
+    replay(ticks, positions, prices) {
+        const start = {};
+        const moves = {};
+        let worst = null;
+
+        for (const tick of ticks) {
+            if (!(tick.asset in start)) start[tick.asset] = tick.price;
+            moves[tick.asset] = tick.price / start[tick.asset] - 1;
+
+            if (!prices.has(tick.asset)) continue;
+            const pnl = positions.reduce((sum, position) => {
+                const move = moves[position.asset] || 0;
+                return sum + (position.side === 'SHORT' ? -1 : 1) * position.size * prices.get(position.asset) * move;
+            }, 0);
+            if (!worst || pnl < worst.pnl) {
+                worst = { pnl, timestamp: new Date(tick.time) };
+            }
+        }
+
+        return { moves, worst };
+    }
+}
+
+function validateShock(shock) {
+    if (!shock || typeof shock !== 'object') return 'shock must be an object';
+
+    const keys = Object.keys(shock);
+    if (keys.length === 0) return `a shock needs one of: ${SHOCKS.join(', ')}`;
+    const unknown = keys.find(key => !SHOCKS.includes(key));
+    if (unknown) return `Unknown shock: ${unknown}`;
+
+    const { price, volatility, liquidity } = shock;
+    if (price !== undefined && !(typeof price === 'number' && price > -1)) return 'price must be a number above -1';
+    if (volatility !== undefined && !(typeof volatility === 'number' && volatility > 0)) return 'volatility must be a positive number';
+    if (liquidity !== undefined && !(typeof liquidity === 'number' && liquidity > 0 && liquidity <= 1)) {
+        return 'liquidity must be above 0 and at most 1';
+    }
+    return null;
+}
+
+/**
+ * The fields of a scenario its type uses
+ */
+function normalize(scenario) {
+    const saved = { name: scenario.name, type: scenario.type };
+    if (scenario.description !== undefined) saved.description = scenario.description;
+
+    if (scenario.type === 'shock') {
+        saved.shocks = scenario.shocks;
+    } else {
+        saved.from = new Date(scenario.from);
+        saved.to = new Date(scenario.to);
+        if (scenario.dataFile !== undefined) saved.dataFile = scenario.dataFile;
+    }
+    return saved;
+}
+
+function currentPrice(engine, position) {
+    const market = engine.marketData.get(position.asset);
+    return market ? market.price : position.entryPrice;
+}
+
+StressTester.TYPES = TYPES;
+StressTester.BUILT_IN_SCENARIOS = BUILT_IN_SCENARIOS;
+
+module.exports = StressTester;
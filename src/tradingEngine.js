@@ -4,35 +4,86 @@
  */
 
 const EventEmitter = require('events');
+const StrategyRegistry = require('./strategyRegistry');
+const { SystemClock } = require('./clock');
+const PaperVenue = require('./venues/paperVenue');
+const Ledger = require('./ledger');
+const { applyEntry } = require('./tradingJournal');
+
+// ACTIVE trades freely, REDUCE_ONLY only takes exposure off, HALTED takes no new trades or orders
+const TRADING_STATES = ['ACTIVE', 'REDUCE_ONLY', 'HALTED'];
+
+// Settings read from the agent's config; the clock, venue and risk gate are wired separately
+const CONFIG_KEYS = [
+    'initialCash', 'maxPositionSize', 'maxDrawdown', 'stopLossPercent', 'takeProfitPercent',
+    'leverage', 'initialMargin', 'maintenanceMargin', 'marginRequirements', 'marginCallDistance',
+    'minOrderSize', 'maxOrdersPerAsset', 'positionMode', 'positionModes', 'execution'
+];
 
 class TradingEngine extends EventEmitter {
-    constructor(config, alertSystem) {
+    constructor(config, alertSystem, strategyRegistry = null) {
         super();
         this.config = config;
         this.alertSystem = alertSystem;
+        this.clock = config.clock || new SystemClock();
+        this.strategyRegistry = strategyRegistry || StrategyRegistry.createDefault();
+        // Every fill goes through the venue; paper trading unless one is supplied
+        this.venue = config.venue || new PaperVenue({ ...config.execution, clock: this.clock });
+        this.activeStrategies = new Map();
         this.positions = new Map();
         this.activeOrders = new Map();
+        this.orderHistory = [];
         this.portfolio = {
             totalValue: 0,
             positions: {},
-            cash: config.initialCash || 100000,
+            cash: 0,
             marginUsed: 0
         };
 
+        // Double-entry book that cash and margin are derived from, see ledger.js
+        const initialCash = config.initialCash || 100000;
+        this.ledger = new Ledger();
+        this.ledger.post('transfer', [
+            { account: 'cash', amount: initialCash },
+            { account: 'capital', amount: -initialCash }
+        ], { memo: 'Initial cash' });
+        this.portfolio.cash = this.ledger.balance('cash');
+
         // Trading parameters
         this.params = {
             maxPositionSize: config.maxPositionSize || 0.1, // 10% of portfolio
             maxDrawdown: config.maxDrawdown || 0.2, // 20% max drawdown
             stopLossPercent: config.stopLossPercent || 0.05, // 5% stop loss
             takeProfitPercent: config.takeProfitPercent || 0.1, // 10% take profit
-            leverage: config.leverage || 1,
+            ...TradingEngine.marginParams(config),
+            marginCallDistance: config.marginCallDistance || 0.1, // alert within 10% of the liquidation price
             minOrderSize: config.minOrderSize || 10,
-            maxOrdersPerAsset: config.maxOrdersPerAsset || 3
+            maxOrdersPerAsset: config.maxOrdersPerAsset || 3,
+            positionMode: config.positionMode || 'hedging' // hedging or netting
         };
 
+        const marginError = TradingEngine.validateMargin(config);
+        if (marginError) {
+            throw new Error(marginError);
+        }
+
+        // Per-asset position mode overrides
+        this.positionModes = new Map(Object.entries(config.positionModes || {}));
+
+        // Per-asset margin overrides, e.g. { BTC: { initial: 0.1, maintenance: 0.05 } }
+        this.marginRequirements = new Map(Object.entries(config.marginRequirements || {}));
+        // Assets under a margin call, alerted once until their price moves away again
+        this.marginCalls = new Set();
+        this.deleveraging = false;
+
+        // Perpetual AA curves that price trades instead of the top of book
+        this.curves = new Map();
+
         // Market data cache
         this.marketData = new Map();
         this.priceHistory = new Map();
+        // Processing of the latest tick, see updateMarketData
+        this.tickQueue = Promise.resolve();
 
         // Performance tracking
         this.performance = {
@@ -45,249 +96,1433 @@ class TradingEngine extends EventEmitter {
             winRate: 0
         };
 
-        this.initialize();
+        // Write-ahead journal of portfolio, position and performance changes, see attachJournal
+        this.journal = null;
+
+        // Pre-trade risk check consulted before adding exposure, see setRiskGate
+        this.riskGate = null;
+
+        // Whether new exposure may be taken, see setTradingState
+        this.tradingState = {
+            state: 'ACTIVE',
+            reason: null,
+            source: null,
+            since: this.clock.now(),
+            resumeAfter: null
+        };
+        this.tradingStateHistory = [];
+
+        this.initialize();
+    }
+
+    /**
+     * Initialize trading engine
+     */
+    async initialize() {
+        await this.alertSystem.logAlert('INFO', 'Trading Engine initialized', {
+            params: this.params,
+            portfolio: this.portfolio
+        });
+
+        // Start monitoring
+        this.startMonitoring();
+    }
+
+    /**
+     * Execute trading strategy
+     * Returns the position opened or closed, or null when no rule fired.
+     */
+    async executeStrategy(asset, strategyName, signal, options = {}) {
+        const decision = await this.runStrategy(asset, strategyName, signal, options);
+        return decision ? decision.position : null;
+    }
+
+    /**
+     * Run a strategy's onSignal and return a structured decision
+     * options: preset/presetVersion/params (see StrategyRegistry.resolveParamSet),
+     * size (overrides the strategy's size), sizing ({ mode, value }, see
+     * resolvePositionSize) and dryRun (evaluate the rules without trading).
+     * Returns null when the strategy could not be run at all.
+     */
+    async runStrategy(asset, strategyName, signal, options = {}) {
+        try {
+            const strategy = this.strategyRegistry.get(strategyName);
+            if (!strategy) {
+                await this.alertSystem.logAlert('ERROR', `Unknown strategy: ${strategyName}`);
+                return null;
+            }
+
+            if (!this.marketData.has(asset)) {
+                await this.alertSystem.logAlert('WARNING', `No market data available for ${asset}`);
+                return null;
+            }
+
+            let paramSet = null;
+            if (options.preset || options.params) {
+                const resolved = this.strategyRegistry.resolveParamSet(strategyName, options);
+                if (resolved.errors.length > 0) {
+                    await this.alertSystem.logAlert('ERROR', `Invalid parameters for ${strategyName}: ${resolved.errors.join(', ')}`);
+                    return null;
+                }
+                paramSet = resolved.paramSet;
+            }
+
+            const sizingError = this.validateSizing(options);
+            if (sizingError) {
+                await this.alertSystem.logAlert('ERROR', `Invalid sizing for ${strategyName}: ${sizingError}`);
+                return null;
+            }
+
+            const ctx = this.createStrategyContext(asset, strategy, paramSet, options);
+            ctx.decision.signal = signal;
+            await strategy.onSignal(ctx, signal);
+
+            const decision = ctx.decision;
+            if (decision.action === 'NONE' && !decision.reason) {
+                decision.reason = 'No entry or exit rule fired';
+            }
+
+            this.emit('strategyDecision', decision);
+            return decision;
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { asset, strategy: strategyName, signal });
+            return null;
+        }
+    }
+
+    /**
+     * Build the context passed to a strategy's onTick and onSignal
+     * ctx.position is the latest open position this strategy holds on the asset.
+     * Without an explicit parameter set the one recorded on that position is
+     * used, so exits run with the same values as the entry.
+     * Strategies describe what they did through ctx.record (indicators),
+     * the rule option of openPosition/closePosition, and ctx.skip (reason).
+     */
+    createStrategyContext(asset, strategy, paramSet = null, options = {}) {
+        const position = this.getPositions(asset)
+            .filter(p => p.strategy === strategy.name)
+            .pop() || null;
+
+        paramSet = paramSet
+            || (position && position.strategyParams)
+            || this.strategyRegistry.resolveParamSet(strategy.name).paramSet;
+
+        const dryRun = !!options.dryRun;
+        const decision = {
+            strategy: strategy.name,
+            asset,
+            signal: null,
+            dryRun,
+            paramSet,
+            indicators: {},
+            rule: null,
+            action: 'NONE',
+            position: null,
+            reason: null,
+            riskCheck: null,
+            timestamp: this.clock.now()
+        };
+
+        const ctx = {
+            asset,
+            engine: this,
+            marketData: this.marketData.get(asset),
+            position,
+            params: { ...paramSet.params },
+            paramSet,
+            dryRun,
+            decision,
+            positionSize: () => this.resolvePositionSize(asset, options.sizing),
+            record: (indicators) => {
+                Object.assign(decision.indicators, indicators);
+            },
+            skip: (reason) => {
+                decision.reason = reason;
+                return null;
+            },
+            openPosition: async (side, size, { rule = null } = {}) => {
+                if (options.size) size = options.size;
+
+                decision.rule = rule;
+                decision.action = 'OPEN';
+
+                if (dryRun) {
+                    const preview = this.previewPosition(asset, side, size);
+                    decision.reason = preview.reason;
+                    decision.position = preview.position;
+                    if (preview.riskCheck && preview.riskCheck.decision !== 'APPROVE') {
+                        decision.riskCheck = preview.riskCheck;
+                    }
+                    return preview.position;
+                }
+
+                const outcome = {};
+                const result = await this.openPosition(asset, side, size, {
+                    strategy: strategy.name,
+                    strategyParams: paramSet,
+                    outcome
+                });
+
+                // The decision carries the risk gate's reasons when it did not simply approve
+                const riskCheck = outcome.riskCheck;
+                if (riskCheck && riskCheck.decision !== 'APPROVE') {
+                    decision.riskCheck = riskCheck;
+                }
+                if (!result) {
+                    decision.reason = riskCheck && riskCheck.decision === 'REJECT'
+                        ? 'Trade rejected by risk checks'
+                        : 'Position rejected by risk limits or insufficient funds';
+                }
+                decision.position = result;
+                return result;
+            },
+            closePosition: async ({ rule = null, ...closeOptions } = {}) => {
+                if (!position) return null;
+
+                decision.rule = rule;
+                decision.action = 'CLOSE';
+
+                const result = dryRun
+                    ? { ...position }
+                    : await this.closePosition(asset, { positionId: position.id, ...closeOptions });
+
+                if (!result) decision.reason = 'Position could not be closed';
+                decision.position = result;
+                return result;
+            }
+        };
+
+        return ctx;
+    }
+
+    /**
+     * Work out what openPosition would do without touching the portfolio
+     * Returns { position, reason, riskCheck }; position is null when it would
+     * be rejected, and riskCheck is the risk gate's check once it was asked.
+     */
+    previewPosition(asset, side, size) {
+        const blocked = this.checkTradingState(this.reducesPosition(asset, side));
+        if (blocked) {
+            return { position: null, reason: blocked, riskCheck: null };
+        }
+
+        const riskCheck = this.checkTradeRisk(asset, side, size, null, { dryRun: true });
+        if (riskCheck.decision === 'REJECT') {
+            return { position: null, reason: 'Trade rejected by risk checks', riskCheck };
+        }
+        size = riskCheck.size;
+
+        const estimate = this.estimateFill(asset, side, size);
+        const entryPrice = estimate.price;
+        const positionValue = size * entryPrice;
+
+        if (!this.checkRiskLimits(asset, size)) {
+            return { position: null, reason: `Risk limit exceeded for ${asset}`, riskCheck };
+        }
+
+        if (!this.hasMarginFor(asset, positionValue)) {
+            return { position: null, reason: `Insufficient margin for ${asset} position`, riskCheck };
+        }
+
+        return {
+            position: {
+                asset,
+                side,
+                size,
+                entryPrice,
+                value: positionValue,
+                stopLoss: this.calculateStopLoss(entryPrice, side),
+                takeProfit: this.calculateTakeProfit(entryPrice, side),
+                fees: estimate.fee,
+                status: 'PREVIEW'
+            },
+            reason: null,
+            riskCheck
+        };
+    }
+
+    /**
+     * Size a new position
+     * Modes: 'auto' (volatility-adjusted risk sizing, the default),
+     * 'equity_percent' (value is the fraction of portfolio value to commit) and
+     * 'risk_percent' (value is the fraction of portfolio value lost if the
+     * stop loss is hit).
+     */
+    resolvePositionSize(asset, sizing = null) {
+        if (!sizing || sizing.mode === 'auto') {
+            return this.calculatePositionSize(asset);
+        }
+
+        // Reserve committed to the position
+        const equity = this.calculateTotalValue();
+        const budget = sizing.mode === 'risk_percent'
+            ? equity * sizing.value / this.params.stopLossPercent
+            : equity * sizing.value;
+
+        // On a perpetual curve the budget buys whatever the curve mints for it
+        const entry = this.curves.get(asset);
+        if (entry) {
+            try {
+                return entry.curve.quoteBuy(entry.perpAsset, budget).deltaS;
+            } catch (error) {
+                // Fall back to the market price if the curve cannot quote
+            }
+        }
+
+        return budget / this.marketData.get(asset).price;
+    }
+
+    /**
+     * Validate the size/sizing options of a strategy run
+     * Returns an error message or null
+     */
+    validateSizing({ size, sizing } = {}) {
+        if (size !== undefined && size !== null && (typeof size !== 'number' || !(size > 0))) {
+            return 'size must be a positive number';
+        }
+
+        if (sizing) {
+            if (!['auto', 'equity_percent', 'risk_percent'].includes(sizing.mode)) {
+                return 'sizing.mode must be one of auto, equity_percent, risk_percent';
+            }
+            if (sizing.mode !== 'auto' && (typeof sizing.value !== 'number' || !(sizing.value > 0) || sizing.value > 1)) {
+                return 'sizing.value must be a fraction between 0 and 1';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Run onTick for every strategy that is active on, or holds a position in, an asset
+     */
+    async runStrategyTicks(asset) {
+        const active = this.activeStrategies.get(asset) || new Map();
+        const holders = new Set();
+        for (const position of this.getPositions(asset)) {
+            if (position.strategy) holders.add(position.strategy);
+        }
+
+        for (const name of new Set([...active.keys(), ...holders])) {
+            const strategy = this.strategyRegistry.get(name);
+            if (!strategy) continue;
+
+            // A held position's own parameters take precedence over the activation's
+            const paramSet = holders.has(name) ? null : active.get(name);
+
+            try {
+                await strategy.onTick(this.createStrategyContext(asset, strategy, paramSet));
+            } catch (error) {
+                await this.alertSystem.logError(error, { asset, strategy: name, context: 'strategy_tick' });
+            }
+        }
+    }
+
+    /**
+     * Have a strategy receive onTick for an asset even while it holds no position
+     * options takes the same preset/params as executeStrategy.
+     */
+    activateStrategy(asset, strategyName, options = {}) {
+        const { paramSet, errors } = this.strategyRegistry.resolveParamSet(strategyName, options);
+        if (errors.length > 0) return false;
+
+        if (!this.activeStrategies.has(asset)) {
+            this.activeStrategies.set(asset, new Map());
+        }
+        this.activeStrategies.get(asset).set(strategyName, paramSet);
+        return true;
+    }
+
+    /**
+     * Stop sending onTick to a strategy for an asset
+     */
+    deactivateStrategy(asset, strategyName) {
+        const strategies = this.activeStrategies.get(asset);
+        return strategies ? strategies.delete(strategyName) : false;
+    }
+
+    /**
+     * Open a new position
+     * In netting mode an opposite position is reduced first and a same-side
+     * position is increased instead of opening a second one.
+     * options.price overrides the top-of-book entry price (used by order fills).
+     * options.outcome, when given, receives the risk gate's check as riskCheck.
+     * The venue may fill less than size; the position holds what was filled.
+     */
+    async openPosition(asset, side, size, options = {}) {
+        try {
+            const blocked = this.checkTradingState(this.reducesPosition(asset, side));
+            if (blocked) {
+                await this.alertSystem.logAlert('WARNING', `Trade blocked for ${asset}: ${blocked}`);
+                return null;
+            }
+
+            if (this.getPositionMode(asset) === 'netting') {
+                const existing = this.getPosition(asset);
+
+                if (existing && existing.side !== side) {
+                    const reduceSize = Math.min(size, existing.size);
+                    const reduced = await this.closePosition(asset, {
+                        positionId: existing.id,
+                        size: reduceSize,
+                        fills: options.fills
+                    });
+                    if (!reduced || reduceSize === size) {
+                        return reduced;
+                    }
+                    // Outside ACTIVE the flip stops at flat
+                    if (this.checkTradingState()) {
+                        return reduced;
+                    }
+                    size -= reduceSize;
+                } else if (existing) {
+                    return await this.increasePosition(existing, size, options);
+                }
+            }
+
+            size = await this.gateTrade(asset, side, size, options.price, options.outcome);
+            if (size === null) {
+                return null;
+            }
+
+            // Check risk limits
+            if (!this.checkRiskLimits(asset, size)) {
+                await this.alertSystem.logAlert('WARNING', `Risk limit exceeded for ${asset}`);
+                return null;
+            }
+
+            const estimatedPrice = options.price || this.estimateFill(asset, side, size).price;
+
+            // Check the free margin covers the initial margin
+            if (!this.hasMarginFor(asset, size * estimatedPrice)) {
+                await this.alertSystem.logAlert('WARNING', `Insufficient margin for ${asset} position`);
+                return null;
+            }
+
+            const fill = await this.executeFill(asset, side, size, options);
+            if (fill.status === 'REJECTED') {
+                return null;
+            }
+
+            size = fill.filledSize;
+            const entryPrice = fill.price;
+            const positionValue = size * entryPrice;
+
+            const position = {
+                id: this.generatePositionId(),
+                asset,
+                side,
+                size,
+                entryPrice,
+                entryTime: this.clock.now(),
+                stopLoss: this.calculateStopLoss(entryPrice, side),
+                takeProfit: this.calculateTakeProfit(entryPrice, side),
+                // Initial margin put up, released pro rata as the position is closed
+                margin: positionValue * this.getMarginRequirement(asset).initial,
+                status: 'OPEN',
+                pnl: 0,
+                realizedPnL: 0,
+                fees: fill.fee,
+                entryFill: fill,
+                orderId: options.orderId || null,
+                strategy: options.strategy || null,
+                strategyParams: options.strategyParams || null
+            };
+
+            this.commit({
+                type: 'open',
+                position,
+                postings: this.openingPostings(position.margin, position.fees)
+            });
+
+            await this.alertSystem.logAlert('INFO', `Opened ${side} position for ${asset}`, position);
+
+            this.emit('positionOpened', position);
+            return position;
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { asset, side, size });
+            return null;
+        }
+    }
+
+    /**
+     * Add to an existing position at a size-weighted average entry price
+     */
+    async increasePosition(position, size, options = {}) {
+        const blocked = this.checkTradingState();
+        if (blocked) {
+            await this.alertSystem.logAlert('WARNING', `Trade blocked for ${position.asset}: ${blocked}`);
+            return null;
+        }
+
+        size = await this.gateTrade(position.asset, position.side, size, options.price, options.outcome);
+        if (size === null) {
+            return null;
+        }
+
+        if (!this.checkRiskLimits(position.asset, size)) {
+            await this.alertSystem.logAlert('WARNING', `Risk limit exceeded for ${position.asset}`);
+            return null;
+        }
+
+        const estimatedPrice = options.price || this.estimateFill(position.asset, position.side, size).price;
+
+        if (!this.hasMarginFor(position.asset, size * estimatedPrice)) {
+            await this.alertSystem.logAlert('WARNING', `Insufficient margin for ${position.asset} position`);
+            return null;
+        }
+
+        const fill = await this.executeFill(position.asset, position.side, size, options);
+        if (fill.status === 'REJECTED') {
+            return null;
+        }
+
+        size = fill.filledSize;
+        const addedValue = size * fill.price;
+        const addedMargin = addedValue * this.getMarginRequirement(position.asset).initial;
+        const fees = fill.fee;
+        const totalSize = position.size + size;
+        const entryPrice = (position.size * position.entryPrice + addedValue) / totalSize;
+
+        this.commit({
+            type: 'increase',
+            positionId: position.id,
+            changes: {
+                entryPrice,
+                size: totalSize,
+                margin: position.margin + addedMargin,
+                fees: position.fees + fees,
+                stopLoss: this.calculateStopLoss(entryPrice, position.side),
+                takeProfit: this.calculateTakeProfit(entryPrice, position.side)
+            },
+            postings: this.openingPostings(addedMargin, fees)
+        });
+
+        await this.alertSystem.logAlert('INFO', `Increased ${position.side} position for ${position.asset}`, position);
+
+        this.emit('positionIncreased', position);
+        return position;
+    }
+
+    /**
+     * Place an order
+     * Market orders fill immediately; limit, stop and stop-limit orders rest
+     * in activeOrders and are matched against each market data update.
+     */
+    async placeOrder(params) {
+        try {
+            const error = this.validateOrder(params);
+            if (error) {
+                await this.alertSystem.logAlert('WARNING', `Order rejected: ${error}`, params);
+                return null;
+            }
+
+            const asset = params.asset;
+            const assetOrders = this.getOrders(asset).length;
+            if (params.type !== 'market' && assetOrders >= this.params.maxOrdersPerAsset) {
+                await this.alertSystem.logAlert('WARNING', `Maximum open orders reached for ${asset}`);
+                return null;
+            }
+
+            const order = {
+                id: this.generateOrderId(),
+                asset,
+                side: this.normalizeSide(params.side),
+                type: params.type,
+                price: params.price || null,
+                stopPrice: params.stopPrice || null,
+                size: params.size,
+                timeInForce: params.timeInForce || 'GTC',
+                status: 'OPEN',
+                triggered: false,
+                filledSize: 0,
+                createdAt: this.clock.now()
+            };
+
+            const blocked = this.checkTradingState(this.reducesPosition(asset, order.side));
+            if (blocked) {
+                return await this.rejectOrder(order, blocked, 'Order rejected', params);
+            }
+
+            // The gate sees the order at its limit or stop price; fills are checked again
+            if (this.marketData.has(asset)) {
+                const riskCheck = this.checkTradeRisk(asset, order.side, order.size, order.price || order.stopPrice, { orderId: order.id });
+                if (riskCheck.decision !== 'APPROVE') {
+                    order.riskCheck = riskCheck;
+                }
+                if (riskCheck.decision === 'REJECT') {
+                    const reason = riskCheck.reasons.map(reason => reason.message).join('; ');
+                    return await this.rejectOrder(order, reason, 'Order rejected by risk checks', params);
+                }
+                order.size = riskCheck.size;
+            }
+
+            this.activeOrders.set(order.id, order);
+            this.emit('orderPlaced', order);
+
+            if (this.marketData.has(asset)) {
+                await this.matchOrder(order);
+            }
+
+            // IOC and FOK orders never rest on the book. IOC keeps any partial fill
+            // and cancels the rest; FOK fills are all-or-nothing at the venue.
+            if (order.status === 'OPEN' && order.timeInForce !== 'GTC') {
+                await this.cancelOrder(order.id, `${order.timeInForce} order not filled immediately`);
+            }
+
+            // Limit orders still open now rest on the book and fill as maker liquidity
+            if (order.status === 'OPEN' && (order.type === 'limit' || order.type === 'stop_limit')) {
+                order.resting = true;
+                this.emit('orderUpdated', order);
+            }
+
+            return order;
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { order: params });
+            return null;
+        }
+    }
+
+    /**
+     * Cancel an active order
+     */
+    async cancelOrder(orderId, reason = 'Cancelled by user') {
+        const order = this.activeOrders.get(orderId);
+        if (!order) {
+            await this.alertSystem.logAlert('WARNING', `No active order found for ${orderId}`);
+            return null;
+        }
+
+        order.status = 'CANCELLED';
+        order.cancelReason = reason;
+        order.closedAt = this.clock.now();
+        this.archiveOrder(order);
+
+        this.emit('orderCancelled', order);
+        return order;
+    }
+
+    /**
+     * Amend price, stop price or size of an active order
+     * The size may not drop to what has already filled, and a larger order is
+     * gated again.
+     */
+    async amendOrder(orderId, patch = {}) {
+        const order = this.activeOrders.get(orderId);
+        if (!order) {
+            await this.alertSystem.logAlert('WARNING', `No active order found for ${orderId}`);
+            return null;
+        }
+
+        const amendable = ['price', 'stopPrice', 'size'];
+        const changes = {};
+        for (const key of Object.keys(patch)) {
+            if (!amendable.includes(key)) {
+                await this.alertSystem.logAlert('WARNING', `Order field ${key} cannot be amended`, { orderId });
+                return null;
+            }
+            changes[key] = patch[key];
+        }
+
+        const amended = { ...order, ...changes };
+        const error = this.validateOrder(amended)
+            || (amended.size <= order.filledSize ? `size must exceed the filled size of ${order.filledSize}` : null);
+        if (error) {
+            await this.alertSystem.logAlert('WARNING', `Order amendment rejected: ${error}`, { orderId, patch });
+            return null;
+        }
+
+        // A larger order goes back through the risk gate, as it did when placed
+        if (amended.size > order.size && this.marketData.has(order.asset)) {
+            const riskCheck = this.checkTradeRisk(order.asset, order.side, amended.size - order.filledSize,
+                amended.price || amended.stopPrice, { orderId });
+            if (riskCheck.decision === 'REJECT') {
+                const reason = riskCheck.reasons.map(reason => reason.message).join('; ');
+                await this.alertSystem.logAlert('WARNING', `Order amendment rejected by risk checks: ${reason}`, { orderId, patch });
+                return null;
+            }
+            changes.size = order.filledSize + riskCheck.size;
+            if (riskCheck.decision !== 'APPROVE') {
+                changes.riskCheck = riskCheck;
+            }
+        }
+
+        Object.assign(order, changes, { amendedAt: this.clock.now() });
+        this.emit('orderUpdated', order);
+
+        if (this.marketData.has(order.asset)) {
+            await this.matchOrder(order);
+        }
+
+        return order;
+    }
+
+    /**
+     * Validate order parameters, returning an error message or null
+     */
+    validateOrder(params) {
+        const types = ['market', 'limit', 'stop', 'stop_limit'];
+        const timeInForces = ['GTC', 'IOC', 'FOK'];
+
+        if (!params || !params.asset) return 'asset is required';
+        if (!this.normalizeSide(params.side)) return `invalid side: ${params.side}`;
+        if (!types.includes(params.type)) return `invalid order type: ${params.type}`;
+        if (!(params.size > 0)) return 'size must be positive';
+        if (params.timeInForce && !timeInForces.includes(params.timeInForce)) {
+            return `invalid timeInForce: ${params.timeInForce}`;
+        }
+        if ((params.type === 'limit' || params.type === 'stop_limit') && !(params.price > 0)) {
+            return `${params.type} order requires a positive price`;
+        }
+        if ((params.type === 'stop' || params.type === 'stop_limit') && !(params.stopPrice > 0)) {
+            return `${params.type} order requires a positive stopPrice`;
+        }
+        if (params.type === 'market' && !this.marketData.has(params.asset)) {
+            return `no market data available for ${params.asset}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Match all active orders for an asset against the latest market data
+     */
+    async matchOrders(asset) {
+        const orders = this.getOrders(asset);
+        for (const order of orders) {
+            await this.matchOrder(order);
+        }
+    }
+
+    /**
+     * Trigger and fill a single order if the market allows it
+     */
+    async matchOrder(order) {
+        if (order.status !== 'OPEN') return null;
+
+        // Resting orders wait out a halt or reduce-only period rather than being cancelled
+        if (this.checkTradingState(this.reducesPosition(order.asset, order.side))) return null;
+
+        const marketData = this.marketData.get(order.asset);
+        const isBuy = order.side === 'LONG';
+
+        // Stop and stop-limit orders wait for the last price to cross stopPrice
+        if ((order.type === 'stop' || order.type === 'stop_limit') && !order.triggered) {
+            const crossed = isBuy ? marketData.price >= order.stopPrice : marketData.price <= order.stopPrice;
+            if (!crossed) return null;
+
+            order.triggered = true;
+            order.triggeredAt = this.clock.now();
+            this.emit('orderUpdated', order);
+        }
+
+        const quote = this.getQuote(order.asset, order.side);
+        if (order.type === 'limit' || order.type === 'stop_limit') {
+            const marketable = isBuy ? quote <= order.price : quote >= order.price;
+            if (!marketable) return null;
+        }
+
+        return await this.fillOrder(order, quote);
+    }
+
+    /**
+     * Fill the unfilled part of an order by opening a position at the given price
+     * A partial fill from the venue puts the remainder back on the book.
+     */
+    async fillOrder(order, price) {
+        // Take the order off the book before the async fill so the next tick
+        // cannot match it again, and so it does not count against its own risk check
+        this.activeOrders.delete(order.id);
+
+        const fills = [];
+        const position = await this.openPosition(order.asset, order.side, order.size - order.filledSize, {
+            price,
+            orderId: order.id,
+            liquidity: order.resting ? 'maker' : 'taker',
+            allOrNothing: order.timeInForce === 'FOK',
+            fills
+        });
+        const filledSize = fills.reduce((sum, fill) => sum + fill.filledSize, 0);
+
+        if (!position || filledSize <= 0) {
+            order.status = 'CANCELLED';
+            order.cancelReason = 'Fill rejected by risk, funds or venue check';
+            order.closedAt = this.clock.now();
+            this.archiveOrder(order);
+            this.emit('orderCancelled', order);
+            return null;
+        }
+
+        const notional = fills.reduce((sum, fill) => sum + fill.filledSize * fill.price, 0);
+        order.fillPrice = ((order.fillPrice || 0) * order.filledSize + notional) / (order.filledSize + filledSize);
+        order.filledSize += filledSize;
+        order.positionId = position.id;
+
+        if (order.filledSize < order.size) {
+            this.activeOrders.set(order.id, order);
+            this.emit('orderPartiallyFilled', { order, position });
+            return position;
+        }
+
+        order.status = 'FILLED';
+        order.closedAt = this.clock.now();
+        this.archiveOrder(order);
+
+        this.emit('orderFilled', { order, position });
+        return position;
+    }
+
+    /**
+     * Route a fill through the execution venue
+     * side is the position side being traded into: LONG buys, SHORT sells.
+     * options.fills collects the venue reports for callers that need them.
+     */
+    async executeFill(asset, side, size, options = {}) {
+        const fill = await this.venue.execute({
+            asset,
+            side: side === 'LONG' ? 'BUY' : 'SELL',
+            size,
+            price: options.price || null,
+            liquidity: options.liquidity || 'taker',
+            allOrNothing: options.allOrNothing || false,
+            closing: options.closing || false,
+            getMarketData: () => this.marketData.get(asset)
+        });
+
+        if (options.fills && fill.filledSize > 0) {
+            options.fills.push(fill);
+        }
+
+        // Quotes from the curve miss this trade until it is re-read from the AA
+        const curveEntry = this.curves.get(asset);
+        if (curveEntry && fill.filledSize > 0) {
+            curveEntry.curve.recordTrade(fill);
+        }
+
+        if (fill.status === 'REJECTED') {
+            await this.alertSystem.logAlert('WARNING', `Fill rejected for ${asset}: ${fill.reason}`, fill);
+        }
+
+        this.emit('fill', fill);
+        return fill;
+    }
+
+    /**
+     * Close an order that never reached the book as REJECTED and return it
+     */
+    async rejectOrder(order, reason, message, params) {
+        order.status = 'REJECTED';
+        order.rejectReason = reason;
+        order.closedAt = this.clock.now();
+        this.archiveOrder(order);
+        await this.alertSystem.logAlert('WARNING', `${message}: ${reason}`, params);
+        return order;
+    }
+
+    /**
+     * Move a closed order from the book to the order history
+     */
+    archiveOrder(order) {
+        this.activeOrders.delete(order.id);
+        this.orderHistory.push(order);
+
+        // Keep only last 1000 orders
+        if (this.orderHistory.length > 1000) {
+            this.orderHistory.shift();
+        }
+    }
+
+    /**
+     * Get active orders, optionally for a single asset
+     */
+    getOrders(asset = null) {
+        const orders = Array.from(this.activeOrders.values());
+        return asset ? orders.filter(order => order.asset === asset) : orders;
+    }
+
+    /**
+     * Get the executable price for a side: ask for buys, bid for sells
+     */
+    getQuote(asset, side) {
+        const marketData = this.marketData.get(asset);
+        const quote = side === 'LONG' ? marketData.ask : marketData.bid;
+        return quote || marketData.price;
+    }
+
+    /**
+     * Consult gate before every trade that adds exposure
+     * gate.evaluateTrade({ asset, side, size, price }) must answer synchronously
+     * with { decision: 'APPROVE' | 'REDUCE' | 'REJECT', size, reasons }, as
+     * RiskManager.evaluateTrade does; null removes the gate.
+     */
+    setRiskGate(gate) {
+        this.riskGate = gate;
+    }
+
+    /**
+     * Ask the risk gate about trading size into side
+     * In netting mode only the part beyond an opposite position adds exposure;
+     * the rest reduces it and is always allowed. Emits riskRejected on a
+     * rejection with the trade and the gate's reasons, unless details.dryRun.
+     * Returns { decision, requestedSize, size, reasons }.
+     */
+    checkTradeRisk(asset, side, size, price = null, details = {}) {
+        const existing = this.getPositionMode(asset) === 'netting' ? this.getPosition(asset) : null;
+        const reducing = existing && existing.side !== side ? Math.min(size, existing.size) : 0;
+        const adding = size - reducing;
+
+        if (!this.riskGate || adding <= 0) {
+            return { decision: 'APPROVE', requestedSize: size, size, reasons: [] };
+        }
+
+        const check = this.riskGate.evaluateTrade({
+            asset,
+            side,
+            size: adding,
+            price: price || this.estimateFill(asset, side, adding).price
+        });
+        const result = { ...check, requestedSize: size, size: reducing + check.size };
+
+        if (result.decision === 'REJECT' && reducing > 0) {
+            // The reducing part still goes through
+            result.decision = 'REDUCE';
+        }
+        if (check.decision === 'REJECT' && !details.dryRun) {
+            this.emit('riskRejected', { asset, side, ...details, ...result });
+        }
+        return result;
+    }
+
+    /**
+     * Run a trade that adds exposure through the risk gate
+     * Returns the size to trade, or null when the gate rejected it; outcome,
+     * when given, receives the check as riskCheck.
+     */
+    async gateTrade(asset, side, size, price = null, outcome = null) {
+        const riskCheck = this.checkTradeRisk(asset, side, size, price);
+        if (outcome) {
+            outcome.riskCheck = riskCheck;
+        }
+
+        if (riskCheck.decision === 'REJECT') {
+            await this.alertSystem.logAlert('WARNING', `Risk gate rejected ${side} ${size} ${asset}`, {
+                reasons: riskCheck.reasons.map(reason => reason.message)
+            });
+            return null;
+        }
+        if (riskCheck.decision === 'REDUCE') {
+            await this.alertSystem.logAlert('INFO', `Risk gate reduced ${side} ${asset} from ${size} to ${riskCheck.size}`, {
+                reasons: riskCheck.reasons.map(reason => reason.message)
+            });
+        }
+        return riskCheck.size;
+    }
+
+    /**
+     * Move trading into ACTIVE, REDUCE_ONLY or HALTED
+     * details: {
+     *   source: what changed it, e.g. 'risk', 'emergency' or 'manual',
+     *   actor: who changed it, for the audit trail,
+     *   cooldown: ms before trading may resume (default none),
+     *   breaches: the limits that tripped it
+     * }
+     * Every change is kept in tradingStateHistory and emitted as
+     * tradingStateChanged. Returns the history record.
+     */
+    async setTradingState(state, reason, details = {}) {
+        if (!TRADING_STATES.includes(state)) {
+            throw new Error(`Unknown trading state: ${state}`);
+        }
+
+        const now = this.clock.now();
+        const { cooldown = 0, ...audit } = details;
+        const record = { from: this.tradingState.state, to: state, reason, ...audit, timestamp: now };
+
+        this.tradingState = {
+            state,
+            reason,
+            source: details.source || null,
+            since: now,
+            resumeAfter: cooldown > 0 ? new Date(now.getTime() + cooldown) : null
+        };
+        this.tradingStateHistory.push(record);
+        if (this.tradingStateHistory.length > 1000) {
+            this.tradingStateHistory.shift();
+        }
+
+        this.emit('tradingStateChanged', record);
+        const level = state === 'HALTED' ? 'CRITICAL' : state === 'REDUCE_ONLY' ? 'WARNING' : 'INFO';
+        await this.alertSystem.logAlert(level, `Trading ${state}: ${reason}`, record);
+        return record;
+    }
+
+    /**
+     * The trading state with its most recent changes, newest last
+     */
+    getTradingState(historyLimit = 20) {
+        return {
+            ...this.tradingState,
+            history: this.tradingStateHistory.slice(-historyLimit)
+        };
+    }
+
+    /**
+     * Check the trading state allows a trade; returns an error message or null
+     * reducing: the trade only takes exposure off, which REDUCE_ONLY allows.
+     */
+    checkTradingState(reducing = false) {
+        const { state, reason } = this.tradingState;
+        if (state === 'HALTED') {
+            return `Trading is halted: ${reason}`;
+        }
+        if (state === 'REDUCE_ONLY' && !reducing) {
+            return `Trading is reduce-only: ${reason}`;
+        }
+        return null;
     }
 
     /**
-     * Initialize trading engine
+     * Whether trading into side reduces a netted position on asset
      */
-    async initialize() {
-        await this.alertSystem.logAlert('INFO', 'Trading Engine initialized', {
-            params: this.params,
-            portfolio: this.portfolio
-        });
+    reducesPosition(asset, side) {
+        if (this.getPositionMode(asset) !== 'netting') return false;
+        const existing = this.getPosition(asset);
+        return Boolean(existing && existing.side !== side);
+    }
 
-        // Start monitoring
-        this.startMonitoring();
+    /**
+     * Price trades on asset from a perpetual AA curve
+     * curve is a PerpetualCurve for the AA that issues perpAsset; null removes it.
+     * address is the one the engine trades from, which the AA merges trades by.
+     */
+    setCurve(asset, curve, perpAsset = null, address = null) {
+        if (!curve) {
+            this.curves.delete(asset);
+            return;
+        }
+        this.curves.set(asset, { curve, perpAsset, address });
     }
 
     /**
-     * Execute trading strategy
+     * Estimate the average price and fee of trading size into side
+     * Uses the asset's perpetual curve when one is set, otherwise the top of
+     * book and the venue's taker fee. Curve prices exclude the fee, as AA fills do.
      */
-    async executeStrategy(asset, strategy, signal) {
-        try {
-            const position = this.positions.get(asset);
-            const marketData = this.marketData.get(asset);
+    estimateFill(asset, side, size) {
+        const entry = this.curves.get(asset);
 
-            if (!marketData) {
-                await this.alertSystem.logAlert('WARNING', `No market data available for ${asset}`);
-                return;
-            }
-
-            switch (strategy) {
-                case 'momentum':
-                    return await this.executeMomentumStrategy(asset, signal);
-                case 'mean_reversion':
-                    return await this.executeMeanReversionStrategy(asset, signal);
-                case 'breakout':
-                    return await this.executeBreakoutStrategy(asset, signal);
-                case 'scalping':
-                    return await this.executeScalpingStrategy(asset, signal);
-                case 'swing':
-                    return await this.executeSwingStrategy(asset, signal);
-                default:
-                    await this.alertSystem.logAlert('ERROR', `Unknown strategy: ${strategy}`);
-                    return;
+        if (entry) {
+            try {
+                if (side === 'LONG') {
+                    const spot = entry.curve.getPrice(entry.perpAsset);
+                    const quote = entry.curve.quoteBuy(entry.perpAsset, size * spot);
+                    if (quote.deltaS > 0) {
+                        return {
+                            price: quote.averagePrice - quote.totalFee / quote.deltaS,
+                            fee: quote.totalFee * size / quote.deltaS
+                        };
+                    }
+                } else {
+                    const quote = entry.curve.quoteSell(entry.perpAsset, size);
+                    return { price: (quote.payout + quote.totalFee) / size, fee: quote.totalFee };
+                }
+            } catch (error) {
+                // The curve refuses trades the AA would bounce; fall back to the book
             }
-        } catch (error) {
-            await this.alertSystem.logError(error, { asset, strategy, signal });
         }
+
+        const price = this.getQuote(asset, side);
+        return { price, fee: this.calculateFees(size * price) };
     }
 
     /**
-     * Execute momentum strategy
+     * Map BUY/SELL to LONG/SHORT, returning null for anything else
      */
-    async executeMomentumStrategy(asset, signal) {
-        const marketData = this.marketData.get(asset);
-        const position = this.positions.get(asset);
-
-        // Calculate momentum indicators
-        const momentum = this.calculateMomentum(asset);
-        const volume = this.calculateVolumeTrend(asset);
-
-        if (signal === 'BUY' && momentum > 0.7 && volume > 0.6) {
-            return await this.openPosition(asset, 'LONG', this.calculatePositionSize(asset));
-        } else if (signal === 'SELL' && momentum < -0.7 && volume > 0.6) {
-            return await this.openPosition(asset, 'SHORT', this.calculatePositionSize(asset));
-        } else if (position && this.shouldClosePosition(asset, position)) {
-            return await this.closePosition(asset);
-        }
+    normalizeSide(side) {
+        if (side === 'BUY' || side === 'LONG') return 'LONG';
+        if (side === 'SELL' || side === 'SHORT') return 'SHORT';
+        return null;
     }
 
     /**
-     * Execute mean reversion strategy
+     * Close or reduce positions for an asset
+     * options.positionId targets one position, otherwise all positions for the
+     * asset are closed oldest first. options.size closes only that much.
+     * Returns the closed position, or an array when several were touched.
+     * A short fill from the venue stops the close at what was filled.
      */
-    async executeMeanReversionStrategy(asset, signal) {
-        const marketData = this.marketData.get(asset);
-        const position = this.positions.get(asset);
+    async closePosition(asset, options = {}) {
+        try {
+            if (options.size !== undefined && !(options.size > 0)) {
+                await this.alertSystem.logAlert('WARNING', `Invalid close size for ${asset}: ${options.size}`);
+                return null;
+            }
+
+            let positions = this.getPositions(asset);
+            if (options.positionId) {
+                positions = positions.filter(p => p.id === options.positionId);
+            }
+
+            if (positions.length === 0) {
+                const target = options.positionId ? `position ${options.positionId}` : asset;
+                await this.alertSystem.logAlert('WARNING', `No position found for ${target}`);
+                return null;
+            }
+
+            let remaining = options.size || Infinity;
+            const closed = [];
+
+            for (const position of positions) {
+                if (remaining <= 0) break;
+
+                const closeSize = Math.min(remaining, position.size);
+                const result = await this.realizePosition(position, closeSize, options);
+                if (!result) break;
+
+                closed.push(result);
+                remaining -= result.size;
+                if (result.size < closeSize) break;
+            }
+
+            this.markToMarket();
 
-        // Calculate mean reversion indicators
-        const zScore = this.calculateZScore(asset);
-        const rsi = this.calculateRSI(asset);
+            if (closed.length === 0) {
+                return null;
+            }
 
-        if (signal === 'BUY' && zScore < -2 && rsi < 30) {
-            return await this.openPosition(asset, 'LONG', this.calculatePositionSize(asset));
-        } else if (signal === 'SELL' && zScore > 2 && rsi > 70) {
-            return await this.openPosition(asset, 'SHORT', this.calculatePositionSize(asset));
-        } else if (position && Math.abs(zScore) < 0.5) {
-            return await this.closePosition(asset);
+            return closed.length === 1 ? closed[0] : closed;
+
+        } catch (error) {
+            await this.alertSystem.logError(error, { asset, options });
+            return null;
         }
     }
 
     /**
-     * Execute breakout strategy
+     * Realize PnL on part or all of a position
+     * A partial close leaves the position open with a smaller size and returns
+     * a CLOSED record for the slice that was realized. Fees on the record are
+     * the slice's share of entry fees plus the exit fee.
      */
-    async executeBreakoutStrategy(asset, signal) {
-        const marketData = this.marketData.get(asset);
-        const position = this.positions.get(asset);
+    async realizePosition(position, closeSize, options = {}) {
+        const asset = position.asset;
+        const fill = await this.executeFill(asset, position.side === 'LONG' ? 'SHORT' : 'LONG', closeSize, {
+            closing: true,
+            fills: options.fills
+        });
+        if (fill.status === 'REJECTED') {
+            return null;
+        }
 
-        // Calculate breakout indicators
-        const breakoutLevel = this.calculateBreakoutLevel(asset);
-        const currentPrice = marketData.price;
+        closeSize = fill.filledSize;
+        const exitPrice = fill.price;
+        const ratio = closeSize / position.size;
+
+        // Calculate P&L on the closed slice only
+        const grossPnL = position.side === 'LONG'
+            ? (exitPrice - position.entryPrice) * closeSize
+            : (position.entryPrice - exitPrice) * closeSize;
+        const entryFees = position.fees * ratio;
+        const fees = entryFees + fill.fee;
+        const margin = position.margin * ratio;
+        const postings = this.closingPostings(margin, grossPnL, fill.fee);
+        const pnl = grossPnL - fees;
+
+        if (ratio < 1) {
+            this.commit({
+                type: 'reduce',
+                positionId: position.id,
+                changes: {
+                    size: position.size - closeSize,
+                    margin: position.margin - margin,
+                    fees: position.fees - entryFees,
+                    realizedPnL: position.realizedPnL + pnl
+                },
+                postings,
+                performance: this.calculatePerformance(pnl)
+            });
+
+            const slice = {
+                ...position,
+                size: closeSize,
+                margin,
+                fees,
+                exitPrice,
+                exitTime: this.clock.now(),
+                exitFill: fill,
+                pnl,
+                status: 'CLOSED',
+                partial: true
+            };
+
+            await this.alertSystem.logAlert('INFO', `Reduced ${position.side} position for ${asset}`, {
+                positionId: position.id,
+                closedSize: closeSize,
+                remainingSize: position.size,
+                pnl: slice.pnl
+            });
 
-        if (signal === 'BUY' && currentPrice > breakoutLevel.upper) {
-            return await this.openPosition(asset, 'LONG', this.calculatePositionSize(asset));
-        } else if (signal === 'SELL' && currentPrice < breakoutLevel.lower) {
-            return await this.openPosition(asset, 'SHORT', this.calculatePositionSize(asset));
+            this.emit('positionReduced', slice, position);
+            return slice;
         }
+
+        this.commit({
+            type: 'close',
+            positionId: position.id,
+            changes: {
+                exitPrice,
+                exitTime: this.clock.now(),
+                exitFill: fill,
+                pnl,
+                status: 'CLOSED'
+            },
+            postings,
+            performance: this.calculatePerformance(pnl)
+        });
+
+        await this.alertSystem.logAlert('INFO', `Closed ${position.side} position for ${asset}`, {
+            pnl: position.pnl,
+            totalPnL: this.performance.totalPnL
+        });
+
+        this.emit('positionClosed', position);
+        return position;
     }
 
     /**
-     * Execute scalping strategy
+     * Ledger postings for the initial margin put up by a fill, and its fee
      */
-    async executeScalpingStrategy(asset, signal) {
-        const marketData = this.marketData.get(asset);
-        const position = this.positions.get(asset);
-
-        // Quick entries and exits based on small price movements
-        const tickSize = this.calculateTickSize(asset);
-        const spread = marketData.ask - marketData.bid;
+    openingPostings(margin, fee) {
+        return [
+            { account: 'cash', amount: -(margin + fee) },
+            { account: 'margin', amount: margin },
+            { account: 'fees', amount: fee }
+        ];
+    }
 
-        if (signal === 'BUY' && spread < tickSize * 2) {
-            return await this.openPosition(asset, 'LONG', this.calculatePositionSize(asset) * 0.5);
-        } else if (signal === 'SELL' && spread < tickSize * 2) {
-            return await this.openPosition(asset, 'SHORT', this.calculatePositionSize(asset) * 0.5);
-        } else if (position && this.checkScalpExit(asset, position)) {
-            return await this.closePosition(asset);
-        }
+    /**
+     * Ledger postings for margin released by a closing fill, with its P&L and fee
+     * The entry fee was paid when the margin was put up; only the exit fee is paid now.
+     */
+    closingPostings(margin, grossPnL, fee) {
+        return [
+            { account: 'cash', amount: margin + grossPnL - fee },
+            { account: 'margin', amount: -margin },
+            { account: 'realizedPnL', amount: -grossPnL },
+            { account: 'fees', amount: fee }
+        ];
     }
 
     /**
-     * Execute swing strategy
+     * Apply a change to the ledger, positions and performance
+     * With a journal the change is on disk before it is made; a write that
+     * fails throws and nothing changes. See tradingJournal.js for the entries.
+     * Returns the ledger entry posted.
      */
-    async executeSwingStrategy(asset, signal) {
-        const marketData = this.marketData.get(asset);
-        const position = this.positions.get(asset);
+    commit(entry) {
+        const error = Ledger.validate(entry.postings);
+        if (error) {
+            throw new Error(`Invalid ${entry.type} entry: ${error}`);
+        }
 
-        // Longer-term trend following
-        const trend = this.calculateTrend(asset);
-        const support = this.calculateSupportLevel(asset);
-        const resistance = this.calculateResistanceLevel(asset);
+        if (this.journal) {
+            this.journal.record(entry);
+        }
+
+        const posted = applyEntry(this, entry);
 
-        if (signal === 'BUY' && trend > 0 && marketData.price > support) {
-            return await this.openPosition(asset, 'LONG', this.calculatePositionSize(asset));
-        } else if (signal === 'SELL' && trend < 0 && marketData.price < resistance) {
-            return await this.openPosition(asset, 'SHORT', this.calculatePositionSize(asset));
+        // The change is journaled either way, so a failed snapshot only delays compaction
+        if (this.journal && this.journal.shouldSnapshot()) {
+            try {
+                this.journal.snapshot(this);
+            } catch (error) {
+                // commit() stays synchronous, so the report is not awaited
+                this.alertSystem.logError(error, { context: 'journal_snapshot' }).catch(() => {});
+            }
         }
+        return posted;
     }
 
     /**
-     * Open a new position
+     * Move cash into (amount > 0) or out of (amount < 0) the account
+     * Returns the ledger entry, or null when the transfer was refused.
      */
-    async openPosition(asset, side, size) {
+    async transfer(amount, memo = null) {
         try {
-            // Check risk limits
-            if (!this.checkRiskLimits(asset, size)) {
-                await this.alertSystem.logAlert('WARNING', `Risk limit exceeded for ${asset}`);
+            if (!Number.isFinite(amount) || amount === 0) {
+                await this.alertSystem.logAlert('WARNING', `Invalid transfer amount: ${amount}`);
                 return null;
             }
-
-            const marketData = this.marketData.get(asset);
-            const entryPrice = side === 'LONG' ? marketData.ask : marketData.bid;
-            const positionValue = size * entryPrice;
-
-            // Check available margin/cash
-            if (positionValue > this.portfolio.cash) {
-                await this.alertSystem.logAlert('WARNING', `Insufficient funds for ${asset} position`);
+            if (-amount > this.portfolio.cash) {
+                await this.alertSystem.logAlert('WARNING', `Insufficient funds to transfer ${-amount} out`);
                 return null;
             }
 
-            const position = {
-                id: this.generatePositionId(),
-                asset,
-                side,
-                size,
-                entryPrice,
-                entryTime: new Date(),
-                stopLoss: this.calculateStopLoss(entryPrice, side),
-                takeProfit: this.calculateTakeProfit(entryPrice, side),
-                status: 'OPEN',
-                pnl: 0,
-                fees: this.calculateFees(positionValue)
-            };
-
-            this.positions.set(asset, position);
-            this.portfolio.cash -= positionValue + position.fees;
-            this.portfolio.marginUsed += positionValue;
+            const entry = this.commit({
+                type: 'transfer',
+                memo,
+                postings: [
+                    { account: 'cash', amount },
+                    { account: 'capital', amount: -amount }
+                ]
+            });
 
-            await this.alertSystem.logAlert('INFO', `Opened ${side} position for ${asset}`, position);
+            await this.alertSystem.logAlert('INFO', `Transferred ${Math.abs(amount)} ${amount > 0 ? 'in' : 'out'}`, { amount, memo });
 
-            this.emit('positionOpened', position);
-            return position;
+            this.emit('transfer', entry);
+            return entry;
 
         } catch (error) {
-            await this.alertSystem.logError(error, { asset, side, size });
+            await this.alertSystem.logError(error, { amount, memo });
             return null;
         }
     }
 
     /**
-     * Close an existing position
+     * Book funding or drift paid (amount > 0) or received (amount < 0) on an asset's positions
+     * Returns the ledger entry, or null on error.
      */
-    async closePosition(asset) {
+    async recordFunding(asset, amount) {
         try {
-            const position = this.positions.get(asset);
-            if (!position) {
-                await this.alertSystem.logAlert('WARNING', `No position found for ${asset}`);
+            if (!Number.isFinite(amount)) {
+                await this.alertSystem.logAlert('WARNING', `Invalid funding amount for ${asset}: ${amount}`);
                 return null;
             }
 
-            const marketData = this.marketData.get(asset);
-            const exitPrice = position.side === 'LONG' ? marketData.bid : marketData.ask;
-            const exitValue = position.size * exitPrice;
+            const entry = this.commit({
+                type: 'funding',
+                asset,
+                postings: [
+                    { account: 'cash', amount: -amount },
+                    { account: 'funding', amount }
+                ]
+            });
 
-            // Calculate P&L
-            const pnl = position.side === 'LONG'
-                ? (exitValue - position.size * position.entryPrice)
-                : (position.size * position.entryPrice - exitValue);
+            this.emit('funding', entry);
+            return entry;
 
-            position.exitPrice = exitPrice;
-            position.exitTime = new Date();
-            position.pnl = pnl - position.fees;
-            position.status = 'CLOSED';
+        } catch (error) {
+            await this.alertSystem.logError(error, { asset, amount });
+            return null;
+        }
+    }
 
-            // Update portfolio
-            this.portfolio.cash += exitValue - position.fees;
-            this.portfolio.marginUsed -= position.size * position.entryPrice;
-            this.portfolio.totalValue = this.calculateTotalValue();
+    /**
+     * Revalue open positions at market and post the change in unrealized P&L
+     * Returns the portfolio's total value.
+     */
+    markToMarket() {
+        const change = this.calculateUnrealizedPnL() - this.ledger.balance('unrealizedPnL');
+        if (change !== 0) {
+            this.ledger.post('revaluation', [
+                { account: 'unrealizedPnL', amount: change },
+                { account: 'revaluation', amount: -change }
+            ]);
+        }
 
-            // Update performance
-            this.updatePerformance(position);
+        this.portfolio.totalValue = this.calculateTotalValue();
+        return this.portfolio.totalValue;
+    }
 
-            this.positions.delete(asset);
+    /**
+     * Check the ledger against itself and against the engine's own records:
+     * the books balance, cash and margin match the portfolio, margin is what
+     * the open positions put up, and realized P&L net of the fees of
+     * closed trades is the performance total.
+     * Returns { status: 'BALANCED' or 'IMBALANCED', balances, trialBalance, checks }.
+     */
+    reconcile() {
+        const balances = this.ledger.getBalances();
+        const trialBalance = this.ledger.trialBalance();
+        const positions = this.getPositions();
+        const positionMargin = positions.reduce((sum, p) => sum + p.margin, 0);
+        const openFees = positions.reduce((sum, p) => sum + p.fees, 0);
+
+        const check = (name, expected, actual) => {
+            const difference = actual - expected;
+            const tolerance = Ledger.TOLERANCE * Math.max(1, Math.abs(expected), Math.abs(actual));
+            return { name, expected, actual, difference, ok: Math.abs(difference) <= tolerance };
+        };
 
-            await this.alertSystem.logAlert('INFO', `Closed ${position.side} position for ${asset}`, {
-                pnl: position.pnl,
-                totalPnL: this.performance.totalPnL
-            });
+        const checks = [
+            { name: 'trialBalance', expected: 0, actual: trialBalance.difference, difference: trialBalance.difference, ok: trialBalance.balanced },
+            check('cash', balances.cash, this.portfolio.cash),
+            check('marginUsed', balances.margin, this.portfolio.marginUsed),
+            check('positionMargin', balances.margin, positionMargin),
+            check('realizedPnL', this.performance.totalPnL, -balances.realizedPnL - (balances.fees - openFees))
+        ];
 
-            this.emit('positionClosed', position);
-            return position;
+        return {
+            status: checks.every(c => c.ok) ? 'BALANCED' : 'IMBALANCED',
+            balances,
+            trialBalance,
+            checks
+        };
+    }
 
-        } catch (error) {
-            await this.alertSystem.logError(error, { asset });
-            return null;
+    /**
+     * Journal every change from now on, given an open TradingJournal
+     * A journal with history replaces portfolio, positions and performance
+     * with its replay; an empty one starts from a snapshot of the current state.
+     * Returns what was recovered, or null.
+     */
+    attachJournal(journal) {
+        const recovered = journal.recover();
+        if (recovered) {
+            this.portfolio = recovered.state.portfolio;
+            this.positions = recovered.state.positions;
+            this.performance = recovered.state.performance;
+            this.ledger = recovered.state.ledger;
+        } else {
+            journal.snapshot(this);
         }
+
+        this.journal = journal;
+        return recovered;
+    }
+
+    /**
+     * Get open positions for an asset, oldest first
+     */
+    getPositions(asset = null) {
+        const positions = Array.from(this.positions.values());
+        return asset ? positions.filter(position => position.asset === asset) : positions;
+    }
+
+    /**
+     * Get the most recently opened position for an asset
+     */
+    getPosition(asset) {
+        const positions = this.getPositions(asset);
+        return positions.length > 0 ? positions[positions.length - 1] : null;
+    }
+
+    /**
+     * Get the position mode (netting or hedging) for an asset
+     */
+    getPositionMode(asset) {
+        return this.positionModes.get(asset) || this.params.positionMode;
+    }
+
+    /**
+     * Set the position mode for an asset; only allowed while it has no open positions
+     */
+    async setPositionMode(asset, mode) {
+        if (mode !== 'netting' && mode !== 'hedging') {
+            await this.alertSystem.logAlert('WARNING', `Invalid position mode: ${mode}`);
+            return false;
+        }
+
+        if (this.getPositions(asset).length > 0) {
+            await this.alertSystem.logAlert('WARNING', `Cannot change position mode for ${asset} with open positions`);
+            return false;
+        }
+
+        this.positionModes.set(asset, mode);
+        return true;
     }
 
     /**
@@ -357,20 +1592,14 @@ class TradingEngine extends EventEmitter {
         const marketData = this.marketData.get(asset);
         const positionValue = size * marketData.price;
 
-        // Check position size limit
-        if (positionValue > this.portfolio.cash * this.params.maxPositionSize) {
+        // Check position size limit; equity rather than cash, which margin ties up
+        const equity = this.calculateTotalValue();
+        if (positionValue > equity * this.params.maxPositionSize) {
             return false;
         }
 
-        // Check margin usage
-        if (this.portfolio.marginUsed + positionValue > this.portfolio.cash * this.params.leverage) {
-            return false;
-        }
-
-        // Check max orders per asset
-        const assetOrders = Array.from(this.activeOrders.values())
-            .filter(order => order.asset === asset).length;
-        if (assetOrders >= this.params.maxOrdersPerAsset) {
+        // Check leverage: the value of every position at market over equity
+        if (this.calculateGrossExposure() + positionValue > equity * this.params.leverage) {
             return false;
         }
 
@@ -383,7 +1612,7 @@ class TradingEngine extends EventEmitter {
     updateMarketData(asset, data) {
         this.marketData.set(asset, {
             ...data,
-            timestamp: new Date()
+            timestamp: this.clock.now()
         });
 
         // Update price history
@@ -395,7 +1624,7 @@ class TradingEngine extends EventEmitter {
         history.push({
             price: data.price,
             volume: data.volume,
-            timestamp: new Date()
+            timestamp: this.clock.now()
         });
 
         // Keep only last 1000 data points
@@ -403,10 +1632,24 @@ class TradingEngine extends EventEmitter {
             history.shift();
         }
 
-        // Check for position updates
-        const position = this.positions.get(asset);
-        if (position) {
-            this.checkPositionUpdates(asset, position);
+        // Ticks are processed one at a time, each after the last has finished:
+        // close stops, check margin on what is left, match resting orders and
+        // let strategies react to the tick
+        const processed = this.tickQueue
+            .then(() => this.checkStops(asset))
+            .then(() => this.checkMargin())
+            .then(() => this.matchOrders(asset))
+            .then(() => this.runStrategyTicks(asset));
+        this.tickQueue = processed.catch(() => {});
+        return processed;
+    }
+
+    /**
+     * Close the positions on asset whose stop loss or take profit was hit, one at a time
+     */
+    async checkStops(asset) {
+        for (const position of this.getPositions(asset)) {
+            await this.checkPositionUpdates(asset, position);
         }
     }
 
@@ -414,45 +1657,306 @@ class TradingEngine extends EventEmitter {
      * Check for position updates (stop loss, take profit, etc.)
      */
     async checkPositionUpdates(asset, position) {
-        if (this.shouldClosePosition(asset, position)) {
-            await this.closePosition(asset);
+        if (position.status === 'OPEN' && this.shouldClosePosition(asset, position)) {
+            await this.closePosition(asset, { positionId: position.id });
+        }
+    }
+
+    /**
+     * The engine's settings out of a wider config, e.g. the agent's or a live
+     * engine's for a backtest; keys the config leaves unset are left out
+     */
+    static pickConfig(config) {
+        const picked = {};
+        for (const key of CONFIG_KEYS) {
+            if (config[key] !== undefined) {
+                picked[key] = config[key];
+            }
+        }
+        return picked;
+    }
+
+    /**
+     * Leverage and the margin rates derived from it, as shares of position
+     * value at market: initial is put up to open, maintenance is kept to
+     * avoid deleveraging. Rates not configured follow leverage.
+     */
+    static marginParams(config) {
+        const leverage = config.leverage || 1;
+        const initialMargin = config.initialMargin || 1 / leverage;
+        return {
+            leverage,
+            initialMargin,
+            maintenanceMargin: config.maintenanceMargin || initialMargin / 2
+        };
+    }
+
+    /**
+     * Check { leverage, initialMargin, maintenanceMargin, marginRequirements };
+     * returns an error or null
+     */
+    static validateMargin(config) {
+        if (config.leverage != null && !(config.leverage > 0)) {
+            return 'leverage must be above 0';
+        }
+        for (const key of ['initialMargin', 'maintenanceMargin']) {
+            if (config[key] != null && !(config[key] > 0 && config[key] <= 1)) {
+                return `${key} must be above 0 and at most 1`;
+            }
+        }
+
+        const { initialMargin, maintenanceMargin } = TradingEngine.marginParams(config);
+        if (maintenanceMargin > initialMargin) {
+            return `maintenanceMargin ${maintenanceMargin} exceeds initialMargin ${initialMargin}`;
+        }
+
+        for (const [asset, override] of Object.entries(config.marginRequirements || {})) {
+            for (const key of ['initial', 'maintenance']) {
+                if (override[key] != null && !(override[key] > 0 && override[key] <= 1)) {
+                    return `${asset}: ${key} margin must be above 0 and at most 1`;
+                }
+            }
+            const initial = override.initial || initialMargin;
+            const maintenance = override.maintenance || (override.initial ? initial / 2 : maintenanceMargin);
+            if (maintenance > initial) {
+                return `${asset}: maintenance margin ${maintenance} exceeds initial margin ${initial}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Initial and maintenance margin rates of an asset
+     */
+    getMarginRequirement(asset) {
+        const override = this.marginRequirements.get(asset) || {};
+        const initial = override.initial || this.params.initialMargin;
+        return {
+            initial,
+            maintenance: override.maintenance || (override.initial ? initial / 2 : this.params.maintenanceMargin)
+        };
+    }
+
+    /**
+     * Whether the free margin covers the initial margin of a trade of this value
+     */
+    hasMarginFor(asset, value) {
+        const { freeMargin } = this.getMarginStatus();
+        return value * this.getMarginRequirement(asset).initial <= freeMargin;
+    }
+
+    /**
+     * Margin of the account and of each asset held, at market prices
+     * The account is cross-margined: equity (cash, margin and unrealized P&L)
+     * backs every position. An asset's liquidation price is where, other prices
+     * unchanged, equity would fall to the maintenance margin; null where no
+     * price gets there, e.g. for a long that is fully paid for.
+     * Returns { equity, initialMargin, maintenanceMargin, freeMargin, marginLevel,
+     *   assets: { [asset]: { price, initialMargin, maintenanceMargin, liquidationPrice, liquidationDistance, marginCall } } }
+     */
+    getMarginStatus() {
+        const equity = this.calculateTotalValue();
+        const assets = {};
+
+        for (const position of this.positions.values()) {
+            const marketData = this.marketData.get(position.asset);
+            const entry = assets[position.asset] || (assets[position.asset] = {
+                price: marketData ? marketData.price : position.entryPrice,
+                ...this.getMarginRequirement(position.asset),
+                netSize: 0,
+                grossSize: 0
+            });
+            entry.netSize += position.side === 'SHORT' ? -position.size : position.size;
+            entry.grossSize += position.size;
+        }
+
+        let initialMargin = 0;
+        let maintenanceMargin = 0;
+        for (const entry of Object.values(assets)) {
+            entry.initialMargin = entry.grossSize * entry.price * entry.initial;
+            entry.maintenanceMargin = entry.grossSize * entry.price * entry.maintenance;
+            initialMargin += entry.initialMargin;
+            maintenanceMargin += entry.maintenanceMargin;
+        }
+
+        const report = {};
+        for (const [asset, entry] of Object.entries(assets)) {
+            // equity + net·(p - price) = other assets' maintenance + gross·p·rate, solved for p
+            const otherMaintenance = maintenanceMargin - entry.maintenanceMargin;
+            const sensitivity = entry.netSize - entry.grossSize * entry.maintenance;
+            const solved = sensitivity !== 0
+                ? (otherMaintenance - equity + entry.netSize * entry.price) / sensitivity
+                : null;
+            const liquidationPrice = solved > 0 ? solved : null;
+            const liquidationDistance = liquidationPrice === null ? null : Math.abs(entry.price - liquidationPrice) / entry.price;
+
+            report[asset] = {
+                price: entry.price,
+                initialMarginRate: entry.initial,
+                maintenanceMarginRate: entry.maintenance,
+                initialMargin: entry.initialMargin,
+                maintenanceMargin: entry.maintenanceMargin,
+                liquidationPrice,
+                liquidationDistance,
+                marginCall: this.marginCalls.has(asset)
+            };
+        }
+
+        return {
+            equity,
+            initialMargin,
+            maintenanceMargin,
+            freeMargin: equity - initialMargin,
+            marginLevel: maintenanceMargin > 0 ? equity / maintenanceMargin : null,
+            assets: report
+        };
+    }
+
+    /**
+     * Alert on assets whose price nears their liquidation price, and
+     * deleverage once equity is below the maintenance margin
+     */
+    async checkMargin() {
+        if (this.positions.size === 0 && this.marginCalls.size === 0) return;
+
+        const status = this.getMarginStatus();
+        for (const asset of this.marginCalls) {
+            if (!status.assets[asset]) this.marginCalls.delete(asset);
+        }
+
+        for (const [asset, margin] of Object.entries(status.assets)) {
+            const near = margin.liquidationDistance !== null && margin.liquidationDistance <= this.params.marginCallDistance;
+            if (near && !this.marginCalls.has(asset)) {
+                this.marginCalls.add(asset);
+                const call = { asset, ...margin, marginCall: true, equity: status.equity, totalMaintenanceMargin: status.maintenanceMargin };
+                await this.alertSystem.logAlert('WARNING', `Margin call on ${asset}: price ${margin.price} is ${(margin.liquidationDistance * 100).toFixed(1)}% from liquidation at ${margin.liquidationPrice}`, call);
+                this.emit('marginCall', call);
+            } else if (!near) {
+                this.marginCalls.delete(asset);
+            }
+        }
+
+        if (status.maintenanceMargin > 0 && status.equity < status.maintenanceMargin) {
+            await this.autoDeleverage();
+        }
+    }
+
+    /**
+     * Close positions, the biggest losers first, until equity covers the
+     * initial margin of what is left; with no equity left everything is closed.
+     * Closing is allowed in every trading state and is not risk gated.
+     * Returns the closed positions and slices.
+     */
+    async autoDeleverage() {
+        if (this.deleveraging) return [];
+        this.deleveraging = true;
+
+        try {
+            let status = this.getMarginStatus();
+            await this.alertSystem.logAlert('CRITICAL', `Auto-deleveraging: equity ${status.equity.toFixed(2)} is below the maintenance margin ${status.maintenanceMargin.toFixed(2)}`, {
+                equity: status.equity,
+                maintenanceMargin: status.maintenanceMargin,
+                initialMargin: status.initialMargin
+            });
+
+            const unrealized = position => {
+                const price = status.assets[position.asset].price;
+                return (position.side === 'SHORT' ? -1 : 1) * (price - position.entryPrice) * position.size;
+            };
+            const queue = this.getPositions().sort((a, b) => unrealized(a) - unrealized(b));
+            const closed = [];
+
+            for (const position of queue) {
+                if (status.equity >= status.initialMargin) break;
+
+                const { price, initialMarginRate } = status.assets[position.asset];
+                const shortfall = status.initialMargin - status.equity;
+                const size = status.equity > 0 ? shortfall / (price * initialMarginRate) : Infinity;
+                const result = await this.closePosition(position.asset, {
+                    positionId: position.id,
+                    size: size < position.size ? size : undefined
+                });
+                if (!result) continue;
+
+                closed.push(result);
+                status = this.getMarginStatus();
+                this.emit('autoDeleveraged', {
+                    positionId: position.id,
+                    asset: position.asset,
+                    side: position.side,
+                    size: result.size,
+                    equity: status.equity,
+                    maintenanceMargin: status.maintenanceMargin
+                });
+            }
+
+            return closed;
+        } finally {
+            this.deleveraging = false;
         }
     }
 
     /**
-     * Calculate total portfolio value
+     * Calculate total portfolio value: cash, the margin held in positions and
+     * their unrealized P&L at market
      */
     calculateTotalValue() {
-        let totalValue = this.portfolio.cash;
+        return this.ledger.balance('cash') + this.ledger.balance('margin') + this.calculateUnrealizedPnL();
+    }
+
+    /**
+     * Unrealized P&L of open positions at the last market price
+     * Positions without market data are held at their entry price.
+     */
+    calculateUnrealizedPnL() {
+        let unrealized = 0;
 
-        for (const [asset, position] of this.positions) {
-            const marketData = this.marketData.get(asset);
+        for (const position of this.positions.values()) {
+            const marketData = this.marketData.get(position.asset);
             if (marketData) {
-                const positionValue = position.size * marketData.price;
-                totalValue += positionValue;
+                unrealized += position.side === 'LONG'
+                    ? (marketData.price - position.entryPrice) * position.size
+                    : (position.entryPrice - marketData.price) * position.size;
             }
         }
 
-        return totalValue;
+        return unrealized;
+    }
+
+    /**
+     * Value of every open position at the last market price, longs and shorts alike
+     * Positions without market data are held at their entry price.
+     */
+    calculateGrossExposure() {
+        let exposure = 0;
+
+        for (const position of this.positions.values()) {
+            const marketData = this.marketData.get(position.asset);
+            exposure += position.size * (marketData ? marketData.price : position.entryPrice);
+        }
+
+        return exposure;
     }
 
     /**
-     * Update performance metrics
+     * Performance metrics after a trade with this P&L
      */
-    updatePerformance(position) {
-        this.performance.totalTrades++;
-        this.performance.totalPnL += position.pnl;
+    calculatePerformance(pnl) {
+        const performance = { ...this.performance };
+        performance.totalTrades++;
+        performance.totalPnL += pnl;
 
-        if (position.pnl > 0) {
-            this.performance.winningTrades++;
+        if (pnl > 0) {
+            performance.winningTrades++;
         } else {
-            this.performance.losingTrades++;
+            performance.losingTrades++;
         }
 
-        this.performance.winRate = this.performance.winningTrades / this.performance.totalTrades;
+        performance.winRate = performance.winningTrades / performance.totalTrades;
 
         // Calculate Sharpe ratio (simplified)
-        this.performance.sharpeRatio = this.calculateSharpeRatio();
+        performance.sharpeRatio = this.calculateSharpeRatio();
+        return performance;
     }
 
     /**
@@ -549,8 +2053,15 @@ class TradingEngine extends EventEmitter {
         return 'POS_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
-    calculateFees(amount) {
-        return amount * 0.001; // 0.1% fee
+    generateOrderId() {
+        return 'ORD_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Estimate the venue fee on a notional amount before a fill
+     */
+    calculateFees(amount, liquidity = 'taker') {
+        return amount * this.venue.getFeeRate(liquidity);
     }
 
     calculateTickSize(asset) {
@@ -558,7 +2069,7 @@ class TradingEngine extends EventEmitter {
         return 0.01; // Default tick size
     }
 
-    calculateBreakoutLevel(asset) {
+    calculateBreakoutLevel(asset, breakoutPercent = 0.02) {
         const history = this.priceHistory.get(asset);
         if (!history || history.length < 20) return { upper: 0, lower: 0 };
 
@@ -567,8 +2078,8 @@ class TradingEngine extends EventEmitter {
         const low = Math.min(...prices);
 
         return {
-            upper: high * 1.02, // 2% above recent high
-            lower: low * 0.98  // 2% below recent low
+            upper: high * (1 + breakoutPercent),
+            lower: low * (1 - breakoutPercent)
         };
     }
 
@@ -588,20 +2099,20 @@ class TradingEngine extends EventEmitter {
         return slope > 0 ? 1 : slope < 0 ? -1 : 0;
     }
 
-    calculateSupportLevel(asset) {
+    calculateSupportLevel(asset, buffer = 0.01) {
         const history = this.priceHistory.get(asset);
         if (!history || history.length < 20) return 0;
 
         const prices = history.slice(-20).map(h => h.price);
-        return Math.min(...prices) * 1.01; // 1% above lowest low
+        return Math.min(...prices) * (1 + buffer); // above lowest low
     }
 
-    calculateResistanceLevel(asset) {
+    calculateResistanceLevel(asset, buffer = 0.01) {
         const history = this.priceHistory.get(asset);
         if (!history || history.length < 20) return 0;
 
         const prices = history.slice(-20).map(h => h.price);
-        return Math.max(...prices) * 0.99; // 1% below highest high
+        return Math.max(...prices) * (1 - buffer); // below highest high
     }
 
     calculateVolumeTrend(asset) {
@@ -615,30 +2126,28 @@ class TradingEngine extends EventEmitter {
         return currentVolume / avgVolume;
     }
 
-    checkScalpExit(asset, position) {
-        const marketData = this.marketData.get(asset);
-        const entryPrice = position.entryPrice;
-        const currentPrice = marketData.price;
-
-        // Exit if price moves 0.5% in either direction
-        const priceChange = Math.abs(currentPrice - entryPrice) / entryPrice;
-        return priceChange >= 0.005;
-    }
-
     /**
      * Start monitoring and maintenance
      */
     startMonitoring() {
         // Check positions every minute
-        this.monitoringInterval = setInterval(async () => {
+        this.monitoringInterval = this.clock.setInterval(async () => {
             try {
                 // Check all positions
-                for (const [asset, position] of this.positions) {
-                    await this.checkPositionUpdates(asset, position);
+                for (const position of this.getPositions()) {
+                    await this.checkPositionUpdates(position.asset, position);
                 }
 
                 // Update portfolio value
-                this.portfolio.totalValue = this.calculateTotalValue();
+                this.markToMarket();
+                await this.checkMargin();
+
+                const reconciliation = this.reconcile();
+                if (reconciliation.status !== 'BALANCED') {
+                    await this.alertSystem.logAlert('CRITICAL', 'Ledger does not reconcile', {
+                        failed: reconciliation.checks.filter(c => !c.ok)
+                    });
+                }
 
                 // Check drawdown
                 const drawdown = this.calculateDrawdown();
@@ -672,7 +2181,7 @@ class TradingEngine extends EventEmitter {
      */
     stopMonitoring() {
         if (this.monitoringInterval) {
-            clearInterval(this.monitoringInterval);
+            this.clock.clearInterval(this.monitoringInterval);
             this.monitoringInterval = null;
         }
     }
@@ -696,9 +2205,14 @@ class TradingEngine extends EventEmitter {
         this.stopMonitoring();
         this.positions.clear();
         this.activeOrders.clear();
+        this.orderHistory = [];
+        this.activeStrategies.clear();
         this.marketData.clear();
         this.priceHistory.clear();
     }
 }
 
+TradingEngine.TRADING_STATES = TRADING_STATES;
+TradingEngine.CONFIG_KEYS = CONFIG_KEYS;
+
 module.exports = TradingEngine;
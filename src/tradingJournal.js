@@ -0,0 +1,341 @@
+/**
+ * Trading Journal
+ * Write-ahead journal of the trading engine's ledger, positions and
+ * performance. Every change is written and fsynced before the engine applies
+ * it, so replaying the journal over the last snapshot rebuilds the state the
+ * engine had when it stopped, crash or not. Taking a snapshot compacts the
+ * journal: the entries it covers are dropped.
+ *
+ * Entries carry the ledger postings of a change and the position fields and
+ * performance it sets, so replay needs nothing from outside the journal:
+ *   open:     { position, postings }
+ *   increase: { positionId, changes, postings }
+ *   reduce:   { positionId, changes, postings, performance }
+ *   close:    { positionId, changes, postings, performance }
+ *   transfer: { postings, memo }
+ *   funding:  { asset, postings }
+ * Revaluations of open positions are marks, not changes, and are not journaled.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { encode, decode } = require('./stores/store');
+const Ledger = require('./ledger');
+
+// Fields verify compares with the recorded state; the rest are marks and fill details
+const POSITION_FIELDS = ['asset', 'side', 'size', 'entryPrice', 'margin', 'fees', 'realizedPnL', 'status'];
+const PERFORMANCE_FIELDS = ['totalTrades', 'winningTrades', 'losingTrades', 'totalPnL'];
+// Ledger accounts moved only by journaled entries
+const LEDGER_ACCOUNTS = Ledger.ACCOUNTS.filter(account => account !== 'unrealizedPnL' && account !== 'revaluation');
+
+const POSITION_CHANGES = ['increase', 'reduce', 'close'];
+const CASH_CHANGES = ['transfer', 'funding'];
+
+class TradingJournal {
+    /**
+     * config: {
+     *   path: journal file, created with its directory if missing,
+     *   snapshotPath: snapshot file (default `${path}.snapshot`),
+     *   snapshotEvery: entries between snapshots (default 1000)
+     * }
+     */
+    constructor(config = {}) {
+        this.path = config.path;
+        this.snapshotPath = config.snapshotPath || `${config.path}.snapshot`;
+        this.snapshotEvery = config.snapshotEvery || 1000;
+        this.fd = null;
+        this.seq = 0;
+        this.snapshotSeq = 0;
+
+        if (!this.path) {
+            throw new Error('path is required');
+        }
+    }
+
+    open() {
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+
+        const { snapshot, entries, length } = this.read();
+        this.snapshotSeq = snapshot ? snapshot.seq : 0;
+        this.seq = entries.length > 0 ? entries[entries.length - 1].seq : this.snapshotSeq;
+
+        // Cut a torn last entry off, so the next one starts a line of its own
+        if (fs.existsSync(this.path) && fs.statSync(this.path).size > length) {
+            fs.truncateSync(this.path, length);
+        }
+
+        this.fd = fs.openSync(this.path, 'a');
+    }
+
+    /**
+     * The snapshot and the journal entries after it
+     * A crash can leave the last entry without its newline; it was never
+     * applied and is dropped. Entries the snapshot covers, left by a crash
+     * before compaction, are skipped.
+     * Returns { snapshot, entries, length: bytes of whole lines, torn }.
+     */
+    read() {
+        const snapshot = fs.existsSync(this.snapshotPath)
+            ? decode(fs.readFileSync(this.snapshotPath, 'utf8'))
+            : null;
+        const entries = [];
+
+        if (!fs.existsSync(this.path)) {
+            return { snapshot, entries, length: 0, torn: false };
+        }
+
+        const text = fs.readFileSync(this.path, 'utf8');
+        const complete = text.slice(0, text.lastIndexOf('\n') + 1);
+
+        complete.split('\n').slice(0, -1).forEach((line, index) => {
+            let entry;
+            try {
+                entry = decode(line);
+            } catch (error) {
+                throw new Error(`Corrupt journal ${this.path} at line ${index + 1}: ${error.message}`);
+            }
+            if (!snapshot || entry.seq > snapshot.seq) {
+                entries.push(entry);
+            }
+        });
+
+        return {
+            snapshot,
+            entries,
+            length: Buffer.byteLength(complete),
+            torn: complete.length < text.length
+        };
+    }
+
+    /**
+     * Rebuild the state from the snapshot and the entries after it
+     * Returns { state, seq, entries }, or null for a journal with neither.
+     */
+    recover() {
+        const { snapshot, entries } = this.read();
+        if (!snapshot) {
+            if (entries.length > 0) {
+                throw new Error(`Journal ${this.path} has entries but no snapshot ${this.snapshotPath}`);
+            }
+            return null;
+        }
+
+        const state = restoreSnapshot(snapshot);
+        for (const entry of entries) {
+            applyEntry(state, entry);
+        }
+
+        return { state, seq: entries.length > 0 ? entries[entries.length - 1].seq : snapshot.seq, entries: entries.length };
+    }
+
+    /**
+     * Write an entry and sync it to disk; returns it with its sequence number
+     */
+    record(entry) {
+        if (this.fd === null) {
+            throw new Error('Journal is not open');
+        }
+
+        const record = { seq: this.seq + 1, ...entry };
+        fs.writeSync(this.fd, encode(record) + '\n');
+        fs.fsyncSync(this.fd);
+        this.seq = record.seq;
+        return record;
+    }
+
+    shouldSnapshot() {
+        return this.seq - this.snapshotSeq >= this.snapshotEvery;
+    }
+
+    /**
+     * Snapshot the state as of the last entry, then compact the journal
+     * state: { portfolio, positions, performance, ledger }, e.g. the trading engine.
+     * The snapshot replaces the old one in a single rename; a crash before
+     * the journal is truncated leaves entries replay knows to skip.
+     */
+    snapshot(state) {
+        if (this.fd === null) {
+            throw new Error('Journal is not open');
+        }
+
+        const tmpPath = `${this.snapshotPath}.tmp`;
+        const fd = fs.openSync(tmpPath, 'w');
+        try {
+            fs.writeSync(fd, encode({
+                seq: this.seq,
+                portfolio: state.portfolio,
+                positions: [...state.positions.values()],
+                performance: state.performance,
+                ledger: state.ledger.getBalances()
+            }));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, this.snapshotPath);
+
+        fs.ftruncateSync(this.fd, 0);
+        fs.fsyncSync(this.fd);
+        this.snapshotSeq = this.seq;
+    }
+
+    /**
+     * Replay the journal and check it holds together: sequence numbers run on
+     * from the snapshot, every entry applies, the ledger balances and the margin
+     * in use is what the open positions put up. Given the state recorded
+     * elsewhere (the store), also check the replay arrives at it.
+     * Returns { seq, entries, torn, state, errors }; no errors, no divergence.
+     */
+    verify(recorded = null) {
+        let journal;
+        try {
+            journal = this.read();
+        } catch (error) {
+            return { seq: 0, entries: 0, torn: false, state: null, errors: [error.message] };
+        }
+
+        const { snapshot, entries, torn } = journal;
+        if (!snapshot) {
+            const errors = entries.length > 0 ? [`No snapshot ${this.snapshotPath} to replay from`] : [];
+            return { seq: 0, entries: entries.length, torn, state: null, errors };
+        }
+
+        const errors = [];
+        const state = restoreSnapshot(snapshot);
+        let seq = snapshot.seq;
+
+        for (const entry of entries) {
+            if (entry.seq !== seq + 1) {
+                errors.push(`Entry ${entry.seq} follows entry ${seq}`);
+            }
+            seq = entry.seq;
+
+            try {
+                applyEntry(state, entry);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        const trialBalance = state.ledger.trialBalance();
+        if (!trialBalance.balanced) {
+            errors.push(`Ledger does not balance: debits ${trialBalance.debits}, credits ${trialBalance.credits}`);
+        }
+
+        const margin = [...state.positions.values()].reduce((sum, p) => sum + p.margin, 0);
+        if (Math.abs(margin - state.portfolio.marginUsed) > 1e-9 * Math.max(1, Math.abs(margin))) {
+            errors.push(`Margin used ${state.portfolio.marginUsed} differs from the open positions' ${margin}`);
+        }
+
+        if (recorded) {
+            errors.push(...compareState(state, recorded));
+        }
+
+        return { seq, entries: entries.length, torn, state, errors };
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+/**
+ * Apply an entry to { portfolio, positions, performance, ledger } and return
+ * the ledger entry it posted. The trading engine applies its changes through
+ * here too, so replay repeats exactly what the engine did.
+ */
+function applyEntry(state, entry) {
+    let position = null;
+    if (POSITION_CHANGES.includes(entry.type)) {
+        position = state.positions.get(entry.positionId);
+        if (!position) {
+            throw new Error(`Entry ${entry.seq} (${entry.type}) refers to unknown position ${entry.positionId}`);
+        }
+    } else if (entry.type !== 'open' && !CASH_CHANGES.includes(entry.type)) {
+        throw new Error(`Unknown journal entry type: ${entry.type}`);
+    }
+
+    const subject = entry.position || position;
+    const posted = state.ledger.post(entry.type, entry.postings, subject
+        ? { asset: subject.asset, positionId: subject.id }
+        : { asset: entry.asset, memo: entry.memo });
+
+    if (entry.type === 'open') {
+        state.positions.set(entry.position.id, entry.position);
+    } else if (position) {
+        Object.assign(position, entry.changes);
+        if (entry.type === 'close') {
+            state.positions.delete(position.id);
+        }
+    }
+
+    // Cash and margin are what the ledger says they are
+    state.portfolio.cash = state.ledger.balance('cash');
+    state.portfolio.marginUsed = state.ledger.balance('margin');
+    if (entry.performance) {
+        Object.assign(state.performance, entry.performance);
+    }
+    return posted;
+}
+
+function restoreSnapshot(snapshot) {
+    return {
+        portfolio: snapshot.portfolio,
+        positions: new Map(snapshot.positions.map(position => [position.id, position])),
+        performance: snapshot.performance,
+        ledger: new Ledger({ balances: snapshot.ledger })
+    };
+}
+
+/**
+ * Differences between a replayed state and a recorded one, as messages
+ * recorded: { portfolio, performance, positions: Map, ledger: balances (optional) }
+ */
+function compareState(replayed, recorded) {
+    const errors = [];
+
+    for (const field of ['cash', 'marginUsed']) {
+        if (replayed.portfolio[field] !== recorded.portfolio[field]) {
+            errors.push(`portfolio.${field}: journal ${replayed.portfolio[field]}, recorded ${recorded.portfolio[field]}`);
+        }
+    }
+
+    for (const field of PERFORMANCE_FIELDS) {
+        if (replayed.performance[field] !== recorded.performance[field]) {
+            errors.push(`performance.${field}: journal ${replayed.performance[field]}, recorded ${recorded.performance[field]}`);
+        }
+    }
+
+    if (recorded.ledger) {
+        for (const account of LEDGER_ACCOUNTS) {
+            if (replayed.ledger.balance(account) !== recorded.ledger[account]) {
+                errors.push(`ledger.${account}: journal ${replayed.ledger.balance(account)}, recorded ${recorded.ledger[account]}`);
+            }
+        }
+    }
+
+    const ids = new Set([...replayed.positions.keys(), ...recorded.positions.keys()]);
+    for (const id of ids) {
+        const journaled = replayed.positions.get(id);
+        const stored = recorded.positions.get(id);
+        if (!journaled || !stored) {
+            errors.push(`position ${id}: ${journaled ? 'open in the journal only' : 'open in the recorded state only'}`);
+            continue;
+        }
+        for (const field of POSITION_FIELDS) {
+            if (journaled[field] !== stored[field]) {
+                errors.push(`position ${id} ${field}: journal ${journaled[field]}, recorded ${stored[field]}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+TradingJournal.applyEntry = applyEntry;
+TradingJournal.compareState = compareState;
+
+module.exports = TradingJournal;
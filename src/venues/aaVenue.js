@@ -0,0 +1,191 @@
+/**
+ * AA Venue
+ * Executes fills against a Pythagorean perpetual AA (perpetual.oscript) on Obyte.
+ * Buying sends the reserve asset to the AA, which mints perp tokens; selling
+ * sends perp tokens back, which the AA redeems for the reserve.
+ *
+ * Sizes are in the perp token's smallest units and prices in reserve units per
+ * token unit. The AA only mints and redeems, so only LONG positions are possible.
+ */
+
+const ExecutionVenue = require('./executionVenue');
+const { createTestkitClient } = require('../aaClient');
+
+class AaVenue extends ExecutionVenue {
+    /**
+     * config: {
+     *   aaAddress: address of the perpetual AA,
+     *   reserveAsset: reserve asset of the AA, 'base' for bytes,
+     *   assets: { [engine asset]: perp asset id },
+     *   maxFeePercent: bounce if the AA fee would exceed this percent,
+     *   maxSlippage: lowest acceptable redemption payout as a share below the reference price,
+     *   bounceFee: bytes sent along with every trigger
+     * }
+     * client: sends triggers and reads AA responses, see aaClient.js
+     */
+    constructor(config = {}, client) {
+        super(config);
+        this.name = 'aa';
+        this.client = client;
+
+        this.aaAddress = config.aaAddress;
+        this.reserveAsset = config.reserveAsset || 'base';
+        this.assets = config.assets || {};
+        this.maxFeePercent = config.maxFeePercent || null;
+        this.maxSlippage = config.maxSlippage !== undefined ? config.maxSlippage : 0.01;
+        this.bounceFee = config.bounceFee || 10000;
+        // perpetual.oscript keeps this much of a bytes reserve payment to cover network fees
+        this.networkFee = this.reserveAsset === 'base' ? 1000 : 0;
+        this.clock = config.clock || null;
+
+        if (!this.aaAddress) {
+            throw new Error('aaAddress is required');
+        }
+        if (!client) {
+            throw new Error('A client is required to trigger the AA');
+        }
+    }
+
+    async execute(request) {
+        const timestamp = () => (this.clock ? this.clock.now() : new Date());
+        const perpAsset = this.assets[request.asset];
+
+        if (!perpAsset) {
+            return this.createReport(request, { timestamp: timestamp(), reason: `No perp asset configured for ${request.asset}` });
+        }
+        if (request.side === 'SELL' && !request.closing) {
+            return this.createReport(request, { timestamp: timestamp(), reason: 'The perpetual AA cannot open short positions' });
+        }
+
+        const marketData = request.getMarketData ? request.getMarketData() : null;
+        const reference = request.price || (marketData && (request.side === 'BUY'
+            ? marketData.ask || marketData.price
+            : marketData.bid || marketData.price));
+
+        if (!reference) {
+            return this.createReport(request, { timestamp: timestamp(), reason: `No market data for ${request.asset}` });
+        }
+
+        const trigger = request.side === 'BUY'
+            ? this.createBuyTrigger(perpAsset, request.size, reference)
+            : this.createSellTrigger(perpAsset, request.size, reference);
+
+        const started = Date.now();
+        const { unit, error } = await this.client.send(this.aaAddress, trigger.payments, trigger.data);
+        if (error || !unit) {
+            return this.createReport(request, { timestamp: timestamp(), reason: `Trigger failed: ${error || 'no unit'}` });
+        }
+
+        const response = await this.client.getResponse(unit);
+        const latencyMs = Date.now() - started;
+
+        if (response.bounced) {
+            return {
+                ...this.createReport(request, { latencyMs, timestamp: timestamp(), reason: `AA bounced: ${response.error}` }),
+                details: { unit, responseUnit: null }
+            };
+        }
+
+        const details = this.parseResponse(response, unit);
+        const received = response.received || {};
+
+        if (request.side === 'BUY') {
+            // Tokens minted for the reserve paid, net of the AA's fee
+            const filledSize = received[perpAsset] || 0;
+            const paid = trigger.payments[this.reserveAsset] - this.networkFee;
+
+            return {
+                ...this.createReport(request, {
+                    filledSize,
+                    price: filledSize > 0 ? (paid - details.totalFee) / filledSize : null,
+                    fee: details.totalFee,
+                    feeRate: paid > 0 ? details.totalFee / paid : 0,
+                    latencyMs,
+                    timestamp: timestamp(),
+                    reason: filledSize > 0 ? null : 'AA minted no tokens'
+                }),
+                details
+            };
+        }
+
+        // Reserve paid out for the tokens redeemed, with the fee added back to the price
+        const tokens = trigger.payments[perpAsset];
+        const payout = received[this.reserveAsset] || 0;
+        const gross = payout + details.totalFee;
+
+        return {
+            ...this.createReport(request, {
+                filledSize: tokens,
+                price: gross / tokens,
+                fee: details.totalFee,
+                feeRate: gross > 0 ? details.totalFee / gross : 0,
+                latencyMs,
+                timestamp: timestamp()
+            }),
+            details
+        };
+    }
+
+    /**
+     * The AA's fee depends on the trade, so estimates use the AA's default swap fee
+     */
+    getFeeRate(liquidity = 'taker') {
+        return this.config.swapFee !== undefined ? this.config.swapFee : 0.003;
+    }
+
+    /**
+     * Reserve to send for size tokens at the reference price
+     */
+    createBuyTrigger(perpAsset, size, reference) {
+        const amount = Math.ceil(size * reference) + this.networkFee;
+        const data = { asset: perpAsset };
+        if (this.maxFeePercent) data.max_fee_percent = this.maxFeePercent;
+
+        const payments = { [this.reserveAsset]: amount };
+        if (this.reserveAsset !== 'base') payments.base = this.bounceFee;
+
+        return { payments, data };
+    }
+
+    /**
+     * Tokens to redeem, refusing any payout below the reference price less maxSlippage
+     */
+    createSellTrigger(perpAsset, size, reference) {
+        const data = {
+            asset: perpAsset,
+            min_reserve_tokens: Math.floor(size * reference * (1 - this.maxSlippage))
+        };
+        if (this.maxFeePercent) data.max_fee_percent = this.maxFeePercent;
+
+        return { payments: { [perpAsset]: Math.floor(size), base: this.bounceFee }, data };
+    }
+
+    /**
+     * Read the response variables set by the AA's mint/redeem case
+     */
+    parseResponse(response, unit) {
+        const vars = response.responseVars || {};
+        const swapFee = vars.swap_fee || 0;
+        const arbProfitTax = vars.arb_profit_tax || 0;
+
+        return {
+            unit,
+            responseUnit: response.responseUnit || null,
+            price: vars.price || null,
+            swapFee,
+            arbProfitTax,
+            totalFee: vars.total_fee !== undefined ? vars.total_fee : swapFee + arbProfitTax,
+            // The AA reports fee% as a string such as "0.3%"
+            feePercent: vars['fee%'] !== undefined ? parseFloat(vars['fee%']) : null
+        };
+    }
+
+    /**
+     * Client backed by an aa-testkit network and wallet
+     */
+    static testkitClient(network, wallet) {
+        return createTestkitClient(network, wallet);
+    }
+}
+
+module.exports = AaVenue;
@@ -0,0 +1,64 @@
+/**
+ * Execution Venue
+ * Where the trading engine sends every fill. Implementations decide the fill
+ * price, size and fee; the engine only books the result.
+ */
+
+class ExecutionVenue {
+    constructor(config = {}) {
+        this.config = config;
+        this.name = 'venue';
+    }
+
+    /**
+     * Execute a fill
+     * request: {
+     *   asset,
+     *   side: 'BUY' or 'SELL',
+     *   size,
+     *   price: reference price for the fill, or null for the top of book,
+     *   liquidity: 'maker' (order was resting on the book) or 'taker',
+     *   allOrNothing: reject rather than fill part of the size,
+     *   closing: the fill reduces an existing position rather than opening one,
+     *   getMarketData: () => latest market data for the asset
+     * }
+     * Resolves to a fill report, see createReport.
+     */
+    async execute(request) {
+        throw new Error(`${this.constructor.name} does not implement execute`);
+    }
+
+    /**
+     * Fee rate charged for a liquidity type, used for estimates before a fill
+     */
+    getFeeRate(liquidity = 'taker') {
+        throw new Error(`${this.constructor.name} does not implement getFeeRate`);
+    }
+
+    /**
+     * Build a fill report
+     * status is FILLED, PARTIAL or REJECTED; reason explains a rejection or partial fill.
+     */
+    createReport(request, fields = {}) {
+        const filledSize = fields.filledSize || 0;
+
+        return {
+            venue: this.name,
+            asset: request.asset,
+            side: request.side,
+            liquidity: request.liquidity || 'taker',
+            requestedSize: request.size,
+            filledSize,
+            price: fields.price || null,
+            fee: fields.fee || 0,
+            feeRate: fields.feeRate || 0,
+            slippage: fields.slippage || 0,
+            latencyMs: fields.latencyMs || 0,
+            status: filledSize <= 0 ? 'REJECTED' : filledSize < request.size ? 'PARTIAL' : 'FILLED',
+            reason: fields.reason || null,
+            timestamp: fields.timestamp || new Date()
+        };
+    }
+}
+
+module.exports = ExecutionVenue;
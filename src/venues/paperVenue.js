@@ -0,0 +1,135 @@
+/**
+ * Paper Venue
+ * Simulated execution against the engine's own market data, with configurable
+ * slippage, maker/taker fees, latency and volume-limited partial fills.
+ */
+
+const ExecutionVenue = require('./executionVenue');
+
+const SLIPPAGE_MODELS = ['none', 'fixed_bps', 'volume_participation', 'square_root'];
+
+class PaperVenue extends ExecutionVenue {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'paper';
+
+        this.slippage = {
+            model: 'none',
+            bps: 0,
+            coefficient: 0.1,
+            ...config.slippage
+        };
+        this.fees = {
+            maker: 0.001,
+            taker: 0.001,
+            ...config.fees
+        };
+        this.latencyMs = config.latencyMs || 0;
+        // Largest share of a tick's volume a single fill may take, null for no limit
+        this.maxParticipation = config.maxParticipation || null;
+        this.clock = config.clock || null;
+
+        if (!SLIPPAGE_MODELS.includes(this.slippage.model)) {
+            throw new Error(`Unknown slippage model: ${this.slippage.model}. Expected one of ${SLIPPAGE_MODELS.join(', ')}`);
+        }
+    }
+
+    async execute(request) {
+        const latencyMs = this.sampleLatency();
+        if (latencyMs > 0) {
+            // Through the clock, so a backtest waits in simulated time and fills are stamped after the delay
+            await (this.clock ? this.clock.sleep(latencyMs) : new Promise(resolve => setTimeout(resolve, latencyMs)));
+        }
+
+        // Market data is read after the delay, so latency costs whatever the market did meanwhile
+        const marketData = request.getMarketData ? request.getMarketData() : null;
+        const timestamp = this.clock ? this.clock.now() : new Date();
+
+        if (!marketData) {
+            return this.createReport(request, { latencyMs, timestamp, reason: `No market data for ${request.asset}` });
+        }
+
+        const isBuy = request.side === 'BUY';
+        const reference = request.price || (isBuy
+            ? marketData.ask || marketData.price
+            : marketData.bid || marketData.price);
+
+        const available = this.getAvailableSize(marketData);
+        const filledSize = Math.min(request.size, available);
+
+        if (filledSize <= 0) {
+            return this.createReport(request, { latencyMs, timestamp, reason: 'No volume available' });
+        }
+        if (filledSize < request.size && request.allOrNothing) {
+            return this.createReport(request, {
+                latencyMs,
+                timestamp,
+                reason: `Only ${filledSize} of ${request.size} available`
+            });
+        }
+
+        const liquidity = request.liquidity || 'taker';
+        // Resting orders were already on the book at their price and do not walk it
+        const slippage = liquidity === 'maker' ? 0 : this.calculateSlippage(reference, filledSize, marketData);
+        const price = isBuy ? reference + slippage : Math.max(reference - slippage, 0);
+        const feeRate = this.getFeeRate(liquidity);
+
+        return this.createReport(request, {
+            filledSize,
+            price,
+            fee: filledSize * price * feeRate,
+            feeRate,
+            slippage,
+            latencyMs,
+            timestamp,
+            reason: filledSize < request.size ? `Volume limited fill of ${filledSize}` : null
+        });
+    }
+
+    getFeeRate(liquidity = 'taker') {
+        return liquidity === 'maker' ? this.fees.maker : this.fees.taker;
+    }
+
+    /**
+     * Price concession per unit, in price terms, for a taker fill of the given size
+     * - fixed_bps: a constant number of basis points of the reference price
+     * - volume_participation: linear in the fill's share of tick volume
+     * - square_root: grows with the square root of that share
+     */
+    calculateSlippage(reference, size, marketData) {
+        const participation = marketData.volume > 0 ? size / marketData.volume : 0;
+
+        switch (this.slippage.model) {
+            case 'fixed_bps':
+                return reference * this.slippage.bps / 10000;
+            case 'volume_participation':
+                return reference * this.slippage.coefficient * participation;
+            case 'square_root':
+                return reference * this.slippage.coefficient * Math.sqrt(participation);
+            default:
+                return 0;
+        }
+    }
+
+    getAvailableSize(marketData) {
+        if (!this.maxParticipation || !(marketData.volume > 0)) {
+            return Infinity;
+        }
+        return marketData.volume * this.maxParticipation;
+    }
+
+    /**
+     * latencyMs is either a fixed delay or a { min, max } range sampled per fill
+     */
+    sampleLatency() {
+        if (typeof this.latencyMs === 'number') {
+            return this.latencyMs;
+        }
+        const { min = 0, max = min } = this.latencyMs;
+        return min + Math.random() * (max - min);
+    }
+}
+
+PaperVenue.SLIPPAGE_MODELS = SLIPPAGE_MODELS;
+
+module.exports = PaperVenue;
@@ -8,6 +8,13 @@ class WebSocketServer {
         this.analyticsDashboard = analyticsDashboard;
         this.riskManager = riskManager;
 
+        // Tell every client when trading is halted, made reduce-only or resumed
+        if (tradingEngine && tradingEngine.on) {
+            tradingEngine.on('tradingStateChanged', (record) => {
+                this.broadcast({ type: 'tradingState', data: record });
+            });
+        }
+
         // Initialize WebSocket server if server is provided
         if (server) {
             this.wss = new WebSocket.Server({ server });
@@ -102,6 +109,12 @@ class WebSocketServer {
 
             const mappedSide = side === 'BUY' ? 'LONG' : side === 'SELL' ? 'SHORT' : side;
 
+            const blocked = this.tradingEngine.checkTradingState(this.tradingEngine.reducesPosition(asset, mappedSide));
+            if (blocked) {
+                ws.send(JSON.stringify({ error: blocked, tradingState: this.tradingEngine.tradingState }));
+                return;
+            }
+
             const result = await this.tradingEngine.openPosition(asset, mappedSide, size);
 
             if (result) {
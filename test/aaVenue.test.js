@@ -0,0 +1,93 @@
+/**
+ * AA Venue Tests
+ * The full round trip against perpetual.oscript is in aaVenue.test.oscript.js;
+ * these cover the trigger and response handling with a recorded client.
+ */
+
+const { expect } = require('chai');
+const AaVenue = require('../src/venues/aaVenue');
+const PaperVenue = require('../src/venues/paperVenue');
+const AutonomousAgent = require('../src/main');
+
+describe('AA Venue', function () {
+    let sent;
+    let response;
+    let venue;
+
+    const marketData = { price: 2, bid: 1.9, ask: 2.1 };
+
+    function request(fields = {}) {
+        return { asset: 'BTC', side: 'BUY', size: 1000, getMarketData: () => marketData, ...fields };
+    }
+
+    beforeEach(function () {
+        sent = [];
+        response = null;
+        const client = {
+            send: async (aaAddress, payments, data) => {
+                sent.push({ aaAddress, payments, data });
+                return { unit: 'UNIT' };
+            },
+            getResponse: async () => response
+        };
+        venue = new AaVenue({
+            aaAddress: 'PERP',
+            reserveAsset: 'OUSD',
+            assets: { BTC: 'PERP_BTC' },
+            maxFeePercent: 2,
+            maxSlippage: 0.1
+        }, client);
+    });
+
+    it('should buy with the reserve and price the fill net of the AA fee', async function () {
+        response = {
+            bounced: false,
+            responseVars: { price: 2.2, swap_fee: 6.3, arb_profit_tax: 1.7, total_fee: 8, 'fee%': '0.381%' },
+            responseUnit: 'RESPONSE',
+            received: { PERP_BTC: 996 }
+        };
+
+        const fill = await venue.execute(request());
+
+        expect(sent[0]).to.deep.equal({
+            aaAddress: 'PERP',
+            payments: { OUSD: 2100, base: 10000 },
+            data: { asset: 'PERP_BTC', max_fee_percent: 2 }
+        });
+        expect(fill).to.include({ status: 'PARTIAL', filledSize: 996, fee: 8 });
+        expect(fill.price).to.be.closeTo((2100 - 8) / 996, 1e-9);
+        expect(fill.details).to.include({ price: 2.2, swapFee: 6.3, arbProfitTax: 1.7, feePercent: 0.381 });
+    });
+
+    it('should redeem with a min_reserve_tokens guard and report bounces', async function () {
+        response = { bounced: true, error: 'payout would be only 1500' };
+
+        const fill = await venue.execute(request({ side: 'SELL', closing: true }));
+
+        expect(sent[0].payments).to.deep.equal({ PERP_BTC: 1000, base: 10000 });
+        expect(sent[0].data).to.deep.equal({ asset: 'PERP_BTC', min_reserve_tokens: 1710, max_fee_percent: 2 });
+        expect(fill).to.include({ status: 'REJECTED', reason: 'AA bounced: payout would be only 1500' });
+    });
+
+    it('should refuse to open shorts', async function () {
+        const fill = await venue.execute(request({ side: 'SELL' }));
+
+        expect(fill.status).to.equal('REJECTED');
+        expect(sent).to.be.empty;
+    });
+
+    it('should be selected by execution.venue in the agent config', function () {
+        const aaClient = { send: async () => ({}), getResponse: async () => null };
+        const agent = new AutonomousAgent({ perpetualAa: 'PERP', reserveAsset: 'OUSD', aaClient });
+
+        const aaVenue = agent.createVenue({ venue: 'aa', aa: { assets: { BTC: 'PERP_BTC' }, maxFeePercent: 1 } });
+        expect(aaVenue).to.be.an.instanceOf(AaVenue);
+        expect(aaVenue).to.include({ aaAddress: 'PERP', reserveAsset: 'OUSD', maxFeePercent: 1, client: aaClient });
+        expect(aaVenue.assets).to.deep.equal({ BTC: 'PERP_BTC' });
+
+        expect(agent.createVenue({ fees: { maker: 0, taker: 0 } })).to.be.an.instanceOf(PaperVenue);
+        expect(() => agent.createVenue({ venue: 'cex' })).to.throw('Unknown execution venue: cex. Expected paper or aa');
+        expect(() => new AutonomousAgent({}).createVenue({ venue: 'aa' }))
+            .to.throw('execution.venue aa needs an aaClient with the wallet to trade from');
+    });
+});
@@ -0,0 +1,208 @@
+// Trades through the trading engine against a perpetual AA on an aa-testkit network, using AaVenue
+const { Testkit } = require('aa-testkit')
+const { Network } = Testkit()
+const { expect } = require('chai')
+const { promisify } = require('util')
+const path = require('path')
+const fs = require('fs')
+const objectHash = require("ocore/object_hash.js");
+const parseOjson = require('ocore/formula/parse_ojson').parse
+const TradingEngine = require('../src/tradingEngine')
+const AlertSystem = require('../src/alertSystem')
+const AaVenue = require('../src/venues/aaVenue')
+const PerpetualCurve = require('../src/perpetualCurve')
+const FactoryClient = require('../src/factoryClient')
+
+async function getAaAddress(aa_src) {
+	return objectHash.getChash160(await promisify(parseOjson)(aa_src));
+}
+
+
+describe('AA execution venue', function () {
+	this.timeout(120000)
+
+	before(async () => {
+
+		const staking_lib = fs.readFileSync(path.join(__dirname, '../staking-lib.oscript'), 'utf8');
+		const staking_lib_address = await getAaAddress(staking_lib);
+
+		let staking_base = fs.readFileSync(path.join(__dirname, '../staking.oscript'), 'utf8');
+		staking_base = staking_base.replace(/\$lib_aa = '\w{32}'/, `$lib_aa = '${staking_lib_address}'`)
+		const staking_base_address = await getAaAddress(staking_base);
+
+		let perp_base = fs.readFileSync(path.join(__dirname, '../perpetual.oscript'), 'utf8');
+		perp_base = perp_base.replace(/\$staking_base_aa = '\w{32}'/, `$staking_base_aa = '${staking_base_address}'`)
+		const perp_base_address = await getAaAddress(perp_base);
+		this.perp_base_address = perp_base_address
+
+		let factory = fs.readFileSync(path.join(__dirname, '../factory.oscript'), 'utf8');
+		factory = factory.replace(/\$base_aa = '\w{32}'/, `$base_aa = '${perp_base_address}'`)
+
+		this.network = await Network.create()
+			.with.numberOfWitnesses(1)
+			.with.asset({ ousd: {} })
+			.with.agent({ price_base: path.join(__dirname, '../price.oscript') })
+			.with.agent({ staking_lib: path.join(__dirname, '../staking-lib.oscript') })
+			.with.agent({ staking_base })
+			.with.agent({ perp_base })
+			.with.agent({ factory })
+			.with.wallet({ oracle: {base: 1e9} })
+			.with.wallet({ alice: {base: 100e9, ousd: 10000e9} })
+			.run()
+
+		this.ousd = this.network.asset.ousd
+		this.alice = this.network.wallet.alice
+		this.oracleAddress = await this.network.wallet.oracle.getAddress()
+
+		// any AA satisfies the factory; prices of asset0 do not depend on it
+		const { address: reserve_price_aa, error } = await this.alice.deployAgent({
+			base_aa: this.network.agent.price_base,
+			params: { oracle: this.oracleAddress, feed_name: 'USD' }
+		})
+		expect(error).to.be.null
+
+		const { unit } = await this.alice.triggerAaWithData({
+			toAddress: this.network.agent.factory,
+			amount: 10000,
+			data: { reserve_asset: this.ousd, reserve_price_aa },
+		})
+		const { response } = await this.network.getAaResponseToUnitOnNode(this.alice, unit)
+		expect(response.bounced).to.be.false
+		this.perp_aa = response.response.responseVars.address
+		this.reserve_price_aa = reserve_price_aa
+		await this.network.witnessUntilStable(response.response_unit)
+
+		const { vars } = await this.alice.readAAStateVars(this.perp_aa)
+		this.asset0 = vars.state.asset0
+		expect(this.asset0).to.be.validUnit
+
+		// the factory keeps the params it deployed the perp AA with
+		const { vars: factory_vars } = await this.alice.readAAStateVars(this.network.agent.factory)
+		this.params = factory_vars['perp_' + this.perp_aa]
+
+		this.loadCurve = async () => {
+			const { vars } = await this.alice.readAAStateVars(this.perp_aa)
+			return new PerpetualCurve({ vars, params: this.params })
+		}
+
+		this.executeGetter = async (getter, args = []) => {
+			const { result, error } = await this.alice.executeGetter({ aaAddress: this.perp_aa, getter, args })
+			expect(error).to.be.null
+			return result
+		}
+
+		this.alertSystem = new AlertSystem({ logToConsole: false, logToFile: false })
+		this.engine = new TradingEngine({
+			initialCash: 10e9,
+			maxPositionSize: 0.5,
+			// keep stop-loss and take-profit out of the way of the price moves below
+			stopLossPercent: 0.9,
+			takeProfitPercent: 10,
+			venue: new AaVenue({
+				aaAddress: this.perp_aa,
+				reserveAsset: this.ousd,
+				assets: { S0: this.asset0 },
+				maxFeePercent: 5,
+				maxSlippage: 0.05,
+			}, AaVenue.testkitClient(this.network, this.alice)),
+		}, this.alertSystem)
+	})
+
+	after(async () => {
+		this.engine.cleanup()
+		this.alertSystem.stopMonitoring()
+		await this.network.stop()
+	})
+
+	it('Predict the address of the perp AA the factory defined', async () => {
+		const factory = new FactoryClient({ factoryAa: this.network.agent.factory, baseAa: this.perp_base_address })
+		const trigger = factory.buildTrigger({ reserve_asset: this.ousd, reserve_price_aa: this.reserve_price_aa })
+		expect(trigger.error).to.be.undefined
+		expect(trigger.address).to.eq(this.perp_aa)
+		expect(trigger.data).to.deep.eq(this.params)
+	})
+
+	it('Open a long by sending the reserve', async () => {
+		this.engine.updateMarketData('S0', { price: 1, volume: 0 })
+
+		const position = await this.engine.openPosition('S0', 'LONG', 1e9)
+		expect(position).to.not.be.null
+		// the first buy of asset0 is fee free and mints tokens 1:1
+		expect(position.size).to.eq(1e9)
+		expect(position.entryPrice).to.eq(1)
+		expect(position.fees).to.eq(0)
+		expect(position.entryFill.venue).to.eq('aa')
+		expect(position.entryFill.details.price).to.eq(1)
+
+		const balance = await this.alice.getBalance()
+		expect(balance[this.asset0].pending + balance[this.asset0].stable).to.eq(1e9)
+	})
+
+	it('Refuse to open a short', async () => {
+		expect(await this.engine.openPosition('S0', 'SHORT', 1e6)).to.be.null
+	})
+
+	it('Bounce a redemption below min_reserve_tokens', async () => {
+		// a stale bid far above the AA's price makes the payout guard trip
+		this.engine.updateMarketData('S0', { price: 2, bid: 2, ask: 2, volume: 0 })
+
+		const fills = []
+		this.engine.once('fill', fill => fills.push(fill))
+		expect(await this.engine.closePosition('S0', { size: 1e8 })).to.be.null
+		expect(fills[0].status).to.eq('REJECTED')
+		expect(fills[0].reason).to.match(/^AA bounced: payout would be only/)
+		expect(this.engine.getPosition('S0').size).to.eq(1e9)
+	})
+
+	it('Redeem part of the position and parse the AA response', async () => {
+		this.engine.updateMarketData('S0', { price: 1, bid: 1, ask: 1, volume: 0 })
+
+		const slice = await this.engine.closePosition('S0', { size: 1e8 })
+		expect(slice.partial).to.be.true
+		expect(slice.size).to.eq(1e8)
+
+		const { details, fee } = slice.exitFill
+		const payout = slice.size * slice.exitPrice - fee
+		expect(details.swapFee).to.be.gt(0)
+		expect(details.arbProfitTax).to.be.gte(0)
+		expect(details.totalFee).to.be.closeTo(details.swapFee + details.arbProfitTax, 1e-6)
+		expect(fee).to.eq(details.totalFee)
+		expect(details.feePercent).to.be.closeTo(fee / payout * 100, 1e-3)
+		expect(details.price).to.be.closeTo(1, 0.01)
+		expect(slice.exitPrice).to.be.closeTo(1, 0.01)
+		expect(this.engine.getPosition('S0').size).to.eq(9e8)
+	})
+
+	it('Match the AA getters with the JS curve', async () => {
+		const curve = await this.loadCurve()
+
+		expect(curve.getPrice(this.asset0)).to.be.closeTo(await this.executeGetter('get_price', [this.asset0, true]), 1e-12)
+
+		for (const [tokens, delta_r] of [[0, 1e8], [1e8, 0]]) {
+			const expected = await this.executeGetter('get_exchange_result', [this.asset0, tokens, delta_r])
+			const result = curve.getExchangeResult(this.asset0, tokens, delta_r)
+
+			expect(result.deltaS).to.be.closeTo(expected.delta_s, 1)
+			expect(result.payout).to.be.closeTo(expected.payout || 0, 1)
+			expect(result.newReserve).to.be.closeTo(expected.new_reserve, 1)
+			expect(result.newPrice).to.be.closeTo(expected.new_price, 1e-9)
+			expect(result.swapFee).to.be.closeTo(expected.swap_fee, 1e-3)
+			expect(result.arbProfitTax).to.be.closeTo(expected.arb_profit_tax, 1e-3)
+			expect(result.feePercent).to.be.closeTo(expected.fee_percent, 1e-9)
+		}
+	})
+
+	it('Estimate a redemption from the JS curve before sending it', async () => {
+		// step past the trade merge period so the AA does not merge with the previous redemption
+		const { error } = await this.network.timetravel({ shift: '1m' })
+		expect(error).to.be.null
+
+		this.engine.setCurve('S0', await this.loadCurve(), this.asset0)
+		const estimate = this.engine.estimateFill('S0', 'SHORT', 1e8)
+
+		const slice = await this.engine.closePosition('S0', { size: 1e8 })
+		expect(slice.exitPrice).to.be.closeTo(estimate.price, 1e-6)
+		expect(slice.exitFill.fee).to.be.closeTo(estimate.fee, 1)
+	})
+
+})
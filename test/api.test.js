@@ -22,7 +22,8 @@ describe('API Endpoints', function () {
         takeProfitPercent: 0.1,
         leverage: 1,
         minOrderSize: 10,
-        maxOrdersPerAsset: 3
+        maxOrdersPerAsset: 3,
+        haltCooldown: 0
     };
 
     before(async function () {
@@ -132,6 +133,59 @@ describe('API Endpoints', function () {
             expect(response.body).to.have.property('error');
         });
 
+        it('should reject trades and orders the risk gate blocks', async function () {
+            // 10 BTC alone is leverage 0.01, so a limit of 0.001 leaves no room for new exposure
+            const riskParams = agent.components.riskManager.riskParams;
+            const maxLeverage = riskParams.maxLeverage;
+            riskParams.maxLeverage = 0.001;
+
+            try {
+                const trade = await request(testApp)
+                    .post('/api/trade')
+                    .set('x-api-key', 'test-api-key')
+                    .send({ asset: 'BTC', side: 'BUY', size: 10 })
+                    .expect(400);
+
+                expect(trade.body).to.have.property('error', 'Trade rejected by risk checks');
+                expect(trade.body.riskCheck).to.include({ decision: 'REJECT', size: 0 });
+                expect(trade.body.riskCheck.reasons.map(reason => reason.type)).to.include('LEVERAGE');
+
+                const order = await request(testApp)
+                    .post('/api/orders')
+                    .set('x-api-key', 'test-api-key')
+                    .send({ asset: 'BTC', side: 'BUY', type: 'limit', price: 95, size: 10 })
+                    .expect(400);
+
+                expect(order.body).to.have.property('error', 'Order rejected by risk checks');
+                expect(order.body.details).to.match(/^Leverage/);
+                expect(order.body.riskCheck).to.have.property('decision', 'REJECT');
+
+                agent.components.tradingEngine.strategyRegistry.register({
+                    name: 'always_long',
+                    description: 'Opens a long on every signal',
+                    paramsSchema: {},
+                    async onTick() {
+                        return null;
+                    },
+                    async onSignal(ctx) {
+                        return await ctx.openPosition('LONG', 10, { rule: 'always' });
+                    }
+                });
+                const strategy = await request(testApp)
+                    .post('/api/strategies/always_long')
+                    .set('x-api-key', 'test-api-key')
+                    .send({ asset: 'BTC', signal: 'BUY' })
+                    .expect(200);
+
+                expect(strategy.body.decision).to.include({ action: 'OPEN', position: null, reason: 'Trade rejected by risk checks' });
+                expect(strategy.body.decision.riskCheck).to.include({ decision: 'REJECT', requestedSize: 10, size: 0 });
+                expect(strategy.body.decision.riskCheck.reasons.map(reason => reason.type)).to.include('LEVERAGE');
+            } finally {
+                riskParams.maxLeverage = maxLeverage;
+                agent.components.tradingEngine.strategyRegistry.strategies.delete('always_long');
+            }
+        });
+
         it('should get positions', async function () {
             // First create a position
             await request(testApp)
@@ -154,6 +208,28 @@ describe('API Endpoints', function () {
             expect(response.body.summary).to.have.property('totalPositions');
         });
 
+        it('should report margin and liquidation prices on positions', async function () {
+            await request(testApp)
+                .post('/api/trade')
+                .set('x-api-key', 'test-api-key')
+                .send({ asset: 'BTC', side: 'BUY', size: 50 })
+                .expect(200);
+
+            const response = await request(testApp)
+                .get('/api/positions')
+                .set('x-api-key', 'test-api-key')
+                .expect(200);
+
+            // Without leverage a long is paid for in full and cannot be liquidated
+            const position = response.body.positions.find(p => p.asset === 'BTC' && p.side === 'LONG');
+            expect(position.initialMargin).to.be.closeTo(position.size * position.currentPrice, 1e-6);
+            expect(position.maintenanceMargin).to.be.closeTo(position.initialMargin / 2, 1e-6);
+            expect(position).to.include({ liquidationPrice: null, liquidationDistance: null, marginCall: false });
+            expect(response.body.summary.margin).to.have.all.keys('equity', 'initialMargin', 'maintenanceMargin', 'freeMargin', 'marginLevel');
+            expect(response.body.summary.margin.freeMargin).to.be.closeTo(
+                response.body.summary.margin.equity - response.body.summary.margin.initialMargin, 1e-6);
+        });
+
         it('should close a position', async function () {
             // First create a position
             await request(testApp)
@@ -174,6 +250,26 @@ describe('API Endpoints', function () {
             expect(response.body).to.have.property('closedPosition');
         });
 
+        it('should reduce a position by size', async function () {
+            await request(testApp)
+                .post('/api/trade')
+                .set('x-api-key', 'test-api-key')
+                .send({
+                    asset: 'BTC',
+                    side: 'BUY',
+                    size: 50
+                });
+
+            const response = await request(testApp)
+                .delete('/api/positions/BTC?size=10')
+                .set('x-api-key', 'test-api-key')
+                .expect(200);
+
+            expect(response.body).to.have.property('success', true);
+            expect(response.body.closedPosition).to.have.property('partial', true);
+            expect(response.body.closedPosition).to.have.property('size', 10);
+        });
+
         it('should return 404 for non-existent position', async function () {
             const response = await request(testApp)
                 .delete('/api/positions/NONEXISTENT')
@@ -184,6 +280,54 @@ describe('API Endpoints', function () {
         });
     });
 
+    describe('Order Endpoints', function () {
+        it('should place, list and cancel a limit order', async function () {
+            const placed = await request(testApp)
+                .post('/api/orders')
+                .set('x-api-key', 'test-api-key')
+                .send({
+                    asset: 'BTC',
+                    side: 'BUY',
+                    type: 'limit',
+                    price: 50,
+                    size: 10
+                })
+                .expect(200);
+
+            expect(placed.body).to.have.property('success', true);
+            expect(placed.body.order).to.have.property('status', 'OPEN');
+
+            const listed = await request(testApp)
+                .get('/api/orders?asset=BTC')
+                .set('x-api-key', 'test-api-key')
+                .expect(200);
+
+            expect(listed.body.orders.map(o => o.id)).to.include(placed.body.order.id);
+
+            const cancelled = await request(testApp)
+                .delete(`/api/orders/${placed.body.order.id}`)
+                .set('x-api-key', 'test-api-key')
+                .expect(200);
+
+            expect(cancelled.body.order).to.have.property('status', 'CANCELLED');
+        });
+
+        it('should reject an invalid order', async function () {
+            const response = await request(testApp)
+                .post('/api/orders')
+                .set('x-api-key', 'test-api-key')
+                .send({
+                    asset: 'BTC',
+                    side: 'BUY',
+                    type: 'stop',
+                    size: 10
+                })
+                .expect(400);
+
+            expect(response.body).to.have.property('error');
+        });
+    });
+
     describe('Market Data Endpoints', function () {
         it('should update market data', async function () {
             const marketData = [{
@@ -204,6 +348,28 @@ describe('API Endpoints', function () {
             expect(response.body).to.have.property('updated', 1);
         });
 
+        it('should report a tick the engine fails to process', async function () {
+            const tradingEngine = agent.components.tradingEngine;
+            const processed = [];
+            tradingEngine.updateMarketData = async (asset) => {
+                processed.push(asset);
+                if (asset === 'XRP') throw new Error('Matching failed');
+            };
+
+            try {
+                const response = await request(testApp)
+                    .post('/api/market')
+                    .set('x-api-key', 'test-api-key')
+                    .send([{ asset: 'XRP', price: 1 }, { asset: 'DOT', price: 5 }])
+                    .expect(500);
+
+                expect(response.body).to.have.property('details', 'Matching failed');
+                expect(processed).to.deep.equal(['XRP']);
+            } finally {
+                delete tradingEngine.updateMarketData;
+            }
+        });
+
         it('should reject invalid market data', async function () {
             const response = await request(testApp)
                 .post('/api/market')
@@ -291,6 +457,25 @@ describe('API Endpoints', function () {
 
             expect(response.body).to.have.property('error');
         });
+
+        it('should get the ledger and reconcile it', async function () {
+            const ledger = await request(testApp)
+                .get('/api/ledger?limit=5')
+                .set('x-api-key', 'test-api-key')
+                .expect(200);
+
+            expect(ledger.body.balances).to.have.property('cash');
+            expect(ledger.body.trialBalance).to.have.property('balanced', true);
+            expect(ledger.body.entries).to.be.an('array').with.length.at.most(5);
+
+            const reconciliation = await request(testApp)
+                .get('/api/ledger/reconciliation')
+                .set('x-api-key', 'test-api-key')
+                .expect(200);
+
+            expect(reconciliation.body).to.have.property('status', 'BALANCED');
+            expect(reconciliation.body.checks.map(c => c.name)).to.include('positionMargin');
+        });
     });
 
     describe('Risk Management Endpoints', function () {
@@ -318,6 +503,76 @@ describe('API Endpoints', function () {
             expect(response.body).to.have.property('var');
         });
 
+        it('should get value at risk', async function () {
+            const response = await request(testApp)
+                .get('/api/risk/var?method=parametric&confidence=0.99&horizon=10')
+                .set('x-api-key', 'test-api-key')
+                .expect(200);
+
+            expect(response.body).to.include({ method: 'parametric', confidence: 0.99, horizon: 10 });
+            expect(response.body).to.have.property('var');
+            expect(response.body).to.have.property('expectedShortfall');
+            expect(response.body).to.have.property('assets');
+
+            const invalid = await request(testApp)
+                .get('/api/risk/var?method=garch')
+                .set('x-api-key', 'test-api-key')
+                .expect(400);
+            expect(invalid.body.error).to.equal('method must be one of: parametric, historical, monteCarlo');
+        });
+
+        it('should save, run and delete stress scenarios', async function () {
+            const invalid = await request(testApp)
+                .post('/api/risk/scenarios')
+                .set('x-api-key', 'test-api-key')
+                .send({ name: 'Crash', type: 'shock', shocks: { BTC: { price: -2 } } })
+                .expect(400);
+            expect(invalid.body.error).to.equal('BTC: price must be a number above -1');
+
+            await request(testApp)
+                .post('/api/risk/scenarios')
+                .set('x-api-key', 'test-api-key')
+                .send({ name: 'Market Crash', type: 'shock', shocks: { '*': { price: -0.9 } } })
+                .expect(409);
+
+            const saved = await request(testApp)
+                .post('/api/risk/scenarios')
+                .set('x-api-key', 'test-api-key')
+                .send({ name: 'BTC crash', type: 'shock', shocks: { BTC: { price: -0.5, liquidity: 0.5 } } })
+                .expect(200);
+            expect(saved.body.scenario).to.deep.equal({ name: 'BTC crash', type: 'shock', shocks: { BTC: { price: -0.5, liquidity: 0.5 } } });
+
+            const list = await request(testApp)
+                .get('/api/risk/scenarios')
+                .set('x-api-key', 'test-api-key')
+                .expect(200);
+            expect(list.body.scenarios.map(scenario => scenario.name)).to.include.members(['Market Crash', 'BTC crash']);
+
+            const run = await request(testApp)
+                .post('/api/risk/scenarios/BTC%20crash/run')
+                .set('x-api-key', 'test-api-key')
+                .expect(200);
+            expect(run.body).to.include({ scenario: 'BTC crash', type: 'shock' });
+            expect(run.body).to.have.property('stressedDrawdown');
+            expect(run.body.positions).to.be.an('array');
+
+            const all = await request(testApp)
+                .post('/api/risk/scenarios/run')
+                .set('x-api-key', 'test-api-key')
+                .send({ names: ['BTC crash', 'Market Crash'] })
+                .expect(200);
+            expect(all.body.results.map(result => result.scenario)).to.deep.equal(['BTC crash', 'Market Crash']);
+
+            await request(testApp)
+                .delete('/api/risk/scenarios/BTC%20crash')
+                .set('x-api-key', 'test-api-key')
+                .expect(200);
+            await request(testApp)
+                .post('/api/risk/scenarios/BTC%20crash/run')
+                .set('x-api-key', 'test-api-key')
+                .expect(404);
+        });
+
         it('should trigger emergency stop', async function () {
             const response = await request(testApp)
                 .post('/api/risk/emergency-stop')
@@ -327,6 +582,48 @@ describe('API Endpoints', function () {
 
             expect(response.body).to.have.property('success', true);
             expect(response.body).to.have.property('message');
+            expect(response.body.tradingState).to.have.property('state', 'HALTED');
+        });
+
+        it('should refuse trades while halted and resume with an audited request', async function () {
+            const trade = await request(testApp)
+                .post('/api/trade')
+                .set('x-api-key', 'test-api-key')
+                .send({ asset: 'BTC', side: 'BUY', size: 10 })
+                .expect(409);
+
+            expect(trade.body).to.have.property('error', 'Trading is halted: Test emergency stop');
+            expect(trade.body.tradingState).to.include({ state: 'HALTED', source: 'emergency' });
+
+            await request(testApp)
+                .post('/api/risk/resume')
+                .set('x-api-key', 'test-api-key')
+                .send({ reason: 'Checked' })
+                .expect(400);
+
+            const resumed = await request(testApp)
+                .post('/api/risk/resume')
+                .set('x-api-key', 'test-api-key')
+                .send({ actor: 'ops', reason: 'Checked' })
+                .expect(200);
+
+            expect(resumed.body).to.have.property('success', true);
+            expect(resumed.body.tradingState).to.have.property('state', 'ACTIVE');
+
+            const state = await request(testApp)
+                .get('/api/risk/state')
+                .set('x-api-key', 'test-api-key')
+                .expect(200);
+
+            const last = state.body.history[state.body.history.length - 1];
+            expect(last).to.include({ from: 'HALTED', to: 'ACTIVE', actor: 'ops', reason: 'Checked', source: 'manual' });
+            expect(last).to.have.property('ip');
+
+            await request(testApp)
+                .post('/api/risk/resume')
+                .set('x-api-key', 'test-api-key')
+                .send({ actor: 'ops', reason: 'Checked' })
+                .expect(409);
         });
     });
 
@@ -399,6 +696,8 @@ describe('API Endpoints', function () {
 
             expect(response.body).to.have.property('success');
             expect(response.body).to.have.property('strategy', 'momentum');
+            expect(response.body.decision).to.include({ strategy: 'momentum', asset: 'BTC', signal: 'BUY' });
+            expect(response.body.decision).to.have.property('indicators');
         });
 
         it('should reject strategy execution without required parameters', async function () {
@@ -413,6 +712,106 @@ describe('API Endpoints', function () {
 
             expect(response.body).to.have.property('error');
         });
+
+        it('should reject invalid strategy parameters', async function () {
+            const response = await request(testApp)
+                .post('/api/strategies/momentum')
+                .set('x-api-key', 'test-api-key')
+                .send({
+                    asset: 'BTC',
+                    signal: 'BUY',
+                    params: { momentumThreshold: -1 }
+                })
+                .expect(400);
+
+            expect(response.body.details).to.deep.equal(['momentumThreshold must be >= 0']);
+        });
+
+        it('should let a strategy exit while trading is reduce-only', async function () {
+            const tradingEngine = agent.components.tradingEngine;
+            tradingEngine.strategyRegistry.register({
+                name: 'long_and_exit',
+                description: 'Opens a long on BUY and closes it on SELL',
+                paramsSchema: {},
+                async onTick() {
+                    return null;
+                },
+                async onSignal(ctx, signal) {
+                    if (signal === 'BUY') return await ctx.openPosition('LONG', 1, { rule: 'entry' });
+                    return await ctx.closePosition({ rule: 'exit' });
+                }
+            });
+
+            try {
+                const entry = await request(testApp)
+                    .post('/api/strategies/long_and_exit')
+                    .set('x-api-key', 'test-api-key')
+                    .send({ asset: 'BTC', signal: 'BUY' })
+                    .expect(200);
+                expect(entry.body.decision.position).to.include({ side: 'LONG', status: 'OPEN' });
+
+                await tradingEngine.setTradingState('REDUCE_ONLY', 'Test reduce-only');
+
+                const blocked = await request(testApp)
+                    .post('/api/strategies/long_and_exit')
+                    .set('x-api-key', 'test-api-key')
+                    .send({ asset: 'BTC', signal: 'BUY' })
+                    .expect(200);
+                expect(blocked.body.decision).to.include({ action: 'OPEN', position: null });
+
+                const exit = await request(testApp)
+                    .post('/api/strategies/long_and_exit')
+                    .set('x-api-key', 'test-api-key')
+                    .send({ asset: 'BTC', signal: 'SELL' })
+                    .expect(200);
+                expect(exit.body.decision).to.include({ action: 'CLOSE', rule: 'exit' });
+                expect(exit.body.decision.position).to.include({ id: entry.body.decision.position.id, status: 'CLOSED' });
+            } finally {
+                await tradingEngine.setTradingState('ACTIVE', 'Test complete');
+                tradingEngine.strategyRegistry.strategies.delete('long_and_exit');
+            }
+        });
+    });
+
+    describe('Backtest Endpoints', function () {
+        it('should run a submitted backtest and report its status', async function () {
+            const start = Date.parse('2024-01-01T00:00:00Z');
+            const ticks = [100, 101, 102].map((price, i) => ({
+                timestamp: new Date(start + i * 60000).toISOString(),
+                asset: 'BTC',
+                price,
+                volume: 1000
+            }));
+
+            const submitted = await request(testApp)
+                .post('/api/backtests')
+                .set('x-api-key', 'test-api-key')
+                .send({ strategy: 'momentum', ticks })
+                .expect(202);
+
+            await agent.components.server.backtests.whenIdle();
+
+            const response = await request(testApp)
+                .get(`/api/backtests/${submitted.body.backtest.id}`)
+                .set('x-api-key', 'test-api-key')
+                .expect(200);
+
+            expect(response.body.backtest.status).to.equal('COMPLETED');
+            expect(response.body.backtest.result.ticks).to.equal(3);
+            expect(response.body.backtest.result).to.have.property('equityCurve');
+            expect(response.body.backtest.result.metrics).to.have.property('sharpeRatio');
+        });
+    });
+
+    describe('Presale Endpoints', function () {
+        it('should report that presales need an AA client', async function () {
+            const response = await request(testApp)
+                .get('/api/presales')
+                .set('x-api-key', 'test-api-key')
+                .expect(503);
+
+            expect(response.body.error).to.equal('Presale manager not configured');
+        });
     });
 
     describe('Configuration Endpoints', function () {
@@ -444,6 +843,21 @@ describe('API Endpoints', function () {
             expect(response.body).to.have.property('updated');
         });
 
+        it('should derive the margin rates again when leverage changes', async function () {
+            const params = agent.components.tradingEngine.params;
+
+            try {
+                expect(await agent.updateConfig({ leverage: 4 })).to.equal(true);
+                expect(params).to.include({ leverage: 4, initialMargin: 0.25, maintenanceMargin: 0.125 });
+
+                expect(await agent.updateConfig({ maintenanceMargin: 0.3 })).to.equal(false);
+                expect(params.maintenanceMargin).to.equal(0.125);
+            } finally {
+                await agent.updateConfig({ leverage: 1 });
+            }
+            expect(params).to.include({ leverage: 1, initialMargin: 1, maintenanceMargin: 0.5 });
+        });
+
         it('should reject invalid configuration keys', async function () {
             const response = await request(testApp)
                 .put('/api/config')
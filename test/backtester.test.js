@@ -0,0 +1,193 @@
+/**
+ * Backtester Tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Backtester = require('../src/backtester');
+const BacktestJobs = require('../src/backtestJobs');
+const StrategyRegistry = require('../src/strategyRegistry');
+const { SimulatedClock } = require('../src/clock');
+
+const START = Date.parse('2024-01-01T00:00:00Z');
+
+// Buys on the first signal and sells once the price is 1% above entry
+function createRegistry() {
+    const registry = new StrategyRegistry();
+    registry.register({
+        name: 'buy_and_target',
+        paramsSchema: {
+            target: { type: 'number', default: 0.01, minimum: 0 }
+        },
+        async onTick(ctx) {
+            if (ctx.position && ctx.marketData.price >= ctx.position.entryPrice * (1 + ctx.params.target)) {
+                return await ctx.closePosition({ rule: 'target_hit' });
+            }
+            return null;
+        },
+        async onSignal(ctx, signal) {
+            if (signal !== 'BUY') return ctx.skip('Long only');
+            return await ctx.openPosition('LONG', 10, { rule: 'always_long' });
+        }
+    });
+    return registry;
+}
+
+function createTicks(prices) {
+    return prices.map((price, i) => ({
+        timestamp: new Date(START + i * 60000).toISOString(),
+        asset: 'BTC',
+        price,
+        volume: 1000
+    }));
+}
+
+describe('Backtester', function () {
+    let tmpDir;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe('Simulated Clock', function () {
+        it('should fire intervals as time is advanced', async function () {
+            const clock = new SimulatedClock(START);
+            const fired = [];
+            const id = clock.setInterval(() => fired.push(clock.now().getTime() - START), 1000);
+
+            await clock.advanceTo(START + 3500);
+            clock.clearInterval(id);
+            await clock.advanceTo(START + 10000);
+
+            expect(fired).to.deep.equal([1000, 2000, 3000]);
+            expect(clock.now().getTime()).to.equal(START + 10000);
+        });
+    });
+
+    describe('Tick Files', function () {
+        it('should read CSV and JSONL ticks', async function () {
+            const csvFile = path.join(tmpDir, 'ticks.csv');
+            const jsonlFile = path.join(tmpDir, 'ticks.jsonl');
+            fs.writeFileSync(csvFile, 'timestamp,asset,price,bid,ask,volume\n' +
+                `${START},BTC,100,99.5,100.5,10\n`);
+            fs.writeFileSync(jsonlFile, JSON.stringify({ timestamp: '2024-01-01T00:00:00Z', asset: 'ETH', price: 50 }) + '\n');
+
+            const csvTicks = [];
+            for await (const tick of Backtester.readTicks(csvFile)) csvTicks.push(tick);
+            const jsonlTicks = [];
+            for await (const tick of Backtester.readTicks(jsonlFile)) jsonlTicks.push(tick);
+
+            expect(csvTicks).to.deep.equal([{
+                timestamp: new Date(START), asset: 'BTC', price: 100, bid: 99.5, ask: 100.5, volume: 10, signal: null
+            }]);
+            expect(jsonlTicks[0]).to.include({ asset: 'ETH', price: 50, bid: 50, ask: 50 });
+            expect(() => Backtester.parseTick({ timestamp: 'yesterday', price: 1 })).to.throw('Invalid timestamp');
+            expect(() => Backtester.detectFormat('ticks.xlsx')).to.throw('Unsupported');
+        });
+    });
+
+    describe('Replay', function () {
+        it('should produce trades, an equity curve and metrics on simulated time', async function () {
+            const backtester = new Backtester({ trading: { initialCash: 100000 } }, createRegistry());
+
+            const result = await backtester.run({
+                ticks: createTicks([100, 100.5, 101.5, 101, 100, 99]),
+                strategy: 'buy_and_target'
+            });
+
+            expect(result.ticks).to.equal(6);
+            expect(result.equityCurve).to.have.lengthOf(8);
+            expect(result.trades).to.have.lengthOf(2);
+            expect(result.trades[0]).to.include({ side: 'LONG', entryPrice: 100, exitPrice: 101.5, rule: 'always_long' });
+            expect(result.trades[0].entryTime).to.deep.equal(new Date(START));
+            expect(result.trades[0].exitTime).to.deep.equal(new Date(START + 2 * 60000));
+            expect(result.endTime).to.deep.equal(new Date(START + 5 * 60000));
+            expect(result.metrics).to.include.keys('sharpeRatio', 'sortinoRatio', 'calmarRatio', 'maxDrawdown', 'totalReturn');
+            expect(result.metrics.totalTrades).to.equal(2);
+        });
+
+        it('should only evaluate the signal a tick carries', async function () {
+            const backtester = new Backtester({}, createRegistry());
+            const ticks = createTicks([100, 101, 102]).map(tick => ({ ...tick, signal: 'SELL' }));
+
+            const result = await backtester.run({ ticks, strategy: 'buy_and_target' });
+
+            expect(result.trades).to.be.empty;
+        });
+
+        it('should reject unknown strategies and invalid parameters', async function () {
+            const backtester = new Backtester({}, createRegistry());
+            const ticks = createTicks([100]);
+
+            let error = null;
+            await backtester.run({ ticks, strategy: 'missing' }).catch(e => { error = e; });
+            expect(error.message).to.equal('Unknown strategy: missing');
+
+            error = null;
+            await backtester.run({ ticks, strategy: 'buy_and_target', params: { target: -1 } }).catch(e => { error = e; });
+            expect(error.message).to.equal('Invalid strategy parameters: target must be >= 0');
+        });
+    });
+
+    describe('Jobs', function () {
+        let jobs;
+
+        beforeEach(function () {
+            const tradingEngine = {
+                config: { initialCash: 100000 },
+                strategyRegistry: createRegistry(),
+                validateSizing: () => null
+            };
+            const alertSystem = { logError: async () => {} };
+            jobs = new BacktestJobs({ dataDir: tmpDir }, tradingEngine, alertSystem);
+        });
+
+        it('should refuse data files outside the data directory', function () {
+            expect(jobs.validate({ strategy: 'buy_and_target', dataFile: '../secrets.csv' }))
+                .to.equal(`dataFile must be inside ${path.resolve(tmpDir)}`);
+            expect(jobs.validate({ strategy: 'buy_and_target', dataFile: 'missing.csv' }))
+                .to.equal('dataFile not found: missing.csv');
+            expect(jobs.validate({ strategy: 'buy_and_target' })).to.equal('dataFile or ticks is required');
+        });
+
+        it('should run queued jobs from a data file', async function () {
+            fs.writeFileSync(path.join(tmpDir, 'ticks.jsonl'),
+                createTicks([100, 101.5]).map(tick => JSON.stringify(tick)).join('\n'));
+
+            const request = { strategy: 'buy_and_target', dataFile: 'ticks.jsonl' };
+            expect(jobs.validate(request)).to.be.null;
+
+            const job = jobs.submit(request);
+            expect(job.status).to.be.oneOf(['QUEUED', 'RUNNING']);
+
+            await jobs.whenIdle();
+
+            expect(jobs.get(job.id).status).to.equal('COMPLETED');
+            expect(jobs.get(job.id).result.trades).to.have.lengthOf(2);
+            expect(jobs.list()[0]).to.not.have.property('result');
+        });
+
+        it('should leave the live engine wiring out of backtests', function () {
+            jobs.tradingEngine.config = {
+                initialCash: 5000,
+                leverage: 2,
+                execution: { fees: { maker: 0, taker: 0 } },
+                clock: {},
+                venue: {},
+                riskGate: () => null
+            };
+
+            expect(jobs.tradingConfig()).to.deep.equal({
+                initialCash: 5000,
+                leverage: 2,
+                execution: { fees: { maker: 0, taker: 0 } }
+            });
+        });
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Curve Feed Tests
+ */
+
+const { expect } = require('chai');
+const CurveFeed = require('../src/curveFeed');
+const TradingEngine = require('../src/tradingEngine');
+const AlertSystem = require('../src/alertSystem');
+const { SimulatedClock } = require('../src/clock');
+
+const NOW = 1700000000;
+
+describe('Curve Feed', function () {
+    let alertSystem;
+    let clock;
+    let tradingEngine;
+    let vars;
+    let getters;
+    let feed;
+
+    beforeEach(function () {
+        alertSystem = new AlertSystem({ logToConsole: false, logToFile: false });
+        clock = new SimulatedClock(NOW * 1000);
+        tradingEngine = new TradingEngine({ clock }, alertSystem);
+        // Reserve 1e9 shared equally by asset0 and BTC, both priced at 0.5
+        vars = {
+            state: { asset0: 'S0', a0: 0.5, s0: 1e9, reserve: 1e9, coef: 1, total_staker_fees: 0 },
+            asset_PBTC: { a: 0.5, supply: 1e9, last_ts: NOW - 3600, price_aa: 'BTC_ORACLE' },
+            reserve_price_aa: 'RESERVE_AA'
+        };
+        getters = { BTC_ORACLE: 30000, RESERVE_AA: 60000 };
+
+        const client = {
+            getAddress: async () => 'AGENT',
+            readVars: async aaAddress => {
+                if (aaAddress !== 'PERP') throw new Error(`Unknown AA ${aaAddress}`);
+                return vars;
+            },
+            executeGetter: async aaAddress => getters[aaAddress]
+        };
+        feed = new CurveFeed({
+            aaAddress: 'PERP',
+            assets: { BTC: 'PBTC' },
+            reserveAsset: 'OUSD',
+            refreshInterval: 60000,
+            clock
+        }, client, tradingEngine, alertSystem);
+    });
+
+    afterEach(function () {
+        feed.stop();
+        tradingEngine.cleanup();
+        alertSystem.stopMonitoring();
+    });
+
+    it('should price the engine\'s trades from the AA state', async function () {
+        tradingEngine.updateMarketData('BTC', { price: 100, bid: 100, ask: 100, volume: 1e9 });
+
+        // The target price is the price AA's over the reserve price AA's
+        expect(await feed.refresh()).to.deep.equal({ BTC: 0.5 });
+        const curve = feed.curves.get('BTC');
+        expect(tradingEngine.curves.get('BTC')).to.deep.equal({ curve, perpAsset: 'PBTC', address: 'AGENT' });
+        expect(curve.targetPrices.get('PBTC')).to.equal(0.5);
+        expect(curve.params).to.deep.equal({ reserve_asset: 'OUSD' });
+
+        // Fills are estimated on the curve, not the book
+        expect(tradingEngine.estimateFill('BTC', 'LONG', 1000).price).to.be.closeTo(0.5, 0.01);
+    });
+
+    it('should refresh the curves on the interval and keep them on failure', async function () {
+        await feed.refresh();
+        const curve = feed.curves.get('BTC');
+        feed.start();
+
+        vars = { ...vars, asset_PBTC: { ...vars.asset_PBTC, supply: 1.2e9 } };
+        getters.BTC_ORACLE = 36000;
+        await clock.advanceTo((NOW + 60) * 1000);
+        expect(curve.vars.asset_PBTC.supply).to.equal(1.2e9);
+        expect(curve.targetPrices.get('PBTC')).to.equal(0.6);
+        expect(curve.getPrice('PBTC')).to.be.above(0.5);
+
+        const errors = [];
+        alertSystem.logError = async (error, context) => errors.push({ message: error.message, ...context });
+        feed.aaAddress = 'GONE';
+        expect(await feed.refresh()).to.equal(null);
+        expect(errors).to.deep.equal([{ message: 'Unknown AA GONE', context: 'curve_feed' }]);
+        expect(tradingEngine.curves.get('BTC').curve).to.equal(curve);
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Factory Client Tests
+ * The predicted address is checked against a real factory in aaVenue.test.oscript.js.
+ */
+
+const { expect } = require('chai');
+const FactoryClient = require('../src/factoryClient');
+const AlertSystem = require('../src/alertSystem');
+
+const FACTORY = 'HPJQ6ZCB2T3JTIVAMDM5QESZWNJNJERO';
+const PRICE_AA = 'EY4RFQ7QJAVHGOEQDSCODJYSSQER75DY';
+const OUSD = Buffer.alloc(32, 1).toString('base64');
+
+describe('Factory Client', function () {
+    let factory;
+
+    before(function () {
+        // ocore is an optional dependency from git
+        try {
+            require.resolve('ocore/object_hash.js');
+        } catch (error) {
+            this.skip();
+        }
+    });
+
+    beforeEach(function () {
+        factory = new FactoryClient({ factoryAa: FACTORY });
+    });
+
+    it('should validate params like the factory', function () {
+        const data = { reserve_asset: OUSD, reserve_price_aa: PRICE_AA };
+
+        expect(factory.validate(data)).to.be.null;
+        expect(factory.validate({ ...data, reserve_asset: 'OUSD' })).to.equal('reserve_asset does not exist');
+        expect(factory.validate({ reserve_price_aa: 'PRICE_AA' })).to.equal('invalid reserve_price_aa');
+        expect(factory.validate({ ...data, swap_fee: 1 })).to.equal('swap_fee must be < 1');
+        expect(factory.validate({ ...data, arb_profit_tax: 2 })).to.be.null;
+        expect(factory.validate({ ...data, stakers_fee_share: 1.1 })).to.equal('stakers_fee_share must be <= 1');
+        expect(factory.validate({ ...data, max_drift_rate: -0.1 })).to.equal('max_drift_rate must be a nonnegative number');
+        expect(factory.validate({ ...data, presale_period: 3600.5 })).to.equal('presale_period must be integer');
+        expect(factory.validate({ ...data, min_term: 0 })).to.equal('min_term must be a positive number');
+        expect(factory.validate({ ...data, decay_factor: 1 })).to.equal('decay factor must be >1');
+    });
+
+    it('should derive the perpetual AA address from the base AA and params', function () {
+        const trigger = factory.buildTrigger({ reserve_price_aa: PRICE_AA, swap_fee: 0.005, decay_factor: 4 });
+        const params = { reserve_asset: 'base', reserve_price_aa: PRICE_AA, swap_fee: 0.005, decay_factor: 4 };
+
+        expect(trigger).to.include({ aaAddress: FACTORY, amount: 10000 });
+        expect(trigger.data).to.deep.equal(params);
+        expect(trigger.address).to.equal('ZOIQXKIPQ3I2JZCEY3MJMGBCLVN5EG3H');
+        expect(factory.buildTrigger({ reserve_price_aa: PRICE_AA }).address).to.not.equal(trigger.address);
+        expect(factory.buildTrigger({ reserve_price_aa: PRICE_AA, swap_fee: 2 })).to.deep.equal({ error: 'swap_fee must be < 1' });
+
+        const uri = factory.getUri(trigger);
+        expect(uri.startsWith(`obyte:${FACTORY}?amount=10000&base64data=`)).to.be.true;
+        const encoded = decodeURIComponent(uri.split('base64data=')[1]);
+        expect(JSON.parse(Buffer.from(encoded, 'base64').toString())).to.deep.equal(params);
+    });
+
+    it('should send the trigger unless the AA already exists', async function () {
+        const alertSystem = new AlertSystem({ logToConsole: false, logToFile: false });
+        const sent = [];
+        const factoryVars = {};
+        const client = {
+            readVars: async () => factoryVars,
+            send: async (aaAddress, payments, data) => {
+                sent.push({ aaAddress, payments, data });
+                return { unit: 'UNIT' };
+            },
+            getResponse: async () => ({ bounced: false, responseVars: { address: 'PERP' }, received: {} })
+        };
+        factory = new FactoryClient({ factoryAa: FACTORY }, client, alertSystem);
+
+        const result = await factory.deploy({ reserve_price_aa: PRICE_AA });
+        expect(result).to.include({ address: 'PERP', unit: 'UNIT' });
+        expect(sent[0].payments).to.deep.equal({ base: 10000 });
+
+        factoryVars['perp_' + factory.buildTrigger({ reserve_price_aa: PRICE_AA }).address] = {};
+        expect(await factory.deploy({ reserve_price_aa: PRICE_AA })).to.be.null;
+        expect(sent).to.have.length(1);
+
+        alertSystem.stopMonitoring();
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Governance Monitor Tests
+ */
+
+const { expect } = require('chai');
+const GovernanceMonitor = require('../src/governanceMonitor');
+const AlertSystem = require('../src/alertSystem');
+const { SimulatedClock } = require('../src/clock');
+
+const NOW = 1700000000;
+const DAY = 24 * 3600;
+
+describe('Governance Monitor', function () {
+    let alertSystem;
+    let clock;
+    let vars;
+    let monitor;
+
+    beforeEach(async function () {
+        alertSystem = new AlertSystem({ logToConsole: false, logToFile: false });
+        clock = new SimulatedClock(NOW * 1000);
+        vars = {
+            PERP: {
+                state: { asset0: 'S0', s0: 1000 },
+                staking_aa: 'STAKING',
+                swap_fee: 0.003,
+                asset_BTC: { price_aa: 'BTC_ORACLE', drift_rate: 0 }
+            },
+            STAKING: {
+                state: { total_normalized_vp: 1000 },
+                perp_asset_balance_a0: 500,
+                // 5 day challenging period; the swap fee lead started 4.5 days ago
+                leader_swap_fee: { value: 0.01, flip_ts: NOW - 4.5 * DAY },
+                value_votes_swap_fee_0: 200,
+                'value_votes_swap_fee_0.01': 300,
+                leader_presale_period: { value: 86400, flip_ts: NOW - DAY },
+                value_votes_presale_period_86400: 100,
+                leader_arb_profit_tax: { value: 0.5, flip_ts: NOW - 10 * DAY },
+                arb_profit_tax: 0.5
+            }
+        };
+
+        const client = { readVars: async aaAddress => vars[aaAddress] };
+        monitor = new GovernanceMonitor({ aaAddress: 'PERP', pollInterval: 3600 * 1000, clock }, client, alertSystem);
+    });
+
+    afterEach(function () {
+        monitor.stop();
+        alertSystem.stopMonitoring();
+    });
+
+    it('should list leaders that differ from the committed values', async function () {
+        await monitor.refresh();
+        const proposals = monitor.listProposals();
+
+        expect(proposals.map(p => p.fullName)).to.deep.equal(['swap_fee', 'presale_period']);
+        expect(proposals[0]).to.include({
+            name: 'swap_fee',
+            currentValue: 0.003,
+            leaderValue: 0.01,
+            leaderVp: 300,
+            majorityThreshold: 1000,
+            hasMajority: false,
+            commitTs: NOW + DAY / 2,
+            impact: 'trading_cost'
+        });
+        // presale_period is not set on the AA, so the default applies
+        expect(proposals[1]).to.include({ currentValue: 14 * DAY, impact: null });
+    });
+
+    it('should alert once when a cost change nears its commit and when it commits', async function () {
+        const pending = [];
+        const committed = [];
+        monitor.on('commitPending', proposal => pending.push(proposal.fullName));
+        monitor.on('committed', proposal => committed.push(proposal.fullName));
+
+        await monitor.poll();
+        await monitor.poll();
+
+        expect(pending).to.deep.equal(['swap_fee']);
+        const alert = alertSystem.getActiveAlerts().find(a => a.message.startsWith('Governance: swap_fee can commit 0.01'));
+        expect(alert.level).to.equal('WARNING');
+
+        vars.STAKING.swap_fee = 0.01;
+        await monitor.poll();
+
+        expect(committed).to.deep.equal(['swap_fee']);
+    });
+
+    it('should report new leaders after the first poll, including price oracle changes', async function () {
+        const proposals = [];
+        monitor.on('proposal', proposal => proposals.push(proposal));
+        monitor.start();
+
+        await clock.advanceTo((NOW + 3600) * 1000);
+        expect(proposals).to.be.empty;
+
+        vars.STAKING.leader_change_price_aaBTC = { value: 'NEW_ORACLE', flip_ts: NOW + 3600 };
+        await clock.advanceTo((NOW + 7200) * 1000);
+
+        expect(proposals).to.have.length(1);
+        expect(proposals[0]).to.include({
+            name: 'change_price_aa',
+            asset: 'BTC',
+            currentValue: 'BTC_ORACLE',
+            impact: 'price_oracle'
+        });
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Ledger Tests
+ */
+
+const { expect } = require('chai');
+const Ledger = require('../src/ledger');
+const TradingEngine = require('../src/tradingEngine');
+const AlertSystem = require('../src/alertSystem');
+
+describe('Ledger', function () {
+    let alertSystem;
+    let tradingEngine;
+
+    beforeEach(function () {
+        alertSystem = new AlertSystem({ logToConsole: false, logToFile: false });
+        tradingEngine = new TradingEngine({
+            initialCash: 100000,
+            execution: { fees: { maker: 0, taker: 0.001 } }
+        }, alertSystem);
+        tradingEngine.updateMarketData('BTC', { price: 100, bid: 100, ask: 100, volume: 1000 });
+        tradingEngine.updateMarketData('ETH', { price: 10, bid: 10, ask: 10, volume: 1000 });
+    });
+
+    afterEach(function () {
+        tradingEngine.cleanup();
+        alertSystem.stopMonitoring();
+    });
+
+    it('should only post balanced entries to known accounts', function () {
+        const ledger = new Ledger();
+        expect(() => ledger.post('transfer', [{ account: 'cash', amount: 10 }, { account: 'capital', amount: -9 }]))
+            .to.throw('Invalid transfer entry: Postings do not balance');
+        expect(Ledger.validate([{ account: 'cash', amount: 1 }, { account: 'bank', amount: -1 }])).to.equal('Unknown account: bank');
+        expect(Ledger.validate([{ account: 'cash', amount: 1 }])).to.equal('An entry needs at least two postings');
+
+        ledger.post('transfer', [{ account: 'cash', amount: 10 }, { account: 'capital', amount: -10 }], { memo: 'deposit' });
+        expect(ledger.getBalances()).to.include({ cash: 10, capital: -10 });
+        expect(ledger.trialBalance()).to.deep.equal({ debits: 10, credits: 10, difference: 0, balanced: true });
+        expect(ledger.getEntries()).to.deep.equal([{
+            id: 1,
+            type: 'transfer',
+            memo: 'deposit',
+            postings: [{ account: 'cash', amount: 10 }, { account: 'capital', amount: -10 }]
+        }]);
+    });
+
+    it('should charge each fee once and derive cash and margin from the ledger', async function () {
+        const position = await tradingEngine.openPosition('BTC', 'LONG', 10);
+        const entryFee = position.fees;
+        expect(entryFee).to.be.closeTo(1, 1e-9);
+        expect(tradingEngine.portfolio.cash).to.be.closeTo(100000 - 1000 - 1, 1e-9);
+        expect(tradingEngine.portfolio.marginUsed).to.equal(tradingEngine.ledger.balance('margin'));
+
+        tradingEngine.updateMarketData('BTC', { price: 105, bid: 105, ask: 105, volume: 1000 });
+        const slice = await tradingEngine.closePosition('BTC', { size: 4 });
+        await tradingEngine.closePosition('BTC');
+
+        // Gross P&L 50 less the entry fee and the exit fees on 420 and 630, each paid once
+        const fees = entryFee + 0.42 + 0.63;
+        expect(tradingEngine.portfolio.cash).to.be.closeTo(100000 + 50 - fees, 1e-9);
+        expect(tradingEngine.portfolio.marginUsed).to.be.closeTo(0, 1e-9);
+        expect(tradingEngine.ledger.balance('fees')).to.be.closeTo(fees, 1e-9);
+        expect(tradingEngine.ledger.balance('realizedPnL')).to.be.closeTo(-50, 1e-9);
+
+        // The trade records still carry their share of the entry fee
+        expect(slice.fees).to.be.closeTo(entryFee * 0.4 + 0.42, 1e-9);
+        expect(tradingEngine.performance.totalPnL).to.be.closeTo(50 - fees, 1e-9);
+        expect(tradingEngine.reconcile().status).to.equal('BALANCED');
+    });
+
+    it('should value shorts by their P&L and book transfers and funding', async function () {
+        await tradingEngine.openPosition('ETH', 'SHORT', 100);
+        tradingEngine.updateMarketData('ETH', { price: 9.8, bid: 9.8, ask: 9.8, volume: 1000 });
+
+        // 100 short from 10 to 9.8 is 20 up, less the 1 fee
+        expect(tradingEngine.markToMarket()).to.be.closeTo(100000 + 20 - 1, 1e-9);
+        expect(tradingEngine.ledger.balance('unrealizedPnL')).to.be.closeTo(20, 1e-9);
+
+        expect(await tradingEngine.transfer(-200000)).to.equal(null);
+        const withdrawal = await tradingEngine.transfer(-5000, 'withdrawal');
+        expect(withdrawal).to.include({ type: 'transfer', memo: 'withdrawal' });
+        await tradingEngine.recordFunding('ETH', 2.5);
+
+        expect(tradingEngine.portfolio.cash).to.be.closeTo(100000 - 1000 - 1 - 5000 - 2.5, 1e-9);
+        expect(tradingEngine.ledger.getBalances()).to.include({ capital: -95000, funding: 2.5 });
+        expect(tradingEngine.markToMarket()).to.be.closeTo(95000 + 20 - 1 - 2.5, 1e-9);
+        expect(tradingEngine.ledger.trialBalance().balanced).to.equal(true);
+        expect(tradingEngine.reconcile().status).to.equal('BALANCED');
+    });
+
+    it('should flag cash or margin changed outside the ledger', async function () {
+        await tradingEngine.openPosition('BTC', 'LONG', 10);
+        tradingEngine.portfolio.cash += 100;
+        [...tradingEngine.positions.values()][0].margin -= 100;
+
+        const reconciliation = tradingEngine.reconcile();
+        expect(reconciliation.status).to.equal('IMBALANCED');
+        expect(reconciliation.checks.filter(c => !c.ok).map(c => c.name)).to.deep.equal(['cash', 'positionMargin']);
+        expect(reconciliation.checks.find(c => c.name === 'cash').difference).to.be.closeTo(100, 1e-9);
+    });
+});
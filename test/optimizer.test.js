@@ -0,0 +1,139 @@
+/**
+ * Optimizer Tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Optimizer = require('../src/optimizer');
+const StrategyRegistry = require('../src/strategyRegistry');
+
+const START = Date.parse('2024-01-01T00:00:00Z');
+
+// Workers load strategies from disk, so the test strategy is written as a module
+const STRATEGY_SOURCE = `module.exports = {
+    name: 'dip_buyer',
+    paramsSchema: {
+        dip: { type: 'number', default: 0.01, minimum: 0 },
+        hold: { type: 'integer', default: 2, minimum: 1 }
+    },
+    async onTick(ctx) {
+        if (ctx.position && ctx.engine.clock.now() - ctx.position.entryTime >= ctx.params.hold * 60000) {
+            return await ctx.closePosition({ rule: 'held' });
+        }
+        return null;
+    },
+    async onSignal(ctx, signal) {
+        const history = ctx.engine.priceHistory.get(ctx.asset);
+        const previous = history.length > 1 ? history[history.length - 2].price : ctx.marketData.price;
+        if (signal === 'BUY' && ctx.marketData.price <= previous * (1 - ctx.params.dip)) {
+            return await ctx.openPosition('LONG', 10, { rule: 'dip' });
+        }
+        return ctx.skip('No dip');
+    }
+};`;
+
+function createTicks(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        timestamp: new Date(START + i * 60000).toISOString(),
+        asset: 'BTC',
+        price: 100 + 5 * Math.sin(i / 3),
+        volume: 1000
+    }));
+}
+
+describe('Optimizer', function () {
+    let tmpDir;
+    let optimizer;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimizer-'));
+        fs.writeFileSync(path.join(tmpDir, 'dipBuyer.js'), STRATEGY_SOURCE);
+
+        const registry = new StrategyRegistry();
+        registry.loadDirectory(tmpDir);
+        optimizer = new Optimizer({ strategiesDir: tmpDir, workers: 2 }, registry);
+    });
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe('Search Spaces', function () {
+        it('should expand a grid', function () {
+            const candidates = optimizer.gridSearch('dip_buyer', {
+                dip: { min: 0.01, max: 0.03, step: 0.01 },
+                hold: [1, 3]
+            });
+
+            expect(candidates).to.have.lengthOf(6);
+            expect(candidates).to.deep.include({ dip: 0.03, hold: 3 });
+        });
+
+        it('should draw reproducible random samples', function () {
+            const space = { dip: { min: 0, max: 0.05 }, hold: { min: 1, max: 5 } };
+
+            const first = optimizer.randomSearch('dip_buyer', space, 10, 42);
+            const second = optimizer.randomSearch('dip_buyer', space, 10, 42);
+
+            expect(first).to.deep.equal(second);
+            expect(first).to.have.lengthOf(10);
+            expect(first.every(c => Number.isInteger(c.hold) && c.dip >= 0 && c.dip <= 0.05)).to.be.true;
+        });
+
+        it('should reject invalid spaces', function () {
+            expect(() => optimizer.gridSearch('dip_buyer', { unknown: [1] })).to.throw('unknown parameter: unknown');
+            expect(() => optimizer.gridSearch('dip_buyer', { hold: [0] })).to.throw('hold must be >= 1');
+            expect(() => optimizer.gridSearch('dip_buyer', { dip: { min: 0, max: 1 } })).to.throw('step is required');
+        });
+    });
+
+    describe('Walk-Forward Folds', function () {
+        it('should split rolling and anchored windows', function () {
+            const rolling = optimizer.createFolds(100, { folds: 2, inSampleRatio: 0.8 });
+            const anchored = optimizer.createFolds(100, { folds: 2, inSampleRatio: 0.8, anchored: true });
+
+            expect(rolling.map(f => [f.inSample, f.outOfSample])).to.deep.equal([
+                [{ start: 0, end: 40 }, { start: 40, end: 50 }],
+                [{ start: 50, end: 90 }, { start: 90, end: 100 }]
+            ]);
+            expect(anchored[1].inSample).to.deep.equal({ start: 0, end: 90 });
+            expect(() => optimizer.createFolds(3, { folds: 4 })).to.throw('Not enough ticks');
+        });
+    });
+
+    describe('Optimization', function () {
+        this.timeout(20000);
+
+        it('should rank parameter sets on worker threads and report stability', async function () {
+            const report = await optimizer.run({
+                ticks: createTicks(120),
+                strategy: 'dip_buyer',
+                space: { dip: [0.005, 0.02], hold: [1, 4] },
+                metric: 'totalPnL',
+                walkForward: { folds: 2, inSampleRatio: 0.75 }
+            });
+
+            expect(report.candidates).to.equal(4);
+            expect(report.folds).to.have.lengthOf(2);
+            expect(report.folds[0].inSample.ticks).to.equal(45);
+            expect(report.folds[0].outOfSampleResult.metrics).to.have.property('totalPnL');
+            expect(report.folds[0].ranking.every(entry => entry.error === null)).to.be.true;
+
+            const scores = report.ranking.map(entry => entry.meanScore);
+            expect(scores).to.deep.equal([...scores].sort((a, b) => b - a));
+            expect(report.stability.parameters).to.have.keys('dip', 'hold');
+            expect(report.stability.parameters.hold.winners).to.have.lengthOf(2);
+            expect(report.stability).to.have.property('walkForwardEfficiency');
+        });
+
+        it('should reject unknown metrics', async function () {
+            let error = null;
+            await optimizer.run({ ticks: createTicks(10), strategy: 'dip_buyer', space: { hold: [1] }, metric: 'luck' })
+                .catch(e => { error = e; });
+
+            expect(error.message).to.match(/^Unknown metric: luck/);
+        });
+    });
+});
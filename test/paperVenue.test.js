@@ -0,0 +1,104 @@
+/**
+ * Paper Venue Tests
+ */
+
+const { expect } = require('chai');
+const ExecutionVenue = require('../src/venues/executionVenue');
+const PaperVenue = require('../src/venues/paperVenue');
+const { SimulatedClock } = require('../src/clock');
+
+describe('Paper Venue', function () {
+    let marketData;
+
+    function request(fields = {}) {
+        return { asset: 'BTC', side: 'BUY', size: 10, getMarketData: () => marketData, ...fields };
+    }
+
+    beforeEach(function () {
+        marketData = { price: 100, bid: 99.5, ask: 100.5, volume: 1000 };
+    });
+
+    describe('Slippage Models', function () {
+        it('should fill at the top of book without slippage by default', async function () {
+            const fill = await new PaperVenue().execute(request({ side: 'SELL' }));
+
+            expect(fill).to.include({ status: 'FILLED', filledSize: 10, price: 99.5, slippage: 0 });
+            expect(fill.fee).to.be.closeTo(10 * 99.5 * 0.001, 1e-9);
+        });
+
+        it('should apply fixed bps, volume-participation and square-root impact', async function () {
+            const fixed = new PaperVenue({ slippage: { model: 'fixed_bps', bps: 20 } });
+            const linear = new PaperVenue({ slippage: { model: 'volume_participation', coefficient: 0.5 } });
+            const sqrt = new PaperVenue({ slippage: { model: 'square_root', coefficient: 0.1 } });
+
+            expect((await fixed.execute(request())).price).to.be.closeTo(100.5 * 1.002, 1e-9);
+            expect((await linear.execute(request())).price).to.be.closeTo(100.5 * (1 + 0.5 * 0.01), 1e-9);
+            expect((await sqrt.execute(request({ side: 'SELL', size: 40 }))).price)
+                .to.be.closeTo(99.5 * (1 - 0.1 * Math.sqrt(0.04)), 1e-9);
+        });
+
+        it('should not slip maker fills and charge the maker fee', async function () {
+            const venue = new PaperVenue({ slippage: { model: 'fixed_bps', bps: 20 }, fees: { maker: -0.0001, taker: 0.0005 } });
+
+            const fill = await venue.execute(request({ price: 98, liquidity: 'maker' }));
+
+            expect(fill).to.include({ price: 98, slippage: 0, feeRate: -0.0001, liquidity: 'maker' });
+            expect(venue.getFeeRate('taker')).to.equal(0.0005);
+        });
+
+        it('should reject unknown slippage models', function () {
+            expect(() => new PaperVenue({ slippage: { model: 'magic' } })).to.throw('Unknown slippage model: magic');
+        });
+    });
+
+    describe('Fills', function () {
+        it('should partially fill beyond the participation limit', async function () {
+            const venue = new PaperVenue({ maxParticipation: 0.005 });
+
+            const partial = await venue.execute(request());
+            const rejected = await venue.execute(request({ allOrNothing: true }));
+
+            expect(partial).to.include({ status: 'PARTIAL', requestedSize: 10, filledSize: 5 });
+            expect(rejected).to.include({ status: 'REJECTED', filledSize: 0 });
+            expect(rejected.reason).to.equal('Only 5 of 10 available');
+        });
+
+        it('should read market data after the injected latency', async function () {
+            const venue = new PaperVenue({ latencyMs: { min: 20, max: 30 } });
+            setTimeout(() => { marketData = { ...marketData, ask: 101 }; }, 5);
+
+            const fill = await venue.execute(request());
+
+            expect(fill.price).to.equal(101);
+            expect(fill.latencyMs).to.be.within(20, 30);
+        });
+
+        it('should spend latency in simulated time on a simulated clock', async function () {
+            const clock = new SimulatedClock(Date.UTC(2026, 0, 1));
+            const venue = new PaperVenue({ latencyMs: 250, clock });
+            const started = Date.now();
+
+            const fill = await venue.execute(request());
+
+            expect(fill.latencyMs).to.equal(250);
+            expect(fill.timestamp).to.deep.equal(new Date(Date.UTC(2026, 0, 1) + 250));
+            expect(clock.now()).to.deep.equal(fill.timestamp);
+            expect(Date.now() - started).to.be.below(200);
+        });
+
+        it('should reject fills without market data', async function () {
+            marketData = undefined;
+
+            const fill = await new PaperVenue().execute(request());
+
+            expect(fill).to.include({ status: 'REJECTED', reason: 'No market data for BTC' });
+        });
+
+        it('should require venues to implement execute', async function () {
+            let error = null;
+            await new ExecutionVenue().execute(request()).catch(e => { error = e; });
+
+            expect(error.message).to.equal('ExecutionVenue does not implement execute');
+        });
+    });
+});
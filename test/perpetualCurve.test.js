@@ -0,0 +1,224 @@
+/**
+ * Perpetual Curve Tests
+ * Cross-checks against the AA's getters are in aaVenue.test.oscript.js.
+ */
+
+const { expect } = require('chai');
+const PerpetualCurve = require('../src/perpetualCurve');
+const TradingEngine = require('../src/tradingEngine');
+const AlertSystem = require('../src/alertSystem');
+const AnalyticsDashboard = require('../src/analyticsDashboard');
+const { SimulatedClock } = require('../src/clock');
+
+const NOW = 1700000000;
+
+// Reserve 1e9 shared equally by asset0 and BTC: r = c·sqrt(a0·s0² + a·s²), both priced at 0.5
+function createVars() {
+    return {
+        state: { asset0: 'S0', a0: 0.5, s0: 1e9, reserve: 1e9, coef: 1, total_staker_fees: 0 },
+        asset_BTC: { a: 0.5, supply: 1e9, last_ts: NOW - 3600, price_aa: 'PRICE_AA' }
+    };
+}
+
+describe('Perpetual Curve', function () {
+    let curve;
+
+    beforeEach(function () {
+        curve = new PerpetualCurve({ vars: createVars(), params: { reserve_asset: 'OUSD' } });
+    });
+
+    it('should price from c²·a·s/r and leave the fetched state untouched', function () {
+        expect(curve.getPrice('S0')).to.equal(0.5);
+        expect(curve.getPrice('BTC')).to.equal(0.5);
+
+        curve.quoteBuy('BTC', 1e6, { timestamp: NOW });
+        expect(curve.vars).to.deep.equal(createVars());
+    });
+
+    it('should mint the first asset0 tokens 1:1 without fees', function () {
+        curve.update({ state: { asset0: 'S0', a0: 1, s0: 0, reserve: 0, coef: 1, total_staker_fees: 0 } });
+
+        const quote = curve.quoteBuy('S0', 1e9, { timestamp: NOW });
+
+        expect(quote).to.include({ deltaS: 1e9, totalFee: 0, feePercent: 0, newPrice: 1 });
+    });
+
+    it('should charge swap fee and arb profit tax on buys and sells', function () {
+        const buy = curve.quoteBuy('BTC', 1e7, { timestamp: NOW });
+        const sell = curve.quoteSell('BTC', 1e7, { timestamp: NOW });
+
+        expect(buy.swapFee).to.equal(0.003 * 1e7);
+        expect(buy.arbProfitTax).to.be.above(0);
+        expect(buy.newPrice).to.be.above(buy.oldPrice);
+        expect(buy.feePercent).to.be.closeTo(buy.totalFee / 1e7 * 100, 1e-9);
+        expect(sell.payout).to.be.below(1e7 * 0.5);
+        expect(sell.swapFee).to.be.closeTo(0.003 * sell.payout, 1e-6);
+        expect(sell.newPrice).to.be.below(sell.oldPrice);
+    });
+
+    it('should merge the arb profit tax of an address\'s trades within a second', function () {
+        const single = curve.quoteBuy('BTC', 2e7, { timestamp: NOW, address: 'ALICE' });
+
+        const { state, assetInfo } = curve.loadState('BTC');
+        const first = curve.getExchangeResultByState(0, 1e7, 'BTC', assetInfo, state, { timestamp: NOW, address: 'ALICE' });
+        const second = curve.getExchangeResultByState(0, 1e7, 'BTC', assetInfo, state, { timestamp: NOW + 1, address: 'ALICE' });
+        const other = curve.getExchangeResultByState(0, 1e7, 'BTC', assetInfo, state, { timestamp: NOW + 1, address: 'BOB' });
+
+        // Splitting a trade does not lower the tax; another address's trade is taxed on its own move
+        expect(first.arbProfitTax + second.arbProfitTax).to.be.closeTo(single.arbProfitTax, single.arbProfitTax * 0.01);
+        expect(other.arbProfitTax).to.be.below(second.arbProfitTax);
+    });
+
+    it('should move the price to its target over the adjustment period', function () {
+        const price = curve.getPrice('BTC', true, { timestamp: NOW + 3 * 24 * 3600, targetPrice: 0.6 });
+        const halfway = curve.getPrice('BTC', true, { timestamp: NOW - 3600 + 1.5 * 24 * 3600, targetPrice: 0.6 });
+
+        expect(price).to.be.closeTo(0.6, 1e-12);
+        expect(halfway).to.be.closeTo(0.55, 1e-12);
+        // without a target price the AA leaves the curve alone
+        expect(curve.getPrice('BTC', true, { timestamp: NOW })).to.equal(0.5);
+    });
+
+    it('should raise the AA\'s errors', function () {
+        expect(() => curve.quoteBuy('ETH', 1e6)).to.throw('no such asset');
+        expect(() => curve.getExchangeResult('BTC', 0, 0)).to.throw('invalid input');
+    });
+
+    describe('Trading Engine', function () {
+        let alertSystem;
+        let engine;
+
+        beforeEach(function () {
+            alertSystem = new AlertSystem({ logToConsole: false, logToFile: false });
+            engine = new TradingEngine({ initialCash: 100000, stopLossPercent: 0.05 }, alertSystem);
+            engine.updateMarketData('BTC', { price: 10, bid: 9.9, ask: 10.1, volume: 1000 });
+        });
+
+        afterEach(function () {
+            engine.cleanup();
+            alertSystem.stopMonitoring();
+        });
+
+        it('should size and estimate fills from the curve instead of the book', function () {
+            expect(engine.estimateFill('BTC', 'LONG', 100).price).to.equal(10.1);
+
+            engine.setCurve('BTC', curve, 'BTC');
+            const estimate = engine.estimateFill('BTC', 'LONG', 1000);
+            const size = engine.resolvePositionSize('BTC', { mode: 'equity_percent', value: 0.1 });
+
+            expect(estimate.price).to.be.closeTo(0.5, 0.001);
+            expect(estimate.fee).to.be.closeTo(1000 * 0.5 * 0.003, 0.1);
+            expect(size).to.equal(curve.quoteBuy('BTC', 10000).deltaS);
+            expect(engine.previewPosition('BTC', 'LONG', 1000).position.fees).to.equal(estimate.fee);
+        });
+
+        it('should size oracle arbitrage where the profit net of fee and tax peaks', async function () {
+            const runArbitrage = async (vars, targetPrice, marketPrice = 0.5) => {
+                curve.update(vars);
+                curve.setTargetPrice('BTC', targetPrice);
+                const arbEngine = new TradingEngine({ initialCash: 1e9, clock: new SimulatedClock(NOW * 1000) }, alertSystem);
+                arbEngine.updateMarketData('BTC', { price: marketPrice, bid: marketPrice, ask: marketPrice, volume: 1000 });
+                arbEngine.setCurve('BTC', curve, 'BTC');
+                arbEngine.strategyRegistry.register(require('../src/strategies/oracleArbitrage'));
+
+                const decision = await arbEngine.runStrategy('BTC', 'oracle_arbitrage', 'BUY', { dryRun: true, params: { address: 'AGENT' } });
+                arbEngine.cleanup();
+                return decision;
+            };
+            const profit = amount => curve.quoteBuy('BTC', amount, { timestamp: NOW, address: 'AGENT' }).deltaS * 0.6 - amount;
+
+            const decision = await runArbitrage(createVars(), 0.6);
+            const { reserveAmount, expectedProfit } = decision.indicators;
+
+            expect(decision).to.include({ action: 'OPEN', rule: 'below_target' });
+            expect(decision.indicators).to.include({ merged: false, tokens: curve.quoteBuy('BTC', reserveAmount, { timestamp: NOW }).deltaS });
+            // well inside the 2.5e8 budget: buying more would pay more arb profit tax than it gains
+            expect(reserveAmount).to.be.below(2e8);
+            expect(expectedProfit).to.be.above(profit(reserveAmount * 0.9));
+            expect(expectedProfit).to.be.above(profit(reserveAmount * 1.1));
+
+            // our buy of this second already moved the price; the AA taxes the next one on the combined move
+            const vars = createVars();
+            vars.asset_BTC.last_buy = { delta_s: 5e7, initial_p: 0.5, tax: 1e6, ts: NOW, address: 'AGENT' };
+            const merged = await runArbitrage(vars, 0.6);
+            expect(merged.indicators.merged).to.be.true;
+            expect(merged.indicators.reserveAmount).to.be.below(reserveAmount);
+
+            // Cash kept in a currency worth 200 reserve units buys a 200th of the reserve
+            const inUsd = await runArbitrage(createVars(), 0.6, 100);
+            expect(inUsd.indicators.reserveAmount).to.be.at.most(2.5e8 * inUsd.indicators.curvePrice / 100);
+
+            // Held over the adjustment period, the tokens lose the drift compounded
+            const drifting = createVars();
+            drifting.asset_BTC.drift_rate = 0.36;
+            const carried = await runArbitrage(drifting, 0.6);
+            expect(carried.indicators.exitPrice).to.be.closeTo(0.6 * Math.exp(-0.36 * 3 / 360), 1e-12);
+
+            const above = await runArbitrage(createVars(), 0.4);
+            expect(above.action).to.equal('NONE');
+            expect(above.reason).to.equal('Price above target but no tokens to sell for BTC');
+        });
+
+        it('should not buy the same gap again before the curve is refreshed', async function () {
+            curve.setTargetPrice('BTC', 0.6);
+            const arbEngine = new TradingEngine({ initialCash: 1e9, maxPositionSize: 1, clock: new SimulatedClock(NOW * 1000) }, alertSystem);
+            arbEngine.updateMarketData('BTC', { price: 0.5, bid: 0.5, ask: 0.5, volume: 1e12 });
+            arbEngine.setCurve('BTC', curve, 'BTC', 'AGENT');
+            arbEngine.strategyRegistry.register(require('../src/strategies/oracleArbitrage'));
+            const tick = () => arbEngine.runStrategy('BTC', 'oracle_arbitrage', 'BUY');
+
+            try {
+                const first = await tick();
+                expect(first).to.include({ action: 'OPEN', rule: 'below_target' });
+                expect(curve.pendingTrades).to.have.length(1);
+
+                // The fetched state still shows the gap the first buy closed
+                const second = await tick();
+                expect(second).to.include({ action: 'NONE', reason: 'Waiting for the curve to show 1 trade(s) on BTC' });
+                expect(arbEngine.getPositions('BTC')).to.have.length(1);
+
+                // Refreshed with the buy merged in, what is left of the budget goes on the combined move
+                const vars = createVars();
+                vars.asset_BTC.supply += first.indicators.tokens;
+                vars.state.reserve += first.indicators.reserveAmount;
+                vars.asset_BTC.last_buy = { delta_s: first.indicators.tokens, initial_p: 0.5, tax: first.indicators.arbProfitTax, ts: NOW, address: 'AGENT' };
+                curve.update(vars);
+                const third = await tick();
+                expect(third.indicators.merged).to.be.true;
+                expect(third.indicators.budget).to.be.below(first.indicators.budget);
+            } finally {
+                arbEngine.cleanup();
+            }
+        });
+
+        it('should chart the drift carry and the convergence to the target price', async function () {
+            const vars = createVars();
+            vars.asset_BTC.drift_rate = 0.36;
+            curve.update(vars);
+            curve.setTargetPrice('BTC', 0.6);
+            engine.setCurve('BTC', curve, 'BTC');
+
+            const dashboard = new AnalyticsDashboard({ clock: new SimulatedClock(NOW * 1000) }, engine, alertSystem);
+            await dashboard.ready;
+            const funding = dashboard.getChart('funding').BTC;
+            dashboard.stop();
+
+            expect(funding).to.include({ driftRate: 0.36, curvePrice: 0.5, targetPrice: 0.6, adjustmentPeriod: 3 * 24 * 3600 });
+            expect(funding.annualCarry).to.be.closeTo(1 - Math.exp(-0.365), 1e-12);
+            expect(funding.priceGap).to.be.closeTo(-1 / 6, 1e-12);
+
+            // 7 days of hourly triggers, each closing 1/72 of the gap while the drift pulls it down
+            const path = funding.convergence.data;
+            expect(path).to.have.length(168);
+            expect(path[0]).to.be.above(0.5);
+            expect(path[167]).to.be.within(0.585, 0.6);
+
+            // A 36-day long pays 1 - e^-0.036 of its entry value
+            const carry = dashboard.calculateCarry({
+                asset: 'BTC', side: 'LONG', entryPrice: 0.5, size: 1000,
+                entryTime: new Date(NOW * 1000), exitTime: new Date((NOW + 36 * 24 * 3600) * 1000)
+            });
+            expect(carry).to.be.closeTo(-500 * (1 - Math.exp(-0.036)), 1e-9);
+        });
+    });
+});
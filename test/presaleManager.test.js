@@ -0,0 +1,114 @@
+/**
+ * Presale Manager Tests
+ */
+
+const { expect } = require('chai');
+const PresaleManager = require('../src/presaleManager');
+const AlertSystem = require('../src/alertSystem');
+const { SimulatedClock } = require('../src/clock');
+
+const NOW = 1700000000;
+const DAY = 24 * 3600;
+
+describe('Presale Manager', function () {
+    let alertSystem;
+    let clock;
+    let vars;
+    let sent;
+    let response;
+    let manager;
+
+    beforeEach(function () {
+        alertSystem = new AlertSystem({ logToConsole: false, logToFile: false });
+        clock = new SimulatedClock(NOW * 1000);
+        vars = {
+            state: { asset0: 'S0', a0: 1, s0: 1e9, reserve: 1e9, coef: 1, total_staker_fees: 0 },
+            asset_GOLD: { presale: true, presale_amount: 5e6, presale_finish_ts: NOW + 2 * DAY, symbol: 'GOLD' },
+            asset_SPACEX: { presale: true, preipo: true, presale_amount: 0, presale_finish_ts: NOW + 10 * DAY,
+                creation_ts: NOW - 6 * DAY, initial_auction_price: 100 },
+            asset_BTC: { a: 0.5, supply: 1e6 },
+            contribution_ME_GOLD: 2e6
+        };
+        sent = [];
+        response = { bounced: false, responseVars: {}, received: {} };
+
+        const client = {
+            getAddress: async () => 'ME',
+            readVars: async () => vars,
+            send: async (aaAddress, payments, data) => {
+                sent.push({ aaAddress, payments, data });
+                if (data.claim) delete vars['contribution_ME_' + data.asset];
+                return { unit: 'UNIT' + sent.length };
+            },
+            getResponse: async () => response
+        };
+        manager = new PresaleManager({ aaAddress: 'PERP', reserveAsset: 'base', autoClaimInterval: 3600 * 1000, clock }, client, alertSystem);
+    });
+
+    afterEach(function () {
+        manager.stop();
+        alertSystem.stopMonitoring();
+    });
+
+    it('should list running presales with the auction price halving from creation', async function () {
+        const presales = await manager.listPresales();
+
+        expect(presales.map(p => p.asset)).to.deep.equal(['GOLD', 'SPACEX']);
+        expect(presales[0]).to.include({ preipo: false, auctionPrice: null, contribution: 2e6, finished: false });
+        expect(presales[1].auctionPrice).to.equal(25);
+        expect(await manager.getAuctionPrice('SPACEX')).to.equal(25);
+
+        await clock.advanceTo((NOW + 3 * DAY) * 1000);
+        expect(await manager.getAuctionPrice('SPACEX')).to.equal(12.5);
+
+        try {
+            await manager.getAuctionPrice('GOLD');
+            expect.fail('should have thrown');
+        } catch (error) {
+            expect(error.message).to.equal('not a pre-IPO');
+        }
+    });
+
+    it('should validate contributions and withdrawals against the AA state', async function () {
+        await manager.refresh();
+
+        expect(manager.validateContribution('GOLD', 1.5)).to.equal('amount must be a positive integer');
+        expect(manager.validateContribution('GOLD', 99999)).to.equal('amount must exceed 99999');
+        expect(manager.validateContribution('ETH', 1e6)).to.equal('no such asset');
+        expect(manager.validateContribution('BTC', 1e6)).to.equal('already launched');
+        expect(manager.validateContribution('GOLD', 1e6)).to.be.null;
+        expect(manager.validateWithdrawal('GOLD', 3e6)).to.equal('you have only 2000000');
+        expect(manager.validateWithdrawal('GOLD', 2e6)).to.be.null;
+
+        await clock.advanceTo((NOW + 3 * DAY) * 1000);
+        expect(manager.validateContribution('GOLD', 1e6)).to.equal('presale finished');
+    });
+
+    it('should send the AA\'s presale triggers', async function () {
+        await manager.contribute('GOLD', 1e6);
+        await manager.withdraw('GOLD', 5e5);
+
+        expect(sent).to.deep.equal([
+            { aaAddress: 'PERP', payments: { base: 1e6 }, data: { asset: 'GOLD', presale: 1 } },
+            { aaAddress: 'PERP', payments: { base: 10000 }, data: { asset: 'GOLD', presale: 1, withdraw_amount: 5e5 } }
+        ]);
+    });
+
+    it('should auto-claim once the presale period is over', async function () {
+        const claimed = [];
+        manager.on('claimed', claim => claimed.push(claim));
+        manager.start();
+
+        await clock.advanceTo((NOW + DAY) * 1000);
+        expect(sent).to.be.empty;
+
+        response = { bounced: false, responseVars: {}, received: { GOLD: 4e6 } };
+        await clock.advanceTo((NOW + 3 * DAY) * 1000);
+
+        expect(sent).to.have.length(1);
+        expect(sent[0].data).to.deep.equal({ asset: 'GOLD', claim: 1 });
+        expect(claimed).to.have.length(1);
+        expect(claimed[0]).to.include({ asset: 'GOLD', unit: 'UNIT1', tokens: 4e6 });
+        expect(manager.claims).to.deep.equal(claimed);
+    });
+});
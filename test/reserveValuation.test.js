@@ -0,0 +1,94 @@
+/**
+ * Reserve Valuation Tests
+ */
+
+const { expect } = require('chai');
+const DataFeedStore = require('../src/reservePrice/dataFeedStore');
+const DataFeedReservePrice = require('../src/reservePrice/dataFeedReservePrice');
+const LpShareReservePrice = require('../src/reservePrice/lpShareReservePrice');
+const ReserveValuation = require('../src/reserveValuation');
+const AlertSystem = require('../src/alertSystem');
+
+describe('Reserve Valuation', function () {
+    let feeds;
+
+    beforeEach(function () {
+        feeds = new DataFeedStore();
+    });
+
+    it('should read the latest feed among the listed oracles', function () {
+        feeds.update('ORACLE1', { GBYTE_USD: '15.5' }, new Date(1000));
+        feeds.ingest({
+            authors: [{ address: 'ORACLE2' }],
+            messages: [{ app: 'data_feed', payload: { GBYTE_USD: 16 } }],
+            timestamp: 2
+        });
+
+        expect(feeds.get({ oracles: 'ORACLE1', feedName: 'GBYTE_USD' })).to.equal(15.5);
+        expect(feeds.get({ oracles: 'ORACLE1:ORACLE2', feedName: 'GBYTE_USD' })).to.equal(16);
+        expect(feeds.get({ oracles: ['ORACLE3'], feedName: 'GBYTE_USD', ifnone: false })).to.equal(false);
+        expect(() => feeds.get({ oracles: 'ORACLE3', feedName: 'GBYTE_USD' })).to.throw('data feed GBYTE_USD not found');
+    });
+
+    it('should price the reserve like usd_reserve_price', function () {
+        const source = new DataFeedReservePrice({ oracle: 'ORACLE', feed_name: 'GBYTE_USD', decimals: 9 }, feeds);
+        expect(source.getReservePrice()).to.be.null;
+
+        feeds.update('ORACLE', { GBYTE_USD: 15 });
+        expect(source.getReservePrice()).to.equal(15e-9);
+        expect(source.valueInUsd(2e9)).to.be.closeTo(30, 1e-9);
+
+        const bad = new DataFeedReservePrice({ oracle: 'ORACLE', feed_name: 'GBYTE_USD', decimals: 13 }, feeds);
+        expect(() => bad.getReservePrice()).to.throw('unsupported power 13');
+    });
+
+    it('should price LP shares by the pool balances', async function () {
+        feeds.update('X_ORACLE', { GBYTE_USD: 20 });
+        feeds.update('Y_ORACLE', { USDC_USD: 1 });
+        const source = new LpShareReservePrice({
+            REChainEXChange_aa: 'POOL',
+            x_oracle: 'X_ORACLE', x_feed_name: 'GBYTE_USD', x_decimals: 9,
+            y_oracle: 'Y_ORACLE', y_feed_name: 'USDC_USD', y_decimals: 4
+        }, feeds);
+        expect(source.getReservePrice()).to.be.null;
+
+        await source.refresh({
+            getDefinition: async () => ['autonomous agent', { base_aa: 'BASE', params: { x_asset: 'base', y_asset: 'USDC' } }],
+            getBalances: async () => ({ base: 5e9, USDC: 1e6 }),
+            readVars: async () => ({ lp_shares: { issued: 1000 } })
+        });
+
+        // (5 GB * $20 + 100 USDC * $1) / 1000 shares
+        expect(source.getReservePrice()).to.be.closeTo(0.2, 1e-12);
+    });
+
+    it('should alert once when the price diverges from the AA and again when it recovers', async function () {
+        const alertSystem = new AlertSystem({ logToConsole: false, logToFile: false });
+        let aaPrice = 15e-9;
+        const client = { executeGetter: async (aaAddress, getter) => getter === 'get_reserve_price' ? aaPrice : null };
+        const valuation = new ReserveValuation({
+            source: { type: 'usd', params: { oracle: 'ORACLE', feed_name: 'GBYTE_USD', decimals: 9 } },
+            reservePriceAa: 'PRICE_AA'
+        }, feeds, client, alertSystem);
+        const divergences = [];
+        valuation.on('divergence', check => divergences.push(check));
+
+        feeds.update('ORACLE', { GBYTE_USD: 15 });
+        expect(await valuation.check()).to.include({ source: 'data_feed', divergence: 0, diverged: false });
+
+        aaPrice = 14e-9;
+        await valuation.check();
+        await valuation.check();
+        expect(divergences).to.have.length(1);
+        expect(divergences[0].divergence).to.be.closeTo(1 / 14, 1e-9);
+
+        aaPrice = 15e-9;
+        expect((await valuation.check()).diverged).to.be.false;
+        const messages = alertSystem.getActiveAlerts().map(a => a.message);
+        expect(messages).to.include('Reserve price is back in line with the reserve price AA');
+        expect(valuation.valueHoldings(1e9).usdValue).to.be.closeTo(15, 1e-9);
+
+        expect(() => ReserveValuation.createSource({ type: 'curve' }, feeds)).to.throw('Unknown reserve price source: curve');
+        alertSystem.stopMonitoring();
+    });
+});
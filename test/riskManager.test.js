@@ -0,0 +1,336 @@
+/**
+ * Risk Manager Tests
+ */
+
+const { expect } = require('chai');
+const RiskManager = require('../src/riskManager');
+const TradingEngine = require('../src/tradingEngine');
+const AlertSystem = require('../src/alertSystem');
+const AnalyticsDashboard = require('../src/analyticsDashboard');
+const RiskMetrics = require('../src/riskMetrics');
+const { SimulatedClock } = require('../src/clock');
+
+describe('Risk Manager', function () {
+    let alertSystem;
+    let tradingEngine;
+    let riskManager;
+    let clock;
+
+    beforeEach(function () {
+        alertSystem = new AlertSystem({ logToConsole: false, logToFile: false });
+        clock = new SimulatedClock(Date.UTC(2026, 9, 19, 12));
+        // The engine's own per-trade cap and stop loss are lifted so the risk manager's limits decide
+        tradingEngine = new TradingEngine({
+            initialCash: 100000,
+            maxPositionSize: 1,
+            stopLossPercent: 0.5,
+            positionModes: { ETH: 'netting' },
+            clock
+        }, alertSystem);
+        riskManager = new RiskManager({ maxLeverage: 1.5 }, tradingEngine, alertSystem);
+        tradingEngine.setRiskGate(riskManager);
+        for (const asset of ['BTC', 'ETH', 'SOL', 'ADA']) {
+            tradingEngine.updateMarketData(asset, { price: 100, bid: 100, ask: 100, volume: 1e9 });
+        }
+    });
+
+    afterEach(function () {
+        riskManager.stopMonitoring();
+        tradingEngine.cleanup();
+        alertSystem.stopMonitoring();
+    });
+
+    describe('Pre-trade risk gate', function () {
+        it('should approve trades within limits and reduce oversized ones', async function () {
+            expect(riskManager.evaluateTrade({ asset: 'BTC', side: 'LONG', size: 50, price: 100 }))
+                .to.deep.equal({ decision: 'APPROVE', requestedSize: 50, size: 50, reasons: [] });
+
+            // 300 BTC is 30% of the portfolio; positions are capped at 10%
+            const position = await tradingEngine.openPosition('BTC', 'LONG', 300);
+            expect(position.size).to.equal(100);
+
+            // The fee leaves a little under 10% for the next one
+            await tradingEngine.openPosition('BTC', 'LONG', 100);
+            const held = tradingEngine.getPositions('BTC').reduce((sum, p) => sum + p.size, 0);
+            expect(held).to.be.closeTo(199.99, 1e-9);
+
+            // Concentration counts what is held: 25% leaves room for about 50 more
+            const check = tradingEngine.checkTradeRisk('BTC', 'LONG', 100);
+            expect(check.decision).to.equal('REDUCE');
+            expect(check.size).to.be.closeTo((0.25 * tradingEngine.calculateTotalValue() - held * 100) / 100, 1e-9);
+            expect(check.reasons.map(reason => reason.type)).to.deep.equal(['POSITION_SIZE', 'CONCENTRATION']);
+        });
+
+        it('should reject trades that take leverage past its limit', async function () {
+            const rejected = [];
+            tradingEngine.on('riskRejected', event => rejected.push(event));
+            riskManager.riskParams.maxLeverage = 0.35;
+
+            await tradingEngine.openPosition('BTC', 'LONG', 100);
+            await tradingEngine.openPosition('ETH', 'LONG', 100);
+            await tradingEngine.openPosition('SOL', 'LONG', 100);
+
+            // 40000 of positions on about 100000 of equity is leverage 0.4
+            expect(await tradingEngine.openPosition('ADA', 'LONG', 100)).to.equal(null);
+            expect(tradingEngine.getPositions('ADA')).to.have.length(0);
+            expect(rejected).to.have.length(1);
+            expect(rejected[0]).to.include({ asset: 'ADA', side: 'LONG', decision: 'REJECT', size: 0 });
+            expect(rejected[0].reasons.find(reason => reason.type === 'LEVERAGE')).to.include({ severity: 'CRITICAL', limit: 0.35 });
+
+            const order = await tradingEngine.placeOrder({ asset: 'ADA', side: 'BUY', type: 'limit', price: 95, size: 100 });
+            expect(order).to.include({ status: 'REJECTED' });
+            expect(order.rejectReason).to.match(/Leverage 0\.\d+ after the trade exceeds limit 0\.35/);
+            expect(tradingEngine.getOrders('ADA')).to.have.length(0);
+            expect(rejected[1]).to.include({ asset: 'ADA', orderId: order.id });
+
+            // An order the gate let through cannot grow past it by amendment
+            const small = await tradingEngine.placeOrder({ asset: 'BTC', side: 'BUY', type: 'limit', price: 95, size: 1 });
+            expect(small).to.include({ status: 'OPEN' });
+            expect(await tradingEngine.amendOrder(small.id, { size: 100 })).to.equal(null);
+            expect(small.size).to.equal(1);
+            expect(rejected[2]).to.include({ asset: 'BTC', orderId: small.id, requestedSize: 100 });
+            expect(await tradingEngine.amendOrder(small.id, { price: 94 })).to.include({ price: 94, size: 1 });
+
+            // Trades that reduce a netted position are never gated, and a flip keeps its reducing part
+            const eth = tradingEngine.getPosition('ETH');
+            expect(tradingEngine.checkTradeRisk('ETH', 'SHORT', eth.size).decision).to.equal('APPROVE');
+            const flip = tradingEngine.checkTradeRisk('ETH', 'SHORT', 150);
+            expect(flip).to.include({ decision: 'REDUCE', requestedSize: 150, size: eth.size });
+        });
+
+        it('should open a 3x position through the gate and deleverage it below maintenance', async function () {
+            const engine = new TradingEngine({
+                initialCash: 10000,
+                maxPositionSize: 3,
+                leverage: 3,
+                stopLossPercent: 0.9,
+                execution: { fees: { maker: 0, taker: 0 } },
+                clock
+            }, alertSystem);
+            const gate = new RiskManager({ maxLeverage: 3, maxPositionSize: 5, maxConcentration: 5 }, engine, alertSystem);
+            engine.setRiskGate(gate);
+            const setPrice = price => engine.updateMarketData('BTC', { price, bid: price, ask: price, volume: 1e9 });
+            const calls = [];
+            const deleveraged = [];
+            engine.on('marginCall', call => calls.push(call.asset));
+            engine.on('autoDeleveraged', event => deleveraged.push(event));
+
+            try {
+                await setPrice(100);
+
+                // 30000 of BTC on 10000 of equity puts all of it up as initial margin
+                expect(engine.checkTradeRisk('BTC', 'LONG', 300)).to.include({ decision: 'APPROVE', size: 300 });
+                const position = await engine.openPosition('BTC', 'LONG', 300);
+                expect(position).to.include({ size: 300, margin: 10000 });
+                expect(engine.portfolio).to.include({ cash: 0, marginUsed: 10000 });
+                expect(gate.calculateCurrentLeverage()).to.equal(3);
+                expect(engine.checkTradeRisk('BTC', 'LONG', 10).reasons.map(reason => reason.type)).to.include('LEVERAGE');
+
+                // 10000 + 300·(p - 100) = 300·p/6
+                expect(engine.getMarginStatus().assets.BTC.liquidationPrice).to.be.closeTo(80, 1e-9);
+                await setPrice(85);
+                expect(calls).to.deep.equal(['BTC']);
+
+                // Equity of 3400 is below the 3900 maintenance: cut to what 3400 covers at a third
+                await setPrice(78);
+                expect(deleveraged).to.have.length(1);
+                expect(position.size).to.be.closeTo(3400 / 26, 1e-9);
+                expect(engine.getMarginStatus().initialMargin).to.be.closeTo(3400, 1e-9);
+                expect(engine.portfolio.cash).to.be.above(0);
+                expect(engine.reconcile().status).to.equal('BALANCED');
+            } finally {
+                gate.stopMonitoring();
+                engine.cleanup();
+            }
+        });
+
+        it('should hold dry runs to the trading state and the risk gate', async function () {
+            tradingEngine.strategyRegistry.register({
+                name: 'always_long',
+                description: 'Opens a long on every signal',
+                paramsSchema: {},
+                async onTick() {
+                    return null;
+                },
+                async onSignal(ctx) {
+                    return await ctx.openPosition('LONG', 300, { rule: 'always' });
+                }
+            });
+            const dryRun = () => tradingEngine.runStrategy('BTC', 'always_long', 'BUY', { dryRun: true });
+            const rejections = [];
+            tradingEngine.on('riskRejected', event => rejections.push(event));
+
+            // 300 BTC is cut to the 10% position cap, as a real trade would be
+            const reduced = await dryRun();
+            expect(reduced.position).to.include({ size: 100, status: 'PREVIEW' });
+            expect(reduced.riskCheck).to.include({ decision: 'REDUCE', requestedSize: 300, size: 100 });
+
+            riskManager.riskParams.maxLeverage = 0.05;
+            const rejected = await dryRun();
+            expect(rejected).to.include({ position: null, reason: 'Trade rejected by risk checks' });
+            expect(rejected.riskCheck.reasons.map(reason => reason.type)).to.include('LEVERAGE');
+            expect(rejections).to.be.empty;
+
+            await tradingEngine.setTradingState('HALTED', 'Test halt');
+            const halted = await dryRun();
+            expect(halted).to.include({ position: null, reason: 'Trading is halted: Test halt', riskCheck: null });
+            expect(tradingEngine.getPositions()).to.be.empty;
+        });
+
+        it('should ask the gate once per strategy trade and report its check', async function () {
+            tradingEngine.strategyRegistry.register({
+                name: 'always_long',
+                description: 'Opens a long on every signal',
+                paramsSchema: {},
+                async onTick() {
+                    return null;
+                },
+                async onSignal(ctx) {
+                    return await ctx.openPosition('LONG', 300, { rule: 'always' });
+                }
+            });
+            let evaluations = 0;
+            const evaluateTrade = riskManager.evaluateTrade.bind(riskManager);
+            riskManager.evaluateTrade = trade => {
+                evaluations++;
+                return evaluateTrade(trade);
+            };
+
+            const decision = await tradingEngine.runStrategy('BTC', 'always_long', 'BUY');
+            expect(decision.position).to.include({ size: 100, status: 'OPEN' });
+            expect(decision.riskCheck).to.include({ decision: 'REDUCE', requestedSize: 300, size: 100 });
+            expect(evaluations).to.equal(1);
+        });
+    });
+
+    describe('Trading state', function () {
+        const setPrice = (asset, price) => tradingEngine.updateMarketData(asset, { price, bid: price, ask: price, volume: 1e9 });
+
+        it('should trip on breached limits, only ever tightening the state', async function () {
+            riskManager.riskParams.maxDailyLoss = 0.01;
+            riskManager.riskParams.maxDrawdown = 0.02;
+            await tradingEngine.openPosition('BTC', 'LONG', 100);
+            await riskManager.updateRiskMetrics();
+
+            // 1500 down on the day is past the 1% daily loss limit
+            setPrice('BTC', 85);
+            await riskManager.updateRiskMetrics();
+            expect((await riskManager.checkCircuitBreakers()).map(breach => breach.limit)).to.deep.equal(['dailyLoss']);
+            expect(tradingEngine.tradingState).to.include({ state: 'REDUCE_ONLY', source: 'risk' });
+
+            expect(await tradingEngine.openPosition('SOL', 'LONG', 10)).to.equal(null);
+            const order = await tradingEngine.placeOrder({ asset: 'SOL', side: 'BUY', type: 'limit', price: 95, size: 10 });
+            expect(order).to.include({ status: 'REJECTED' });
+            expect(order.rejectReason).to.match(/^Trading is reduce-only: dailyLoss 0\.015/);
+            expect(await tradingEngine.closePosition('BTC', { size: 10 })).to.include({ size: 10 });
+
+            // The drawdown then halts trading, and no breach loosens it again
+            setPrice('BTC', 75);
+            await riskManager.updateRiskMetrics();
+            await riskManager.checkCircuitBreakers();
+            expect(tradingEngine.checkTradingState(true)).to.match(/^Trading is halted: drawdown/);
+
+            setPrice('BTC', 100);
+            await riskManager.updateRiskMetrics();
+            expect(await riskManager.checkCircuitBreakers()).to.deep.equal([]);
+            expect(tradingEngine.getTradingState().history.map(record => record.to)).to.deep.equal(['REDUCE_ONLY', 'HALTED']);
+
+            // Closing is allowed even while halted
+            expect(await tradingEngine.closePosition('BTC')).to.not.equal(null);
+        });
+
+        it('should resume only after the cool-down and while no limit calls for a stricter state', async function () {
+            riskManager.riskParams.maxDailyLoss = 0.01;
+            await tradingEngine.openPosition('BTC', 'LONG', 100);
+            await riskManager.updateRiskMetrics();
+            setPrice('BTC', 80);
+
+            await riskManager.emergencyStop('Venue outage', 'ops');
+            expect(tradingEngine.positions.size).to.equal(0);
+            expect(tradingEngine.tradingState).to.include({ state: 'HALTED', source: 'emergency', reason: 'Venue outage' });
+            expect(tradingEngine.tradingState.resumeAfter).to.deep.equal(new Date(clock.now().getTime() + 900000));
+
+            expect(await riskManager.resumeTrading({ reason: 'Venue back' })).to.deep.equal({ resumed: false, error: 'actor and reason are required' });
+            const early = await riskManager.resumeTrading({ actor: 'ops', reason: 'Venue back' });
+            expect(early.error).to.match(/^Cool-down runs until/);
+
+            await clock.advanceTo(clock.now().getTime() + 900000);
+
+            // The 2000 lost today still leaves only reduce-only trading
+            const refused = await riskManager.resumeTrading({ actor: 'ops', reason: 'Venue back' });
+            expect(refused).to.include({ resumed: false, error: 'Limits still breached: dailyLoss' });
+
+            const resumed = await riskManager.resumeTrading({ actor: 'ops', reason: 'Venue back', state: 'REDUCE_ONLY', ticket: 'INC-42' });
+            expect(resumed.resumed).to.equal(true);
+            expect(resumed.tradingState).to.include({ state: 'REDUCE_ONLY', source: 'manual', resumeAfter: null });
+            expect(resumed.tradingState.history.pop()).to.include({
+                from: 'HALTED',
+                to: 'REDUCE_ONLY',
+                reason: 'Venue back',
+                actor: 'ops',
+                ticket: 'INC-42'
+            });
+            expect(riskManager.monitoringInterval).to.not.equal(null);
+
+            // A new day clears the daily loss; the drawdown was acknowledged at the resume
+            await clock.advanceTo(Date.UTC(2026, 9, 20, 0, 1));
+            expect(await riskManager.resumeTrading({ actor: 'ops', reason: 'New day' })).to.include({ resumed: true });
+            expect(await tradingEngine.openPosition('SOL', 'LONG', 10)).to.not.equal(null);
+            expect(await riskManager.resumeTrading({ actor: 'ops', reason: 'Again' })).to.include({ error: 'Trading is already ACTIVE' });
+        });
+
+        it('should halt on a high error rate', async function () {
+            for (let i = 0; i < 19; i++) {
+                riskManager.recordOperation(false);
+            }
+            await alertSystem.logError(new Error('Venue timeout'));
+            expect(riskManager.calculateErrorRate()).to.equal(0.05);
+            await alertSystem.logError(new Error('Venue timeout'));
+
+            const breaches = await riskManager.checkCircuitBreakers();
+            expect(breaches).to.deep.equal([{ limit: 'errorRate', current: 2 / 21, max: 0.05, state: 'HALTED' }]);
+            expect(tradingEngine.tradingState.state).to.equal('HALTED');
+
+            // Failures age out of the window
+            await clock.advanceTo(clock.now().getTime() + 300001);
+            expect(riskManager.calculateErrorRate()).to.equal(0);
+        });
+    });
+
+    describe('Value at risk', function () {
+        it('should measure the open positions from the price history, as the dashboard does', async function () {
+            // BTC rises 1% and falls back, ETH moves the other way
+            for (let i = 1; i <= 40; i++) {
+                const up = i % 2 === 1;
+                tradingEngine.updateMarketData('BTC', { price: up ? 101 : 100, bid: 100, ask: 100, volume: 1e9 });
+                tradingEngine.updateMarketData('ETH', { price: up ? 99 : 100, bid: 100, ask: 100, volume: 1e9 });
+            }
+            await tradingEngine.openPosition('BTC', 'LONG', 50);
+            await tradingEngine.openPosition('ETH', 'SHORT', 50);
+            await riskManager.updateRiskMetrics();
+
+            // Long BTC and short ETH lose together on every other tick, the worst 5% included
+            const { valueAtRisk } = riskManager.riskState;
+            const loss = tradingEngine.getPosition('BTC').size * 100 / 101 + tradingEngine.getPosition('ETH').size * 100 / 99;
+            expect(valueAtRisk).to.include({ method: 'historical', confidence: 0.95, horizon: 1, observations: 40 });
+            expect(valueAtRisk.var).to.be.closeTo(loss, 1e-9);
+            expect(valueAtRisk.expectedShortfall).to.be.closeTo(loss, 1e-9);
+            expect(riskManager.riskState).to.include({ portfolioVar: valueAtRisk.var, expectedShortfall: valueAtRisk.expectedShortfall });
+            expect(valueAtRisk.assets.ETH.exposure).to.be.below(0);
+            expect(valueAtRisk.diversification).to.be.closeTo(0, 1e-9);
+
+            const parametric = riskManager.calculateVaR({ method: 'parametric', horizon: 4 });
+            const { returns, exposures } = RiskMetrics.fromEngine(tradingEngine);
+            expect(parametric).to.deep.equal(new RiskMetrics({ method: 'parametric', horizon: 4 }).calculate(returns, exposures));
+
+            const dashboard = new AnalyticsDashboard({ clock }, tradingEngine, alertSystem);
+            await dashboard.ready;
+            dashboard.stop();
+            expect(dashboard.dashboard.risk).to.include({
+                valueAtRisk: valueAtRisk.var,
+                expectedShortfall: valueAtRisk.expectedShortfall,
+                varMethod: 'historical'
+            });
+        });
+    });
+});
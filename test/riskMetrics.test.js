@@ -0,0 +1,104 @@
+/**
+ * Risk Metrics Tests
+ */
+
+const { expect } = require('chai');
+const RiskMetrics = require('../src/riskMetrics');
+
+// Park-Miller generator, so Monte Carlo runs repeat
+function seeded(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return state / 2147483647;
+    };
+}
+
+describe('Risk Metrics', function () {
+    let ramp;
+
+    before(function () {
+        // -0.010, -0.009, ..., 0.029
+        ramp = Array.from({ length: 40 }, (_, i) => (i - 10) / 1000);
+    });
+
+    it('should measure the normal tail, scaled by the square root of the horizon', function () {
+        const alternating = Array.from({ length: 40 }, (_, i) => (i % 2 === 0 ? 0.01 : -0.01));
+        const std = 0.01 * Math.sqrt(40 / 39);
+        const metrics = new RiskMetrics({ method: 'parametric' });
+
+        const result = metrics.calculate({ BTC: alternating }, { BTC: 1000 });
+        expect(result).to.include({ method: 'parametric', confidence: 0.95, horizon: 1, observations: 40 });
+        expect(result.var).to.be.closeTo(1.6448536 * std * 1000, 1e-6);
+        expect(result.expectedShortfall).to.be.closeTo(2.0627128 * std * 1000, 1e-6);
+
+        const longer = metrics.calculate({ BTC: alternating }, { BTC: 1000 }, { horizon: 4, confidence: 0.99 });
+        expect(longer.var).to.be.closeTo(2.3263479 * std * 1000 * 2, 1e-6);
+
+        // Opposite returns held long both cancel out; each on its own does not
+        const hedged = metrics.calculate({ BTC: alternating, ETH: alternating.map(r => -r) }, { BTC: 1000, ETH: 1000 });
+        expect(hedged.var).to.be.closeTo(0, 1e-9);
+        expect(hedged.assets.ETH.var).to.be.closeTo(result.var, 1e-9);
+        expect(hedged.diversification).to.be.closeTo(2 * result.var, 1e-9);
+    });
+
+    it('should revalue the positions over past windows', function () {
+        const metrics = new RiskMetrics();
+
+        // The worst 5% of 40 are the two lowest returns
+        const long = metrics.calculate({ BTC: ramp }, { BTC: 1000 });
+        expect(long.var).to.be.closeTo(9, 1e-9);
+        expect(long.expectedShortfall).to.be.closeTo(9.5, 1e-9);
+
+        // A short loses on the highest
+        const short = metrics.calculate({ BTC: ramp }, { BTC: -1000 });
+        expect(short.var).to.be.closeTo(28, 1e-9);
+        expect(short.expectedShortfall).to.be.closeTo(28.5, 1e-9);
+        expect(short.assets).to.deep.equal({ BTC: { exposure: -1000, var: short.var, expectedShortfall: short.expectedShortfall } });
+
+        // Two-period windows compound their returns
+        const twoPeriods = metrics.calculate({ BTC: ramp }, { BTC: 1000 }, { horizon: 2 });
+        expect(twoPeriods.var).to.be.closeTo((1 - 0.991 * 0.992) * 1000, 1e-9);
+        expect(twoPeriods.expectedShortfall).to.be.closeTo(((1 - 0.99 * 0.991) + (1 - 0.991 * 0.992)) * 500, 1e-9);
+
+        // Series of different lengths are aligned on their last period
+        const aligned = metrics.calculate({ BTC: [-0.5, -0.5, ...ramp], ETH: ramp }, { BTC: 1000, ETH: 1000 });
+        expect(aligned).to.include({ observations: 40 });
+        expect(aligned.var).to.be.closeTo(2 * long.var, 1e-9);
+
+        // Assets not held are left out
+        expect(metrics.calculate({ BTC: ramp, ETH: ramp }, { BTC: 1000, ETH: 0 }).assets).to.have.keys('BTC');
+    });
+
+    it('should simulate correlated returns close to the normal tail', function () {
+        const metrics = new RiskMetrics({ method: 'monteCarlo', simulations: 20000, random: seeded(42) });
+        const returns = { BTC: [], ETH: [] };
+        for (let i = 0; i < 500; i++) {
+            const z = metrics.normal();
+            returns.BTC.push(0.01 * z);
+            returns.ETH.push(0.02 * (0.5 * z + Math.sqrt(0.75) * metrics.normal()));
+        }
+        const exposures = { BTC: 1000, ETH: -500 };
+
+        const simulated = metrics.calculate(returns, exposures, { horizon: 4 });
+        const normal = metrics.calculate(returns, exposures, { horizon: 4, method: 'parametric' });
+        expect(simulated.method).to.equal('monteCarlo');
+        expect(simulated.var).to.be.closeTo(normal.var, normal.var * 0.05);
+        expect(simulated.expectedShortfall).to.be.closeTo(normal.expectedShortfall, normal.expectedShortfall * 0.05);
+        expect(simulated.diversification).to.be.above(0);
+        expect(simulated.assets.ETH.var).to.be.closeTo(normal.assets.ETH.var, normal.assets.ETH.var * 0.05);
+    });
+
+    it('should not measure short histories and reject bad settings', function () {
+        const metrics = new RiskMetrics();
+        expect(metrics.calculate({ BTC: ramp.slice(0, 29) }, { BTC: 1000 })).to.include({ observations: 29, var: 0, expectedShortfall: 0 });
+        expect(metrics.calculate({ BTC: ramp }, {})).to.include({ observations: 0, var: 0 });
+        expect(metrics.calculate({ BTC: ramp }, { BTC: 1000 }, { horizon: 40 })).to.include({ var: 0 });
+
+        expect(() => new RiskMetrics({ method: 'garch' })).to.throw('method must be one of: parametric, historical, monteCarlo');
+        expect(() => metrics.calculate({ BTC: ramp }, { BTC: 1000 }, { confidence: 95 })).to.throw('confidence must be between 0.5 and 1');
+        expect(RiskMetrics.validate({ horizon: 1.5 })).to.equal('horizon must be a positive integer');
+        expect(RiskMetrics.validate({ simulations: 10 })).to.equal('simulations must be an integer of at least 100');
+        expect(RiskMetrics.validate({})).to.equal(null);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Staking Client Tests
+ */
+
+const { expect } = require('chai');
+const StakingClient = require('../src/stakingClient');
+const AlertSystem = require('../src/alertSystem');
+const { SimulatedClock } = require('../src/clock');
+
+const COMMON_TS = 1657843200;
+const YEAR = 360 * 24 * 3600;
+const NOW = COMMON_TS + YEAR;
+
+describe('Staking Client', function () {
+    let alertSystem;
+    let vars;
+    let sent;
+    let staking;
+
+    beforeEach(async function () {
+        alertSystem = new AlertSystem({ logToConsole: false, logToFile: false });
+        vars = {
+            PERP: { state: { asset0: 'S0', total_staker_fees: 500 }, staking_aa: 'STAKING' },
+            STAKING: {
+                state: { total_normalized_vp: 1000 },
+                emissions: { e1: 600 },
+                reward_assets_REW: 'e1',
+                asset_S0: { asset_key: 'a0', group_key: 'g1', last_emissions: { e1: 0 }, received_emissions: { e1: 0 } },
+                asset_BTC: { asset_key: 'a1', group_key: 'g1' },
+                asset_GOLD: { asset_key: 'a2', group_key: 'g2' },
+                perp_vps_g1: { total: 1000, a0: 250, a1: 750 },
+                perp_vps_g2: { total: 0, a2: 0 },
+                perp_asset_balance_a1: 100,
+                user_ME_a0: { balance: 1000, normalized_vp: 400, expiry_ts: NOW + 3600, last_perp_emissions: { r: 0 }, rewards: {} },
+                user_ME_a1: { balance: 50, last_perp_emissions: {}, rewards: { e1: 5 } },
+                votes_ME: { a0: 100, a1: 300 }
+            }
+        };
+        sent = [];
+
+        const client = {
+            getAddress: async () => 'ME',
+            readVars: async aaAddress => vars[aaAddress],
+            send: async (aaAddress, payments, data) => {
+                sent.push({ aaAddress, payments, data });
+                return { unit: 'UNIT' };
+            },
+            getResponse: async () => ({ bounced: false, responseVars: {}, received: {} })
+        };
+        staking = new StakingClient({ aaAddress: 'PERP', reserveAsset: 'OUSD', clock: new SimulatedClock(NOW * 1000) }, client, alertSystem);
+        await staking.refresh();
+    });
+
+    afterEach(function () {
+        alertSystem.stopMonitoring();
+    });
+
+    it('should decay voting power by decay_factor a year like $get_vp', function () {
+        expect(staking.stakingAa).to.equal('STAKING');
+        expect(staking.getVotingPower()).to.be.closeTo(400 / 8, 1e-9);
+        expect(staking.getVotingPower('ME', { timestamp: COMMON_TS + 2 * YEAR })).to.be.closeTo(400 / 64, 1e-9);
+        expect(staking.getVotingPower('NOBODY')).to.equal(0);
+    });
+
+    it('should compute pending rewards like $get_rewards', function () {
+        // asset0 stakers share staker fees and emissions by voting power
+        const asset0 = staking.getRewards('S0');
+        expect(asset0.r).to.be.closeTo(500 * 0.4, 1e-9);
+        expect(asset0.e1).to.be.closeTo(600 * 0.25 * 0.4, 1e-9);
+
+        // other perps' stakers share the perp's emissions by balance
+        expect(staking.getRewards('BTC').e1).to.be.closeTo(5 + 600 * 0.75 * 0.5, 1e-9);
+        expect(vars.STAKING.user_ME_a1.rewards.e1).to.equal(5);
+
+        const stake = staking.describeStakes().stakes.find(s => s.asset === 'S0');
+        expect(stake.rewards.map(r => r.rewardAsset)).to.deep.equal(['OUSD', 'REW']);
+        expect(() => staking.getRewards('ETH')).to.throw('no such perp ETH');
+    });
+
+    it('should validate and send asset0 deposits with votes by asset key', async function () {
+        expect(staking.validateDeposit('S0', 1000, { term: 7, percentages: { BTC: 100 } })).to.equal('invalid term');
+        expect(staking.validateDeposit('S0', 1000, { term: 30, percentages: { BTC: 60 } })).to.equal('percentages sum to 60');
+        expect(staking.validateDeposit('S0', 1000, { term: 30, percentages: { BTC: 50, GOLD: 50 } }))
+            .to.equal('perp asset key a2 not found in this group');
+        expect(staking.validateDeposit('S0', 1000, { term: 30, percentages: { S0: 40, BTC: 60 } })).to.be.null;
+        expect(staking.validateDeposit('BTC', 1000)).to.be.null;
+
+        await staking.deposit('S0', 1000, { term: 30, percentages: { S0: 40, BTC: 60 } });
+
+        expect(sent[0]).to.deep.equal({
+            aaAddress: 'STAKING',
+            payments: { S0: 1000, base: 10000 },
+            data: { deposit: 1, term: 30, voted_group_key: 'g1', percentages: { a0: 40, a1: 60 } }
+        });
+    });
+
+    it('should hold asset0 until its term ends and move votes that net to zero', async function () {
+        expect(staking.validateWithdrawal('S0')).to.match(/^you can unstake only after/);
+        expect(staking.validateWithdrawal('BTC', 60)).to.equal('invalid withdrawal amount');
+        expect(staking.validateRewardWithdrawal('BTC', null)).to.equal('staker fees are paid to asset0 stakers only');
+        expect(staking.validateVoteShares({ BTC: -400 })).to.equal('would have negative votes for perp_asset_key a1');
+        expect(staking.validateVoteShares({ BTC: -100, GOLD: 50 })).to.equal('total votes changed by -50');
+        expect(staking.validateVoteShares({ BTC: -100, GOLD: 100 })).to.be.null;
+
+        await staking.voteShares({ BTC: -100, GOLD: 100 });
+        await staking.withdrawRewards('S0', null);
+
+        expect(sent.map(s => s.data)).to.deep.equal([
+            { vote_shares: 1, changes: { a1: -100, a2: 100 }, group_key1: 'g1', group_key2: 'g2' },
+            { perp_asset: 'S0', withdraw_rewards: 1, withdraw_staker_fees: 1 }
+        ]);
+    });
+});
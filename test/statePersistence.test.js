@@ -0,0 +1,149 @@
+/**
+ * State Persistence Tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../src/stores/store');
+const SqliteStore = require('../src/stores/sqliteStore');
+const StatePersistence = require('../src/statePersistence');
+const TradingEngine = require('../src/tradingEngine');
+const RiskManager = require('../src/riskManager');
+const AlertSystem = require('../src/alertSystem');
+
+describe('State Persistence', function () {
+    let tmpDir;
+    let file;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+        file = path.join(tmpDir, 'data', 'agent.log');
+    });
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should replay the file store log, keeping Dates and dropping a torn last line', function () {
+        const store = createStore({ type: 'file', path: file });
+        store.open();
+        store.set('positions', 'p1', { size: 1, entryTime: new Date(1000) });
+        store.set('positions', 'p2', { size: 2 });
+        store.set('positions', 'p1', { size: 3, entryTime: new Date(2000) });
+        store.delete('positions', 'p2');
+        store.append('alerts', { id: 'a1' });
+        store.append('alerts', { id: 'a2' });
+        store.close();
+        fs.appendFileSync(file, '{"op":"append","collection":"alerts","val');
+
+        const reopened = createStore({ type: 'file', path: file });
+        reopened.open();
+
+        expect([...reopened.load('positions')]).to.deep.equal([['p1', { size: 3, entryTime: new Date(2000) }]]);
+        expect(reopened.load('positions').get('p1').entryTime).to.be.an.instanceof(Date);
+        expect(reopened.list('alerts')).to.deep.equal([{ id: 'a1' }, { id: 'a2' }]);
+        expect(reopened.list('alerts', 1)).to.deep.equal([{ id: 'a2' }]);
+        // The torn line is cut off, so the next change is not appended to it
+        reopened.append('alerts', { id: 'a3' });
+        reopened.close();
+
+        const again = createStore({ type: 'file', path: file });
+        again.open();
+        expect(again.list('alerts')).to.deep.equal([{ id: 'a1' }, { id: 'a2' }, { id: 'a3' }]);
+        again.close();
+
+        expect(() => createStore({ type: 'postgres' })).to.throw('Unknown store type: postgres');
+    });
+
+    it('should fall back to the file store where node:sqlite is missing', function () {
+        const database = path.join(tmpDir, 'data', 'agent.db');
+        const store = createStore({ type: 'sqlite', path: database });
+
+        if (SqliteStore.loadSqlite()) {
+            expect(store).to.be.an.instanceOf(SqliteStore);
+        } else {
+            expect(store).to.include({ name: 'file', path: database + '.log' });
+        }
+        store.open();
+        store.set('positions', 'p1', { size: 1 });
+        expect(store.load('positions').get('p1')).to.deep.equal({ size: 1 });
+        store.close();
+    });
+
+    it('should recover the portfolio, positions, trades, risk history, scenarios and alerts after a restart', async function () {
+        const start = () => {
+            const alertSystem = new AlertSystem({ logToConsole: false, logToFile: false });
+            const tradingEngine = new TradingEngine({ initialCash: 100000 }, alertSystem);
+            const riskManager = new RiskManager({}, tradingEngine, alertSystem);
+            const store = createStore({ type: 'file', path: file });
+            store.open();
+            const persistence = new StatePersistence(store, { tradingEngine, riskManager, alertSystem });
+            const restored = persistence.restore();
+            persistence.attach();
+
+            const stop = () => {
+                persistence.detach();
+                store.close();
+                riskManager.stopMonitoring();
+                tradingEngine.cleanup();
+                alertSystem.stopMonitoring();
+            };
+            return { alertSystem, tradingEngine, riskManager, persistence, restored, stop };
+        };
+
+        const first = start();
+        first.tradingEngine.updateMarketData('BTC', { price: 100, bid: 100, ask: 100, volume: 1000 });
+        first.tradingEngine.updateMarketData('ETH', { price: 10, bid: 10, ask: 10, volume: 1000 });
+        await first.tradingEngine.openPosition('BTC', 'LONG', 10);
+        const eth = await first.tradingEngine.openPosition('ETH', 'LONG', 100);
+        first.tradingEngine.updateMarketData('ETH', { price: 10.5, bid: 10.5, ask: 10.5, volume: 1000 });
+        await first.tradingEngine.closePosition('ETH', { size: 40 });
+        await first.tradingEngine.closePosition('BTC');
+        await first.tradingEngine.placeOrder({ asset: 'BTC', side: 'BUY', type: 'limit', price: 90, size: 5 });
+        first.riskManager.storeHistoricalData();
+        first.riskManager.stressTester.save({ name: 'ETH crash', type: 'shock', shocks: { ETH: { price: -0.5 } } });
+        first.riskManager.stressTester.save({ name: 'Old', type: 'historical', from: '2026-01-01', to: '2026-01-02' });
+        await first.tradingEngine.setTradingState('HALTED', 'Halted before the restart', { source: 'manual', actor: 'ops' });
+
+        const portfolio = JSON.parse(JSON.stringify(first.tradingEngine.portfolio));
+        const performance = { ...first.tradingEngine.performance };
+        const positions = [...first.tradingEngine.positions.values()].map(p => ({ ...p }));
+        const orders = [...first.tradingEngine.activeOrders.values()];
+        const alerts = first.alertSystem.alerts.map(a => a.id);
+        const drawdowns = first.riskManager.history.drawdowns;
+        first.stop();
+
+        const second = start();
+
+        expect(second.restored).to.include({ positions: 1, orders: 1, trades: 2 });
+        expect(second.tradingEngine.portfolio).to.deep.equal(portfolio);
+        expect(second.tradingEngine.performance).to.deep.equal(performance);
+        expect([...second.tradingEngine.positions.values()]).to.deep.equal(positions);
+        expect(second.tradingEngine.positions.get(eth.id).entryTime).to.be.an.instanceof(Date);
+        expect([...second.tradingEngine.activeOrders.values()]).to.deep.equal(orders);
+        expect(second.persistence.getTrades().map(t => [t.asset, t.size, t.partial || false])).to.deep.equal([['ETH', 40, true], ['BTC', 10, false]]);
+        expect(second.riskManager.history.drawdowns).to.deep.equal(drawdowns);
+        expect(second.riskManager.stressTester.getScenario('ETH crash')).to.deep.equal({ name: 'ETH crash', type: 'shock', shocks: { ETH: { price: -0.5 } } });
+        expect(second.riskManager.stressTester.getScenario('Old').from).to.deep.equal(new Date('2026-01-01'));
+        second.riskManager.stressTester.delete('Old');
+        expect(second.tradingEngine.tradingState).to.include({ state: 'HALTED', reason: 'Halted before the restart' });
+        expect(second.tradingEngine.tradingStateHistory.map(record => [record.to, record.actor])).to.deep.equal([['HALTED', 'ops']]);
+        // the first two, logged by the constructors, come before persistence attaches
+        expect(second.alertSystem.alerts.map(a => a.id)).to.include.members(alerts.slice(2));
+
+        // Trading carries on from the restored state; closing is allowed while halted
+        second.tradingEngine.updateMarketData('ETH', { price: 10.2, bid: 10.2, ask: 10.2, volume: 1000 });
+        await second.tradingEngine.closePosition('ETH');
+        expect(second.tradingEngine.positions.size).to.equal(0);
+        second.stop();
+
+        const third = start();
+        expect(third.restored).to.include({ positions: 0, trades: 3 });
+        expect(third.riskManager.stressTester.getScenarios().map(scenario => scenario.name)).to.deep.equal([
+            'Market Crash', 'High Volatility', 'Liquidity Crisis', 'ETH crash'
+        ]);
+        third.stop();
+    });
+});
@@ -0,0 +1,310 @@
+/**
+ * Strategy Registry Tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyRegistry = require('../src/strategyRegistry');
+const TradingEngine = require('../src/tradingEngine');
+const AlertSystem = require('../src/alertSystem');
+
+function createStrategy(overrides = {}) {
+    return {
+        name: 'test_strategy',
+        description: 'Test strategy',
+        paramsSchema: {
+            threshold: { type: 'number', default: 1.5 }
+        },
+        async onTick(ctx) {
+            return null;
+        },
+        async onSignal(ctx, signal) {
+            return null;
+        },
+        ...overrides
+    };
+}
+
+describe('Strategy Registry', function () {
+    let tmpDir;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strategies-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe('Built-in Strategies', function () {
+        it('should load the built-in strategies', function () {
+            const registry = StrategyRegistry.createDefault();
+            const names = registry.list().map(s => s.name);
+
+            expect(names).to.have.members(['momentum', 'mean_reversion', 'breakout', 'scalping', 'swing', 'oracle_arbitrage']);
+        });
+
+        it('should list real parameter schemas', function () {
+            const registry = StrategyRegistry.createDefault();
+            const momentum = registry.list().find(s => s.name === 'momentum');
+
+            expect(momentum.parameters).to.deep.equal(['momentumThreshold', 'volumeThreshold']);
+            expect(momentum.paramsSchema.momentumThreshold.default).to.equal(0.7);
+            expect(registry.getDefaultParams('momentum')).to.deep.equal({
+                momentumThreshold: 0.7,
+                volumeThreshold: 0.6
+            });
+        });
+    });
+
+    describe('Registration', function () {
+        it('should register a valid strategy', function () {
+            const registry = new StrategyRegistry();
+            const result = registry.register(createStrategy());
+
+            expect(result).to.deep.equal({ name: 'test_strategy', replaced: false });
+            expect(registry.has('test_strategy')).to.be.true;
+        });
+
+        it('should reject strategies missing hooks', function () {
+            const registry = new StrategyRegistry();
+
+            expect(() => registry.register(createStrategy({ onTick: undefined })))
+                .to.throw('onTick must be a function');
+            expect(() => registry.register(createStrategy({ paramsSchema: { x: { type: 'date' } } })))
+                .to.throw('parameter x has an unsupported type');
+        });
+
+        it('should replace a strategy with the same name', function () {
+            const registry = StrategyRegistry.createDefault();
+            const result = registry.register(createStrategy({ name: 'momentum' }));
+
+            expect(result.replaced).to.be.true;
+            expect(registry.get('momentum').description).to.equal('Test strategy');
+        });
+    });
+
+    describe('Directory Loading', function () {
+        it('should load modules and report broken ones', function () {
+            fs.writeFileSync(path.join(tmpDir, 'custom.js'), `module.exports = {
+                name: 'custom',
+                paramsSchema: {},
+                onTick: async () => null,
+                onSignal: async () => null
+            };`);
+            fs.writeFileSync(path.join(tmpDir, 'broken.js'), 'module.exports = { name: \'broken\' };');
+            fs.writeFileSync(path.join(tmpDir, 'README.md'), '# not a strategy');
+
+            const registry = new StrategyRegistry();
+            const { loaded, errors } = registry.loadDirectory(tmpDir);
+
+            expect(loaded).to.deep.equal(['custom']);
+            expect(errors).to.have.lengthOf(1);
+            expect(errors[0].file).to.equal(path.join(tmpDir, 'broken.js'));
+        });
+    });
+
+    describe('Parameters', function () {
+        let registry;
+
+        beforeEach(function () {
+            registry = new StrategyRegistry();
+            registry.register(createStrategy({
+                paramsSchema: {
+                    threshold: { type: 'number', default: 1.5, minimum: 0, maximum: 10 },
+                    period: { type: 'integer', default: 14 }
+                }
+            }));
+        });
+
+        it('should validate values against the schema', function () {
+            expect(registry.validateParams('test_strategy', { threshold: 2 })).to.deep.equal({
+                params: { threshold: 2, period: 14 },
+                errors: []
+            });
+
+            const { params, errors } = registry.validateParams('test_strategy', {
+                threshold: 11,
+                period: 2.5,
+                unknown: true
+            });
+            expect(params).to.be.null;
+            expect(errors).to.have.members([
+                'unknown parameter: unknown',
+                'threshold must be <= 10',
+                'period must be an integer'
+            ]);
+        });
+
+        it('should version presets when their values change', function () {
+            const first = registry.definePreset('test_strategy', 'fast', { period: 5 });
+            expect(registry.definePreset('test_strategy', 'fast', { period: 5 })).to.equal(first);
+
+            const second = registry.definePreset('test_strategy', 'fast', { period: 7 });
+            expect(first.version).to.equal(1);
+            expect(second.version).to.equal(2);
+            expect(registry.getPreset('test_strategy', 'fast')).to.equal(second);
+            expect(registry.getPreset('test_strategy', 'fast', 1)).to.equal(first);
+            expect(() => registry.definePreset('test_strategy', 'bad', { threshold: -1 })).to.throw('Invalid preset');
+        });
+
+        it('should resolve a preset with per-call overrides', function () {
+            const preset = registry.definePreset('test_strategy', 'fast', { period: 5 });
+            const { paramSet, errors } = registry.resolveParamSet('test_strategy', {
+                preset: 'fast',
+                params: { threshold: 3 }
+            });
+
+            expect(errors).to.be.empty;
+            expect(paramSet).to.include({ strategy: 'test_strategy', preset: 'fast', version: 1 });
+            expect(paramSet.params).to.deep.equal({ threshold: 3, period: 5 });
+            expect(paramSet.overrides).to.deep.equal({ threshold: 3 });
+            expect(paramSet.hash).to.not.equal(preset.hash);
+            expect(registry.resolveParamSet('test_strategy', { preset: 'missing' }).errors)
+                .to.deep.equal(['unknown preset for test_strategy: missing']);
+        });
+    });
+
+    describe('Trading Engine Integration', function () {
+        let alertSystem;
+        let tradingEngine;
+
+        beforeEach(async function () {
+            alertSystem = new AlertSystem({});
+            tradingEngine = new TradingEngine({ initialCash: 100000 }, alertSystem, new StrategyRegistry());
+            await tradingEngine.updateMarketData('BTC', { price: 100, bid: 100, ask: 100, volume: 1000 });
+        });
+
+        afterEach(function () {
+            tradingEngine.cleanup();
+        });
+
+        it('should run a custom strategy through executeStrategy', async function () {
+            let received;
+            tradingEngine.strategyRegistry.register(createStrategy({
+                async onSignal(ctx, signal) {
+                    received = { signal, params: ctx.params };
+                    return await ctx.openPosition('LONG', 10);
+                }
+            }));
+
+            const position = await tradingEngine.executeStrategy('BTC', 'test_strategy', 'BUY');
+
+            expect(received).to.deep.equal({ signal: 'BUY', params: { threshold: 1.5 } });
+            expect(position.strategy).to.equal('test_strategy');
+        });
+
+        it('should record the parameter set on positions and reuse it for ticks', async function () {
+            const tickParams = [];
+            tradingEngine.strategyRegistry.register(createStrategy({
+                async onTick(ctx) {
+                    tickParams.push(ctx.params.threshold);
+                },
+                async onSignal(ctx) {
+                    return await ctx.openPosition('LONG', 10);
+                }
+            }));
+
+            const position = await tradingEngine.executeStrategy('BTC', 'test_strategy', 'BUY', {
+                params: { threshold: 4 }
+            });
+            await tradingEngine.updateMarketData('BTC', { price: 101, bid: 101, ask: 101, volume: 1000 });
+
+            expect(position.strategyParams.params).to.deep.equal({ threshold: 4 });
+            expect(position.strategyParams.hash).to.be.a('string');
+            expect(tickParams).to.deep.equal([4]);
+            expect(await tradingEngine.executeStrategy('BTC', 'test_strategy', 'BUY', {
+                params: { threshold: 'high' }
+            })).to.be.null;
+        });
+
+        it('should return a structured decision and not trade on dry runs', async function () {
+            tradingEngine.strategyRegistry.register(createStrategy({
+                async onSignal(ctx) {
+                    ctx.record({ score: 2 });
+                    return await ctx.openPosition('LONG', 10, { rule: 'score_above_threshold' });
+                }
+            }));
+
+            const decision = await tradingEngine.runStrategy('BTC', 'test_strategy', 'BUY', { dryRun: true });
+
+            expect(decision).to.include({
+                strategy: 'test_strategy',
+                signal: 'BUY',
+                dryRun: true,
+                rule: 'score_above_threshold',
+                action: 'OPEN',
+                reason: null
+            });
+            expect(decision.indicators).to.deep.equal({ score: 2 });
+            expect(decision.position).to.include({ side: 'LONG', size: 10, entryPrice: 100, status: 'PREVIEW' });
+            expect(tradingEngine.getPositions()).to.be.empty;
+        });
+
+        it('should honour an explicit size and sizing modes', async function () {
+            tradingEngine.strategyRegistry.register(createStrategy({
+                async onSignal(ctx) {
+                    return await ctx.openPosition('LONG', ctx.positionSize());
+                }
+            }));
+
+            const sized = await tradingEngine.runStrategy('BTC', 'test_strategy', 'BUY', { size: 12 });
+            const percent = await tradingEngine.runStrategy('BTC', 'test_strategy', 'BUY', {
+                dryRun: true,
+                sizing: { mode: 'equity_percent', value: 0.05 }
+            });
+
+            expect(sized.position.size).to.equal(12);
+            expect(percent.position.size).to.be.closeTo(tradingEngine.calculateTotalValue() * 0.05 / 100, 1e-9);
+            expect(tradingEngine.validateSizing({ sizing: { mode: 'kelly' } })).to.be.a('string');
+        });
+
+        it('should explain why a built-in strategy took no action', async function () {
+            tradingEngine.strategyRegistry.register(require('../src/strategies/momentum'));
+
+            const decision = await tradingEngine.runStrategy('BTC', 'momentum', 'BUY');
+
+            expect(decision.action).to.equal('NONE');
+            expect(decision.indicators).to.have.keys('momentum', 'volumeTrend');
+            expect(decision.reason).to.equal('Momentum or volume trend below threshold for BUY');
+            expect(decision.position).to.be.null;
+        });
+
+        it('should send ticks to strategies holding a position', async function () {
+            const ticks = [];
+            tradingEngine.strategyRegistry.register(createStrategy({
+                async onTick(ctx) {
+                    ticks.push(ctx.position ? ctx.position.id : null);
+                },
+                async onSignal(ctx) {
+                    return await ctx.openPosition('LONG', 10);
+                }
+            }));
+
+            await tradingEngine.updateMarketData('BTC', { price: 101, bid: 101, ask: 101, volume: 1000 });
+            const position = await tradingEngine.executeStrategy('BTC', 'test_strategy', 'BUY');
+            await tradingEngine.updateMarketData('BTC', { price: 102, bid: 102, ask: 102, volume: 1000 });
+
+            expect(ticks).to.deep.equal([position.id]);
+        });
+
+        it('should send ticks to activated strategies', async function () {
+            let ticks = 0;
+            tradingEngine.strategyRegistry.register(createStrategy({
+                async onTick() {
+                    ticks++;
+                }
+            }));
+
+            expect(tradingEngine.activateStrategy('BTC', 'test_strategy')).to.be.true;
+            await tradingEngine.updateMarketData('BTC', { price: 101, bid: 101, ask: 101, volume: 1000 });
+            tradingEngine.deactivateStrategy('BTC', 'test_strategy');
+            await tradingEngine.updateMarketData('BTC', { price: 102, bid: 102, ask: 102, volume: 1000 });
+
+            expect(ticks).to.equal(1);
+            expect(tradingEngine.activateStrategy('BTC', 'missing')).to.be.false;
+        });
+    });
+});
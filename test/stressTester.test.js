@@ -0,0 +1,151 @@
+/**
+ * Stress Tester Tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StressTester = require('../src/stressTester');
+const RiskMetrics = require('../src/riskMetrics');
+const TradingEngine = require('../src/tradingEngine');
+const AlertSystem = require('../src/alertSystem');
+const { SimulatedClock } = require('../src/clock');
+
+describe('Stress Tester', function () {
+    let alertSystem;
+    let tradingEngine;
+    let stressTester;
+    let clock;
+    let tmpDir;
+
+    const setPrice = (asset, price, spread = 0) =>
+        tradingEngine.updateMarketData(asset, { price, bid: price - spread / 2, ask: price + spread / 2, volume: 1e9 });
+
+    beforeEach(async function () {
+        alertSystem = new AlertSystem({ logToConsole: false, logToFile: false });
+        clock = new SimulatedClock(Date.UTC(2026, 9, 19, 12));
+        tradingEngine = new TradingEngine({
+            initialCash: 100000,
+            maxPositionSize: 1,
+            execution: { fees: { maker: 0, taker: 0 } },
+            clock
+        }, alertSystem);
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stress-'));
+        stressTester = new StressTester({ dataDir: tmpDir, threshold: 0.1 }, tradingEngine, new RiskMetrics({ method: 'parametric' }));
+
+        setPrice('BTC', 100, 1);
+        setPrice('ETH', 10);
+        await tradingEngine.openPosition('BTC', 'LONG', 200);
+        await tradingEngine.openPosition('ETH', 'SHORT', 1000);
+    });
+
+    afterEach(function () {
+        tradingEngine.cleanup();
+        alertSystem.stopMonitoring();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should revalue longs and shorts under per-asset shocks', async function () {
+        const result = await stressTester.run({
+            name: 'Rotation',
+            type: 'shock',
+            shocks: { '*': { price: -0.2, liquidity: 0.5 }, ETH: { price: 0.3 } }
+        });
+
+        const [btc, eth] = result.positions;
+        // The long loses 20% of 20000 and pays twice its half spread of 0.5% to close
+        expect(btc).to.include({ asset: 'BTC', side: 'LONG', price: 100, stressedPrice: 80 });
+        expect(btc.liquidityCost).to.be.closeTo(200 * 80 * 0.005 / 0.5, 1e-9);
+        expect(btc.pnl).to.be.closeTo(-4000 - btc.liquidityCost, 1e-9);
+        // The short loses on the rise, and has no spread to cross
+        expect(eth).to.include({ asset: 'ETH', side: 'SHORT', stressedPrice: 13, liquidityCost: 0 });
+        expect(eth.pnl).to.be.closeTo(-3000, 1e-9);
+
+        // BTC was bought at the ask, so the portfolio is worth its half spread less
+        const totalValue = tradingEngine.calculateTotalValue();
+        expect(result).to.include({ scenario: 'Rotation', type: 'shock', totalValue, breach: false, worstAt: null });
+        expect(result.pnl).to.be.closeTo(-7160, 1e-9);
+        expect(result.stressedValue).to.be.closeTo(totalValue - 7160, 1e-9);
+        expect(result.stressedDrawdown).to.be.closeTo(7160 / totalValue, 1e-12);
+
+        // A crash is a gain on the short
+        const crash = await stressTester.run(stressTester.getScenario('Market Crash'));
+        expect(crash.pnl).to.be.closeTo(-6000 + 3000, 1e-9);
+    });
+
+    it('should stress the VaR of the shocked positions with the volatility shock', async function () {
+        for (let i = 0; i < 40; i++) {
+            setPrice('BTC', i % 2 === 0 ? 101 : 100, 1);
+            setPrice('ETH', 10);
+        }
+
+        const calm = await stressTester.run({ name: 'Calm', type: 'shock', shocks: { BTC: { price: -0.5 } } });
+        const wild = await stressTester.run({ name: 'Wild', type: 'shock', shocks: { BTC: { price: -0.5, volatility: 3 } } });
+        expect(calm.stressedVar).to.be.above(0);
+        // Three times the spread about a mean return of nearly 0
+        expect(wild.stressedVar).to.be.closeTo(3 * calm.stressedVar, 0.01 * calm.stressedVar);
+        expect(wild.pnl).to.equal(calm.pnl);
+    });
+
+    it('should replay a historical window from a tick file and from the price history', async function () {
+        const start = Date.UTC(2026, 2, 1);
+        fs.writeFileSync(path.join(tmpDir, 'crisis.csv'), [
+            'timestamp,asset,price',
+            `${start - 1000},BTC,500`,
+            `${start},BTC,100`,
+            `${start},ETH,10`,
+            `${start + 1000},BTC,70`,
+            `${start + 1000},ETH,12`,
+            `${start + 2000},BTC,90`,
+            `${start + 3000},SOL,5`,
+            `${start + 9000},BTC,10`
+        ].join('\n'));
+        const window = { from: new Date(start), to: new Date(start + 5000) };
+
+        const result = await stressTester.run({ name: 'March', type: 'historical', dataFile: 'crisis.csv', ...window });
+        // BTC ends 10% down, ETH 20% up; on the way both were against us at once
+        expect(result.positions.map(p => p.stressedPrice)).to.deep.equal([90, 12]);
+        expect(result.pnl).to.be.closeTo(-2000 - 2000, 1e-9);
+        expect(result.worstPnL).to.be.closeTo(-6000 - 2000, 1e-9);
+        expect(result.worstAt).to.deep.equal(new Date(start + 1000));
+        expect(result.stressedDrawdown).to.be.closeTo(8000 / tradingEngine.calculateTotalValue(), 1e-12);
+        expect(result.missingAssets).to.deep.equal([]);
+
+        // Without a file the window comes out of the engine's own price history
+        const from = clock.now().getTime();
+        await clock.advanceTo(from + 1000);
+        setPrice('BTC', 50, 1);
+        await clock.advanceTo(from + 2000);
+        setPrice('BTC', 60, 1);
+
+        const live = await stressTester.run({ name: 'Today', type: 'historical', from: new Date(from + 1), to: new Date(from + 3000) });
+        // The window's 20% rise, from 50 to 60, applied to the price now
+        expect(live.positions[0].stressedPrice).to.be.closeTo(72, 1e-9);
+        expect(live.missingAssets).to.deep.equal(['ETH']);
+        expect(live.breach).to.equal(false);
+    });
+
+    it('should save valid scenarios and keep the built-in ones', function () {
+        const saved = [];
+        stressTester.on('scenarioSaved', scenario => saved.push(scenario.name));
+
+        expect(stressTester.validate({ name: 'X', type: 'shock', shocks: { BTC: { price: -1 } } })).to.equal('BTC: price must be a number above -1');
+        expect(stressTester.validate({ name: 'X', type: 'shock', shocks: { BTC: { spread: 2 } } })).to.equal('BTC: Unknown shock: spread');
+        expect(stressTester.validate({ name: 'X', type: 'shock', shocks: { BTC: { liquidity: 0 } } })).to.equal('BTC: liquidity must be above 0 and at most 1');
+        expect(stressTester.validate({ name: 'X', type: 'historical', from: '2026-03-02', to: '2026-03-01' })).to.equal('from must be before to');
+        expect(stressTester.validate({ name: 'X', type: 'historical', from: '2026-03-01', to: '2026-03-02', dataFile: '../etc/passwd' }))
+            .to.equal(`dataFile must be inside ${tmpDir}`);
+        expect(stressTester.validate({ name: 'X', type: 'replay' })).to.equal('type must be one of: shock, historical');
+
+        expect(() => stressTester.save({ ...stressTester.getScenario('Market Crash'), shocks: { '*': { price: -0.1 } } }))
+            .to.throw('Market Crash is a built-in scenario');
+        expect(stressTester.delete('Market Crash')).to.equal(false);
+
+        const scenario = stressTester.save({ name: 'March', type: 'historical', from: '2026-03-01', to: '2026-03-02', shocks: { BTC: { price: -0.5 } } });
+        expect(scenario).to.deep.equal({ name: 'March', type: 'historical', from: new Date('2026-03-01'), to: new Date('2026-03-02') });
+        expect(stressTester.getScenarios()).to.have.length(4);
+        expect(stressTester.delete('March')).to.equal(true);
+        expect(saved).to.deep.equal(['March']);
+    });
+});
@@ -160,6 +160,105 @@ describe('Trading Engine', function () {
         });
     });
 
+    describe('Multiple Positions and Partial Closes', function () {
+        beforeEach(function () {
+            tradingEngine.updateMarketData('BTC', {
+                price: 100,
+                bid: 100,
+                ask: 100,
+                volume: 1000
+            });
+        });
+
+        it('should keep concurrent positions on the same asset in hedging mode', async function () {
+            const first = await tradingEngine.openPosition('BTC', 'LONG', 20);
+            const second = await tradingEngine.openPosition('BTC', 'SHORT', 10);
+
+            expect(tradingEngine.positions.size).to.equal(2);
+            expect(tradingEngine.positions.get(first.id)).to.equal(first);
+            expect(tradingEngine.positions.get(second.id)).to.equal(second);
+            expect(tradingEngine.portfolio.marginUsed).to.equal(3000);
+        });
+
+        it('should realize PnL pro-rata on a partial close', async function () {
+            const position = await tradingEngine.openPosition('BTC', 'LONG', 20);
+            const openFees = position.fees;
+            tradingEngine.updateMarketData('BTC', { price: 102, bid: 102, ask: 102, volume: 1000 });
+
+            const slice = await tradingEngine.closePosition('BTC', { positionId: position.id, size: 5 });
+
+            expect(slice.partial).to.be.true;
+            expect(slice.size).to.equal(5);
+            // Entry fees pro-rata plus the taker fee on the exit fill
+            expect(slice.fees).to.be.closeTo(openFees / 4 + 5 * 102 * 0.001, 1e-9);
+            expect(slice.pnl).to.be.closeTo(5 * 2 - slice.fees, 1e-9);
+            expect(position.status).to.equal('OPEN');
+            expect(position.size).to.equal(15);
+            expect(position.fees).to.be.closeTo(openFees * 0.75, 1e-9);
+            expect(tradingEngine.portfolio.marginUsed).to.equal(1500);
+            expect(tradingEngine.performance.totalTrades).to.equal(1);
+        });
+
+        it('should close only the requested position', async function () {
+            const first = await tradingEngine.openPosition('BTC', 'LONG', 20);
+            const second = await tradingEngine.openPosition('BTC', 'LONG', 10);
+
+            const closed = await tradingEngine.closePosition('BTC', { positionId: second.id });
+
+            expect(closed.id).to.equal(second.id);
+            expect(closed.status).to.equal('CLOSED');
+            expect(tradingEngine.getPositions('BTC')).to.deep.equal([first]);
+        });
+
+        it('should close all positions for an asset oldest first', async function () {
+            await tradingEngine.openPosition('BTC', 'LONG', 20);
+            await tradingEngine.openPosition('BTC', 'SHORT', 10);
+
+            const reduced = await tradingEngine.closePosition('BTC', { size: 25 });
+            expect(reduced).to.be.an('array').with.lengthOf(2);
+            expect(reduced[0].status).to.equal('CLOSED');
+            expect(reduced[1].partial).to.be.true;
+            expect(tradingEngine.getPosition('BTC').size).to.equal(5);
+
+            await tradingEngine.closePosition('BTC');
+            expect(tradingEngine.positions.size).to.equal(0);
+            expect(tradingEngine.portfolio.marginUsed).to.be.closeTo(0, 1e-9);
+        });
+
+        it('should net positions on the same asset in netting mode', async function () {
+            expect(await tradingEngine.setPositionMode('BTC', 'netting')).to.be.true;
+
+            const position = await tradingEngine.openPosition('BTC', 'LONG', 20);
+            tradingEngine.updateMarketData('BTC', { price: 104, bid: 104, ask: 104, volume: 1000 });
+            const increased = await tradingEngine.openPosition('BTC', 'LONG', 20);
+
+            expect(increased).to.equal(position);
+            expect(position.size).to.equal(40);
+            expect(position.entryPrice).to.equal(102);
+
+            const slice = await tradingEngine.openPosition('BTC', 'SHORT', 10);
+            expect(slice.partial).to.be.true;
+            expect(position.size).to.equal(30);
+
+            const flipped = await tradingEngine.openPosition('BTC', 'SHORT', 40);
+            expect(flipped.side).to.equal('SHORT');
+            expect(flipped.size).to.equal(10);
+            expect(tradingEngine.getPositions('BTC')).to.have.lengthOf(1);
+        });
+
+        it('should not change position mode while positions are open', async function () {
+            await tradingEngine.openPosition('BTC', 'LONG', 20);
+            expect(await tradingEngine.setPositionMode('BTC', 'netting')).to.be.false;
+            expect(tradingEngine.getPositionMode('BTC')).to.equal('hedging');
+        });
+
+        it('should reject a non-positive close size', async function () {
+            await tradingEngine.openPosition('BTC', 'LONG', 20);
+            expect(await tradingEngine.closePosition('BTC', { size: 0 })).to.be.null;
+            expect(tradingEngine.getPosition('BTC').size).to.equal(20);
+        });
+    });
+
     describe('Risk Management', function () {
         beforeEach(function () {
             tradingEngine.updateMarketData('BTC', {
@@ -194,7 +293,7 @@ describe('Trading Engine', function () {
                 volume: 1000
             });
 
-            const shouldClose = tradingEngine.shouldClosePosition('BTC', tradingEngine.positions.get('BTC'));
+            const shouldClose = tradingEngine.shouldClosePosition('BTC', tradingEngine.getPosition('BTC'));
             expect(shouldClose).to.be.true;
         });
 
@@ -209,11 +308,307 @@ describe('Trading Engine', function () {
                 volume: 1000
             });
 
-            const shouldClose = tradingEngine.shouldClosePosition('BTC', tradingEngine.positions.get('BTC'));
+            const shouldClose = tradingEngine.shouldClosePosition('BTC', tradingEngine.getPosition('BTC'));
             expect(shouldClose).to.be.true;
         });
     });
 
+    describe('Order Management', function () {
+        beforeEach(function () {
+            tradingEngine.updateMarketData('BTC', {
+                price: 100,
+                bid: 99.5,
+                ask: 100.5,
+                volume: 1000
+            });
+        });
+
+        it('should fill a market order immediately', async function () {
+            const order = await tradingEngine.placeOrder({ asset: 'BTC', side: 'BUY', type: 'market', size: 10 });
+
+            expect(order.status).to.equal('FILLED');
+            expect(order.fillPrice).to.equal(100.5);
+            expect(tradingEngine.getPosition('BTC').orderId).to.equal(order.id);
+        });
+
+        it('should rest a limit order until the price is reached', async function () {
+            const order = await tradingEngine.placeOrder({ asset: 'BTC', side: 'BUY', type: 'limit', price: 98, size: 10 });
+
+            expect(order.status).to.equal('OPEN');
+            expect(tradingEngine.activeOrders.has(order.id)).to.be.true;
+
+            await tradingEngine.updateMarketData('BTC', { price: 97.8, bid: 97.5, ask: 97.9, volume: 1000 });
+
+            expect(order.status).to.equal('FILLED');
+            expect(order.fillPrice).to.equal(97.9);
+            expect(tradingEngine.activeOrders.has(order.id)).to.be.false;
+        });
+
+        it('should trigger a stop order when the stop price is crossed', async function () {
+            const order = await tradingEngine.placeOrder({ asset: 'BTC', side: 'SELL', type: 'stop', stopPrice: 95, size: 10 });
+            expect(order.status).to.equal('OPEN');
+
+            await tradingEngine.updateMarketData('BTC', { price: 94.9, bid: 94.8, ask: 95.2, volume: 1000 });
+
+            expect(order.status).to.equal('FILLED');
+            expect(order.fillPrice).to.equal(94.8);
+            expect(tradingEngine.getPosition('BTC').side).to.equal('SHORT');
+        });
+
+        it('should rest a triggered stop-limit order until its limit is reachable', async function () {
+            const order = await tradingEngine.placeOrder({
+                asset: 'BTC', side: 'BUY', type: 'stop_limit', stopPrice: 105, price: 105.5, size: 10
+            });
+
+            await tradingEngine.updateMarketData('BTC', { price: 106, bid: 105.9, ask: 106.1, volume: 1000 });
+            expect(order.triggered).to.be.true;
+            expect(order.status).to.equal('OPEN');
+
+            await tradingEngine.updateMarketData('BTC', { price: 105.2, bid: 105.1, ask: 105.4, volume: 1000 });
+            expect(order.status).to.equal('FILLED');
+            expect(order.fillPrice).to.equal(105.4);
+        });
+
+        it('should cancel IOC orders that do not fill immediately', async function () {
+            const order = await tradingEngine.placeOrder({
+                asset: 'BTC', side: 'BUY', type: 'limit', price: 90, size: 10, timeInForce: 'IOC'
+            });
+
+            expect(order.status).to.equal('CANCELLED');
+            expect(tradingEngine.activeOrders.size).to.equal(0);
+        });
+
+        it('should cancel and amend orders', async function () {
+            const order = await tradingEngine.placeOrder({ asset: 'BTC', side: 'BUY', type: 'limit', price: 90, size: 10 });
+            const updates = [];
+            tradingEngine.on('orderUpdated', updated => updates.push({ ...updated }));
+
+            const amended = await tradingEngine.amendOrder(order.id, { price: 91, size: 20 });
+            expect(amended.price).to.equal(91);
+            expect(amended.size).to.equal(20);
+            expect(updates).to.have.length(1);
+            expect(updates[0]).to.include({ id: order.id, price: 91, size: 20 });
+
+            const rejected = await tradingEngine.amendOrder(order.id, { side: 'SELL' });
+            expect(rejected).to.be.null;
+
+            const cancelled = await tradingEngine.cancelOrder(order.id);
+            expect(cancelled.status).to.equal('CANCELLED');
+            expect(await tradingEngine.cancelOrder(order.id)).to.be.null;
+        });
+
+        it('should emit order lifecycle events', async function () {
+            const events = [];
+            tradingEngine.on('orderPlaced', () => events.push('placed'));
+            tradingEngine.on('orderFilled', () => events.push('filled'));
+            tradingEngine.on('orderCancelled', () => events.push('cancelled'));
+
+            await tradingEngine.placeOrder({ asset: 'BTC', side: 'BUY', type: 'market', size: 10 });
+            const order = await tradingEngine.placeOrder({ asset: 'BTC', side: 'BUY', type: 'limit', price: 90, size: 10 });
+            await tradingEngine.cancelOrder(order.id);
+
+            expect(events).to.deep.equal(['placed', 'filled', 'placed', 'cancelled']);
+        });
+
+        it('should reject invalid orders', async function () {
+            expect(await tradingEngine.placeOrder({ asset: 'BTC', side: 'BUY', type: 'limit', size: 10 })).to.be.null;
+            expect(await tradingEngine.placeOrder({ asset: 'BTC', side: 'BUY', type: 'trailing', size: 10 })).to.be.null;
+            expect(tradingEngine.validateOrder({ asset: 'BTC', side: 'BUY', type: 'stop', size: 10 }))
+                .to.equal('stop order requires a positive stopPrice');
+        });
+
+        it('should count resting orders against maxOrdersPerAsset', async function () {
+            for (let i = 0; i < testConfig.maxOrdersPerAsset; i++) {
+                await tradingEngine.placeOrder({ asset: 'BTC', side: 'BUY', type: 'limit', price: 90 - i, size: 10 });
+            }
+
+            const extraOrder = await tradingEngine.placeOrder({ asset: 'BTC', side: 'BUY', type: 'limit', price: 80, size: 10 });
+            expect(extraOrder).to.be.null;
+
+            // The cap is on resting orders only; trades and market orders still go through
+            expect(await tradingEngine.openPosition('BTC', 'LONG', 10)).to.not.be.null;
+            const marketOrder = await tradingEngine.placeOrder({ asset: 'BTC', side: 'BUY', type: 'market', size: 10 });
+            expect(marketOrder.status).to.equal('FILLED');
+        });
+    });
+
+    describe('Execution Venue', function () {
+        let engine;
+
+        beforeEach(async function () {
+            engine = new TradingEngine({
+                ...testConfig,
+                execution: {
+                    slippage: { model: 'fixed_bps', bps: 10 },
+                    fees: { maker: 0, taker: 0.002 },
+                    maxParticipation: 0.01
+                }
+            }, alertSystem);
+            await engine.updateMarketData('BTC', { price: 100, bid: 99.5, ask: 100.5, volume: 1000 });
+        });
+
+        afterEach(function () {
+            engine.cleanup();
+        });
+
+        it('should apply slippage and taker fees to market fills', async function () {
+            const fills = [];
+            engine.on('fill', fill => fills.push(fill));
+
+            const position = await engine.openPosition('BTC', 'LONG', 5);
+
+            expect(position.entryPrice).to.be.closeTo(100.5 * 1.001, 1e-9);
+            expect(position.fees).to.be.closeTo(5 * position.entryPrice * 0.002, 1e-9);
+            expect(fills[0]).to.include({ venue: 'paper', side: 'BUY', liquidity: 'taker', status: 'FILLED' });
+        });
+
+        it('should rest the unfilled part of a limit order and fill it as maker', async function () {
+            const order = await engine.placeOrder({ asset: 'BTC', side: 'BUY', type: 'limit', price: 98, size: 15 });
+            expect(order.resting).to.be.true;
+
+            await engine.updateMarketData('BTC', { price: 97.8, bid: 97.5, ask: 97.9, volume: 1000 });
+            expect(order.status).to.equal('OPEN');
+            expect(order.filledSize).to.equal(10);
+            expect(engine.activeOrders.has(order.id)).to.be.true;
+
+            await engine.updateMarketData('BTC', { price: 97.6, bid: 97.5, ask: 97.7, volume: 1000 });
+            expect(order.status).to.equal('FILLED');
+            expect(order.fillPrice).to.be.closeTo((10 * 97.9 + 5 * 97.7) / 15, 1e-9);
+            expect(engine.getPositions('BTC').every(p => p.fees === 0)).to.be.true;
+        });
+
+        it('should not amend a partly filled order to its filled size or below', async function () {
+            const order = await engine.placeOrder({ asset: 'BTC', side: 'BUY', type: 'limit', price: 98, size: 15 });
+            await engine.updateMarketData('BTC', { price: 97.8, bid: 97.5, ask: 97.9, volume: 1000 });
+            expect(order.filledSize).to.equal(10);
+
+            expect(await engine.amendOrder(order.id, { size: 10 })).to.be.null;
+            expect(order.size).to.equal(15);
+
+            // The book is still marketable, so the 2 left fill straight away
+            const amended = await engine.amendOrder(order.id, { size: 12 });
+            expect(amended).to.include({ size: 12, filledSize: 12, status: 'FILLED' });
+        });
+
+        it('should reject FOK orders the venue cannot fill in full', async function () {
+            const order = await engine.placeOrder({
+                asset: 'BTC', side: 'BUY', type: 'market', size: 15, timeInForce: 'FOK'
+            });
+
+            expect(order.status).to.equal('CANCELLED');
+            expect(engine.getPositions('BTC')).to.be.empty;
+        });
+    });
+
+    describe('Margin and Liquidation', function () {
+        let engine;
+
+        const setPrice = (asset, price) => engine.updateMarketData(asset, { price, bid: price, ask: price, volume: 1e9 });
+
+        beforeEach(async function () {
+            engine = new TradingEngine({
+                ...testConfig,
+                initialCash: 10000,
+                maxPositionSize: 10,
+                leverage: 5,
+                stopLossPercent: 0.9,
+                marginRequirements: { ETH: { initial: 0.5 } },
+                execution: { fees: { maker: 0, taker: 0 } }
+            }, alertSystem);
+            await setPrice('BTC', 100);
+            await setPrice('ETH', 10);
+        });
+
+        afterEach(function () {
+            engine.cleanup();
+        });
+
+        it('should require initial margin and price liquidation across positions', async function () {
+            expect(engine.getMarginRequirement('BTC')).to.deep.equal({ initial: 0.2, maintenance: 0.1 });
+            expect(engine.getMarginRequirement('ETH')).to.deep.equal({ initial: 0.5, maintenance: 0.25 });
+
+            // 40000 of BTC on 10000 of equity, putting up 8000 of it as margin
+            await engine.openPosition('BTC', 'LONG', 400);
+            expect(engine.portfolio).to.include({ cash: 2000, marginUsed: 8000 });
+            let status = engine.getMarginStatus();
+            expect(status).to.include({ equity: 10000, initialMargin: 8000, maintenanceMargin: 4000, freeMargin: 2000, marginLevel: 2.5 });
+            // 10000 + 400·(p - 100) = 400·p·0.1
+            expect(status.assets.BTC.liquidationPrice).to.be.closeTo(30000 / 360, 1e-9);
+            expect(status.assets.BTC.liquidationDistance).to.be.closeTo(1 / 6, 1e-9);
+
+            // 2020 of initial margin is more than is free, and 50100 of positions is past 5x leverage
+            expect(await engine.openPosition('BTC', 'LONG', 101)).to.equal(null);
+            expect(engine.previewPosition('BTC', 'LONG', 101).reason).to.equal('Risk limit exceeded for BTC');
+            // ETH's 50% margin runs out before the leverage does
+            expect(engine.previewPosition('ETH', 'LONG', 500).reason).to.equal('Insufficient margin for ETH position');
+
+            // A short is liquidated on a rise; each asset's margin counts against the other
+            await engine.openPosition('ETH', 'SHORT', 100);
+            status = engine.getMarginStatus();
+            expect(status.maintenanceMargin).to.be.closeTo(4250, 1e-9);
+            expect(status.assets.ETH.liquidationPrice).to.be.closeTo(56, 1e-9);
+            expect(status.assets.BTC.liquidationPrice).to.be.closeTo(30250 / 360, 1e-9);
+        });
+
+        it('should refuse a maintenance margin above the initial margin', function () {
+            expect(TradingEngine.validateMargin({ leverage: 4 })).to.equal(null);
+            expect(TradingEngine.validateMargin({ leverage: 4, maintenanceMargin: 0.3 }))
+                .to.equal('maintenanceMargin 0.3 exceeds initialMargin 0.25');
+            expect(TradingEngine.validateMargin({ marginRequirements: { BTC: { initial: 0.1, maintenance: 0.2 } } }))
+                .to.equal('BTC: maintenance margin 0.2 exceeds initial margin 0.1');
+            expect(() => new TradingEngine({ ...testConfig, initialMargin: 1.5 }, alertSystem))
+                .to.throw('initialMargin must be above 0 and at most 1');
+        });
+
+        it('should call margin near liquidation and deleverage below maintenance', async function () {
+            const calls = [];
+            const deleveraged = [];
+            engine.on('marginCall', call => calls.push(call.asset));
+            engine.on('autoDeleveraged', event => deleveraged.push(event));
+            const position = await engine.openPosition('BTC', 'LONG', 400);
+
+            // 7.4% above the liquidation price, alerted once
+            await setPrice('BTC', 90);
+            await setPrice('BTC', 89);
+            expect(calls).to.deep.equal(['BTC']);
+            expect(engine.getMarginStatus().assets.BTC.marginCall).to.equal(true);
+            await setPrice('BTC', 95);
+            expect(engine.marginCalls.has('BTC')).to.equal(false);
+
+            // Equity of 2000 is below the 3200 maintenance: cut to what 2000 covers at 20%
+            await setPrice('BTC', 80);
+            expect(calls).to.deep.equal(['BTC', 'BTC']);
+            expect(deleveraged).to.have.length(1);
+            expect(deleveraged[0]).to.include({ positionId: position.id, asset: 'BTC', side: 'LONG' });
+            expect(deleveraged[0].size).to.be.closeTo(275, 1e-9);
+            expect(position.size).to.be.closeTo(125, 1e-9);
+            const status = engine.getMarginStatus();
+            expect(status.equity).to.be.closeTo(2000, 1e-9);
+            expect(status.initialMargin).to.be.closeTo(2000, 1e-9);
+
+            // A gap through the liquidation price leaves no equity and closes everything
+            await setPrice('BTC', 60);
+            expect(engine.positions.size).to.equal(0);
+            expect(engine.calculateTotalValue()).to.be.closeTo(-500, 1e-9);
+            expect(engine.marginCalls.size).to.equal(0);
+        });
+
+        it('should close stops before checking margin on a tick', async function () {
+            const calls = [];
+            const closed = [];
+            engine.on('marginCall', call => calls.push(call.asset));
+            engine.on('positionClosed', position => closed.push(position.exitPrice));
+            const position = await engine.openPosition('BTC', 'LONG', 400);
+            position.stopLoss = 85;
+
+            // 80 is past both the stop and the liquidation price; the stop gets there first
+            await setPrice('BTC', 80);
+            expect(closed).to.deep.equal([80]);
+            expect(calls).to.be.empty;
+            expect(engine.calculateTotalValue()).to.be.closeTo(2000, 1e-9);
+        });
+    });
+
     describe('Trading Strategies', function () {
         beforeEach(function () {
             // Set up price history for technical indicators
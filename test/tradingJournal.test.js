@@ -0,0 +1,154 @@
+/**
+ * Trading Journal Tests
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TradingJournal = require('../src/tradingJournal');
+const TradingEngine = require('../src/tradingEngine');
+const AlertSystem = require('../src/alertSystem');
+
+describe('Trading Journal', function () {
+    let tmpDir;
+    let file;
+
+    const start = (config = {}) => {
+        const alertSystem = new AlertSystem({ logToConsole: false, logToFile: false });
+        const tradingEngine = new TradingEngine({ initialCash: 100000, positionModes: { ETH: 'netting' } }, alertSystem);
+        const journal = new TradingJournal({ path: file, ...config });
+        journal.open();
+        const recovered = tradingEngine.attachJournal(journal);
+
+        const stop = () => {
+            journal.close();
+            tradingEngine.cleanup();
+            alertSystem.stopMonitoring();
+        };
+        return { tradingEngine, journal, recovered, stop };
+    };
+
+    const trade = async (tradingEngine) => {
+        tradingEngine.updateMarketData('BTC', { price: 100, bid: 100, ask: 100, volume: 1000 });
+        tradingEngine.updateMarketData('ETH', { price: 10, bid: 10, ask: 10, volume: 1000 });
+        await tradingEngine.openPosition('BTC', 'LONG', 10);
+        await tradingEngine.openPosition('ETH', 'LONG', 100);
+        tradingEngine.updateMarketData('ETH', { price: 10.2, bid: 10.2, ask: 10.2, volume: 1000 });
+        await tradingEngine.openPosition('ETH', 'LONG', 50);
+        await tradingEngine.closePosition('ETH', { size: 40 });
+        await tradingEngine.closePosition('BTC');
+    };
+
+    const stateOf = tradingEngine => JSON.parse(JSON.stringify({
+        cash: tradingEngine.portfolio.cash,
+        marginUsed: tradingEngine.portfolio.marginUsed,
+        positions: [...tradingEngine.positions.values()],
+        performance: tradingEngine.performance,
+        // Revaluations are marks and not journaled
+        ledger: { ...tradingEngine.ledger.getBalances(), unrealizedPnL: 0, revaluation: 0 }
+    }));
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+        file = path.join(tmpDir, 'data', 'journal.log');
+    });
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should rebuild portfolio, positions and performance after a crash, dropping a torn entry', async function () {
+        const first = start();
+        expect(first.recovered).to.equal(null);
+        await trade(first.tradingEngine);
+        const state = stateOf(first.tradingEngine);
+        expect(first.journal.seq).to.equal(5);
+        // Crash: no final snapshot, and the next entry only half written
+        first.stop();
+        fs.appendFileSync(file, '{"seq":6,"type":"open","posi');
+
+        const second = start();
+        expect(second.recovered).to.include({ seq: 5, entries: 5 });
+        expect(stateOf(second.tradingEngine)).to.deep.equal(state);
+        expect(second.tradingEngine.positions.size).to.equal(1);
+        expect([...second.tradingEngine.positions.values()][0].entryTime).to.be.an.instanceof(Date);
+
+        // Trading carries on from the replayed state and the journal from entry 6
+        second.tradingEngine.updateMarketData('ETH', { price: 10.1, bid: 10.1, ask: 10.1, volume: 1000 });
+        await second.tradingEngine.closePosition('ETH');
+        expect(second.journal.seq).to.equal(6);
+        const closed = stateOf(second.tradingEngine);
+        second.stop();
+
+        const third = start();
+        expect(stateOf(third.tradingEngine)).to.deep.equal(closed);
+        expect(third.tradingEngine.portfolio.marginUsed).to.be.closeTo(0, 1e-9);
+        third.stop();
+    });
+
+    it('should compact the journal into snapshots', async function () {
+        const first = start({ snapshotEvery: 2 });
+        await trade(first.tradingEngine);
+        const state = stateOf(first.tradingEngine);
+
+        // Snapshots after entries 2 and 4 leave entry 5 alone in the journal
+        expect(first.journal.snapshotSeq).to.equal(4);
+        expect(fs.readFileSync(file, 'utf8').trim().split('\n')).to.have.length(1);
+        first.stop();
+
+        const second = start({ snapshotEvery: 2 });
+        expect(second.recovered).to.include({ seq: 5, entries: 1 });
+        expect(stateOf(second.tradingEngine)).to.deep.equal(state);
+        second.stop();
+    });
+
+    it('should keep trading when a snapshot and its report both fail', async function () {
+        const first = start({ snapshotEvery: 1 });
+        const unhandled = [];
+        const onUnhandled = reason => unhandled.push(reason);
+        process.on('unhandledRejection', onUnhandled);
+        first.journal.snapshot = () => { throw new Error('Disk full'); };
+        first.tradingEngine.alertSystem.logError = async () => { throw new Error('Log unavailable'); };
+
+        try {
+            first.tradingEngine.updateMarketData('BTC', { price: 100, bid: 100, ask: 100, volume: 1000 });
+            expect(await first.tradingEngine.openPosition('BTC', 'LONG', 10)).to.not.equal(null);
+            await new Promise(resolve => setImmediate(resolve));
+        } finally {
+            process.removeListener('unhandledRejection', onUnhandled);
+        }
+
+        expect(unhandled).to.deep.equal([]);
+        expect(first.tradingEngine.positions.size).to.equal(1);
+        first.stop();
+    });
+
+    it('should verify the journal and report where it diverges', async function () {
+        const first = start();
+        await trade(first.tradingEngine);
+        const recorded = {
+            portfolio: { ...first.tradingEngine.portfolio },
+            performance: { ...first.tradingEngine.performance },
+            positions: new Map(first.tradingEngine.positions)
+        };
+        first.stop();
+
+        const journal = new TradingJournal({ path: file });
+        const clean = journal.verify(recorded);
+        expect(clean).to.include({ seq: 5, entries: 5, torn: false });
+        expect(clean.errors).to.deep.equal([]);
+
+        recorded.portfolio.cash += 1;
+        const diverged = journal.verify(recorded).errors;
+        expect(diverged).to.have.length(1);
+        expect(diverged[0]).to.match(/^portfolio\.cash: journal/);
+
+        // Lose the entry that opened ETH
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+        fs.writeFileSync(file, [lines[0], ...lines.slice(2)].join('\n'));
+        const { errors } = journal.verify();
+        expect(errors).to.include('Entry 3 follows entry 1');
+        expect(errors.some(error => /refers to unknown position/.test(error))).to.equal(true);
+    });
+});